@@ -2,32 +2,230 @@
  * Email Proxy Cloud Function
  * 
  * Agents call this to send/read email. The function:
- * 1. Validates the agent's identity (via VM metadata)
+ * 1. Validates the agent's identity (a Google-signed instance identity
+ *    token from its VM — see instance-identity.js)
  * 2. Only allows access to the agent's OWN email
  * 3. Uses the admin SA key (stored in Secret Manager) to impersonate
+ * 4. Checks outgoing mail against the mailbox's outbound policy, holding
+ *    it for the owner's approval if the policy says so (see outbound.js)
+ * 5. Only serves agents whose admin allowlist grants email (or drive)
  * 
  * This way the admin SA key never leaves this function.
  */
 
 const { SecretManagerServiceClient } = require('@google-cloud/secret-manager');
 const crypto = require('crypto');
+const fs = require('fs');
+const { parseKeys, createVerifier, createBackendNonceCache, signRequest } = require('./request-auth');
+const identity = require('./instance-identity');
+const mime = require('./mime');
+const outbound = require('./outbound');
 const secretManager = new SecretManagerServiceClient();
 
 const PROJECT = process.env.GCP_PROJECT || 'n30-agents';
-const AUTH_SECRET = process.env.AUTH_SECRET;
+// Signing keys: AUTH_KEYS="id:secret,..." for rotation; AUTH_SECRET is the key `default`
+const AUTH_KEYS = parseKeys(process.env.AUTH_KEYS, process.env.AUTH_SECRET);
 const SA_KEY_SECRET = process.env.SA_KEY_SECRET || 'rye-workspace-admin-sa-key';
+// How long to reuse the SA key before refetching it, so a rotated key
+// (rotate-secrets) takes effect without a redeploy
+const SA_KEY_CACHE_SECONDS = Number(process.env.SA_KEY_CACHE_SECONDS || 300);
+// Wake on demand: mail to a colleague starts their agent if its power
+// schedule put it to sleep. WAKE_KEY is a control-plane wake key "id:secret" (one of its WAKE_KEY_IDS).
+const CONTROL_PLANE_URL = process.env.CONTROL_PLANE_URL;
+const WAKE_KEY = process.env.WAKE_KEY;
+// Total attachment size per message. Requests carry attachments base64-encoded
+// (4/3 larger), and a 1st gen function takes requests up to 10 MB; on 2nd gen
+// (32 MB) this can go up to 18, the most Gmail's 25 MB message limit allows.
+const ATTACHMENT_MAX_MB = Number(process.env.ATTACHMENT_MAX_MB || 7);
+
+// Agent VMs prove which instance they are with an identity token for
+// IDENTITY_AUDIENCE. Callers signing with one of SERVICE_KEY_IDS (the control
+// plane's notifier) are not VMs and may send as any mailbox. Off by default
+// for this release, so VMs still running a gmail.py without tokens keep
+// working; set REQUIRE_INSTANCE_IDENTITY=true once the fleet sends them.
+const IDENTITY_AUDIENCE = process.env.IDENTITY_AUDIENCE || 'agents-plane-email-proxy';
+const REQUIRE_INSTANCE_IDENTITY = process.env.REQUIRE_INSTANCE_IDENTITY === 'true';
+const SERVICE_KEY_IDS = (process.env.SERVICE_KEY_IDS || '').split(',').map(s => s.trim()).filter(Boolean);
+// Mailbox domains agents may use (empty: any)
+const MAILBOX_DOMAINS = (process.env.MAILBOX_DOMAINS || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+// Local runs: a JSON file of { keyId: PEM } to verify tokens with instead of Google's certs
+const IDENTITY_KEYS_FILE = process.env.IDENTITY_KEYS_FILE;
+// What an agent whose config predates tool and channel allowlists may use
+// (as on the VM)
+const DEFAULT_TOOLS = ['exec', 'github', 'email', 'calendar', 'drive'];
+const DEFAULT_CHANNELS = ['email', 'whatsapp', 'slack'];
+const DRIVE_ACTIONS = ['drive_search', 'drive_read'];
+
+// Outbound mail policy document (see outbound.js); without one the built-in
+// defaults apply. Send history, held or rejected mail and request nonces live
+// in OUTBOX_STORE: memory | firestore (needed once there is more than one instance).
+const MAIL_POLICY_SECRET = process.env.MAIL_POLICY_SECRET || 'agents-plane-mail-policy';
+const OUTBOX_STORE = process.env.OUTBOX_STORE || 'memory';
+const OUTBOX_PREFIX = process.env.OUTBOX_PREFIX || 'agents-plane';
+const HOLD_DAYS = Number(process.env.HOLD_DAYS || 7);
+// Held mail is decided through links to APPROVAL_BASE_URL (this function's
+// URL), signed with APPROVAL_SECRET — a secret agents don't have
+const APPROVAL_SECRET = process.env.APPROVAL_SECRET;
+const APPROVAL_BASE_URL = process.env.APPROVAL_BASE_URL;
+// Approval requests are filed under this label, which the read actions hide
+// from agents so they can't follow the links themselves
+const APPROVALS_LABEL = 'agents-plane-approvals';
+
+const outboxBackend = outbound.createBackend(OUTBOX_STORE);
+const outbox = outbound.createOutbox(outboxBackend, { prefix: OUTBOX_PREFIX, holdDays: HOLD_DAYS });
+// Nonces are shared like the outbox, so a signed request can't be replayed
+// on another function instance
+const verifyRequest = createVerifier({
+  keys: AUTH_KEYS,
+  maxSkewSeconds: Number(process.env.AUTH_MAX_SKEW_SECONDS || 300),
+  nonceCache: createBackendNonceCache(outboxBackend, `${OUTBOX_PREFIX}-mail-nonces`),
+});
+
+const verifyIdentity = identity.createIdentityVerifier({
+  keyFor: identity.createKeyStore({ keys: IDENTITY_KEYS_FILE ? JSON.parse(fs.readFileSync(IDENTITY_KEYS_FILE, 'utf8')) : null }),
+  audience: IDENTITY_AUDIENCE,
+  project: PROJECT,
+  lookupInstance,
+});
 
 let cachedSaKey = null;
+let saKeyFetchedAt = 0;
 
 async function getSaKey() {
-  if (cachedSaKey) return cachedSaKey;
+  if (cachedSaKey && Date.now() - saKeyFetchedAt < SA_KEY_CACHE_SECONDS * 1000) return cachedSaKey;
   const [version] = await secretManager.accessSecretVersion({
     name: `projects/${PROJECT}/secrets/${SA_KEY_SECRET}/versions/latest`,
   });
   cachedSaKey = JSON.parse(version.payload.data.toString());
+  saKeyFetchedAt = Date.now();
   return cachedSaKey;
 }
 
+// The cached key was revoked (its version disabled by rotation) — drop it
+function invalidateSaKey() {
+  cachedSaKey = null;
+}
+
+let cachedMailPolicy = null;
+let mailPolicyFetchedAt = 0;
+
+/**
+ * The outbound mail policy document, refetched as often as the SA key.
+ * Throws if it is invalid, so a broken policy stops agent mail rather than
+ * letting it all through.
+ */
+async function getMailPolicy() {
+  if (cachedMailPolicy && Date.now() - mailPolicyFetchedAt < SA_KEY_CACHE_SECONDS * 1000) return cachedMailPolicy;
+  let doc = {};
+  try {
+    const [version] = await secretManager.accessSecretVersion({
+      name: `projects/${PROJECT}/secrets/${MAIL_POLICY_SECRET}/versions/latest`,
+    });
+    doc = JSON.parse(version.payload.data.toString());
+  } catch (err) {
+    // NOT_FOUND: no policy stored, the defaults apply
+    if (err.code !== 5) throw err;
+  }
+  const problems = outbound.checkMailPolicy(doc);
+  if (problems.length > 0) throw new Error(`Invalid mail policy: ${problems.join('; ')}`);
+  cachedMailPolicy = doc;
+  mailPolicyFetchedAt = Date.now();
+  return doc;
+}
+
+const allowlists = new Map();
+
+/**
+ * The tools and channels the admin allows agent `agentUser`, from its config
+ * secret (the copy on the VM is the agent's to edit), refetched as often as
+ * the SA key. Null if the agent has no config.
+ */
+async function getAllowlist(agentUser) {
+  const hit = allowlists.get(agentUser);
+  if (hit && Date.now() - hit.fetchedAt < SA_KEY_CACHE_SECONDS * 1000) return hit.allowlist;
+  let allowlist = null;
+  try {
+    const [version] = await secretManager.accessSecretVersion({
+      name: `projects/${PROJECT}/secrets/agent-${agentUser}-config/versions/latest`,
+    });
+    const config = JSON.parse(version.payload.data.toString());
+    allowlist = { tools: config.tools || DEFAULT_TOOLS, channels: config.channels || DEFAULT_CHANNELS };
+  } catch (err) {
+    // NOT_FOUND: not a provisioned agent
+    if (err.code !== 5) throw err;
+  }
+  allowlists.set(agentUser, { allowlist, fetchedAt: Date.now() });
+  return allowlist;
+}
+
+// Drive needs the drive tool; mail needs the email tool or channel
+function actionAllowed(allowlist, action) {
+  if (DRIVE_ACTIONS.includes(action)) return allowlist.tools.includes('drive');
+  return allowlist.tools.includes('email') || allowlist.channels.includes('email');
+}
+
+/**
+ * Ask the control plane to wake the agents of recipients in the sender's
+ * domain. Best effort — the mail is already sent, and recipients without an
+ * agent (404) or stopped by an admin (409) are expected.
+ */
+async function wakeRecipients(from, to) {
+  if (!CONTROL_PLANE_URL || !WAKE_KEY) return;
+  const idx = WAKE_KEY.indexOf(':');
+  const [keyId, secret] = [WAKE_KEY.slice(0, idx), WAKE_KEY.slice(idx + 1)];
+  const domain = from.split('@')[1].toLowerCase();
+  const recipients = String(to).split(',')
+    .map(addr => (/<([^>]+)>/.exec(addr)?.[1] || addr).trim().toLowerCase())
+    .filter(addr => addr.endsWith(`@${domain}`) && addr !== from.toLowerCase());
+  for (const email of new Set(recipients)) {
+    const payload = JSON.stringify({
+      action: 'wake',
+      email,
+      timestamp: Math.floor(Date.now() / 1000),
+      nonce: crypto.randomBytes(16).toString('hex'),
+    });
+    try {
+      const resp = await fetch(CONTROL_PLANE_URL, {
+        method: 'POST',
+        headers: { Authorization: signRequest(keyId, secret, payload), 'Content-Type': 'application/json' },
+        body: payload,
+      });
+      const result = await resp.json().catch(() => ({}));
+      if (result.status === 'woken') console.log(`Woke ${email}'s agent for mail from ${from}`);
+    } catch (err) {
+      console.warn(`Could not wake ${email}'s agent: ${err.message}`);
+    }
+  }
+}
+
+let metadataToken = null;
+
+// The function's own access token, from the metadata server
+async function getMetadataToken() {
+  if (metadataToken && Date.now() < metadataToken.expiresAt) return metadataToken.value;
+  const resp = await fetch('http://metadata.google.internal/computeMetadata/v1/instance/service-accounts/default/token', {
+    headers: { 'Metadata-Flavor': 'Google' },
+  });
+  if (!resp.ok) throw new Error(`Metadata token request failed: ${resp.status}`);
+  const data = await resp.json();
+  metadataToken = { value: data.access_token, expiresAt: Date.now() + (data.expires_in - 60) * 1000 };
+  return metadataToken.value;
+}
+
+/**
+ * The calling VM's ID and labels, or null if it no longer exists. Needs
+ * compute.instances.get (Compute Viewer) on the agents' project.
+ */
+async function lookupInstance({ name, zone, projectId }) {
+  const resp = await fetch(`https://compute.googleapis.com/compute/v1/projects/${projectId}/zones/${zone}/instances/${name}`, {
+    headers: { Authorization: `Bearer ${await getMetadataToken()}` },
+  });
+  if (resp.status === 404) return null;
+  if (!resp.ok) throw new Error(`Instance lookup failed: ${resp.status}`);
+  const { id, labels } = await resp.json();
+  return { id, labels: labels || {} };
+}
+
 function base64url(data) {
   return Buffer.from(data).toString('base64url');
 }
@@ -54,6 +252,7 @@ async function getTokenForScope(saKey, email, scope) {
     body: `grant_type=${encodeURIComponent('urn:ietf:params:oauth:grant-type:jwt-bearer')}&assertion=${header}.${claims}.${signature}`,
   });
   const data = await resp.json();
+  if (data.error === 'invalid_grant') invalidateSaKey();
   if (!data.access_token) throw new Error(`Token error: ${JSON.stringify(data)}`);
   return data.access_token;
 }
@@ -77,6 +276,200 @@ async function gmailRequest(token, email, path, method = 'GET', body = null) {
   return resp.json();
 }
 
+/**
+ * Send a raw message. Goes through the upload endpoint, which takes messages
+ * up to Gmail's size limit; `metadata` is the message resource (e.g. threadId).
+ */
+async function sendMessage(token, email, raw, metadata = {}) {
+  const boundary = `upload_${crypto.randomBytes(12).toString('hex')}`;
+  const body = Buffer.concat([
+    Buffer.from(`--${boundary}\r\nContent-Type: application/json; charset=UTF-8\r\n\r\n${JSON.stringify(metadata)}\r\n` +
+      `--${boundary}\r\nContent-Type: message/rfc822\r\n\r\n`),
+    raw,
+    Buffer.from(`\r\n--${boundary}--`),
+  ]);
+  const resp = await fetch(`https://gmail.googleapis.com/upload/gmail/v1/users/${email}/messages/send?uploadType=multipart`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': `multipart/related; boundary=${boundary}` },
+    body,
+  });
+  const result = await resp.json();
+  if (result.error) throw new Error(`Gmail send failed: ${result.error.message}`);
+  return result;
+}
+
+const approvalsLabels = new Map();
+
+/**
+ * ID of the approvals label in `mailbox`, creating it if `create` is set;
+ * null if there is none yet.
+ */
+async function approvalsLabelId(token, mailbox, { create = false } = {}) {
+  if (approvalsLabels.has(mailbox)) return approvalsLabels.get(mailbox);
+  const { labels = [] } = await gmailRequest(token, mailbox, 'labels');
+  let label = labels.find(l => l.name === APPROVALS_LABEL);
+  if (!label && create) {
+    label = await gmailRequest(token, mailbox, 'labels', 'POST', {
+      name: APPROVALS_LABEL, labelListVisibility: 'labelShow', messageListVisibility: 'show',
+    });
+    if (!label.id) throw new Error(`Could not create the ${APPROVALS_LABEL} label: ${label.error?.message}`);
+  }
+  if (!label) return null;
+  approvalsLabels.set(mailbox, label.id);
+  return label.id;
+}
+
+// Whether a message is an approval request, which agents may not read
+async function isApprovalRequest(token, mailbox, message) {
+  const labelId = await approvalsLabelId(token, mailbox);
+  return Boolean(labelId && message.labelIds?.includes(labelId));
+}
+
+function approvalLink(id, decision) {
+  const sig = outbound.decisionSignature(APPROVAL_SECRET, id, decision);
+  return `${APPROVAL_BASE_URL}?approval=${encodeURIComponent(id)}&decision=${decision}&sig=${sig}`;
+}
+
+/**
+ * Put an approval request for a held message in the approver's inbox. It is
+ * inserted rather than sent, so there is no copy in the agent's Sent mail.
+ */
+async function notifyApprover(approver, record) {
+  const token = await getGmailToken(await getSaKey(), approver);
+  const recipients = [['To', record.to], ['Cc', record.cc], ['Bcc', record.bcc]]
+    .filter(([, list]) => list.length > 0)
+    .map(([name, list]) => `${name}: ${list.join(', ')}`);
+  const preview = record.preview.length > 1000 ? `${record.preview.slice(0, 1000)}…` : record.preview;
+  const body = [
+    `The agent for ${record.email} wants to send this message. ${record.reason}.`,
+    '',
+    ...recipients,
+    `Subject: ${record.subject}`,
+    '',
+    preview,
+    '',
+    `Approve and send: ${approvalLink(record.id, 'approve')}`,
+    `Reject: ${approvalLink(record.id, 'reject')}`,
+    '',
+    `Requests not answered by ${record.expiresAt} expire.`,
+  ].join('\n');
+  const raw = mime.buildMessage({ from: record.email, to: approver, subject: `Approve agent mail: ${record.subject}`, body });
+  const labelId = await approvalsLabelId(token, approver, { create: true });
+  const result = await gmailRequest(token, approver, 'messages', 'POST', {
+    raw: raw.toString('base64url'), labelIds: ['INBOX', 'UNREAD', labelId],
+  });
+  if (result.error) throw new Error(`Could not file the approval request: ${result.error.message}`);
+}
+
+/**
+ * Check agent mail against the mailbox's outbound policy. Returns null if it
+ * may be sent now, otherwise the { code, body } to answer with: 403 for
+ * recipient rules (the message is recorded as rejected), 429 with
+ * `retryAfter` for rate limits, 202 when it is held for approval and 413
+ * when it needs approval but is too large to hold.
+ */
+async function applyMailPolicy({ email, headers, subject, preview, raw, threadId = null }) {
+  const policy = outbound.policyFor(await getMailPolicy(), email);
+  const recipients = { to: [], cc: [], bcc: [] };
+  for (const field of Object.keys(recipients)) recipients[field] = headers[field].map(a => a.address);
+  const verdict = outbound.evaluateSend(policy, {
+    sender: email,
+    recipients: [...recipients.to, ...recipients.cc, ...recipients.bcc],
+    sentAt: await outbox.recentSends(email),
+  });
+
+  switch (verdict.decision) {
+    case 'reject': {
+      const record = await outbox.reject({ email, recipients, subject, reason: verdict.reason });
+      console.warn(`Rejected mail from ${email}: ${verdict.reason}`);
+      return { code: 403, body: { error: verdict.reason, rejectedId: record.id } };
+    }
+    case 'limit':
+      console.warn(`Rate limited ${email}: ${verdict.reason}`);
+      return { code: 429, retryAfter: verdict.retryAfter, body: { error: verdict.reason, retryAfter: verdict.retryAfter } };
+    case 'hold': {
+      if (!APPROVAL_SECRET || !APPROVAL_BASE_URL) {
+        throw new Error('Mail needs approval, but APPROVAL_SECRET or APPROVAL_BASE_URL is not set');
+      }
+      if (raw.length > outbound.MAX_HELD_BYTES) {
+        const error = `${verdict.reason}, and mail held for approval is limited to ${outbound.MAX_HELD_BYTES / 1024} KB ` +
+          `(this message is ${Math.ceil(raw.length / 1024)} KB). Send large files another way.`;
+        return { code: 413, body: { error } };
+      }
+      const record = await outbox.hold({ email, recipients, subject, preview, raw, threadId, reason: verdict.reason });
+      // Counted when filed, so the limits also cap requests to the approver
+      await outbox.recordSend(email);
+      await notifyApprover(policy.approver || email, record);
+      console.log(`Held mail ${record.id} from ${email} for approval: ${verdict.reason}`);
+      return { code: 202, body: { success: true, held: true, heldId: record.id, reason: verdict.reason } };
+    }
+    default:
+      return null;
+  }
+}
+
+function answerPolicy(res, outcome) {
+  if (outcome.retryAfter) res.set('Retry-After', String(outcome.retryAfter));
+  return res.status(outcome.code).json(outcome.body);
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+}
+
+function approvalPage(message, form = '') {
+  return `<!doctype html><html><body style="font-family:sans-serif;max-width:40em;margin:2em auto">${message}${form}</body></html>`;
+}
+
+function alreadyDecided(res, status) {
+  const message = status === 'sending' ? 'This message is already being sent.' : `This message was already ${escapeHtml(status)}.`;
+  return res.status(409).send(approvalPage(`<p>${message}</p>`));
+}
+
+/**
+ * An approver following a link from their approval request. GET only shows
+ * the message and a confirm button — link scanners in mail filters fetch
+ * links, and must not approve anything — and the button POSTs the decision.
+ */
+async function handleApproval(req, res) {
+  const { approval: id, decision, sig } = req.query;
+  if (!APPROVAL_SECRET || !['approve', 'reject'].includes(decision) || !outbound.verifyDecision(APPROVAL_SECRET, id, decision, sig)) {
+    return res.status(403).send(approvalPage('<p>This approval link is not valid.</p>'));
+  }
+  const record = await outbox.get(id);
+  if (!record) return res.status(404).send(approvalPage('<p>This message is no longer in the approval queue.</p>'));
+  if (record.status !== 'held') return alreadyDecided(res, record.status);
+
+  if (req.method !== 'POST') {
+    const summary = `<p>From: ${escapeHtml(record.email)}<br>To: ${escapeHtml([...record.to, ...record.cc, ...record.bcc].join(', '))}` +
+      `<br>Subject: ${escapeHtml(record.subject)}</p><pre style="white-space:pre-wrap">${escapeHtml(record.preview)}</pre>`;
+    const button = `<form method="post"><button type="submit">${decision === 'approve' ? 'Approve and send' : 'Reject'}</button></form>`;
+    return res.send(approvalPage(summary, button));
+  }
+
+  // Two approvers, or a retried POST, may both get here; only the one that
+  // claims the message decides it
+  const claimed = await outbox.claim(id);
+  if (!claimed) return alreadyDecided(res, (await outbox.get(id))?.status || 'decided');
+  if (decision === 'reject') {
+    await outbox.decide(claimed, 'rejected', { decidedBy: 'approver' });
+    console.log(`Approver rejected held mail ${id} from ${record.email}`);
+    return res.send(approvalPage('<p>Rejected. The message was not sent.</p>'));
+  }
+  let result;
+  try {
+    const token = await getGmailToken(await getSaKey(), claimed.email);
+    result = await sendMessage(token, claimed.email, Buffer.from(claimed.raw, 'base64'), claimed.threadId ? { threadId: claimed.threadId } : {});
+  } catch (err) {
+    await outbox.release(claimed);
+    throw err;
+  }
+  await outbox.decide(claimed, 'sent', { decidedBy: 'approver', messageId: result.id });
+  console.log(`Approver released held mail ${id} from ${record.email}`);
+  await wakeRecipients(record.email, [...record.to, ...record.cc, ...record.bcc].join(', '));
+  return res.send(approvalPage('<p>Approved. The message was sent.</p>'));
+}
+
 exports.emailProxy = async (req, res) => {
   res.set('Access-Control-Allow-Origin', '*');
   if (req.method === 'OPTIONS') {
@@ -85,13 +478,48 @@ exports.emailProxy = async (req, res) => {
     return res.status(204).send('');
   }
 
-  // Auth
-  if (!AUTH_SECRET) return res.status(500).json({ error: 'Server misconfigured' });
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.replace('Bearer ', '');
-  if (token !== AUTH_SECRET) return res.status(401).json({ error: 'Unauthorized' });
+  // Approval links carry their own signature instead of the request HMAC
+  if (req.query?.approval) {
+    try {
+      return await handleApproval(req, res);
+    } catch (err) {
+      console.error('Approval error:', err);
+      return res.status(500).send(approvalPage('<p>Something went wrong. Try the link again later.</p>'));
+    }
+  }
+
+  // Auth — HMAC-signed body with timestamp + nonce (see request-auth.js)
+  if (AUTH_KEYS.size === 0) return res.status(500).json({ error: 'Server misconfigured' });
+  const auth = await verifyRequest(req);
+  if (!auth.ok) {
+    console.warn(`Rejected request: ${auth.reason}`);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  // Identity — which agent VM is calling, unless a service key signed the request
+  let caller = null;
+  const service = SERVICE_KEY_IDS.includes(auth.keyId);
+  if (!service) {
+    let result;
+    try {
+      result = await verifyIdentity(req.headers?.['x-agent-identity']);
+    } catch (err) {
+      console.error('Identity check failed:', err);
+      return res.status(503).json({ error: 'Could not verify caller identity' });
+    }
+    if (result.ok) {
+      caller = result;
+    } else if (REQUIRE_INSTANCE_IDENTITY) {
+      console.warn(`Rejected request: ${result.reason}`);
+      return res.status(401).json({ error: 'Unauthorized' });
+    } else {
+      console.warn(`Accepted request without instance identity (${result.reason}) — REQUIRE_INSTANCE_IDENTITY is off`);
+    }
+  }
 
-  const { action, agentName, email, to, subject, body: emailBody, query, maxResults, messageId } = req.body;
+  const {
+    action, agentName, email, to, subject, body: emailBody, query, maxResults, messageId, attachmentId, threadId,
+  } = req.body;
 
   // Validate: agent can only access their own email
   if (!agentName || !email) {
@@ -105,70 +533,177 @@ exports.emailProxy = async (req, res) => {
       error: `Agent "${agentName}" cannot access email for "${email}". Agents can only access their own email.` 
     });
   }
+  if (caller && !identity.mailboxAllowed(caller.agentUser, email, MAILBOX_DOMAINS)) {
+    console.warn(`Rejected ${caller.instance.name} claiming ${email}`);
+    return res.status(403).json({
+      error: `Instance ${caller.instance.name} cannot access email for "${email}". Agents can only access their own email.`,
+    });
+  }
 
   try {
+    // Callers without a token (REQUIRE_INSTANCE_IDENTITY off) are held to the mailbox's agent
+    if (!service) {
+      const agentUser = caller ? caller.agentUser : emailPrefix.replace(/\./g, '-');
+      const allowlist = await getAllowlist(agentUser);
+      if (!allowlist || !actionAllowed(allowlist, action)) {
+        console.warn(`Rejected ${action} for ${agentUser}: not in its allowlist`);
+        return res.status(403).json({ error: `${DRIVE_ACTIONS.includes(action) ? 'Drive' : 'Email'} is not allowed for this agent` });
+      }
+    }
+
     const saKey = await getSaKey();
     const gmailToken = await getGmailToken(saKey, email);
 
     switch (action) {
-      case 'send': {
-        if (!to || !subject) return res.status(400).json({ error: 'Missing to/subject' });
-        const raw = Buffer.from(
-          `From: ${email}\r\nTo: ${to}\r\nSubject: ${subject}\r\nContent-Type: text/plain; charset=utf-8\r\n\r\n${emailBody || ''}`
-        ).toString('base64url');
-        const result = await gmailRequest(gmailToken, email, 'messages/send', 'POST', { raw });
-        return res.json({ success: true, messageId: result.id });
-      }
-
+      case 'send':
       case 'send_html': {
         if (!to || !subject) return res.status(400).json({ error: 'Missing to/subject' });
-        const boundary = `boundary_${Date.now()}`;
-        const raw = Buffer.from(
-          `From: ${email}\r\nTo: ${to}\r\nSubject: ${subject}\r\nContent-Type: multipart/alternative; boundary="${boundary}"\r\n\r\n` +
-          `--${boundary}\r\nContent-Type: text/html; charset=utf-8\r\n\r\n${emailBody || ''}\r\n` +
-          `--${boundary}--`
-        ).toString('base64url');
-        const result = await gmailRequest(gmailToken, email, 'messages/send', 'POST', { raw });
-        return res.json({ success: true, messageId: result.id });
+        const { cc, bcc, replyTo, text } = req.body;
+        const { headers, error: headerError } = mime.checkHeaders({ to, cc, bcc, replyTo, subject });
+        if (headerError) return res.status(400).json({ error: headerError });
+        if (text !== undefined && typeof text !== 'string') return res.status(400).json({ error: 'text must be a string' });
+        const { attachments, error } = mime.checkAttachments(req.body.attachments, ATTACHMENT_MAX_MB * 1024 * 1024);
+        if (error) return res.status(400).json({ error });
+        const html = action === 'send_html';
+        const raw = mime.buildMessage({ from: email, to, cc, bcc, replyTo, subject, body: emailBody || '', html, text, attachments });
+        // The control plane's notices aren't agent mail; everything else meets the outbound policy
+        if (!service) {
+          const preview = html ? text ?? mime.htmlToText(emailBody || '') : emailBody || '';
+          const outcome = await applyMailPolicy({ email, headers, subject, preview, raw });
+          if (outcome) return answerPolicy(res, outcome);
+        }
+        const result = await sendMessage(gmailToken, email, raw);
+        if (!service) await outbox.recordSend(email);
+        await wakeRecipients(email, [...headers.to, ...headers.cc, ...headers.bcc].map(a => a.address).join(', '));
+        return res.json({ success: true, messageId: result.id, attachments: attachments.length });
       }
 
       case 'inbox': {
         const q = query || 'is:unread';
         const max = maxResults || 5;
-        const list = await gmailRequest(gmailToken, email, `messages?maxResults=${max}&q=${encodeURIComponent(q)}`);
+        const list = await gmailRequest(
+          gmailToken, email, `messages?maxResults=${max}&q=${encodeURIComponent(`${q} -label:${APPROVALS_LABEL}`)}`,
+        );
+        // The query is the agent's and can undo the label filter, so check each message too
+        const hiddenLabel = await approvalsLabelId(gmailToken, email);
         const messages = [];
         for (const m of (list.messages || [])) {
           const detail = await gmailRequest(gmailToken, email, `messages/${m.id}?format=full`);
+          if (hiddenLabel && detail.labelIds?.includes(hiddenLabel)) continue;
           const headers = {};
           for (const h of (detail.payload?.headers || [])) headers[h.name] = h.value;
-          let body = '';
-          if (detail.payload?.body?.data) {
-            body = Buffer.from(detail.payload.body.data, 'base64url').toString();
-          } else if (detail.payload?.parts) {
-            for (const part of detail.payload.parts) {
-              if (part.mimeType === 'text/plain' && part.body?.data) {
-                body = Buffer.from(part.body.data, 'base64url').toString();
-                break;
-              }
-            }
-          }
+          const { body, attachments } = mime.readPayload(detail.payload);
           messages.push({
             id: m.id,
+            threadId: detail.threadId,
             from: headers.From || '',
             subject: headers.Subject || '',
             body,
+            attachments,
             labels: detail.labelIds || [],
           });
         }
         return res.json({ success: true, messages });
       }
 
+      case 'reply': {
+        if (!messageId) return res.status(400).json({ error: 'Missing messageId' });
+        const { attachments, error } = mime.checkAttachments(req.body.attachments, ATTACHMENT_MAX_MB * 1024 * 1024);
+        if (error) return res.status(400).json({ error });
+        const original = await gmailRequest(
+          gmailToken, email,
+          `messages/${encodeURIComponent(messageId)}?format=metadata` +
+            ['From', 'To', 'Cc', 'Reply-To', 'Subject', 'Message-ID', 'References', 'In-Reply-To']
+              .map(h => `&metadataHeaders=${h}`).join(''),
+        );
+        if (original.error) return res.status(original.error.code || 500).json({ error: original.error.message });
+        if (await isApprovalRequest(gmailToken, email, original)) return res.status(404).json({ error: 'Message not found' });
+        const reply = mime.replyHeaders(mime.readHeaders(original.payload), { self: email, replyAll: req.body.replyAll === true });
+        if (!reply.to) return res.status(400).json({ error: 'The message has no one to reply to' });
+        const { headers, error: headerError } = mime.checkHeaders(reply);
+        if (headerError) return res.status(422).json({ error: `Cannot reply to this message: ${headerError}` });
+        const raw = mime.buildMessage({ from: email, ...reply, body: emailBody || '', attachments });
+        if (!service) {
+          const outcome = await applyMailPolicy({
+            email, headers, subject: reply.subject, preview: emailBody || '', raw, threadId: original.threadId,
+          });
+          if (outcome) return answerPolicy(res, outcome);
+        }
+        const result = await sendMessage(gmailToken, email, raw, { threadId: original.threadId });
+        if (!service) await outbox.recordSend(email);
+        await wakeRecipients(email, [reply.to, reply.cc].filter(Boolean).join(', '));
+        return res.json({
+          success: true, messageId: result.id, threadId: result.threadId, to: reply.to, cc: reply.cc, subject: reply.subject,
+        });
+      }
+
+      case 'thread': {
+        let id = threadId;
+        if (!id && messageId) {
+          const message = await gmailRequest(gmailToken, email, `messages/${encodeURIComponent(messageId)}?format=minimal`);
+          if (message.error) return res.status(message.error.code || 500).json({ error: message.error.message });
+          if (await isApprovalRequest(gmailToken, email, message)) return res.status(404).json({ error: 'Message not found' });
+          id = message.threadId;
+        }
+        if (!id) return res.status(400).json({ error: 'Missing threadId or messageId' });
+        const thread = await gmailRequest(gmailToken, email, `threads/${encodeURIComponent(id)}?format=full`);
+        if (thread.error) return res.status(thread.error.code || 500).json({ error: thread.error.message });
+        const hiddenLabel = await approvalsLabelId(gmailToken, email);
+        const messages = (thread.messages || [])
+          .filter(m => !hiddenLabel || !m.labelIds?.includes(hiddenLabel))
+          .sort((a, b) => Number(a.internalDate) - Number(b.internalDate))
+          .map(m => {
+            const headers = mime.readHeaders(m.payload);
+            const { body, attachments } = mime.readPayload(m.payload);
+            return {
+              id: m.id,
+              from: headers.from || '',
+              to: headers.to || '',
+              cc: headers.cc || '',
+              date: new Date(Number(m.internalDate)).toISOString(),
+              subject: headers.subject || '',
+              body,
+              attachments,
+              labels: m.labelIds || [],
+            };
+          });
+        return res.json({ success: true, threadId: id, messages });
+      }
+
+      case 'held':
+      case 'rejected': {
+        const limit = Math.min(Math.max(Number(maxResults) || 20, 1), 100);
+        const messages = await outbox.list(email, action, limit);
+        return res.json({ success: true, messages });
+      }
+
       case 'mark_read': {
         if (!messageId) return res.status(400).json({ error: 'Missing messageId' });
-        await gmailRequest(gmailToken, email, `messages/${messageId}/modify`, 'POST', { removeLabelIds: ['UNREAD'] });
+        const message = await gmailRequest(gmailToken, email, `messages/${encodeURIComponent(messageId)}?format=minimal`);
+        if (message.error) return res.status(message.error.code || 500).json({ error: message.error.message });
+        if (await isApprovalRequest(gmailToken, email, message)) return res.status(404).json({ error: 'Message not found' });
+        await gmailRequest(gmailToken, email, `messages/${encodeURIComponent(messageId)}/modify`, 'POST', { removeLabelIds: ['UNREAD'] });
         return res.json({ success: true });
       }
 
+      case 'get_attachment': {
+        if (!messageId || !attachmentId) return res.status(400).json({ error: 'Missing messageId/attachmentId' });
+        const message = await gmailRequest(gmailToken, email, `messages/${encodeURIComponent(messageId)}?format=minimal`);
+        if (message.error) return res.status(message.error.code || 500).json({ error: message.error.message });
+        if (await isApprovalRequest(gmailToken, email, message)) return res.status(404).json({ error: 'Message not found' });
+        const attachment = await gmailRequest(
+          gmailToken, email, `messages/${encodeURIComponent(messageId)}/attachments/${encodeURIComponent(attachmentId)}`,
+        );
+        if (attachment.error) return res.status(attachment.error.code || 500).json({ error: attachment.error.message });
+        return res.json({
+          success: true,
+          messageId,
+          size: attachment.size,
+          // Gmail returns base64url; callers get plain base64, as they send it
+          data: Buffer.from(attachment.data || '', 'base64url').toString('base64'),
+        });
+      }
+
       case 'drive_search': {
         if (!query) return res.status(400).json({ error: 'Missing query' });
         // Drive access restricted to amichay@nine30.com only
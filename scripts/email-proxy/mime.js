@@ -0,0 +1,324 @@
+/**
+ * Building outgoing messages and reading Gmail message payloads.
+ *
+ * Attachments come in as { filename, contentType, data } with `data` in
+ * base64; a message with attachments is multipart/mixed, the body first.
+ * Replies carry In-Reply-To and References so mail clients thread them.
+ *
+ * Header values never go into the message as given: addresses are parsed
+ * and re-formatted, anything else with a line break is refused (it would
+ * start a new header, e.g. "\r\nBcc: ..."), and non-ASCII text is RFC 2047
+ * encoded.
+ */
+
+const crypto = require('crypto');
+
+const MAX_ATTACHMENTS = 20;
+const DEFAULT_CONTENT_TYPE = 'application/octet-stream';
+const ADDRESS_PATTERN = /^[a-z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+// Split a comma-separated list, except inside quotes or <...>
+function splitList(value) {
+  const items = [];
+  let current = '', quoted = false, angle = false;
+  for (const ch of `${value},`) {
+    if (ch === '"') quoted = !quoted;
+    else if (ch === '<' && !quoted) angle = true;
+    else if (ch === '>' && !quoted) angle = false;
+    if (ch === ',' && !quoted && !angle) {
+      if (current.trim()) items.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  return items;
+}
+
+// One "Name <address>" or bare address → { name, address }
+function parseMailbox(text) {
+  const angle = /^(.*)<([^<>]*)>$/.exec(text);
+  const address = (angle ? angle[2] : text).trim().toLowerCase();
+  const name = angle ? angle[1].trim().replace(/^"(.*)"$/, '$1').replace(/\\(.)/g, '$1') : '';
+  return { name, address };
+}
+
+/**
+ * Parse an address list — a comma-separated string or an array of strings —
+ * into [{ name, address }]. Returns { addresses } or { error }.
+ */
+function parseAddressList(value, field = 'address') {
+  if (value === undefined || value === null || value === '') return { addresses: [] };
+  const items = Array.isArray(value) ? value : [value];
+  if (!items.every(item => typeof item === 'string')) return { error: `${field} must be a string or a list of strings` };
+  const addresses = [];
+  for (const text of items.flatMap(splitList)) {
+    if (/[\r\n]/.test(text)) return { error: `${field} must not contain line breaks` };
+    const mailbox = parseMailbox(text);
+    if (!ADDRESS_PATTERN.test(mailbox.address)) return { error: `${field} has an invalid address: ${text}` };
+    addresses.push(mailbox);
+  }
+  return { addresses };
+}
+
+/**
+ * Check and normalize the request's headers. Address lists become
+ * [{ name, address }], with an address given twice (in any list) kept only
+ * the first time. Returns { headers } or { error }.
+ */
+function checkHeaders({ to, cc, bcc, replyTo, subject = '' }) {
+  const headers = {};
+  const seen = new Set();
+  for (const [field, value] of Object.entries({ to, cc, bcc, replyTo })) {
+    const { addresses, error } = parseAddressList(value, field);
+    if (error) return { error };
+    headers[field] = field === 'replyTo' ? addresses : addresses.filter(a => !seen.has(a.address) && seen.add(a.address));
+  }
+  if (headers.to.length === 0) return { error: 'to must have at least one address' };
+  if (typeof subject !== 'string') return { error: 'subject must be a string' };
+  if (/[\r\n]/.test(subject)) return { error: 'subject must not contain line breaks' };
+  headers.subject = subject;
+  return { headers };
+}
+
+/**
+ * RFC 2047 encoded words for non-ASCII text, each within the 75-character
+ * limit and never splitting a character; ASCII is returned as is.
+ */
+function encodeHeader(text) {
+  if (/^[\x20-\x7e]*$/.test(text)) return text;
+  const words = [];
+  let chunk = '';
+  for (const ch of text) {
+    if (Buffer.byteLength(chunk + ch) > 45) {
+      words.push(chunk);
+      chunk = '';
+    }
+    chunk += ch;
+  }
+  words.push(chunk);
+  return words.map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`).join('\r\n ');
+}
+
+function formatMailbox({ name, address }) {
+  if (!name) return address;
+  if (!/^[\x20-\x7e]*$/.test(name)) return `${encodeHeader(name)} <${address}>`;
+  return /[()<>[\]:;@\\,."]/.test(name) ? `"${name.replace(/["\\]/g, '\\$&')}" <${address}>` : `${name} <${address}>`;
+}
+
+// A header line; a value with a line break in it is a bug upstream, never sent
+function headerLine(name, value) {
+  if (/[\r\n]/.test(value.replace(/\r\n /g, ''))) throw new Error(`Line break in ${name} header`);
+  return `${name}: ${value}\r\n`;
+}
+
+/**
+ * Check and decode request attachments. Returns { attachments } with each
+ * one's `content` as a Buffer, or { error }.
+ */
+function checkAttachments(attachments, maxBytes) {
+  if (attachments === undefined) return { attachments: [] };
+  if (!Array.isArray(attachments) || attachments.length > MAX_ATTACHMENTS) {
+    return { error: `attachments must be a list of at most ${MAX_ATTACHMENTS}` };
+  }
+  const decoded = [];
+  let total = 0;
+  for (const [i, attachment] of attachments.entries()) {
+    const { filename, contentType = DEFAULT_CONTENT_TYPE, data } = attachment || {};
+    if (typeof filename !== 'string' || !filename.trim() || /[\r\n"\\/]/.test(filename) || filename.length > 255) {
+      return { error: `attachments[${i}].filename must be a file name (no quotes, slashes or line breaks)` };
+    }
+    if (typeof contentType !== 'string' || !/^[a-z0-9][a-z0-9!#$&^_.+-]*\/[a-z0-9][a-z0-9!#$&^_.+-]*$/i.test(contentType)) {
+      return { error: `attachments[${i}].contentType must be a MIME type such as application/pdf` };
+    }
+    if (typeof data !== 'string' || !/^[A-Za-z0-9+/]*={0,2}$/.test(data.replace(/\s/g, ''))) {
+      return { error: `attachments[${i}].data must be base64` };
+    }
+    const content = Buffer.from(data, 'base64');
+    total += content.length;
+    if (total > maxBytes) return { error: `Attachments exceed ${Math.floor(maxBytes / (1024 * 1024))} MB` };
+    decoded.push({ filename: filename.trim(), contentType: contentType.toLowerCase(), content });
+  }
+  return { attachments: decoded };
+}
+
+// Base64 in 76-character lines, as MIME requires
+function wrapBase64(content) {
+  return content.toString('base64').replace(/.{1,76}/g, '$&\r\n');
+}
+
+// A text part, base64-encoded unless it is plain ASCII with short lines
+function textPart(type, text) {
+  if (/^[\x00-\x7f]*$/.test(text) && !/[^\r\n]{999}/.test(text)) {
+    return `Content-Type: ${type}; charset=utf-8\r\n\r\n${text}`;
+  }
+  return `Content-Type: ${type}; charset=utf-8\r\nContent-Transfer-Encoding: base64\r\n\r\n${wrapBase64(Buffer.from(text))}`;
+}
+
+/**
+ * Plain text for an HTML body, for mail clients that don't show HTML:
+ * block ends become line breaks, tags are dropped, entities decoded.
+ */
+function htmlToText(html) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return html
+    .replace(/<(style|script|head)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li|tr|table|blockquote)>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') return String.fromCodePoint(parseInt(code.slice(1).replace(/^x/i, ''), /^#x/i.test(code) ? 16 : 10));
+      return entities[code.toLowerCase()] ?? entity;
+    })
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * The raw RFC 822 message. Address fields take what parseAddressList does;
+ * `html` sends `body` as HTML with `text` (or text made from the HTML) as
+ * its plain alternative. `inReplyTo` and `references` (Message-IDs) make it
+ * a reply. Throws on headers checkHeaders would refuse.
+ */
+function buildMessage({
+  from, to, cc, bcc, replyTo, subject = '', body = '', html = false, text, attachments = [], inReplyTo, references,
+}) {
+  const { headers: checked, error } = checkHeaders({ to, cc, bcc, replyTo, subject });
+  if (error) throw new Error(error);
+  const { addresses: [sender], error: fromError } = parseAddressList(from, 'from');
+  if (fromError || !sender) throw new Error(fromError || 'from is required');
+
+  let headers = headerLine('From', formatMailbox(sender));
+  for (const [field, name] of [['to', 'To'], ['cc', 'Cc'], ['bcc', 'Bcc'], ['replyTo', 'Reply-To']]) {
+    if (checked[field].length > 0) headers += headerLine(name, checked[field].map(formatMailbox).join(', '));
+  }
+  headers += headerLine('Subject', encodeHeader(checked.subject));
+  if (inReplyTo) headers += headerLine('In-Reply-To', inReplyTo);
+  if (references) headers += headerLine('References', references);
+  headers += 'MIME-Version: 1.0\r\n';
+
+  let content;
+  if (html) {
+    const boundary = `alt_${crypto.randomBytes(12).toString('hex')}`;
+    content = `Content-Type: multipart/alternative; boundary="${boundary}"\r\n\r\n` +
+      `--${boundary}\r\n${textPart('text/plain', text ?? htmlToText(body))}\r\n` +
+      `--${boundary}\r\n${textPart('text/html', body)}\r\n` +
+      `--${boundary}--`;
+  } else {
+    content = textPart('text/plain', body);
+  }
+  if (attachments.length === 0) return Buffer.from(headers + content);
+
+  const boundary = `mixed_${crypto.randomBytes(12).toString('hex')}`;
+  const parts = [`--${boundary}\r\n${content}\r\n`];
+  for (const { filename, contentType, content: bytes } of attachments) {
+    const name = encodeHeader(filename).replace(/\r\n /g, ' ');
+    parts.push(
+      `--${boundary}\r\n` +
+      headerLine('Content-Type', `${contentType}; name="${name}"`) +
+      headerLine('Content-Disposition', `attachment; filename="${name}"`) +
+      'Content-Transfer-Encoding: base64\r\n\r\n' +
+      wrapBase64(bytes),
+    );
+  }
+  return Buffer.from(`${headers}Content-Type: multipart/mixed; boundary="${boundary}"\r\n\r\n${parts.join('')}--${boundary}--`);
+}
+
+/**
+ * The plain-text body and attachment list of a Gmail message payload
+ * (format=full), looking through nested multiparts. Attachment IDs are only
+ * good for the message they came with — fetch the bytes with
+ * messages/<id>/attachments/<attachmentId>.
+ */
+function readPayload(payload) {
+  let body = null;
+  const attachments = [];
+  (function walk(part) {
+    if (!part) return;
+    if (part.filename) {
+      attachments.push({
+        attachmentId: part.body?.attachmentId || null,
+        filename: part.filename,
+        mimeType: part.mimeType,
+        size: part.body?.size || 0,
+      });
+      return;
+    }
+    if (body === null && part.mimeType === 'text/plain' && part.body?.data) {
+      body = Buffer.from(part.body.data, 'base64url').toString();
+    }
+    (part.parts || []).forEach(walk);
+  })(payload);
+  // A single-part message is its own body, whatever its type
+  if (payload?.body?.data && !payload.parts && !payload.filename) {
+    body = Buffer.from(payload.body.data, 'base64url').toString();
+  }
+  return { body: body || '', attachments };
+}
+
+/**
+ * A payload's headers by lower-case name (Gmail keeps the sender's casing,
+ * e.g. Message-ID or Message-Id).
+ */
+function readHeaders(payload) {
+  const headers = {};
+  for (const { name, value } of payload?.headers || []) headers[name.toLowerCase()] = value;
+  return headers;
+}
+
+/**
+ * Split an address header into addresses, keeping display names:
+ * 'Bob <bob@x.com>, "Doe, Jane" <jane@x.com>' gives two entries of
+ * { address, text }, `address` in lower case and `text` as written.
+ * Unlike parseAddressList, anything that isn't an address is skipped.
+ */
+function splitAddresses(value) {
+  return splitList(value || '')
+    .map(text => ({ address: parseMailbox(text).address, text }))
+    .filter(entry => entry.address.includes('@'));
+}
+
+/**
+ * Recipients, subject and threading headers for replying as `self` to a
+ * message with `headers` (from readHeaders). A reply goes to Reply-To or
+ * From — or, for our own sent message, back to its To. `replyAll` copies
+ * the other To and Cc recipients; `self` is never a recipient.
+ */
+function replyHeaders(headers, { self, replyAll = false }) {
+  const me = self.toLowerCase();
+  const from = splitAddresses(headers.from);
+  const ownMessage = from.some(a => a.address === me);
+  let to = ownMessage ? splitAddresses(headers.to) : splitAddresses(headers['reply-to'] || headers.from);
+  let cc = replyAll ? [...(ownMessage ? [] : splitAddresses(headers.to)), ...splitAddresses(headers.cc)] : [];
+
+  const seen = new Set([me]);
+  const fresh = a => !seen.has(a.address) && seen.add(a.address);
+  to = to.filter(fresh);
+  cc = cc.filter(fresh);
+
+  const subject = headers.subject || '';
+  const messageIdHeader = headers['message-id'] || null;
+  const references = [headers.references || headers['in-reply-to'], messageIdHeader].filter(Boolean).join(' ');
+  return {
+    to: to.map(a => a.text).join(', '),
+    cc: cc.map(a => a.text).join(', '),
+    subject: /^re:/i.test(subject.trim()) ? subject.trim() : `Re: ${subject.trim()}`,
+    inReplyTo: messageIdHeader,
+    references: references || null,
+  };
+}
+
+module.exports = {
+  MAX_ATTACHMENTS,
+  parseAddressList,
+  checkHeaders,
+  encodeHeader,
+  htmlToText,
+  checkAttachments,
+  buildMessage,
+  readPayload,
+  readHeaders,
+  splitAddresses,
+  replyHeaders,
+};
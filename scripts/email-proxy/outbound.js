@@ -0,0 +1,361 @@
+/**
+ * Outbound mail policy and the approval queue.
+ *
+ * Each agent's mail is checked against a policy before it is sent. The
+ * policy document (MAIL_POLICY_SECRET) sets defaults plus overrides per
+ * mailbox:
+ *
+ *   {
+ *     "defaults": { "maxRecipients": 20, "perHour": 30, "perDay": 200,
+ *                   "blockedDomains": ["gmail.com"], "approveExternal": true },
+ *     "agents": {
+ *       "alice@acme.com": { "allowedDomains": ["partner.com"], "perDay": 500 },
+ *       "bob@acme.com": { "approveExternal": false, "approver": "carol@acme.com" }
+ *     }
+ *   }
+ *
+ * The mailbox's own domain and `internalDomains` are internal; every other
+ * recipient is external. A domain rule covers its subdomains too. Mail held
+ * for approval waits in the outbox until its approver approves or rejects it
+ * with a signed link, or it expires.
+ *
+ * Outbox queries by mailbox and status need a Firestore composite index:
+ *   gcloud firestore indexes composite create --collection-group=agents-plane-mail-outbox \
+ *     --field-config=field-path=email,order=ascending --field-config=field-path=status,order=ascending \
+ *     --field-config=field-path=createdAt,order=descending
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_POLICY = {
+  allowedDomains: [],
+  blockedDomains: [],
+  internalDomains: [],
+  maxRecipients: 50,
+  perHour: 60,
+  perDay: 500,
+  approveExternal: false,
+  approver: null,
+};
+const DOMAIN_FIELDS = ['allowedDomains', 'blockedDomains', 'internalDomains'];
+const LIMIT_FIELDS = ['maxRecipients', 'perHour', 'perDay'];
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+// A held message's base64 copy and envelope share one Firestore document,
+// which is limited to 1 MiB
+const MAX_HELD_BYTES = 700 * 1024;
+const MAX_PREVIEW_CHARS = 4000;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// ─── Policy ──────────────────────────────────────────────────────
+
+function checkSpec(spec, where) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) return [`${where} must be an object`];
+  const problems = [];
+  for (const [field, value] of Object.entries(spec)) {
+    if (DOMAIN_FIELDS.includes(field)) {
+      if (!Array.isArray(value) || !value.every(d => typeof d === 'string' && DOMAIN_PATTERN.test(d.toLowerCase()))) {
+        problems.push(`${where}.${field} must be a list of domains`);
+      }
+    } else if (LIMIT_FIELDS.includes(field)) {
+      if (value !== null && !(Number.isInteger(value) && value >= 0)) {
+        problems.push(`${where}.${field} must be a whole number (or null for no limit)`);
+      }
+    } else if (field === 'approveExternal') {
+      if (typeof value !== 'boolean') problems.push(`${where}.approveExternal must be true or false`);
+    } else if (field === 'approver') {
+      if (value !== null && !(typeof value === 'string' && /^[^\s@]+@[^\s@]+$/.test(value))) {
+        problems.push(`${where}.approver must be an email address`);
+      }
+    } else {
+      problems.push(`${where}.${field} is not a mail policy field`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Problems with a policy document, as messages; empty if it is usable.
+ */
+function checkMailPolicy(doc) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return ['The mail policy must be an object'];
+  const problems = [];
+  if (doc.defaults !== undefined) problems.push(...checkSpec(doc.defaults, 'defaults'));
+  if (doc.agents !== undefined) {
+    if (!doc.agents || typeof doc.agents !== 'object' || Array.isArray(doc.agents)) {
+      problems.push('agents must map mailboxes to policies');
+    } else {
+      for (const [email, spec] of Object.entries(doc.agents)) problems.push(...checkSpec(spec, `agents.${email}`));
+    }
+  }
+  return problems;
+}
+
+/**
+ * The policy for one mailbox: built-in defaults, then the document's
+ * defaults, then its entry for the mailbox. Domains come back lower-cased.
+ */
+function policyFor(doc, email) {
+  const agents = Object.fromEntries(Object.entries(doc?.agents || {}).map(([k, v]) => [k.toLowerCase(), v]));
+  const policy = { ...DEFAULT_POLICY, ...doc?.defaults, ...agents[email.toLowerCase()] };
+  for (const field of DOMAIN_FIELDS) policy[field] = policy[field].map(d => d.toLowerCase());
+  return policy;
+}
+
+function domainOf(address) {
+  return address.slice(address.lastIndexOf('@') + 1).toLowerCase();
+}
+
+function domainMatches(domain, rules) {
+  return rules.some(rule => domain === rule || domain.endsWith(`.${rule}`));
+}
+
+/**
+ * Decide what happens to mail from `sender` to `recipients` (addresses),
+ * given the times (ms) of the mailbox's sends in the last day:
+ *   { decision: 'send' }
+ *   { decision: 'reject', reason }              recipient rules
+ *   { decision: 'limit', reason, retryAfter }   rate limits (seconds)
+ *   { decision: 'hold', reason, external }      external mail needing approval
+ */
+function evaluateSend(policy, { sender, recipients, sentAt = [], now = Date.now() }) {
+  const own = domainOf(sender);
+  const internal = address => domainOf(address) === own || domainMatches(domainOf(address), policy.internalDomains);
+
+  const blocked = recipients.filter(address => domainMatches(domainOf(address), policy.blockedDomains));
+  if (blocked.length > 0) return { decision: 'reject', reason: `Blocked recipient domain: ${blocked.join(', ')}` };
+  if (policy.allowedDomains.length > 0) {
+    const outside = recipients.filter(address => !internal(address) && !domainMatches(domainOf(address), policy.allowedDomains));
+    if (outside.length > 0) return { decision: 'reject', reason: `Recipients outside the allowed domains: ${outside.join(', ')}` };
+  }
+  if (policy.maxRecipients !== null && recipients.length > policy.maxRecipients) {
+    return { decision: 'reject', reason: `${recipients.length} recipients is over the limit of ${policy.maxRecipients}` };
+  }
+
+  for (const [limit, windowMs, label] of [[policy.perHour, HOUR_MS, 'hour'], [policy.perDay, DAY_MS, 'day']]) {
+    if (limit === null) continue;
+    const inWindow = sentAt.filter(t => t > now - windowMs).sort((a, b) => a - b);
+    if (inWindow.length >= limit) {
+      // Room opens when the send `limit` places back leaves the window
+      const opensAt = limit > 0 ? inWindow[inWindow.length - limit] + windowMs : now + windowMs;
+      return {
+        decision: 'limit',
+        reason: `Sending limit of ${limit} per ${label} reached`,
+        retryAfter: Math.max(1, Math.ceil((opensAt - now) / 1000)),
+      };
+    }
+  }
+
+  const external = recipients.filter(address => !internal(address));
+  if (policy.approveExternal && external.length > 0) {
+    return { decision: 'hold', reason: `External recipients need approval: ${external.join(', ')}`, external };
+  }
+  return { decision: 'send' };
+}
+
+// ─── Approval Links ──────────────────────────────────────────────
+
+/**
+ * Signature for an approval link deciding held message `id`. Keyed with
+ * APPROVAL_SECRET, which agents never see (they hold the proxy secret).
+ */
+function decisionSignature(secret, id, decision) {
+  return crypto.createHmac('sha256', secret).update(`${id}:${decision}`).digest('hex');
+}
+
+function verifyDecision(secret, id, decision, signature) {
+  const expected = Buffer.from(decisionSignature(secret, id, decision));
+  const given = Buffer.from(String(signature || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// ─── Outbox ──────────────────────────────────────────────────────
+
+/**
+ * Backends implement get, set and query over named collections, as in the
+ * control plane's state-store.js: memory (tests, one local instance) or
+ * firestore (production, shared by all proxy instances). update(name, id, fn)
+ * writes fn(current document) atomically, or nothing when fn returns null.
+ */
+function createMemoryBackend() {
+  const collections = new Map();
+  const collection = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+  const copy = (doc) => (doc === undefined ? null : JSON.parse(JSON.stringify(doc)));
+  return {
+    async get(name, id) {
+      return copy(collection(name).get(id));
+    },
+    async set(name, id, doc) {
+      collection(name).set(id, copy(doc));
+    },
+    async update(name, id, fn) {
+      const next = fn(copy(collection(name).get(id)));
+      if (next) collection(name).set(id, copy(next));
+      return copy(next ?? undefined);
+    },
+    async query(name, { where = {}, orderBy, descending = false, limit } = {}) {
+      let docs = [...collection(name).values()]
+        .filter(doc => Object.entries(where).every(([field, value]) => doc[field] === value));
+      if (orderBy) {
+        docs.sort((a, b) => (a[orderBy] < b[orderBy] ? -1 : a[orderBy] > b[orderBy] ? 1 : 0) * (descending ? -1 : 1));
+      }
+      if (limit) docs = docs.slice(0, limit);
+      return docs.map(copy);
+    },
+  };
+}
+
+function createFirestoreBackend() {
+  const { Firestore } = require('@google-cloud/firestore');
+  const db = new Firestore({ ignoreUndefinedProperties: true });
+  return {
+    async get(name, id) {
+      const snap = await db.collection(name).doc(id).get();
+      return snap.exists ? snap.data() : null;
+    },
+    async set(name, id, doc) {
+      await db.collection(name).doc(id).set(doc);
+    },
+    async update(name, id, fn) {
+      const ref = db.collection(name).doc(id);
+      return db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        const next = fn(snap.exists ? snap.data() : null);
+        if (next) tx.set(ref, next);
+        return next ?? null;
+      });
+    },
+    async query(name, { where = {}, orderBy, descending = false, limit } = {}) {
+      let query = db.collection(name);
+      for (const [field, value] of Object.entries(where)) query = query.where(field, '==', value);
+      if (orderBy) query = query.orderBy(orderBy, descending ? 'desc' : 'asc');
+      if (limit) query = query.limit(limit);
+      const snap = await query.get();
+      return snap.docs.map(doc => doc.data());
+    },
+  };
+}
+
+function createBackend(type) {
+  if (type === 'firestore') return createFirestoreBackend();
+  if (type === 'memory') return createMemoryBackend();
+  throw new Error(`Unknown outbox store "${type}" (use memory or firestore)`);
+}
+
+/**
+ * Send history and held or rejected mail per mailbox, in collections
+ * `<prefix>-mail-sends` and `<prefix>-mail-outbox`. Outbox records keep the
+ * raw message only while it is held.
+ */
+function createOutbox(backend, { prefix = 'agents-plane', holdDays = 7, now = Date.now } = {}) {
+  const SENDS = `${prefix}-mail-sends`;
+  const OUTBOX = `${prefix}-mail-outbox`;
+
+  // Send times in the last day, the longest window a limit looks at
+  async function recentSends(email) {
+    const doc = await backend.get(SENDS, email);
+    return (doc?.sentAt || []).filter(t => t > now() - DAY_MS);
+  }
+
+  async function recordSend(email) {
+    const sentAt = [...await recentSends(email), now()];
+    await backend.set(SENDS, email, { email, sentAt });
+  }
+
+  async function add(record) {
+    const at = new Date(now()).toISOString();
+    // Time-prefixed IDs keep the memory backend in order
+    const id = `${at.replace(/[-:.]/g, '')}-${crypto.randomBytes(8).toString('hex')}`;
+    const full = { id, createdAt: at, ...record };
+    await backend.set(OUTBOX, id, full);
+    return full;
+  }
+
+  /**
+   * Hold a message for approval. `raw` is the built message, at most
+   * MAX_HELD_BYTES; `recipients` is { to, cc, bcc } as address lists.
+   */
+  async function hold({ email, recipients, subject, preview = '', raw, threadId = null, reason }) {
+    return add({
+      email,
+      status: 'held',
+      ...recipients,
+      subject,
+      preview: preview.length > MAX_PREVIEW_CHARS ? `${preview.slice(0, MAX_PREVIEW_CHARS)}…` : preview,
+      reason,
+      threadId,
+      raw: raw.toString('base64'),
+      expiresAt: new Date(now() + holdDays * DAY_MS).toISOString(),
+    });
+  }
+
+  // A message the policy refused; only its envelope is kept
+  async function reject({ email, recipients, subject, reason }) {
+    return add({ email, status: 'rejected', ...recipients, subject, reason, decidedBy: 'policy', decidedAt: new Date(now()).toISOString() });
+  }
+
+  async function get(id) {
+    const record = await backend.get(OUTBOX, id);
+    if (record?.status === 'held' && record.expiresAt < new Date(now()).toISOString()) {
+      return decide(record, 'expired');
+    }
+    return record;
+  }
+
+  /**
+   * Take a held message for an approver's decision, moving it to `sending`.
+   * Only one caller gets it: the others (a second approver, a retried POST)
+   * get null and must not send.
+   */
+  async function claim(id) {
+    const at = new Date(now()).toISOString();
+    return backend.update(OUTBOX, id, record => (
+      record?.status === 'held' && record.expiresAt >= at ? { ...record, status: 'sending', claimedAt: at } : null
+    ));
+  }
+
+  // Put a claimed message back on hold when sending it failed
+  async function release(record) {
+    return backend.update(OUTBOX, record.id, current => (
+      current?.status === 'sending' ? { ...current, status: 'held', claimedAt: null } : null
+    ));
+  }
+
+  /**
+   * Record the outcome of a held message — sent, rejected or expired —
+   * dropping its raw copy.
+   */
+  async function decide(record, status, changes = {}) {
+    const updated = { ...record, ...changes, status, raw: null, decidedAt: new Date(now()).toISOString() };
+    await backend.set(OUTBOX, record.id, updated);
+    return updated;
+  }
+
+  // A mailbox's messages with `status`, newest first, without raw copies
+  async function list(email, status, limit = 50) {
+    const records = await backend.query(OUTBOX, { where: { email, status }, orderBy: 'createdAt', descending: true, limit });
+    const current = [];
+    for (const record of records) {
+      const checked = status === 'held' ? await get(record.id) : record;
+      if (checked.status === status) current.push({ ...checked, raw: undefined });
+    }
+    return current;
+  }
+
+  return { recentSends, recordSend, hold, reject, get, claim, release, decide, list };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  MAX_HELD_BYTES,
+  checkMailPolicy,
+  policyFor,
+  evaluateSend,
+  decisionSignature,
+  verifyDecision,
+  createBackend,
+  createOutbox,
+};
@@ -0,0 +1,156 @@
+/**
+ * Signed, replay-protected requests.
+ *
+ * Callers sign the exact request body with HMAC-SHA256 and send
+ *
+ *   Authorization: HMAC-SHA256 <keyId>:<hex signature>
+ *
+ * The body must carry a `timestamp` (ISO string or unix seconds) and a random
+ * `nonce`. Requests outside the time window or reusing a nonce are rejected.
+ * GET requests sign the raw query string instead, with `timestamp` and
+ * `nonce` as query parameters.
+ *
+ * Several keys can be active at once (AUTH_KEYS="new:secret1,old:secret2")
+ * so secrets rotate without downtime. A legacy AUTH_SECRET is accepted as
+ * the key `default`.
+ *
+ * Keep in sync with scripts/examples/cloud-function/request-auth.js — each
+ * function deploys from its own directory.
+ */
+
+const crypto = require('crypto');
+
+const SCHEME = 'HMAC-SHA256';
+
+/**
+ * Parse "id:secret,id2:secret2" (plus an optional legacy secret) into a Map.
+ */
+function parseKeys(spec, legacySecret) {
+  const keys = new Map();
+  for (const entry of (spec || '').split(',')) {
+    const idx = entry.indexOf(':');
+    if (idx <= 0) continue;
+    const id = entry.slice(0, idx).trim();
+    const secret = entry.slice(idx + 1).trim();
+    if (id && secret) keys.set(id, secret);
+  }
+  if (legacySecret && !keys.has('default')) keys.set('default', legacySecret);
+  return keys;
+}
+
+function computeSignature(secret, content) {
+  return crypto.createHmac('sha256', secret).update(content).digest('hex');
+}
+
+/**
+ * Authorization header value for a signed request.
+ */
+function signRequest(keyId, secret, content) {
+  return `${SCHEME} ${keyId}:${computeSignature(secret, content)}`;
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a, 'utf8');
+  const bufB = Buffer.from(b, 'utf8');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Nonces seen within the replay window, in this process only — for tests.
+ * With several function instances a nonce could be replayed once on each.
+ */
+function createMemoryNonceCache() {
+  const seen = new Map();
+  return {
+    async checkAndStore(nonce, expiresAt) {
+      const now = Date.now();
+      for (const [key, expiry] of seen) {
+        if (expiry <= now) seen.delete(key);
+      }
+      if (seen.has(nonce)) return false;
+      seen.set(nonce, expiresAt);
+      return true;
+    },
+  };
+}
+
+/**
+ * Nonces kept in `collection` of a state backend (get/set/query/update, as
+ * in state-store.js), so every function instance sees every nonce.
+ * backend.update must be atomic — a transaction on Firestore — or two
+ * instances could both accept the same nonce. `expireAt` is there for a
+ * Firestore TTL policy to delete spent nonces.
+ */
+function createBackendNonceCache(backend, collection) {
+  return {
+    async checkAndStore(nonce, expiresAt) {
+      // Nonces are caller-chosen; hashing keeps them valid document IDs
+      const id = crypto.createHash('sha256').update(nonce).digest('hex');
+      const now = Date.now();
+      const stored = await backend.update(collection, id, doc => (
+        doc && doc.expiresAt > now ? null : { expiresAt, expireAt: new Date(expiresAt) }
+      ));
+      return stored !== null;
+    },
+  };
+}
+
+function parseTimestamp(value) {
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) return Number(value) * 1000;
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * Build a verifier for Express-style requests. `verify(req)` resolves to
+ * { ok: true, keyId } or { ok: false, reason }.
+ */
+function createVerifier({ keys, maxSkewSeconds = 300, nonceCache = createMemoryNonceCache() }) {
+  return async function verify(req) {
+    if (!keys || keys.size === 0) return { ok: false, reason: 'No signing keys configured' };
+
+    const header = req.headers?.authorization || '';
+    const match = header.match(/^HMAC-SHA256\s+([^:\s]+):([0-9a-f]{64})$/i);
+    if (!match) return { ok: false, reason: 'Missing or malformed signature' };
+    const [, keyId, signature] = match;
+    const secret = keys.get(keyId);
+    if (!secret) return { ok: false, reason: 'Unknown key' };
+
+    let content;
+    let fields;
+    if (req.method === 'GET') {
+      content = (req.originalUrl || req.url || '').split('?')[1] || '';
+      fields = req.query || {};
+    } else {
+      content = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body || {});
+      fields = req.body || {};
+    }
+    if (!safeEqual(computeSignature(secret, content), signature.toLowerCase())) {
+      return { ok: false, reason: 'Bad signature' };
+    }
+
+    const sentAt = parseTimestamp(fields.timestamp);
+    if (sentAt === null) return { ok: false, reason: 'Missing or invalid timestamp' };
+    if (Math.abs(Date.now() - sentAt) > maxSkewSeconds * 1000) {
+      return { ok: false, reason: 'Request expired' };
+    }
+
+    const nonce = fields.nonce;
+    if (typeof nonce !== 'string' || nonce.length < 16 || nonce.length > 128) {
+      return { ok: false, reason: 'Missing or invalid nonce' };
+    }
+    // Past sentAt + window the timestamp check rejects the request anyway
+    const fresh = await nonceCache.checkAndStore(`${keyId}:${nonce}`, sentAt + maxSkewSeconds * 1000);
+    if (!fresh) return { ok: false, reason: 'Replayed request' };
+
+    return { ok: true, keyId };
+  };
+}
+
+module.exports = {
+  parseKeys,
+  signRequest,
+  createVerifier,
+  createMemoryNonceCache,
+  createBackendNonceCache,
+};
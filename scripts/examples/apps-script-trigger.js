@@ -37,11 +37,16 @@ const CONFIG = {
   FIELD_ENABLED: 'agentEnabled',
   FIELD_MODEL: 'agentModel',
   FIELD_BUDGET: 'agentBudget',
+  FIELD_TOOLS: 'agentTools',
+  FIELD_CHANNELS: 'agentChannels',
 
-  // Shared secret for authenticating with the Cloud Function
+  // Shared secret for signing requests to the Cloud Function
   // Store this in Script Properties, not here in production!
   AUTH_SECRET: PropertiesService.getScriptProperties().getProperty('AGENTS_PLANE_SECRET') || 'CHANGE_ME',
 
+  // Key ID the Cloud Function knows this secret by ('default' = its AUTH_SECRET)
+  AUTH_KEY_ID: PropertiesService.getScriptProperties().getProperty('AGENTS_PLANE_KEY_ID') || 'default',
+
   // Domain
   DOMAIN: Session.getEffectiveUser().getEmail().split('@')[1],
 };
@@ -66,7 +71,7 @@ function createCustomSchema() {
       {
         fieldName: CONFIG.FIELD_MODEL,
         fieldType: 'STRING',
-        displayName: 'Agent Model (e.g. claude-opus-4-6, gpt-4o, gemini-pro)',
+        displayName: 'Agent Model (e.g. claude-opus-4-6, gpt-4o, gemini-2.5-pro)',
         readAccessType: 'ADMINS_AND_SELF',
       },
       {
@@ -75,6 +80,18 @@ function createCustomSchema() {
         displayName: 'Monthly Budget in USD (e.g. 50, 100, 200)',
         readAccessType: 'ADMINS_AND_SELF',
       },
+      {
+        fieldName: CONFIG.FIELD_TOOLS,
+        fieldType: 'STRING',
+        displayName: 'Agent Tools, comma-separated (exec, github, email, calendar, drive)',
+        readAccessType: 'ADMINS_AND_SELF',
+      },
+      {
+        fieldName: CONFIG.FIELD_CHANNELS,
+        fieldType: 'STRING',
+        displayName: 'Agent Channels, comma-separated (email, whatsapp, slack)',
+        readAccessType: 'ADMINS_AND_SELF',
+      },
     ],
   };
 
@@ -83,7 +100,9 @@ function createCustomSchema() {
     Logger.log('✅ Custom schema created successfully');
   } catch (e) {
     if (e.message.includes('already exists')) {
-      Logger.log('ℹ️ Schema already exists');
+      // Bring an older schema up to date (adds fields such as tools and channels)
+      AdminDirectory.Schemas.update(schema, 'my_customer', CONFIG.SCHEMA_NAME);
+      Logger.log('ℹ️ Schema already exists — fields updated');
     } else {
       Logger.log('❌ Error: ' + e.message);
       throw e;
@@ -142,22 +161,44 @@ function pollForAgentChanges() {
       const customSchemas = user.customSchemas || {};
       const agentData = customSchemas[CONFIG.SCHEMA_NAME] || {};
       const isEnabled = agentData[CONFIG.FIELD_ENABLED] === true;
-      const wasEnabled = processed[email] === true;
+      if (isEnabled && processed[email]?.jobId) {
+        checkProvisionJob(email, processed);
+      }
+      const wasEnabled = Boolean(processed[email]);
+      // Model, budget, tools and channels are sent only when set on the
+      // user, so OU/group policies fill in the rest
+      const desired = userOverrides(agentData);
 
       if (isEnabled && !wasEnabled) {
         // Agent was just enabled → provision
         Logger.log(`🚀 Provisioning agent for ${email}`);
         const result = callProvisionFunction(email, {
           action: 'provision',
-          model: agentData[CONFIG.FIELD_MODEL] || 'gpt-4o',
-          budget: agentData[CONFIG.FIELD_BUDGET] || 50,
+          ...desired,
+          orgUnitPath: user.orgUnitPath || '/',
+          groups: getUserGroups(email),
         });
         if (result.success) {
-          processed[email] = true;
-          Logger.log(`✅ Agent provisioned for ${email}`);
+          // Provisioning continues in the background — track its job
+          processed[email] = { ...desired, jobId: result.data.jobId };
+          Logger.log(`✅ Agent provisioning queued for ${email} (job ${result.data.jobId})`);
         } else {
           Logger.log(`❌ Failed to provision for ${email}: ${result.error}`);
         }
+      } else if (isEnabled && wasEnabled && configChanged(processed[email], desired)) {
+        // Model, budget, tools or channels changed in Admin Console → reconfigure running agent.
+        // A field cleared on the user has nothing to send; the agent keeps its current value.
+        Logger.log(`🔧 Updating agent for ${email}`);
+        const result = Object.keys(desired).length > 0
+          ? callProvisionFunction(email, { action: 'update', ...desired })
+          : { success: true };
+        if (result.success) {
+          const jobId = processed[email].jobId;
+          processed[email] = jobId ? { ...desired, jobId } : desired;
+          Logger.log(`✅ Agent updated for ${email}`);
+        } else {
+          Logger.log(`❌ Failed to update for ${email}: ${result.error}`);
+        }
       } else if (!isEnabled && wasEnabled) {
         // Agent was disabled → deprovision
         Logger.log(`🛑 Deprovisioning agent for ${email}`);
@@ -175,22 +216,96 @@ function pollForAgentChanges() {
   scriptProps.setProperty(processedKey, JSON.stringify(processed));
 }
 
+/**
+ * Emails of the groups a user belongs to, for OU/group policy resolution.
+ */
+function getUserGroups(email) {
+  const groups = [];
+  let pageToken = null;
+  do {
+    const page = withRetry(() => AdminDirectory.Groups.list({
+      userKey: email,
+      maxResults: 200,
+      pageToken: pageToken,
+    }));
+    for (const group of page.groups || []) {
+      groups.push(group.email);
+    }
+    pageToken = page.nextPageToken;
+  } while (pageToken);
+  return groups;
+}
+
+/**
+ * Follow up on a queued provisioning job. A failed job is forgotten so the
+ * user is provisioned again.
+ */
+function checkProvisionJob(email, processed) {
+  const jobId = processed[email].jobId;
+  const result = callProvisionFunction(email, { action: 'job-status', jobId: jobId });
+  if (!result.success) {
+    Logger.log(`⚠️ Could not check job ${jobId} for ${email}: ${result.error}`);
+    return;
+  }
+  if (result.data.state === 'succeeded') {
+    delete processed[email].jobId;
+    Logger.log(`✅ Agent for ${email} is up and reporting heartbeats`);
+  } else if (result.data.state === 'failed') {
+    delete processed[email];
+    Logger.log(`❌ Provisioning failed for ${email}: ${result.data.error} — will retry`);
+  }
+}
+
+/**
+ * The model, budget, tools and channels set on the user; fields left empty
+ * are omitted.
+ */
+function userOverrides(agentData) {
+  const overrides = {};
+  if (agentData[CONFIG.FIELD_MODEL]) overrides.model = agentData[CONFIG.FIELD_MODEL];
+  if (agentData[CONFIG.FIELD_BUDGET]) overrides.budget = Number(agentData[CONFIG.FIELD_BUDGET]);
+  const tools = listField(agentData[CONFIG.FIELD_TOOLS]);
+  if (tools) overrides.tools = tools;
+  const channels = listField(agentData[CONFIG.FIELD_CHANNELS]);
+  if (channels) overrides.channels = channels;
+  return overrides;
+}
+
+/**
+ * Whether the desired config differs from what was last sent.
+ * Entries recorded before config tracking are stored as `true`.
+ */
+function configChanged(previous, desired) {
+  if (typeof previous !== 'object' || previous === null) return true;
+  return previous.model !== desired.model || previous.budget !== desired.budget ||
+    String(previous.tools) !== String(desired.tools) || String(previous.channels) !== String(desired.channels);
+}
+
+/**
+ * A comma-separated schema field as a list, or undefined when it is empty.
+ */
+function listField(value) {
+  const items = String(value || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  return items.length > 0 ? items : undefined;
+}
+
 // ─── Cloud Function Caller ───────────────────────────────────────
 
 function callProvisionFunction(email, params) {
   try {
-    const payload = {
+    const payload = JSON.stringify({
       email: email,
       ...params,
       timestamp: new Date().toISOString(),
-    };
+      nonce: Utilities.getUuid(),
+    });
 
     const response = UrlFetchApp.fetch(CONFIG.CLOUD_FUNCTION_URL, {
       method: 'post',
       contentType: 'application/json',
-      payload: JSON.stringify(payload),
+      payload: payload,
       headers: {
-        'Authorization': `Bearer ${CONFIG.AUTH_SECRET}`,
+        'Authorization': signRequest(payload),
       },
       muteHttpExceptions: true,
     });
@@ -208,6 +323,16 @@ function callProvisionFunction(email, params) {
   }
 }
 
+/**
+ * HMAC-SHA256 Authorization header over the exact payload string.
+ * The payload's timestamp and nonce make each signature single-use.
+ */
+function signRequest(payload) {
+  const bytes = Utilities.computeHmacSha256Signature(payload, CONFIG.AUTH_SECRET, Utilities.Charset.UTF_8);
+  const hex = bytes.map(b => ('0' + (b & 0xff).toString(16)).slice(-2)).join('');
+  return `HMAC-SHA256 ${CONFIG.AUTH_KEY_ID}:${hex}`;
+}
+
 // ─── Utility Functions ───────────────────────────────────────────
 
 /**
@@ -222,6 +347,19 @@ function testProvision() {
   Logger.log(JSON.stringify(result, null, 2));
 }
 
+/**
+ * Fetch an agent's status and health (green/yellow/red) from the Cloud Function.
+ */
+function getAgentStatus(email) {
+  const result = callProvisionFunction(email, { action: 'status' });
+  if (result.success) {
+    Logger.log(`${email}: ${result.data.health} (${result.data.healthReason})`);
+  } else {
+    Logger.log(`❌ Status lookup failed for ${email}: ${result.error}`);
+  }
+  return result;
+}
+
 /**
  * Set up the 5-minute polling trigger automatically.
  * Called by setup.sh via the Apps Script API, or run manually.
@@ -269,7 +407,9 @@ function listEnabledAgents() {
         agents.push({
           email: user.primaryEmail,
           model: agentData[CONFIG.FIELD_MODEL] || 'default',
-          budget: agentData[CONFIG.FIELD_BUDGET] || 50,
+          budget: agentData[CONFIG.FIELD_BUDGET] || 'default',
+          tools: listField(agentData[CONFIG.FIELD_TOOLS]) || 'default',
+          channels: listField(agentData[CONFIG.FIELD_CHANNELS]) || 'default',
         });
       }
     }
@@ -0,0 +1,89 @@
+/**
+ * What an agent may use: its model, tools and channels.
+ *
+ * The model registry lists the models agents may run and the API provider
+ * serving each one, as "model:provider" pairs:
+ *
+ *   MODEL_REGISTRY="claude-opus-4-6:anthropic,gpt-4o:openai,gemini-2.5-pro:google"
+ *
+ * Tools and channels are allowlists — each agent gets a subset, written into
+ * its config secret. The VM's startup script enforces them; the agent can
+ * read the secret but not change it.
+ */
+
+const DEFAULT_MODEL_REGISTRY = [
+  'claude-opus-4-6:anthropic',
+  'claude-sonnet-4-5:anthropic',
+  'claude-haiku-4-5:anthropic',
+  'gpt-4o:openai',
+  'gemini-2.5-pro:google',
+].join(',');
+const DEFAULT_TOOLS = 'exec,github,email,calendar,drive';
+const DEFAULT_CHANNELS = 'email,whatsapp,slack';
+
+/**
+ * Parse a model registry spec into { model: provider }.
+ */
+function parseModelRegistry(spec) {
+  const registry = {};
+  for (const entry of (spec || DEFAULT_MODEL_REGISTRY).split(',')) {
+    if (!entry.trim()) continue;
+    const idx = entry.lastIndexOf(':');
+    const model = entry.slice(0, idx).trim();
+    const provider = entry.slice(idx + 1).trim();
+    if (idx <= 0 || !model || !provider) throw new Error(`Invalid model registry entry "${entry.trim()}" (use model:provider)`);
+    registry[model] = provider;
+  }
+  return registry;
+}
+
+function parseList(spec, fallback) {
+  return (spec || fallback).split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * The allowlists from the environment (MODEL_REGISTRY, AGENT_TOOLS,
+ * AGENT_CHANNELS), falling back to the defaults above.
+ */
+function loadCapabilities(env = process.env) {
+  return {
+    models: parseModelRegistry(env.MODEL_REGISTRY),
+    tools: parseList(env.AGENT_TOOLS, DEFAULT_TOOLS),
+    channels: parseList(env.AGENT_CHANNELS, DEFAULT_CHANNELS),
+  };
+}
+
+/**
+ * Problems with an agent's model, tools or channels, as messages. Fields
+ * left undefined are not checked.
+ */
+function checkAgentConfig({ model, tools, channels }, capabilities) {
+  const problems = [];
+  if (model !== undefined && !Object.hasOwn(capabilities.models, model)) {
+    problems.push(`model ${model} is not in the model registry (${Object.keys(capabilities.models).join(', ')})`);
+  }
+  for (const [field, value, allowed] of [['tools', tools, capabilities.tools], ['channels', channels, capabilities.channels]]) {
+    if (value === undefined) continue;
+    if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+      problems.push(`${field} must be a list of names`);
+      continue;
+    }
+    const unknown = value.filter(v => !allowed.includes(v));
+    if (unknown.length > 0) problems.push(`unknown ${field}: ${unknown.join(', ')} (allowed: ${allowed.join(', ')})`);
+  }
+  return problems;
+}
+
+/**
+ * The API provider serving a model, or null if it is not registered.
+ */
+function providerOf(model, capabilities) {
+  return Object.hasOwn(capabilities.models, model) ? capabilities.models[model] : null;
+}
+
+module.exports = {
+  parseModelRegistry,
+  loadCapabilities,
+  checkAgentConfig,
+  providerOf,
+};
@@ -0,0 +1,100 @@
+/**
+ * Fleet-wide listing and bulk actions: filters, paging and running an
+ * action on many agents a few at a time.
+ *
+ * Filters (all optional, combined with AND):
+ *   status  instance status (RUNNING, TERMINATED, ...), any case
+ *   label   "key" or "key=value", comma-separated for several
+ *   domain  the owner's email domain
+ */
+
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Parse and check list/bulk filters. Returns { filters } or { error }.
+ */
+function parseFilters({ status, label, domain }) {
+  const filters = {};
+  if (status !== undefined) {
+    if (typeof status !== 'string' || !/^[a-z_]+$/i.test(status)) return { error: 'Invalid status (e.g. RUNNING or TERMINATED)' };
+    filters.status = status.toUpperCase();
+  }
+  if (label !== undefined) {
+    if (typeof label !== 'string' || !label) return { error: 'Invalid label (key or key=value, comma-separated)' };
+    filters.labels = [];
+    for (const entry of label.split(',')) {
+      const [key, value, extra] = entry.trim().split('=');
+      if (!/^[a-z][a-z0-9_-]{0,62}$/.test(key) || extra !== undefined || (value !== undefined && !/^[a-z0-9_-]{0,63}$/.test(value))) {
+        return { error: `Invalid label filter "${entry.trim()}" (key or key=value)` };
+      }
+      filters.labels.push({ key, value });
+    }
+  }
+  if (domain !== undefined) {
+    if (typeof domain !== 'string' || !/^[a-z0-9.-]+\.[a-z]{2,}$/i.test(domain)) return { error: 'Invalid domain (e.g. example.com)' };
+    filters.domain = domain.toLowerCase();
+  }
+  return { filters };
+}
+
+/**
+ * Whether an agent — { status, labels, email } — passes the filters.
+ */
+function matchesFilters(agent, { status, labels = [], domain }) {
+  if (status && agent.status !== status) return false;
+  if (labels.some(({ key, value }) => !(key in agent.labels) || (value !== undefined && agent.labels[key] !== value))) return false;
+  if (domain && agent.email?.split('@')[1]?.toLowerCase() !== domain) return false;
+  return true;
+}
+
+/**
+ * One page of `items`, ordered by vmName, starting after the vmName `after`
+ * (from the previous page's token). Paging by position rather than offset
+ * means agents added or removed between calls don't shift later pages.
+ */
+function paginate(items, { pageSize, after = '' }) {
+  const sorted = [...items].sort((a, b) => (a.vmName < b.vmName ? -1 : 1)).filter(item => item.vmName > after);
+  const page = sorted.slice(0, pageSize);
+  const nextPageToken = sorted.length > pageSize ? Buffer.from(page[page.length - 1].vmName).toString('base64url') : null;
+  return { page, nextPageToken };
+}
+
+/**
+ * The vmName a page token points after, or null if it is not one.
+ */
+function decodePageToken(pageToken) {
+  if (typeof pageToken !== 'string') return null;
+  const after = Buffer.from(pageToken, 'base64url').toString();
+  return /^agent-[a-z0-9-]+$/.test(after) ? after : null;
+}
+
+/**
+ * Run `fn` over `items` with at most `limit` in flight. Every item gets a
+ * result — { item, value } or { item, error } — in input order; one
+ * failure does not stop the rest.
+ */
+async function mapLimited(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      try {
+        results[i] = { item: items[i], value: await fn(items[i]) };
+      } catch (err) {
+        results[i] = { item: items[i], error: err };
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  parseFilters,
+  matchesFilters,
+  paginate,
+  decodePageToken,
+  mapLimited,
+};
@@ -0,0 +1,180 @@
+/**
+ * Per-agent service accounts and IAM bindings.
+ *
+ * Every agent VM runs as its own `agent-<name>` service account. That account
+ * is only bound to the agent's own secrets (see index.js) plus the project-level
+ * roles in AGENT_PROJECT_ROLES, so one agent can never read another's config.
+ *
+ * The IAM and Resource Manager APIs have no slim Node clients, so these helpers
+ * call the REST endpoints through google-auth-library.
+ */
+
+const crypto = require('crypto');
+const { GoogleAuth } = require('google-auth-library');
+
+const auth = new GoogleAuth({ scopes: ['https://www.googleapis.com/auth/cloud-platform'] });
+
+const IAM_API = 'https://iam.googleapis.com/v1';
+const CRM_API = 'https://cloudresourcemanager.googleapis.com/v1';
+
+const AGENT_PROJECT_ROLES = ['roles/logging.logWriter'];
+
+async function apiRequest(url, method = 'GET', data) {
+  const client = await auth.getClient();
+  const res = await client.request({ url, method, data });
+  return res.data;
+}
+
+function httpStatus(err) {
+  return err.response?.status || err.status;
+}
+
+/**
+ * Service account IDs are limited to 30 characters; long agent names are
+ * truncated and suffixed with a short hash so they stay unique.
+ */
+function agentAccountId(safeName) {
+  const accountId = `agent-${safeName}`;
+  if (accountId.length <= 30) return accountId;
+  const hash = crypto.createHash('sha1').update(safeName).digest('hex').slice(0, 6);
+  return `agent-${safeName.slice(0, 17).replace(/-+$/, '')}-${hash}`;
+}
+
+function agentServiceAccountEmail(project, safeName) {
+  return `${agentAccountId(safeName)}@${project}.iam.gserviceaccount.com`;
+}
+
+/**
+ * Create the agent's service account if missing and make sure it is enabled
+ * (deprovisioning disables it). Returns the account email.
+ */
+async function ensureAgentServiceAccount(project, safeName, ownerEmail) {
+  const accountEmail = agentServiceAccountEmail(project, safeName);
+  try {
+    await apiRequest(`${IAM_API}/projects/${project}/serviceAccounts`, 'POST', {
+      accountId: agentAccountId(safeName),
+      serviceAccount: {
+        displayName: `Agent: ${ownerEmail}`,
+        description: `Service account for ${ownerEmail}'s AI agent`,
+      },
+    });
+    console.log(`Created service account ${accountEmail}`);
+  } catch (err) {
+    if (httpStatus(err) !== 409) throw err;
+  }
+  await apiRequest(`${IAM_API}/projects/${project}/serviceAccounts/${accountEmail}:enable`, 'POST', {});
+  return accountEmail;
+}
+
+async function disableAgentServiceAccount(project, safeName) {
+  const accountEmail = agentServiceAccountEmail(project, safeName);
+  try {
+    await apiRequest(`${IAM_API}/projects/${project}/serviceAccounts/${accountEmail}:disable`, 'POST', {});
+    return true;
+  } catch (err) {
+    if (httpStatus(err) === 404) return false;
+    throw err;
+  }
+}
+
+async function deleteAgentServiceAccount(project, safeName) {
+  const accountEmail = agentServiceAccountEmail(project, safeName);
+  try {
+    await apiRequest(`${IAM_API}/projects/${project}/serviceAccounts/${accountEmail}`, 'DELETE');
+    return true;
+  } catch (err) {
+    if (httpStatus(err) === 404) return false;
+    throw err;
+  }
+}
+
+/**
+ * Create a JSON key for a service account (used to rotate the plane's admin
+ * key). Returns the key file contents.
+ */
+async function createServiceAccountKey(accountEmail) {
+  const key = await apiRequest(`${IAM_API}/projects/-/serviceAccounts/${accountEmail}/keys`, 'POST', {
+    privateKeyType: 'TYPE_GOOGLE_CREDENTIALS_FILE',
+  });
+  console.log(`Created key for ${accountEmail}`);
+  return Buffer.from(key.privateKeyData, 'base64').toString();
+}
+
+/**
+ * Delete the key described by a key file. False if it was already gone.
+ */
+async function deleteServiceAccountKey({ client_email: accountEmail, private_key_id: keyId }) {
+  try {
+    await apiRequest(`${IAM_API}/projects/-/serviceAccounts/${accountEmail}/keys/${keyId}`, 'DELETE');
+    console.log(`Deleted key ${keyId} of ${accountEmail}`);
+    return true;
+  } catch (err) {
+    if (httpStatus(err) === 404) return false;
+    throw err;
+  }
+}
+
+/**
+ * Read-modify-write the project IAM policy. Retries when another writer
+ * changed the policy in between (etag conflict).
+ */
+async function updateProjectPolicy(project, mutate, maxAttempts = 3) {
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const policy = await apiRequest(`${CRM_API}/projects/${project}:getIamPolicy`, 'POST', {});
+    policy.bindings = policy.bindings || [];
+    if (!mutate(policy)) return;
+    try {
+      await apiRequest(`${CRM_API}/projects/${project}:setIamPolicy`, 'POST', { policy });
+      return;
+    } catch (err) {
+      if (httpStatus(err) !== 409 || attempt === maxAttempts) throw err;
+    }
+  }
+}
+
+async function grantAgentProjectRoles(project, accountEmail) {
+  const member = `serviceAccount:${accountEmail}`;
+  await updateProjectPolicy(project, (policy) => {
+    let changed = false;
+    for (const role of AGENT_PROJECT_ROLES) {
+      let binding = policy.bindings.find(b => b.role === role && !b.condition);
+      if (!binding) {
+        binding = { role, members: [] };
+        policy.bindings.push(binding);
+      }
+      binding.members = binding.members || [];
+      if (!binding.members.includes(member)) {
+        binding.members.push(member);
+        changed = true;
+      }
+    }
+    return changed;
+  });
+}
+
+async function revokeAgentProjectRoles(project, accountEmail) {
+  // Deleted accounts show up in policies with a `deleted:` prefix
+  const members = [`serviceAccount:${accountEmail}`, `deleted:serviceAccount:${accountEmail}`];
+  await updateProjectPolicy(project, (policy) => {
+    let changed = false;
+    for (const binding of policy.bindings) {
+      const before = (binding.members || []).length;
+      binding.members = (binding.members || []).filter(m => !members.some(x => m === x || m.startsWith(`${x}?`)));
+      if (binding.members.length !== before) changed = true;
+    }
+    policy.bindings = policy.bindings.filter(b => b.members.length > 0);
+    return changed;
+  });
+}
+
+module.exports = {
+  AGENT_PROJECT_ROLES,
+  agentServiceAccountEmail,
+  ensureAgentServiceAccount,
+  disableAgentServiceAccount,
+  deleteAgentServiceAccount,
+  createServiceAccountKey,
+  deleteServiceAccountKey,
+  grantAgentProjectRoles,
+  revokeAgentProjectRoles,
+};
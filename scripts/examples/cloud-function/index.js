@@ -12,22 +12,189 @@
  *     --trigger-http \
  *     --allow-unauthenticated \
  *     --region us-east4 \
- *     --set-env-vars "AUTH_SECRET=your-secret,GCP_PROJECT=your-project,GCP_ZONE=us-east4-b"
+ *     --set-env-vars "AUTH_SECRET=your-secret,GCP_PROJECT=your-project,GCP_ZONE=us-east4-b,JOB_QUEUE=pubsub,STATE_STORE=firestore"
+ *
+ * FALLBACK_ZONES="us-east4-a,us-east4-c" lists zones in the same region to try,
+ * in order, when GCP_ZONE is out of capacity or quota.
+ *
+ * Provisioning runs asynchronously (see jobs.js). In production the work is
+ * queued on Pub/Sub and done by a second function:
+ *   gcloud pubsub topics create agents-plane-provision
+ *   gcloud functions deploy provision-agent-worker \
+ *     --runtime nodejs20 \
+ *     --trigger-topic agents-plane-provision \
+ *     --entry-point provisionWorker \
+ *     --timeout 540s \
+ *     --region us-east4 \
+ *     --set-env-vars "GCP_PROJECT=your-project,GCP_ZONE=us-east4-b,JOB_QUEUE=pubsub,STATE_STORE=firestore"
+ *
+ * Requests are HMAC-signed (see request-auth.js). AUTH_SECRET is the key
+ * `default`; to rotate, set AUTH_KEYS="new:secret1,old:secret2" (with gcloud,
+ * use --set-env-vars "^;^AUTH_KEYS=new:s1,old:s2;GCP_PROJECT=...").
+ * Agent VMs hold no key; they report usage with an instance identity token
+ * (see instance-identity.js).
+ *
+ * The function's own service account needs Compute Admin, Secret Manager Admin,
+ * Service Account Admin, Service Account User and Project IAM Admin so it can
+ * create a dedicated service account per agent and attach it to the VM,
+ * Service Account Key Admin to rotate the admin key (rotate-secrets), plus
+ * Pub/Sub Publisher and Cloud Datastore User for the job queue and the
+ * state store (agent registry, audit log and jobs — see state-store.js).
+ *
+ * Agents run on the infrastructure provider named by PROVIDER (see
+ * providers/): `gcp` (default) or `docker`, which runs each agent as a local
+ * container with file-backed secrets — for running the whole plane on a
+ * laptop with `PROVIDER=docker npm start`.
  */
 
-const compute = require('@google-cloud/compute');
-const { SecretManagerServiceClient } = require('@google-cloud/secret-manager');
+const jobs = require('./jobs');
+const stateStore = require('./state-store');
+const policy = require('./policy');
+const capabilities = require('./capabilities');
+const reconcile = require('./reconcile');
+const rotation = require('./rotation');
+const metering = require('./metering');
+const notify = require('./notify');
+const power = require('./power');
+const rollouts = require('./rollouts');
+const fleet = require('./fleet');
+const providers = require('./providers');
+const { parseKeys, createVerifier, createBackendNonceCache } = require('./request-auth');
+const identity = require('./instance-identity');
 
-const instancesClient = new compute.InstancesClient();
-const secretManager = new SecretManagerServiceClient();
+// Infrastructure the agents run on: gcp | docker (see providers/)
+const PROVIDER = process.env.PROVIDER || 'gcp';
+const { compute, secrets } = providers.createProvider(PROVIDER);
 
-const PROJECT = process.env.GCP_PROJECT || process.env.PROJECT_ID || process.env.GCLOUD_PROJECT;
-const ZONE = process.env.GCP_ZONE || 'us-east4-b';
-const REGION = ZONE.replace(/-[a-z]$/, '');
-const AUTH_SECRET = process.env.AUTH_SECRET;
-const NETWORK = process.env.NETWORK || 'agents-plane-vpc';
-const SUBNET = process.env.SUBNET || 'agents-subnet';
+const AUTH_KEYS = parseKeys(process.env.AUTH_KEYS, process.env.AUTH_SECRET);
+const AUTH_MAX_SKEW_SECONDS = Number(process.env.AUTH_MAX_SKEW_SECONDS || 300);
 const DEFAULT_VM_TYPE = process.env.DEFAULT_VM_TYPE || 'e2-standard-2';
+// Machine shapes a request may ask for
+const ALLOWED_MACHINE_TYPES = [DEFAULT_VM_TYPE, ...(process.env.ALLOWED_MACHINE_TYPES ||
+  'e2-medium,e2-standard-2,e2-standard-4,e2-standard-8,n2-standard-2,n2-standard-4')
+  .split(',').map(s => s.trim()).filter(Boolean)];
+const ALLOWED_DISK_TYPES = ['pd-standard', 'pd-balanced', 'pd-ssd'];
+const DEFAULT_DISK_SIZE_GB = 20;
+const MAX_DISK_SIZE_GB = Number(process.env.MAX_DISK_SIZE_GB || 200);
+// Plane-wide secrets every agent VM reads at boot (API key fallback, email proxy, Slack)
+const SHARED_SECRETS = (process.env.SHARED_SECRETS ||
+  'agents-plane-api-key,agents-plane-email-proxy-secret,agents-plane-slack-bot-token,agents-plane-slack-app-token')
+  .split(',').map(s => s.trim()).filter(Boolean);
+// The plane's admin service account key (setup.sh), used by the email proxy
+const SA_KEY_SECRET = process.env.SA_KEY_SECRET || 'agents-plane-sa-key';
+// Days a superseded secret version stays enabled before rotate-secrets disables it
+const SECRET_RETENTION_DAYS = Number(process.env.SECRET_RETENTION_DAYS ?? 30);
+// Hours between a purge request and the actual teardown (0 = immediate)
+const PURGE_GRACE_HOURS = Number(process.env.PURGE_GRACE_HOURS ?? 72);
+const PURGE_LABEL = 'purge-after';
+// Days a workspace backup is kept before backup-sweep deletes it
+const BACKUP_RETENTION_DAYS = Number(process.env.BACKUP_RETENTION_DAYS || 14);
+const RETAIN_LABEL = 'retain-until';
+// Heartbeat age (minutes) after which a running agent is yellow / red
+const HEARTBEAT_YELLOW_MINUTES = Number(process.env.HEARTBEAT_YELLOW_MINUTES || 5);
+const HEARTBEAT_RED_MINUTES = Number(process.env.HEARTBEAT_RED_MINUTES || 15);
+
+// Models agents may run (MODEL_REGISTRY="model:provider,..."), and the tools
+// (AGENT_TOOLS) and channels (AGENT_CHANNELS) they may be given
+const CAPABILITIES = capabilities.loadCapabilities();
+
+// Usage alerts and what happens when an agent's budget is used up
+// (BUDGET_ALERT_THRESHOLDS, BUDGET_CAP_ACTION, BUDGET_DOWNGRADE_MODEL — see metering.js)
+const BUDGET_SETTINGS = metering.loadBudgetSettings();
+if (BUDGET_SETTINGS.capAction === 'downgrade' && !capabilities.providerOf(BUDGET_SETTINGS.downgradeModel, CAPABILITIES)) {
+  throw new Error(`BUDGET_DOWNGRADE_MODEL ${BUDGET_SETTINGS.downgradeModel} is not in the model registry`);
+}
+// Agent VMs hold no signing key. They send an instance identity token for
+// IDENTITY_AUDIENCE instead (see instance-identity.js) and may only report
+// usage for, or wake, their own agent.
+const IDENTITY_AUDIENCE = process.env.IDENTITY_AUDIENCE || 'agents-plane-control-plane';
+const VM_ACTIONS = ['report-usage', 'wake'];
+// Signing keys held by services that wake agents when mail or messages
+// arrive (the email proxy's WAKE_KEY, channel bridges); they may only call wake
+const WAKE_KEY_IDS = (process.env.WAKE_KEY_IDS || 'wake').split(',').map(s => s.trim()).filter(Boolean);
+// Budget alerts go to owners through the email proxy, from ALERT_SENDER (default: the owner's own mailbox).
+// The function signs with its own proxy key (EMAIL_PROXY_KEY_SECRET), one of the proxy's SERVICE_KEY_IDS —
+// agents' shared proxy secret only works with an instance identity token.
+const EMAIL_PROXY_KEY_SECRET = process.env.EMAIL_PROXY_KEY_SECRET || 'agents-plane-email-proxy-service-key';
+const notifyOwner = notify.createEmailNotifier({
+  proxyUrl: process.env.EMAIL_PROXY_URL,
+  sender: process.env.ALERT_SENDER,
+  readProxySecret: async () => (await secrets.read(EMAIL_PROXY_KEY_SECRET))?.value,
+});
+
+// Power schedules (see power.js): the default timezone and machine prices for
+// the savings report, and how long `wake` keeps a sleeping agent up
+const POWER_SETTINGS = power.loadPowerSettings();
+const WAKE_HOURS = Number(process.env.WAKE_HOURS || 2);
+const SLEEPING_LABEL = 'agent-sleeping';
+const AWAKE_LABEL = 'awake-until';
+
+// Startup script version new agents boot until a fleet-wide rollout replaces
+// it (unset: the unversioned startup-script.sh), and the agents a rollout
+// moves per wave after its canary (see rollouts.js)
+const STARTUP_SCRIPT_VERSION = process.env.STARTUP_SCRIPT_VERSION || null;
+if (STARTUP_SCRIPT_VERSION && !rollouts.checkScriptVersion(STARTUP_SCRIPT_VERSION)) {
+  throw new Error(`Invalid STARTUP_SCRIPT_VERSION "${STARTUP_SCRIPT_VERSION}" (lowercase letters, digits, _ and -)`);
+}
+const ROLLOUT_WAVE_SIZE = Number(process.env.ROLLOUT_WAVE_SIZE || 5);
+
+// Agents pause-all / resume-all work on at once (see fleet.js); paused
+// agents carry PAUSED_LABEL so only they are resumed
+const FLEET_CONCURRENCY = Number(process.env.FLEET_CONCURRENCY || 5);
+const PAUSED_LABEL = 'agent-paused';
+const DEFAULT_PAGE_SIZE = 50;
+
+// Secret holding the policy document that sets per-OU/group defaults (see policy.js)
+const POLICY_SECRET = process.env.POLICY_SECRET || 'agents-plane-policy';
+
+// Control-plane state (registry, audit log, jobs): memory | file | firestore
+const STATE_STORE = process.env.STATE_STORE || 'memory';
+const STATE_FILE = process.env.STATE_FILE || 'agents-plane-state.json';
+const STATE_PREFIX = process.env.STATE_PREFIX || 'agents-plane';
+// Provisioning job queue: memory | pubsub
+const JOB_QUEUE = process.env.JOB_QUEUE || 'memory';
+const JOB_TOPIC = process.env.JOB_TOPIC || 'agents-plane-provision';
+// How long to wait for a started VM to report RUNNING
+const VM_RUNNING_TIMEOUT_SECONDS = Number(process.env.VM_RUNNING_TIMEOUT_SECONDS || 300);
+// Minutes a queued or running job may go without progress before it counts
+// as failed (longer than the worker's timeout)
+const JOB_STALL_MINUTES = Number(process.env.JOB_STALL_MINUTES || 15);
+
+const AGENT_ACTIONS = [
+  'provision', 'status', 'update', 'restart', 'reprovision', 'deprovision', 'purge', 'report-usage', 'wake', 'backup',
+  'restore',
+];
+const FLEET_ACTIONS = [
+  'purge-sweep', 'reconcile', 'rotate-secrets', 'power-sweep', 'rollout', 'backup-sweep', 'pause-all', 'resume-all',
+];
+const JOB_ACTIONS = ['job-status', 'rollout-status'];
+const STATE_ACTIONS = ['registry', 'audit', 'usage', 'snapshots', 'list'];
+// Actions served over GET (they change nothing)
+const READ_ACTIONS = ['status', ...JOB_ACTIONS, ...STATE_ACTIONS];
+
+const stateBackend = stateStore.createBackend(STATE_STORE, { filePath: STATE_FILE });
+const state = stateStore.createStateStore(stateBackend, STATE_PREFIX);
+// Nonces go in the state store so a signed request can't be replayed on
+// another function instance
+const verifyRequest = createVerifier({
+  keys: AUTH_KEYS,
+  maxSkewSeconds: AUTH_MAX_SKEW_SECONDS,
+  nonceCache: createBackendNonceCache(stateBackend, `${STATE_PREFIX}-nonces`),
+});
+const jobStore = state.jobs;
+const verifyIdentity = identity.createIdentityVerifier({
+  keyFor: identity.createKeyStore(),
+  audience: IDENTITY_AUDIENCE,
+  project: process.env.GCP_PROJECT,
+  lookupInstance: async ({ name }) => {
+    const instance = await compute.getInstance(name);
+    return instance && { id: instance.raw?.id, labels: instance.labels };
+  },
+});
+const jobQueue = JOB_QUEUE === 'pubsub' ? jobs.createPubSubQueue(JOB_TOPIC) : jobs.createMemoryQueue(runProvisionJob);
+if (JOB_QUEUE === 'pubsub' && STATE_STORE !== 'firestore') {
+  console.warn('JOB_QUEUE=pubsub needs a shared store — set STATE_STORE=firestore or job status will be lost');
+}
 
 /**
  * HTTP Cloud Function entry point.
@@ -36,224 +203,1873 @@ exports.provisionAgent = async (req, res) => {
   // CORS
   res.set('Access-Control-Allow-Origin', '*');
   if (req.method === 'OPTIONS') {
-    res.set('Access-Control-Allow-Methods', 'POST');
+    res.set('Access-Control-Allow-Methods', 'GET, POST');
     res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
     return res.status(204).send('');
   }
 
-  // Auth — AUTH_SECRET must be configured
-  if (!AUTH_SECRET) {
-    console.error('AUTH_SECRET not configured — rejecting all requests');
+  // Auth — at least one signing key must be configured
+  if (AUTH_KEYS.size === 0) {
+    console.error('AUTH_KEYS / AUTH_SECRET not configured — rejecting all requests');
     return res.status(500).json({ error: 'Server misconfigured' });
   }
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.replace('Bearer ', '');
-  if (token !== AUTH_SECRET) {
-    return res.status(401).json({ error: 'Unauthorized' });
+  const ip = req.headers?.['x-forwarded-for'] || req.ip || null;
+  let caller;
+  if (!req.headers?.authorization && req.headers?.['x-agent-identity']) {
+    // An agent VM, identified by its instance identity token rather than a key
+    let result;
+    try {
+      result = await verifyIdentity(req.headers['x-agent-identity']);
+    } catch (err) {
+      console.error('Identity check failed:', err);
+      return res.status(503).json({ error: 'Could not verify caller identity' });
+    }
+    if (!result.ok) {
+      console.warn(`Rejected request: ${result.reason}`);
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    caller = { agentUser: result.agentUser, instance: result.instance.name, ip };
+  } else {
+    const auth = await verifyRequest(req);
+    if (!auth.ok) {
+      console.warn(`Rejected request: ${auth.reason}`);
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    caller = { keyId: auth.keyId, ip };
+  }
+
+  // Parse & validate — GET only serves read-only actions (default: status by ?email=...)
+  const params = req.method === 'GET'
+    ? { ...req.query, action: req.query?.action || (req.query?.jobId ? 'job-status' : 'status') }
+    : (req.body || {});
+  const {
+    email, action, model, budget, tools, channels, schedule, graceHours, dryRun, jobId, rolloutId, machineType, diskSizeGb,
+    diskType,
+  } = params;
+  const validActions = [...AGENT_ACTIONS, ...FLEET_ACTIONS, ...JOB_ACTIONS, ...STATE_ACTIONS];
+  if (action && !validActions.includes(action)) {
+    return res.status(400).json({ error: `Invalid action (must be one of ${validActions.join(', ')})` });
+  }
+  if (req.method === 'GET' && !READ_ACTIONS.includes(action)) {
+    return res.status(405).json({ error: `${action} requires POST` });
+  }
+  if (WAKE_KEY_IDS.includes(caller.keyId) && action !== 'wake') {
+    console.warn(`Rejected ${action || 'provision'} signed with wake key ${caller.keyId}`);
+    return res.status(403).json({ error: 'Wake keys may only call wake' });
+  }
+  if (caller.agentUser) {
+    if (!VM_ACTIONS.includes(action)) {
+      console.warn(`Rejected ${action || 'provision'} from agent VM ${caller.instance}`);
+      return res.status(403).json({ error: `Agent VMs may only call ${VM_ACTIONS.join(', ')}` });
+    }
+    if (typeof email !== 'string' || agentNames(email)?.safeName !== caller.agentUser) {
+      console.warn(`Rejected ${action} from ${caller.instance} for ${email}`);
+      return res.status(403).json({ error: `Instance ${caller.instance} may only call ${action} for its own agent` });
+    }
+  }
+  if (dryRun !== undefined && typeof dryRun !== 'boolean') {
+    return res.status(400).json({ error: 'Invalid dryRun (must be boolean)' });
+  }
+
+  // Fleet actions operate on every managed instance, not a single email
+  // (rotate-secrets optionally takes one)
+  if (FLEET_ACTIONS.includes(action)) {
+    let code = 200;
+    let body;
+    try {
+      ({ code = 200, body } = await handleFleetAction(action, params));
+    } catch (err) {
+      console.error(`Error processing ${action}:`, err);
+      code = 500;
+      body = { error: err.message };
+    }
+    await recordAudit({ action, email: typeof email === 'string' ? email : null, caller, params, code, body });
+    return res.status(code).json(body);
+  }
+
+  if (action === 'job-status') {
+    if (!jobId || typeof jobId !== 'string') {
+      return res.status(400).json({ error: 'Missing jobId' });
+    }
+    try {
+      const job = await jobStatus(jobId);
+      if (!job) return res.status(404).json({ error: `No job ${jobId}` });
+      return res.json({ success: true, action, ...job });
+    } catch (err) {
+      console.error(`Error processing ${action} for ${jobId}:`, err);
+      return res.status(500).json({ error: err.message });
+    }
+  }
+
+  if (action === 'rollout-status') {
+    if (rolloutId !== undefined && typeof rolloutId !== 'string') {
+      return res.status(400).json({ error: 'Invalid rolloutId' });
+    }
+    try {
+      const result = await rolloutStatus(rolloutId);
+      if (!result) return res.status(404).json({ error: `No rollout ${rolloutId}` });
+      return res.json({ success: true, action, ...result });
+    } catch (err) {
+      console.error(`Error processing ${action}:`, err);
+      return res.status(500).json({ error: err.message });
+    }
+  }
+
+  // Registry, audit log and fleet queries; `email` is optional
+  if (STATE_ACTIONS.includes(action)) {
+    if (action === 'list') {
+      const { error } = fleet.parseFilters(params);
+      if (error) return res.status(400).json({ error });
+      const pageSize = Number(params.pageSize ?? DEFAULT_PAGE_SIZE);
+      if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > fleet.MAX_PAGE_SIZE) {
+        return res.status(400).json({ error: `Invalid pageSize (1-${fleet.MAX_PAGE_SIZE})` });
+      }
+      if (params.pageToken !== undefined && !fleet.decodePageToken(params.pageToken)) {
+        return res.status(400).json({ error: 'Invalid pageToken' });
+      }
+    }
+    try {
+      return res.json({ success: true, action, ...(await queryState(action, params)) });
+    } catch (err) {
+      console.error(`Error processing ${action}:`, err);
+      return res.status(500).json({ error: err.message });
+    }
   }
 
-  // Parse & validate
-  const { email, action, model, budget } = req.body;
   if (!email || typeof email !== 'string' || !email.includes('@')) {
     return res.status(400).json({ error: 'Missing or invalid email' });
   }
-  if (action && !['provision', 'deprovision'].includes(action)) {
-    return res.status(400).json({ error: 'Invalid action (must be provision or deprovision)' });
+  const configProblems = capabilities.checkAgentConfig({ model, tools, channels }, CAPABILITIES);
+  if (configProblems.length > 0) {
+    return res.status(400).json({ error: `Invalid agent config: ${configProblems.join('; ')}` });
   }
   if (budget !== undefined && (typeof budget !== 'number' || budget < 0 || budget > 10000)) {
     return res.status(400).json({ error: 'Invalid budget (0-10000)' });
   }
+  const scheduleProblems = power.checkSchedule(schedule);
+  if (scheduleProblems.length > 0) {
+    return res.status(400).json({ error: `Invalid schedule: ${scheduleProblems.join('; ')}` });
+  }
+  if (action === 'update' && [model, budget, tools, channels, schedule].every(v => v === undefined)) {
+    return res.status(400).json({ error: 'Nothing to update (pass model, budget, tools, channels and/or schedule)' });
+  }
+  if (action === 'backup' && params.retentionDays !== undefined &&
+      (typeof params.retentionDays !== 'number' || params.retentionDays < 1 || params.retentionDays > 3650)) {
+    return res.status(400).json({ error: 'Invalid retentionDays (1-3650)' });
+  }
+  if (action === 'restore' && (!params.snapshot || typeof params.snapshot !== 'string')) {
+    return res.status(400).json({ error: 'Missing snapshot (see the snapshots action)' });
+  }
+  if (graceHours !== undefined && (typeof graceHours !== 'number' || graceHours < 0 || graceHours > 720)) {
+    return res.status(400).json({ error: 'Invalid graceHours (0-720)' });
+  }
+  if (machineType !== undefined && !ALLOWED_MACHINE_TYPES.includes(machineType)) {
+    return res.status(400).json({ error: `Invalid machineType (must be one of ${[...new Set(ALLOWED_MACHINE_TYPES)].join(', ')})` });
+  }
+  if (diskSizeGb !== undefined && (!Number.isInteger(diskSizeGb) || diskSizeGb < DEFAULT_DISK_SIZE_GB || diskSizeGb > MAX_DISK_SIZE_GB)) {
+    return res.status(400).json({ error: `Invalid diskSizeGb (${DEFAULT_DISK_SIZE_GB}-${MAX_DISK_SIZE_GB})` });
+  }
+  if (diskType !== undefined && !ALLOWED_DISK_TYPES.includes(diskType)) {
+    return res.status(400).json({ error: `Invalid diskType (must be one of ${ALLOWED_DISK_TYPES.join(', ')})` });
+  }
+  if (params.orgUnitPath !== undefined && (typeof params.orgUnitPath !== 'string' || !params.orgUnitPath.startsWith('/'))) {
+    return res.status(400).json({ error: 'Invalid orgUnitPath (e.g. /Engineering/Platform)' });
+  }
+  if (params.groups !== undefined && (!Array.isArray(params.groups) || params.groups.some(g => typeof g !== 'string' || !g.includes('@')))) {
+    return res.status(400).json({ error: 'Invalid groups (must be a list of group emails)' });
+  }
 
-  const username = email.split('@')[0];
-  const safeName = username.replace(/\./g, '-').toLowerCase();
-  if (!/^[a-z0-9-]+$/.test(safeName) || safeName.length > 30) {
+  const names = agentNames(email);
+  if (!names) {
     return res.status(400).json({ error: 'Email username contains invalid characters' });
   }
-  const vmName = `agent-${safeName}`;
+  const { safeName, vmName } = names;
 
+  const agentAction = action || 'provision';
+  let code = 200;
+  let body;
   try {
-    if (action === 'deprovision') {
-      await deprovisionAgent(vmName, safeName);
-      return res.json({ success: true, action: 'deprovisioned', email });
-    }
-
-    const result = await provisionAgent(vmName, safeName, email, model, budget);
-    return res.json({ success: true, action: 'provisioned', email, ...result });
+    ({ code = 200, body } = await handleAgentAction(agentAction, { email, safeName, vmName, params }));
   } catch (err) {
-    console.error(`Error processing ${action} for ${email}:`, err);
-    return res.status(500).json({ error: err.message });
+    console.error(`Error processing ${agentAction} for ${email}:`, err);
+    code = 500;
+    body = { error: err.message };
   }
+  // Agents report usage every few minutes; only reports that triggered the cap action are audited
+  if (agentAction === 'report-usage' ? Boolean(body?.capAction) : agentAction !== 'status') {
+    await recordAudit({ action: agentAction, email, caller, params, code, body });
+  }
+  return res.status(code).json(body);
 };
 
 /**
- * Provision a new agent VM.
+ * Run a validated per-agent action. Returns the HTTP status and body, and
+ * keeps the agent's registry record in step.
  */
-async function provisionAgent(vmName, safeName, email, model = 'claude-opus-4-6', budget = 50) {
-  // Check if VM already exists
-  try {
-    const [instance] = await instancesClient.get({ project: PROJECT, zone: ZONE, instance: vmName });
-    if (instance.status === 'TERMINATED') {
-      const [startOp] = await instancesClient.start({ project: PROJECT, zone: ZONE, instance: vmName });
-      if (startOp && typeof startOp.promise === 'function') await startOp.promise();
-      return { status: 'started', vmName };
+async function handleAgentAction(action, { email, safeName, vmName, params }) {
+  const { model, budget, tools, channels, schedule, graceHours, dryRun, force, machineType, diskSizeGb, diskType } = params;
+  const notFound = (result) => ({ code: 404, body: { error: `No agent VM for ${email}`, ...result } });
+
+  if (action === 'deprovision') {
+    const result = await deprovisionAgent(vmName, safeName);
+    if (result.status !== 'not_found') await state.recordAgent(email, { vmName, status: 'stopped' });
+    return { body: { success: true, action: 'deprovisioned', email } };
+  }
+
+  if (action === 'status') {
+    const result = await agentStatus(vmName, safeName);
+    if (result.status === 'not_found') return notFound(result);
+    const usage = await usageSummary(email, result.config?.budget);
+    return { body: { success: true, action: 'status', email, ...result, usage } };
+  }
+
+  if (action === 'wake') {
+    const result = await wakeAgent(vmName);
+    if (result.status === 'not_found') return notFound(result);
+    if (result.status === 'stopped') {
+      return { code: 409, body: { error: 'Agent is stopped, not sleeping — provision it to start it', ...result } };
     }
-    return { status: 'already_exists', vmName };
-  } catch (err) {
-    if (!err.message?.includes('not found') && err.code !== 5) throw err;
-    // VM doesn't exist, continue to create
+    return { body: { success: true, action: 'wake', email, ...result } };
   }
 
-  // Create secret (or update if exists)
-  const secretName = `agent-${safeName}-config`;
-  const parent = `projects/${PROJECT}`;
-  const secretPath = `${parent}/secrets/${secretName}`;
+  if (action === 'report-usage') {
+    const problems = metering.checkUsage(params.usage);
+    if (problems.length > 0) return { code: 400, body: { error: `Invalid usage: ${problems.join('; ')}` } };
+    const result = await recordUsage(vmName, safeName, email, params.usage);
+    return { body: { success: true, action: 'usage-recorded', email, ...result } };
+  }
 
-  try {
-    await secretManager.createSecret({
-      parent,
-      secretId: secretName,
-      secret: { replication: { automatic: {} } },
-    });
-    console.log(`Created secret ${secretName}`);
-  } catch (err) {
-    if (err.code === 6 || err.message?.includes('ALREADY_EXISTS')) {
-      console.log(`Secret ${secretName} already exists, adding new version`);
-    } else {
-      throw err;
+  if (action === 'update') {
+    const result = await updateAgent(vmName, safeName, email, { model, budget, tools, channels, schedule });
+    if (result.status === 'not_found') return notFound(result);
+    await state.recordAgent(email, { vmName, config: result.current, configVersion: result.configVersion });
+    return { body: { success: true, action: 'updated', email, ...result } };
+  }
+
+  if (action === 'restart') {
+    const result = await restartAgent(vmName, safeName, email);
+    if (result.status === 'not_found') return notFound(result);
+    await state.recordAgent(email, { vmName, status: 'active' });
+    return { body: { success: true, action: 'restarted', email, ...result } };
+  }
+
+  if (action === 'reprovision') {
+    const result = await reprovisionAgent(vmName, safeName, email, { force: force === true });
+    if (result.status === 'not_found') return notFound(result);
+    if (result.status === 'no_data_disk') {
+      return {
+        code: 409,
+        body: {
+          error: 'Agent VM has no data disk — reprovisioning would discard its workspace (pass force: true to proceed)',
+          ...result,
+        },
+      };
+    }
+    await state.recordAgent(email, { vmName, status: 'active', zone: result.zone });
+    return { body: { success: true, action: 'reprovisioned', email, ...result } };
+  }
+
+  if (action === 'backup') {
+    const result = await backupAgent(vmName, safeName, { retentionDays: params.retentionDays });
+    if (result.status === 'not_found') return notFound(result);
+    await state.recordAgent(email, { vmName, lastBackup: { snapshot: result.snapshot, at: new Date().toISOString() } });
+    return { body: { success: true, action: 'backed-up', email, ...result } };
+  }
+
+  let restored = null;
+  if (action === 'restore') {
+    const result = await restoreWorkspace(vmName, safeName, { snapshot: params.snapshot, dryRun });
+    if (result.status === 'snapshot_not_found') {
+      return { code: 404, body: { error: `No snapshot ${params.snapshot} for ${email}`, ...result } };
+    }
+    if (result.status === 'not_restorable') {
+      return {
+        code: 409,
+        body: { error: 'Snapshot is of a boot disk (the agent had no data disk) and cannot be restored as a workspace', ...result },
+      };
+    }
+    if (result.status !== 'disk_restored') {
+      if (result.status === 'restored') {
+        await state.recordAgent(email, { vmName, lastRestore: { snapshot: result.snapshot, at: new Date().toISOString() } });
+      }
+      return { body: { success: true, action: 'restore', dryRun: Boolean(dryRun), email, ...result } };
+    }
+    // No VM to attach the disk to — provisioning below builds one on it
+    restored = result;
+  }
+
+  if (action === 'purge') {
+    const result = await purgeAgent(vmName, safeName, { graceHours, dryRun });
+    const purgeStatus = { scheduled: 'purge_scheduled', purged: 'purged' }[result.status];
+    if (purgeStatus) await state.recordAgent(email, { vmName, status: purgeStatus, purgeAfter: result.purgeAfter || null });
+    return { body: { success: true, action: 'purged', email, ...result } };
+  }
+
+  // Request values are per-user overrides on top of the OU/group policy
+  const resolved = policy.resolvePolicy(
+    await readPolicyDocument(),
+    { email, orgUnitPath: params.orgUnitPath, groups: params.groups },
+    { model, budgetCap: budget, machineType, tools, channels, schedule },
+  );
+  const { effective } = resolved;
+  if (effective.machineType && !ALLOWED_MACHINE_TYPES.includes(effective.machineType)) {
+    throw new Error(`Policy sets machineType ${effective.machineType}, which is not in ALLOWED_MACHINE_TYPES`);
+  }
+  const policyProblems = [...capabilities.checkAgentConfig(effective, CAPABILITIES), ...power.checkSchedule(effective.schedule)];
+  if (policyProblems.length > 0) throw new Error(`Policy sets an invalid agent config: ${policyProblems.join('; ')}`);
+
+  const options = {
+    model: effective.model,
+    budget: effective.budgetCap,
+    machineType: effective.machineType,
+    tools: effective.tools,
+    channels: effective.channels,
+    schedule: effective.schedule,
+    policy: resolved.applied,
+    diskSizeGb,
+    diskType,
+  };
+  if (dryRun && !restored) {
+    const plan = await planProvision(vmName, safeName, email, options);
+    return { body: { success: true, action: 'provision', dryRun: true, email, ...plan, policy: resolved } };
+  }
+
+  const job = await enqueueProvision(vmName, email, options);
+  if (restored) {
+    await state.recordAgent(email, { lastRestore: { snapshot: restored.snapshot, at: new Date().toISOString() } });
+  }
+  return {
+    code: 202,
+    body: { success: true, action: 'provisioning', email, ...job, policy: resolved, ...(restored && { restore: restored }) },
+  };
+}
+
+/**
+ * Run a fleet action. Returns the HTTP status and body.
+ */
+async function handleFleetAction(action, params) {
+  if (action === 'reconcile') {
+    const { document, mode = 'plan' } = params;
+    if (!['plan', 'apply'].includes(mode)) {
+      return { code: 400, body: { error: 'Invalid mode (must be plan or apply)' } };
+    }
+    if (!document || !['object', 'string'].includes(typeof document)) {
+      return { code: 400, body: { error: 'Missing document (a planes.yaml document, as YAML text or JSON)' } };
+    }
+    return reconcileFleet(document, mode);
+  }
+  if (action === 'power-sweep') {
+    return { body: { success: true, action, ...(await sweepPower({ dryRun: params.dryRun })) } };
+  }
+  if (action === 'backup-sweep') {
+    return { body: { success: true, action, ...(await sweepBackups({ dryRun: params.dryRun })) } };
+  }
+  if (action === 'pause-all' || action === 'resume-all') {
+    const { filters, error } = fleet.parseFilters(params);
+    if (error) return { code: 400, body: { error } };
+    const { concurrency = FLEET_CONCURRENCY, dryRun } = params;
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > 50) {
+      return { code: 400, body: { error: 'Invalid concurrency (1-50)' } };
+    }
+    const result = await (action === 'pause-all' ? pauseAll : resumeAll)({ filters, concurrency, dryRun });
+    return { code: result.failed > 0 ? 207 : 200, body: { success: result.failed === 0, action, ...result } };
+  }
+  if (action === 'rollout') {
+    const { version, percent = 100, agents, waveSize = ROLLOUT_WAVE_SIZE, healthMinutes = HEARTBEAT_RED_MINUTES, dryRun } = params;
+    if (!rollouts.checkScriptVersion(version)) {
+      return { code: 400, body: { error: 'Missing or invalid version (lowercase letters, digits, _ and -)' } };
+    }
+    if (agents !== undefined && (!Array.isArray(agents) || agents.length === 0 ||
+        agents.some(e => typeof e !== 'string' || !e.includes('@') || !agentNames(e)))) {
+      return { code: 400, body: { error: 'Invalid agents (must be a list of agent emails)' } };
+    }
+    if (agents !== undefined && params.percent !== undefined) {
+      return { code: 400, body: { error: 'Pass percent or agents, not both' } };
+    }
+    if (typeof percent !== 'number' || percent <= 0 || percent > 100) {
+      return { code: 400, body: { error: 'Invalid percent (1-100)' } };
+    }
+    if (!Number.isInteger(waveSize) || waveSize < 1 || waveSize > 100) {
+      return { code: 400, body: { error: 'Invalid waveSize (1-100)' } };
+    }
+    if (typeof healthMinutes !== 'number' || healthMinutes < 1 || healthMinutes > 120) {
+      return { code: 400, body: { error: 'Invalid healthMinutes (1-120)' } };
+    }
+    const vmNames = agents?.map(e => agentNames(e).vmName);
+    return startRollout({ version, percent, vmNames, waveSize, healthMinutes, dryRun });
+  }
+  if (action === 'rotate-secrets') {
+    const { email, values = {}, retentionDays = SECRET_RETENTION_DAYS, dryRun } = params;
+    let agent = null;
+    if (email !== undefined) {
+      agent = typeof email === 'string' && email.includes('@') ? agentNames(email) : null;
+      if (!agent) return { code: 400, body: { error: 'Missing or invalid email' } };
+    }
+    if (typeof retentionDays !== 'number' || retentionDays < 0 || retentionDays > 3650) {
+      return { code: 400, body: { error: 'Invalid retentionDays (0-3650)' } };
     }
+    const targets = agent ? agentSecretNames(agent.safeName) : [SA_KEY_SECRET, ...SHARED_SECRETS];
+    // An agent's config changes through `update`, not rotation
+    const writable = agent ? targets.slice(1) : targets;
+    if (!values || typeof values !== 'object' || Array.isArray(values) ||
+        Object.entries(values).some(([name, value]) => !writable.includes(name) || typeof value !== 'string' || !value)) {
+      return { code: 400, body: { error: `Invalid values (map secret names to new values; rotatable: ${writable.join(', ')})` } };
+    }
+    const result = await rotateSecrets(targets, agent, { values, retentionDays, dryRun });
+    return { body: { success: true, action, email: email || null, ...result } };
   }
+  return { body: { success: true, action, ...(await sweepPurges({ dryRun: params.dryRun })) } };
+}
 
-  // Always add a new version with latest config
-  await secretManager.addSecretVersion({
-    parent: secretPath,
-    payload: {
-      data: Buffer.from(JSON.stringify({ user: email, model, budget })),
-    },
+/**
+ * Bring the fleet in line with a planes.yaml document (see reconcile.js).
+ * `plan` only returns the plan; `apply` carries it out agent by agent and
+ * reports each result, so one failing agent does not stop the rest.
+ */
+async function reconcileFleet(document, mode) {
+  let parsed;
+  try {
+    parsed = reconcile.parseDocument(document);
+  } catch (err) {
+    return { code: 400, body: { error: `Invalid document: ${err.message}` } };
+  }
+  const { agents, errors } = reconcile.desiredAgents(parsed, {
+    namesOf: agentNames,
+    allowedMachineTypes: ALLOWED_MACHINE_TYPES,
+    checkConfig: config => [...capabilities.checkAgentConfig(config, CAPABILITIES), ...power.checkSchedule(config.schedule)],
   });
+  if (errors.length > 0) return { code: 400, body: { error: 'Invalid document', errors } };
+
+  const plan = reconcile.computePlan(agents, await currentFleet());
+  const response = {
+    action: 'reconcile',
+    mode,
+    plane: parsed.metadata?.name || null,
+    summary: reconcile.summarize(plan),
+    plan,
+  };
+  if (mode === 'plan') return { body: { success: true, ...response } };
 
-  // Grant default compute SA access to the agent's secret
-  // (VMs created by CF use the default SA, not per-agent SA)
-  const PROJECT_NUMBER = PROJECT.match(/^\d+$/) ? PROJECT : process.env.PROJECT_NUMBER;
-  if (PROJECT_NUMBER) {
-    const defaultSA = `serviceAccount:${PROJECT_NUMBER}-compute@developer.gserviceaccount.com`;
+  const desired = new Map(agents.map(agent => [agent.vmName, agent]));
+  const results = [];
+  for (const entry of plan.filter(e => e.action !== 'unchanged')) {
+    const { vmName, email, action } = entry;
     try {
-      const [policy] = await secretManager.getIamPolicy({ resource: secretPath });
-      policy.bindings = policy.bindings || [];
-      const alreadyBound = policy.bindings.some(b =>
-        b.role === 'roles/secretmanager.secretAccessor' && b.members?.includes(defaultSA)
-      );
-      if (!alreadyBound) {
-        policy.bindings.push({
-          role: 'roles/secretmanager.secretAccessor',
-          members: [defaultSA],
-        });
-        await secretManager.setIamPolicy({ resource: secretPath, policy });
-        console.log(`Granted secret access to default compute SA`);
-      }
+      const result = await applyPlanEntry(entry, desired.get(vmName));
+      results.push({ vmName, email, action, success: true, ...result });
     } catch (err) {
-      console.warn('Failed to set secret IAM (VM may not access config):', err.message);
+      console.error(`Reconcile ${action} failed for ${vmName}:`, err);
+      results.push({ vmName, email, action, success: false, error: err.message });
     }
   }
+  const failed = results.filter(r => !r.success).length;
+  if (failed > 0) console.warn(`Reconcile applied with ${failed} of ${results.length} agents failing`);
+  return { code: failed > 0 ? 207 : 200, body: { success: failed === 0, ...response, results, failed } };
+}
 
-  // Also grant access to shared secrets
-  for (const sharedName of ['agents-plane-api-key', 'agents-plane-sa-key']) {
+/**
+ * Managed instances with their owner (from the registry) and active config,
+ * in the shape reconcile.computePlan expects.
+ */
+async function currentFleet() {
+  const owners = new Map((await state.listAgents()).map(agent => [agent.vmName, agent.email]));
+  const fleet = [];
+  for (const instance of await compute.listInstances()) {
+    const safeName = instance.labels['agent-user'];
+    if (!safeName) continue;
+    // An unreadable config counts as empty, so the plan rewrites it instead of failing the reconcile
+    let config = {};
     try {
-      const sharedPath = `${parent}/secrets/${sharedName}`;
-      const [policy] = await secretManager.getIamPolicy({ resource: sharedPath });
-      // Skip if already bound (idempotent)
+      const secret = await secrets.read(agentSecretNames(safeName)[0], instance.configVersion || 'latest');
+      if (secret) config = JSON.parse(secret.value);
     } catch (err) {
-      // Shared secrets may not exist yet, that's fine
+      console.warn(`Failed to read config for ${instance.name}:`, err.message);
     }
+    fleet.push({
+      vmName: instance.name,
+      safeName,
+      email: owners.get(instance.name) || null,
+      status: instance.status,
+      sleeping: Boolean(instance.labels[SLEEPING_LABEL]),
+      paused: Boolean(instance.labels[PAUSED_LABEL]),
+      purgeScheduled: Boolean(instance.labels[PURGE_LABEL]),
+      machineType: instance.machineType,
+      config,
+    });
   }
+  return fleet;
+}
 
-  // Startup script lives in GCS — single source of truth
-  const startupScriptUrl = 'gs://agents-plane-scripts/startup-script.sh';
+/**
+ * Carry out one plan entry, keeping the registry in step.
+ */
+async function applyPlanEntry({ action, vmName, safeName, email, changes = {} }, agent) {
+  if (action === 'delete') {
+    const result = await purgeAgent(vmName, safeName);
+    const purgeStatus = { scheduled: 'purge_scheduled', purged: 'purged' }[result.status];
+    if (email && purgeStatus) await state.recordAgent(email, { vmName, status: purgeStatus, purgeAfter: result.purgeAfter || null });
+    return result;
+  }
+  if (action === 'stop') {
+    const result = await deprovisionAgent(vmName, safeName);
+    await state.recordAgent(email, { vmName, status: 'stopped' });
+    return result;
+  }
 
-  // Create VM
-  const config = {
-    machineType: `zones/${ZONE}/machineTypes/${DEFAULT_VM_TYPE}`,
-    tags: { items: ['agent-vm'] },
-    labels: {
-      'agent-user': safeName,
-      'managed-by': 'agents-plane',
-    },
-    networkInterfaces: [
-      {
-        network: `projects/${PROJECT}/global/networks/${NETWORK}`,
-        subnetwork: `projects/${PROJECT}/regions/${REGION}/subnetworks/${SUBNET}`,
-        // No external IP
-      },
-    ],
-    // Per-agent service accounts can be created later for isolation
-    // For now, VMs use the default compute service account
-    serviceAccounts: [
-      {
-        email: 'default',
-        scopes: [
-          'https://www.googleapis.com/auth/cloud-platform',  // Needed for Secret Manager access
-          // TODO: narrow to secretmanager + logging only once per-agent SA is standard
-        ],
-      },
-    ],
-    disks: [
-      {
-        boot: true,
-        autoDelete: true,
-        initializeParams: {
-          sourceImage: 'projects/debian-cloud/global/images/family/debian-12',
-          diskSizeGb: '20',
-          diskType: `zones/${ZONE}/diskTypes/pd-balanced`,
-        },
-      },
-    ],
-    metadata: {
-      items: [{ key: 'startup-script-url', value: startupScriptUrl }],
-    },
-  };
+  const { machineType, ...configChanges } = changes;
+  const result = {};
+  if (Object.keys(configChanges).length > 0) {
+    const values = Object.fromEntries(Object.entries(configChanges).map(([field, { to }]) => [field, to]));
+    const updated = await updateAgent(vmName, safeName, email, { ...values, policy: agent.policy });
+    await state.recordAgent(email, { vmName, config: updated.current, configVersion: updated.configVersion });
+    result.configVersion = updated.configVersion;
+  }
+  if (machineType) {
+    await compute.resizeInstance(await compute.getInstance(vmName), machineType.to);
+    result.machineType = machineType.to;
+  }
+  if (action === 'create' || action === 'start') {
+    // Starting goes through provisioning too: it re-enables the identity and
+    // cancels a pending purge
+    Object.assign(result, await enqueueProvision(vmName, email, {
+      ...agent.config,
+      machineType: agent.machineType,
+      diskSizeGb: agent.diskSizeGb,
+      policy: agent.policy,
+    }));
+  }
+  return result;
+}
 
-  const instanceResource = {
-    name: vmName,
-    ...config,
-  };
+/**
+ * Rotate the plane-wide secrets, or one agent's: add the supplied values as
+ * new versions (the admin service account key gets a freshly minted key when
+ * none is supplied), disable versions superseded more than `retentionDays`
+ * ago (see rotation.js), then have running agents reload.
+ */
+async function rotateSecrets(targets, agent, { values, retentionDays, dryRun = false }) {
+  // A stopped agent boots into the config version it was last pointed at
+  const instance = agent ? await compute.getInstance(agent.vmName) : null;
+  const pinned = instance?.configVersion && instance.configVersion !== 'latest' ? [instance.configVersion] : [];
 
-  const [operation] = await instancesClient.insert({
-    project: PROJECT,
-    zone: ZONE,
-    instanceResource,
-  });
+  const results = [];
+  for (const name of targets) {
+    try {
+      const keep = agent && name === agentSecretNames(agent.safeName)[0] ? pinned : [];
+      results.push(await rotateSecret(name, { value: values[name], retentionDays, keep, dryRun }));
+    } catch (err) {
+      console.error(`Rotating ${name} failed:`, err);
+      results.push({ name, status: 'error', error: err.message });
+    }
+  }
 
-  // Wait for the LRO to complete (v4+ API)
-  if (operation && typeof operation.promise === 'function') {
-    await operation.promise();
+  // The email proxy picks up a new admin key on its own (SA_KEY_CACHE_SECONDS)
+  const agentsAffected = results.some(r => r.added && r.name !== SA_KEY_SECRET);
+  const reloads = agentsAffected && !dryRun ? await reloadAgents(agent ? [instance].filter(Boolean) : null) : [];
+  return { retentionDays, dryRun: Boolean(dryRun), secrets: results, reloads };
+}
+
+async function rotateSecret(name, { value, retentionDays, keep, dryRun }) {
+  const versions = await secrets.listVersions(name);
+  if (!versions) return { name, status: 'not_found' };
+  const expired = rotation.versionsToDisable(versions, { retentionDays, keep });
+  const mintKey = value === undefined && name === SA_KEY_SECRET;
+  if (dryRun) return { name, status: 'dry_run', wouldAdd: value !== undefined || mintKey, wouldDisable: expired };
+
+  if (mintKey) {
+    const current = await secrets.read(name);
+    if (current) value = await compute.createAccessKey(current.value);
+  }
+  const added = value !== undefined ? await secrets.write(name, value) : null;
+  for (const version of expired) {
+    if (name === SA_KEY_SECRET) {
+      // Delete the key itself, not just our copy of it
+      const old = await secrets.read(name, version);
+      if (old) await compute.deleteAccessKey(old.value);
+    }
+    await secrets.disableVersion(name, version);
   }
+  if (added || expired.length > 0) console.log(`Rotated ${name}: added ${added || 'none'}, disabled ${expired.join(', ') || 'none'}`);
+  return { name, status: 'rotated', added, disabled: expired };
+}
 
-  return { status: 'created', vmName };
+/**
+ * Point running agents (all of them unless `instances` is given) at a fresh
+ * config version. Their watcher restarts the gateway, which refetches the
+ * API key and proxy secret; stopped agents read them when they next boot.
+ */
+async function reloadAgents(instances) {
+  const owners = new Map((await state.listAgents()).map(agent => [agent.vmName, agent.email]));
+  const at = new Date().toISOString();
+  const reloads = [];
+  for (const instance of instances || await compute.listInstances()) {
+    const safeName = instance.labels['agent-user'];
+    if (!safeName || instance.status !== 'RUNNING') continue;
+    try {
+      const configVersion = await writeAgentConfig(safeName, await readAgentConfig(safeName));
+      await compute.setConfigVersion(instance, configVersion);
+      const email = owners.get(instance.name);
+      if (email) await state.recordAgent(email, { vmName: instance.name, lastRotation: { at, configVersion } });
+      reloads.push({ vmName: instance.name, configVersion, success: true });
+    } catch (err) {
+      console.error(`Reload after rotation failed for ${instance.name}:`, err);
+      reloads.push({ vmName: instance.name, success: false, error: err.message });
+    }
+  }
+  return reloads;
 }
 
 /**
- * Deprovision (stop) an agent VM. Does NOT delete to preserve data.
+ * Append an audit entry: who called, what they asked for and how it ended.
+ * A failing audit write is logged, not surfaced — the action already ran.
  */
-async function deprovisionAgent(vmName, safeName) {
+async function recordAudit({ action, email, caller, params, code, body }) {
+  const { timestamp, nonce, ...request } = params;
+  // Rotated secret values never reach the log, only which secrets got one
+  if (request.values && typeof request.values === 'object') request.values = Object.keys(request.values);
   try {
-    const [instance] = await instancesClient.get({ project: PROJECT, zone: ZONE, instance: vmName });
-    if (instance.status === 'RUNNING') {
-      const [stopOp] = await instancesClient.stop({ project: PROJECT, zone: ZONE, instance: vmName });
-      if (stopOp && typeof stopOp.promise === 'function') await stopOp.promise();
+    await state.appendAudit({
+      action,
+      email,
+      caller,
+      request,
+      outcome: {
+        code,
+        success: code < 400,
+        status: body?.status || body?.action || null,
+        error: body?.error || null,
+      },
+    });
+  } catch (err) {
+    console.error(`Failed to write audit entry for ${action} ${email || ''}:`, err);
+  }
+}
+
+/**
+ * Registry, audit log, snapshot and fleet lookups.
+ */
+async function queryState(action, params) {
+  const { email, status, limit, month } = params;
+  if (action === 'registry') {
+    if (email) {
+      const agent = await state.getAgent(email);
+      return { agents: agent ? [agent] : [] };
     }
-    return { status: 'stopped', vmName };
+    return { agents: await state.listAgents({ status }) };
+  }
+  if (action === 'usage') {
+    return { ledgers: await state.listUsage({ email, month }) };
+  }
+  if (action === 'snapshots') {
+    return { agents: await listWorkspaceSnapshots(email) };
+  }
+  if (action === 'list') {
+    return listFleet({
+      filters: fleet.parseFilters(params).filters,
+      pageSize: Number(params.pageSize ?? DEFAULT_PAGE_SIZE),
+      after: params.pageToken ? fleet.decodePageToken(params.pageToken) : '',
+    });
+  }
+  const max = Math.min(Math.max(Number(limit) || 50, 1), 500);
+  return { entries: await state.listAudit({ email, limit: max }) };
+}
+
+/**
+ * Queue a provisioning job, or return the user's unfinished one so a caller
+ * that retries does not start a second provisioning run.
+ */
+async function enqueueProvision(vmName, email, params) {
+  const existing = await jobStore.latestForEmail(email);
+  if (existing) await refreshJob(existing);
+  if (existing && jobs.isActive(existing)) {
+    return { jobId: existing.id, state: existing.state, reused: true };
+  }
+
+  const job = jobs.newJob({ email, vmName, params });
+  await jobStore.create(job);
+  await state.recordAgent(email, { vmName, status: 'provisioning', lastJobId: job.id });
+  await jobQueue.enqueue(job.id);
+  console.log(`Queued provisioning job ${job.id} for ${email}`);
+  return { jobId: job.id, state: job.state, reused: false };
+}
+
+/**
+ * Run a queued provisioning job. Failures are recorded on the job's stages
+ * rather than thrown, so Pub/Sub does not redeliver; callers re-provision.
+ */
+async function runProvisionJob(jobId) {
+  const job = await jobStore.get(jobId);
+  if (!job) {
+    console.warn(`Provisioning job ${jobId} not found`);
+    return;
+  }
+  if (job.state !== 'queued') {
+    console.log(`Provisioning job ${jobId} already ${job.state} — skipping duplicate delivery`);
+    return;
+  }
+
+  const tracker = jobs.createStageTracker(jobStore, job);
+  job.state = 'running';
+  await tracker.save();
+
+  const safeName = job.vmName.replace(/^agent-/, '');
+  try {
+    job.result = await provisionAgent(job.vmName, safeName, job.email, job.params, tracker);
+    job.state = 'waiting_heartbeat';
+    await tracker.save();
+    const { config, configVersion, ...result } = job.result;
+    await state.recordAgent(job.email, { status: 'active', zone: result.zone, error: null, config, configVersion });
   } catch (err) {
-    if (err.message?.includes('not found') || err.code === 5) {
-      return { status: 'not_found', vmName };
+    console.error(`Provisioning job ${jobId} for ${job.email} failed:`, err);
+    if (job.state !== 'failed') {
+      job.state = 'failed';
+      job.error = err.message;
+      await tracker.save();
+    }
+    await state.recordAgent(job.email, { status: 'failed', error: job.error });
+  }
+}
+
+/**
+ * Pub/Sub entry point for JOB_QUEUE=pubsub.
+ */
+exports.provisionWorker = async (event) => {
+  const jobId = jobs.decodeQueueMessage(event);
+  if (!jobId) {
+    console.error('Ignoring malformed provisioning message');
+    return;
+  }
+  await runProvisionJob(jobId);
+};
+
+/**
+ * A provisioning job's stages and outcome.
+ */
+async function jobStatus(jobId) {
+  const job = await jobStore.get(jobId);
+  if (!job) return null;
+  await refreshJob(job);
+  const { id, ...rest } = job;
+  return { jobId: id, ...rest };
+}
+
+/**
+ * Move an unfinished job on if it is done or will never be. The last stage —
+ * the agent's first heartbeat — is checked here, since the VM takes minutes
+ * to install and boot; a queued or running job whose worker died is failed.
+ */
+async function refreshJob(job) {
+  const tracker = jobs.createStageTracker(jobStore, job);
+
+  if (jobs.isStalled(job, JOB_STALL_MINUTES)) {
+    const stage = job.stages.find(s => s.status === 'running');
+    const error = `No progress for ${JOB_STALL_MINUTES} minutes — the worker stopped`;
+    if (stage) {
+      stage.status = 'failed';
+      stage.error = error;
+    }
+    job.state = 'failed';
+    job.error = stage ? `${stage.name}: ${error}` : error;
+    await tracker.save();
+    await state.recordAgent(job.email, { status: 'failed', error: job.error });
+    console.warn(`Provisioning job ${job.id} for ${job.email} stalled`);
+    return;
+  }
+
+  if (job.state === 'waiting_heartbeat') {
+    const stage = job.stages.find(s => s.name === 'heartbeat_seen');
+    const lastHeartbeat = await compute.getHeartbeat(job.vmName, job.result?.zone);
+    const runningSince = job.stages.find(s => s.name === 'vm_running')?.finishedAt || job.updatedAt;
+
+    if (lastHeartbeat && new Date(lastHeartbeat) >= new Date(job.createdAt)) {
+      stage.status = 'done';
+      stage.finishedAt = lastHeartbeat;
+      job.state = 'succeeded';
+      await tracker.save();
+    } else if (Date.now() - new Date(runningSince).getTime() > HEARTBEAT_RED_MINUTES * 60000) {
+      stage.status = 'failed';
+      stage.error = `No heartbeat within ${HEARTBEAT_RED_MINUTES} minutes of boot`;
+      job.state = 'failed';
+      job.error = `heartbeat_seen: ${stage.error}`;
+      await tracker.save();
+    } else if (stage.status === 'pending') {
+      stage.status = 'running';
+      stage.startedAt = runningSince;
+    }
+  }
+}
+
+const untracked = { track: (name, fn) => fn(), skip: async () => {} };
+
+/**
+ * Provision a new agent VM. `tracker` (see jobs.js) records each stage of a
+ * provisioning job; direct callers can leave it out.
+ */
+async function provisionAgent(vmName, safeName, email, options = {}, tracker = untracked) {
+  const { machineType = DEFAULT_VM_TYPE, diskSizeGb, diskType } = options;
+
+  // Check if VM already exists
+  const instance = await compute.getInstance(vmName);
+  if (instance) {
+    const { zone } = instance;
+    await tracker.skip('secret_created', 'Agent VM already exists');
+    await tracker.skip('instance_inserted', 'Agent VM already exists');
+    // Re-enabling an agent cancels a pending purge and ends a pause
+    if (instance.labels[PURGE_LABEL] || instance.labels[PAUSED_LABEL]) {
+      await compute.setLabels(instance, { [PURGE_LABEL]: null, [PAUSED_LABEL]: null });
+    }
+    if (instance.status === 'TERMINATED') {
+      // Deprovisioning disabled the agent's identity — re-enable before boot
+      await tracker.track('iam_bound', () => compute.ensureIdentity(safeName, email));
+      await tracker.track('vm_running', async () => {
+        await compute.startInstance(instance);
+        await compute.waitForRunning(vmName, zone, VM_RUNNING_TIMEOUT_SECONDS);
+      });
+      return { status: 'started', vmName, zone };
     }
-    throw err;
+    await tracker.skip('iam_bound', 'Agent VM already exists');
+    await tracker.track('vm_running', () => compute.waitForRunning(vmName, zone, VM_RUNNING_TIMEOUT_SECONDS));
+    return { status: 'already_exists', vmName, zone };
   }
+
+  const [configSecret, apiKeySecret] = agentSecretNames(safeName);
+  const agentConfig = newAgentConfig(email, options);
+
+  const configVersion = await tracker.track('secret_created', async () => {
+    // Create secret (or update if exists)
+    await secrets.ensure(configSecret);
+
+    // Per-agent API key secret — created empty so the agent can store the
+    // owner's key (store_key.py) without project-wide secret permissions
+    await secrets.ensure(apiKeySecret);
+
+    // Always add a new version with latest config
+    return writeAgentConfig(safeName, agentConfig);
+  });
+
+  const identity = await tracker.track('iam_bound', async () => {
+    // Dedicated identity: it can read only this agent's secrets
+    const agentIdentity = await compute.ensureIdentity(safeName, email);
+    await secrets.grant(configSecret, agentIdentity, 'read');
+    await secrets.grant(apiKeySecret, agentIdentity, 'read');
+    await secrets.grant(apiKeySecret, agentIdentity, 'write');
+
+    // Shared plane secrets the startup script reads
+    for (const sharedName of SHARED_SECRETS) {
+      try {
+        // Shared secrets may not exist yet, that's fine
+        await secrets.grant(sharedName, agentIdentity, 'read');
+      } catch (err) {
+        console.warn(`Failed to grant access to ${sharedName}:`, err.message);
+      }
+    }
+    return agentIdentity;
+  });
+
+  const scriptVersion = await defaultScriptVersion();
+  const placement = await tracker.track('instance_inserted', async () => {
+    const { zone, skippedZones } = await compute.createInstance({
+      vmName, safeName, identity, labels: configLabels(agentConfig), configVersion, scriptVersion, machineType, diskSizeGb,
+      diskType,
+    });
+    return { zone, skippedZones };
+  });
+
+  await tracker.track('vm_running', () => compute.waitForRunning(vmName, placement.zone, VM_RUNNING_TIMEOUT_SECONDS));
+
+  return { status: 'created', vmName, ...placement, config: agentConfig, configVersion };
+}
+
+/**
+ * What provisionAgent would do, without doing any of it: start the existing
+ * VM, leave it alone, or create it — and for a new VM the exact instance
+ * resource, the config secret version (sensitive values redacted) and the
+ * IAM bindings it would add.
+ */
+async function planProvision(vmName, safeName, email, options = {}) {
+  const instance = await compute.getInstance(vmName);
+  if (instance) {
+    return {
+      decision: instance.status === 'TERMINATED' ? 'start' : 'leave',
+      vmName,
+      zone: instance.zone,
+      instanceStatus: instance.status,
+      cancelsPurge: Boolean(instance.labels[PURGE_LABEL]),
+    };
+  }
+
+  const { machineType = DEFAULT_VM_TYPE, diskSizeGb, diskType } = options;
+  const [configSecret, apiKeySecret] = agentSecretNames(safeName);
+  const agentConfig = newAgentConfig(email, options);
+  const latest = await secrets.read(configSecret);
+  const configVersion = String(Number(latest?.version || 0) + 1);
+  const identity = compute.identityOf(safeName);
+
+  // Shared secrets that do not exist yet are skipped when granting
+  const sharedSecrets = [];
+  for (const name of SHARED_SECRETS) {
+    if (await secrets.listVersions(name)) sharedSecrets.push(name);
+  }
+  const grants = [
+    { name: configSecret, access: 'read' },
+    { name: apiKeySecret, access: 'read' },
+    { name: apiKeySecret, access: 'write' },
+    ...sharedSecrets.map(name => ({ name, access: 'read' })),
+  ];
+
+  const scriptVersion = await defaultScriptVersion();
+  const placement = await compute.renderInstance({
+    vmName, safeName, identity, labels: configLabels(agentConfig), configVersion, scriptVersion, machineType, diskSizeGb,
+    diskType,
+  }, { grants });
+  return {
+    decision: 'create',
+    vmName,
+    ...placement,
+    secrets: [
+      { name: configSecret, version: configVersion, payload: redact(agentConfig) },
+      { name: apiKeySecret, version: null, payload: null },
+    ],
+    identity,
+    iamBindings: [
+      ...compute.identityBindings(safeName),
+      ...grants.map(({ name, access }) => ({ resource: secrets.resourceName(name), role: access, member: identity })),
+    ],
+  };
+}
+
+/**
+ * Agent status: instance details, the config the VM was told to load, its
+ * last heartbeat and a rolled-up green/yellow/red health value.
+ */
+async function agentStatus(vmName, safeName) {
+  const instance = await compute.getInstance(vmName);
+  if (!instance) return { status: 'not_found', vmName };
+
+  let config = null;
+  let activeVersion = null;
+  try {
+    const secret = await secrets.read(agentSecretNames(safeName)[0], instance.configVersion || 'latest');
+    if (secret) {
+      const { user, model, provider, budget, tools, channels, schedule } = JSON.parse(secret.value);
+      config = { user, model, provider, budget, tools, channels, schedule };
+      activeVersion = secret.version;
+    }
+  } catch (err) {
+    console.warn(`Failed to read config for ${vmName}:`, err.message);
+  }
+
+  const lastHeartbeat = await compute.getHeartbeat(vmName, instance.zone);
+  const lastReload = await compute.getLastReload(vmName, instance.zone);
+  const sleeping = Boolean(instance.labels[SLEEPING_LABEL]);
+  const { health, reason } = computeHealth({
+    instanceStatus: instance.status,
+    createdAt: instance.createdAt,
+    lastHeartbeat,
+    hasConfig: Boolean(config),
+    sleeping,
+  });
+
+  return {
+    status: instance.status,
+    vmName,
+    machineType: instance.machineType,
+    zone: instance.zone,
+    labels: instance.labels,
+    createdAt: instance.createdAt,
+    configVersion: activeVersion,
+    config,
+    scriptVersion: instance.scriptVersion || rollouts.UNVERSIONED,
+    lastHeartbeat,
+    lastReload,
+    sleeping,
+    awakeUntil: instance.labels[AWAKE_LABEL] ? new Date(Number(instance.labels[AWAKE_LABEL]) * 1000).toISOString() : null,
+    paused: Boolean(instance.labels[PAUSED_LABEL]),
+    health,
+    healthReason: reason,
+  };
+}
+
+/**
+ * Roll instance state and heartbeat age into green / yellow / red.
+ */
+function computeHealth({ instanceStatus, createdAt, lastHeartbeat, hasConfig, sleeping = false, now = Date.now() }) {
+  if (instanceStatus === 'TERMINATED' && sleeping) {
+    return { health: 'green', reason: 'Asleep outside its power schedule (wakes on demand)' };
+  }
+  if (['STAGING', 'PROVISIONING', 'STOPPING', 'SUSPENDING', 'REPAIRING'].includes(instanceStatus)) {
+    return { health: 'yellow', reason: `Instance is ${instanceStatus}` };
+  }
+  if (instanceStatus !== 'RUNNING') {
+    return { health: 'red', reason: `Instance is ${instanceStatus}` };
+  }
+  if (!hasConfig) {
+    return { health: 'red', reason: 'Config secret unreadable' };
+  }
+
+  const minutes = (since) => (now - new Date(since).getTime()) / 60000;
+  if (!lastHeartbeat) {
+    // Fresh VMs take a few minutes to install and start the gateway
+    if (createdAt && minutes(createdAt) < HEARTBEAT_RED_MINUTES) {
+      return { health: 'yellow', reason: 'Booting — no heartbeat yet' };
+    }
+    return { health: 'red', reason: 'No heartbeat reported' };
+  }
+  const age = minutes(lastHeartbeat);
+  if (age > HEARTBEAT_RED_MINUTES) {
+    return { health: 'red', reason: `Last heartbeat ${Math.round(age)} minutes ago` };
+  }
+  if (age > HEARTBEAT_YELLOW_MINUTES) {
+    return { health: 'yellow', reason: `Last heartbeat ${Math.round(age)} minutes ago` };
+  }
+  return { health: 'green', reason: 'Running with recent heartbeat' };
+}
+
+/**
+ * Restart an agent VM (hard reset). A stopped VM is started instead.
+ */
+async function restartAgent(vmName, safeName, email) {
+  const instance = await compute.getInstance(vmName);
+  if (!instance) return { status: 'not_found', vmName };
+
+  if (instance.status === 'TERMINATED') {
+    await compute.ensureIdentity(safeName, email);
+    await compute.startInstance(instance);
+    return { status: 'started', vmName };
+  }
+
+  await compute.resetInstance(instance);
+  return { status: 'reset', vmName };
+}
+
+/**
+ * Recreate an agent VM from the current image and startup script, keeping
+ * its data disk (and with it the agent's memory and workspace).
+ */
+async function reprovisionAgent(vmName, safeName, email, { force = false } = {}) {
+  const instance = await compute.getInstance(vmName);
+  if (!instance) return { status: 'not_found', vmName };
+
+  // VMs from before data disks keep the workspace on the boot disk
+  if (!instance.hasDataDisk && !force) return { status: 'no_data_disk', vmName };
+
+  const agentConfig = await readAgentConfig(safeName);
+  const identity = await compute.ensureIdentity(safeName, email);
+  const { dataDiskReused, ...placement } = await compute.recreateInstance(instance, {
+    vmName,
+    safeName,
+    identity,
+    labels: configLabels(agentConfig),
+    configVersion: instance.configVersion || 'latest',
+    scriptVersion: instance.scriptVersion,
+  });
+
+  return { status: 'reprovisioned', vmName, ...placement, dataDisk: compute.dataDiskName(vmName), dataDiskReused };
+}
+
+/**
+ * Reconfigure a running agent: write a new config secret version, mirror it
+ * into the instance labels and point the agent at the new version so its
+ * watcher reloads. A stopped VM picks the new config up on next boot.
+ */
+async function updateAgent(vmName, safeName, email, changes) {
+  const instance = await compute.getInstance(vmName);
+  if (!instance) return { status: 'not_found', vmName };
+
+  const previous = await readAgentConfig(safeName);
+  const current = { ...previous, user: email };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value !== undefined) current[key] = value;
+  }
+  if (changes.model !== undefined) current.provider = capabilities.providerOf(changes.model, CAPABILITIES);
+
+  const configVersion = await writeAgentConfig(safeName, current);
+  await compute.setLabels(instance, configLabels(current));
+  await compute.setConfigVersion(instance, configVersion);
+  console.log(`Updated ${vmName} to config version ${configVersion}`);
+
+  return { status: 'updated', vmName, configVersion, previous, current };
+}
+
+/**
+ * Deprovision (stop) an agent VM. Does NOT delete to preserve data, but
+ * disables the agent's identity so its credentials stop working.
+ */
+async function deprovisionAgent(vmName, safeName) {
+  const instance = await compute.getInstance(vmName);
+  // A stopped agent must not be woken by its power schedule or resume-all
+  if (instance?.labels?.[SLEEPING_LABEL] || instance?.labels?.[AWAKE_LABEL] || instance?.labels?.[PAUSED_LABEL]) {
+    await compute.setLabels(instance, { [SLEEPING_LABEL]: null, [AWAKE_LABEL]: null, [PAUSED_LABEL]: null });
+  }
+  if (instance?.status === 'RUNNING') {
+    await compute.stopInstance(instance);
+  }
+  await compute.disableIdentity(safeName);
+  return { status: instance ? 'stopped' : 'not_found', vmName };
+}
+
+/**
+ * Add an agent's usage report to this month's ledger, email the owner as
+ * spend crosses each alert threshold and apply the cap action once the
+ * budget is used up. Agents without a numeric budget are only metered.
+ */
+async function recordUsage(vmName, safeName, email, usage) {
+  const month = metering.ledgerMonth();
+  const ledger = await state.recordUsage(email, month, usage);
+  const { budget } = await readAgentConfig(safeName);
+  if (typeof budget !== 'number') return { month, costUsd: ledger.costUsd, budget: null, percent: null, alerts: [], capAction: null };
+
+  const due = metering.dueAlerts(ledger, budget, BUDGET_SETTINGS.thresholds);
+  const capAction = metering.capReached(ledger, budget) ? await applyCapAction(vmName, safeName, email) : null;
+  if (due.length > 0) {
+    const { sent, at } = await sendBudgetAlert(email, vmName, { ...ledger, capAction }, budget);
+    await state.updateUsage(email, month, {
+      alerts: [...ledger.alerts, ...due.map(threshold => ({ threshold, at, sent }))],
+      ...(capAction && { capAction }),
+    });
+  } else if (capAction) {
+    await state.updateUsage(email, month, { capAction });
+  }
+  return { month, costUsd: ledger.costUsd, budget, percent: metering.spentPercent(ledger.costUsd, budget), alerts: due, capAction };
+}
+
+/**
+ * Carry out BUDGET_CAP_ACTION for an agent that has used up its budget. A
+ * downgraded or stopped agent stays that way until an admin changes it.
+ */
+async function applyCapAction(vmName, safeName, email) {
+  const { capAction: action, downgradeModel } = BUDGET_SETTINGS;
+  const at = new Date().toISOString();
+  if (action === 'downgrade') {
+    const result = await updateAgent(vmName, safeName, email, { model: downgradeModel });
+    if (result.status === 'updated') {
+      await state.recordAgent(email, { vmName, config: result.current, configVersion: result.configVersion });
+    }
+    console.log(`${vmName} reached its budget — downgraded to ${downgradeModel}`);
+    return { action, at, status: result.status, model: downgradeModel };
+  }
+  if (action === 'stop') {
+    const result = await deprovisionAgent(vmName, safeName);
+    if (result.status !== 'not_found') await state.recordAgent(email, { vmName, status: 'stopped' });
+    console.log(`${vmName} reached its budget — stopped`);
+    return { action, at, status: result.status };
+  }
+  return { action, at, status: 'notified' };
+}
+
+/**
+ * Email the owner how much of the budget is spent and what happens (or
+ * happened) at the cap. A failed send is logged and recorded, not raised.
+ */
+async function sendBudgetAlert(email, vmName, ledger, budget) {
+  const at = new Date().toISOString();
+  const percent = metering.spentPercent(ledger.costUsd, budget);
+  const atCap = {
+    notify: 'It keeps running — ask your admin to raise the budget.',
+    downgrade: `It has been switched to ${BUDGET_SETTINGS.downgradeModel} for the rest of the month.`,
+    stop: 'It has been stopped — ask your admin to restart it or raise the budget.',
+  }[BUDGET_SETTINGS.capAction];
+  const beforeCap = {
+    notify: 'You will get another alert if it reaches the budget.',
+    downgrade: `At 100% it will be switched to ${BUDGET_SETTINGS.downgradeModel}.`,
+    stop: 'At 100% it will be stopped.',
+  }[BUDGET_SETTINGS.capAction];
+  const owner = (await state.getAgent(email))?.owner || email;
+  try {
+    const { sent } = await notifyOwner({
+      to: owner,
+      subject: `Your agent has used ${percent}% of its $${budget} budget for ${ledger.month}`,
+      body: [
+        `Your agent ${vmName} has used $${ledger.costUsd.toFixed(2)} of its $${budget} monthly budget (${percent}%).`,
+        '',
+        ledger.capAction ? atCap : beforeCap,
+        '',
+      ].join('\n'),
+    });
+    return { sent, at };
+  } catch (err) {
+    console.error(`Failed to send budget alert for ${vmName}:`, err);
+    return { sent: false, at };
+  }
+}
+
+/**
+ * This month's spend against the budget, for `status`.
+ */
+async function usageSummary(email, budget) {
+  const month = metering.ledgerMonth();
+  const ledger = await state.getUsage(email, month);
+  const costUsd = ledger?.costUsd || 0;
+  return {
+    month,
+    costUsd,
+    budget: budget ?? null,
+    percent: typeof budget === 'number' ? metering.spentPercent(costUsd, budget) : null,
+    capAction: ledger?.capAction || null,
+  };
+}
+
+/**
+ * Purge an agent: snapshot its workspace, then delete the VM, its secrets,
+ * IAM bindings and identity.
+ *
+ * With a grace period the first call only stops the VM and labels it with the
+ * time the purge becomes due; a later `purge` or `purge-sweep` finishes the job.
+ * Provisioning the agent again before then cancels the purge.
+ */
+async function purgeAgent(vmName, safeName, { graceHours = PURGE_GRACE_HOURS, dryRun = false } = {}) {
+  const instance = await compute.getInstance(vmName);
+  const scheduled = instance?.labels?.[PURGE_LABEL];
+  const purgeAfter = scheduled
+    ? new Date(Number(scheduled) * 1000)
+    : new Date(Date.now() + graceHours * 3600 * 1000);
+
+  if (dryRun) {
+    const wouldDestroy = await listPurgeTargets(vmName, safeName, instance);
+    return { status: 'dry_run', vmName, purgeAfter: purgeAfter.toISOString(), wouldDestroy };
+  }
+
+  if (instance && graceHours > 0) {
+    if (!scheduled) {
+      await deprovisionAgent(vmName, safeName);
+      // Deprovisioning may have changed the labels; set ours on a fresh read
+      const stopped = await compute.getInstance(vmName);
+      await compute.setLabels(stopped, { [PURGE_LABEL]: String(Math.floor(purgeAfter.getTime() / 1000)) });
+      console.log(`Purge of ${vmName} scheduled for ${purgeAfter.toISOString()}`);
+      return { status: 'scheduled', vmName, purgeAfter: purgeAfter.toISOString() };
+    }
+    if (purgeAfter.getTime() > Date.now()) {
+      return { status: 'pending', vmName, purgeAfter: purgeAfter.toISOString() };
+    }
+  }
+
+  return executePurge(vmName, safeName, instance);
+}
+
+/**
+ * Everything a purge would destroy, without touching it.
+ */
+async function listPurgeTargets(vmName, safeName, instance) {
+  const identity = compute.identityOf(safeName);
+  const secretList = [];
+  for (const secretName of agentSecretNames(safeName)) {
+    const versions = await secrets.listVersions(secretName);
+    if (versions) secretList.push({ name: secretName, versions: versions.length });
+  }
+  return {
+    snapshot: instance ? { name: snapshotName(vmName, 'purge') } : null,
+    instance: instance ? vmName : null,
+    disks: instance ? instance.disks : [],
+    secrets: secretList,
+    iamBindings: [
+      ...compute.identityBindings(safeName),
+      ...SHARED_SECRETS.map(name => ({ resource: secrets.resourceName(name), role: 'read', member: identity })),
+    ],
+    identity,
+  };
+}
+
+async function executePurge(vmName, safeName, instance) {
+  const destroyed = [];
+  let snapshot = null;
+
+  if (instance) {
+    // Snapshot first — it is the only copy of the agent's workspace afterwards
+    ({ name: snapshot } = await compute.snapshotWorkspace(instance, snapshotName(vmName, 'purge'), {
+      'agent-user': safeName,
+      purpose: 'purge',
+    }));
+    console.log(`Snapshot ${snapshot} created for ${vmName}`);
+
+    await compute.deleteInstance(instance);
+    destroyed.push(`instance:${vmName}`);
+  }
+
+  // The data disk is not deleted with the instance
+  const dataDisk = await compute.deleteDataDisk(vmName);
+  if (dataDisk) destroyed.push(`disk:${dataDisk}`);
+
+  // Deleting a secret deletes all of its versions and grants
+  for (const secretName of agentSecretNames(safeName)) {
+    if (await secrets.delete(secretName)) destroyed.push(`secret:${secretName}`);
+  }
+
+  const identity = compute.identityOf(safeName);
+  for (const sharedName of SHARED_SECRETS) {
+    await secrets.revoke(sharedName, identity);
+  }
+  destroyed.push('iam-bindings');
+  if (await compute.deleteIdentity(safeName)) {
+    destroyed.push(`identity:${identity}`);
+  }
+
+  console.log(`Purged ${vmName}: ${destroyed.join(', ')}`);
+  return { status: 'purged', vmName, snapshot, destroyed };
+}
+
+/**
+ * Finish every purge whose grace period has elapsed. Meant to be called on a
+ * schedule (e.g. Cloud Scheduler, daily).
+ */
+async function sweepPurges({ dryRun = false } = {}) {
+  const instances = await compute.listInstances({ label: PURGE_LABEL });
+  const results = [];
+  for (const instance of instances) {
+    const safeName = instance.labels['agent-user'];
+    if (!safeName) continue;
+    try {
+      const result = await purgeAgent(instance.name, safeName, { dryRun });
+      results.push(result);
+    } catch (err) {
+      console.error(`Purge sweep failed for ${instance.name}:`, err);
+      results.push({ status: 'error', vmName: instance.name, error: err.message });
+    }
+  }
+  return { results };
+}
+
+/**
+ * Managed instances with their owner from the registry, for listing and bulk
+ * actions. Agents missing from the registry have a null email.
+ */
+async function managedAgents() {
+  const owners = new Map((await state.listAgents()).map(agent => [agent.vmName, agent.email]));
+  return (await compute.listInstances())
+    .filter(instance => instance.labels['agent-user'])
+    .map(instance => ({
+      vmName: instance.name,
+      safeName: instance.labels['agent-user'],
+      email: owners.get(instance.name) || null,
+      status: instance.status,
+      labels: instance.labels,
+      instance,
+    }));
+}
+
+/**
+ * One page of the fleet, with each agent's model and budget from the config
+ * it runs.
+ */
+async function listFleet({ filters, pageSize, after }) {
+  const agents = await managedAgents();
+  if (filters.domain) {
+    // Owners the registry doesn't know come from the config secret
+    for (const agent of agents.filter(a => !a.email)) agent.email = (await readAgentConfig(agent.safeName)).user || null;
+  }
+  const matching = agents.filter(agent => fleet.matchesFilters(agent, filters));
+  const { page, nextPageToken } = fleet.paginate(matching, { pageSize, after });
+
+  const rows = [];
+  for (const { vmName, email, status, labels, instance, safeName } of page) {
+    let config = {};
+    try {
+      const secret = await secrets.read(agentSecretNames(safeName)[0], instance.configVersion || 'latest');
+      if (secret) config = JSON.parse(secret.value);
+    } catch (err) {
+      console.warn(`Failed to read config for ${vmName}:`, err.message);
+    }
+    rows.push({
+      vmName,
+      email: email || config.user || null,
+      status,
+      model: config.model ?? null,
+      budget: config.budget ?? null,
+      machineType: instance.machineType,
+      zone: instance.zone,
+      sleeping: Boolean(labels[SLEEPING_LABEL]),
+      paused: Boolean(labels[PAUSED_LABEL]),
+      purgeScheduled: Boolean(labels[PURGE_LABEL]),
+      labels,
+    });
+  }
+  return { agents: rows, total: matching.length, nextPageToken };
+}
+
+/**
+ * Stop every running agent matching `filters` (REQ-WS-05), `concurrency` at
+ * a time, and label them so resume-all starts them again. Sleeping agents
+ * are paused too, so their power schedule no longer wakes them. Agents an
+ * admin stopped and agents being purged are skipped.
+ */
+async function pauseAll({ filters, concurrency, dryRun = false }) {
+  const targets = (await managedAgents()).filter(agent => fleet.matchesFilters(agent, filters));
+  return runBulk(targets, concurrency, async ({ vmName, email, instance }) => {
+    const { labels } = instance;
+    if (labels[PURGE_LABEL]) return { status: 'skipped', reason: 'purge scheduled' };
+    if (labels[PAUSED_LABEL]) return { status: 'skipped', reason: 'already paused' };
+    if (instance.status === 'TERMINATED' && !labels[SLEEPING_LABEL]) return { status: 'skipped', reason: 'stopped' };
+    if (dryRun) return { status: 'would_pause' };
+    await compute.setLabels(instance, { [PAUSED_LABEL]: 'true', [SLEEPING_LABEL]: null, [AWAKE_LABEL]: null });
+    if (instance.status !== 'TERMINATED') await compute.stopInstance(instance);
+    if (email) await state.recordAgent(email, { vmName, status: 'paused' });
+    return { status: 'paused' };
+  }, dryRun);
+}
+
+/**
+ * Start the agents pause-all stopped, `concurrency` at a time.
+ */
+async function resumeAll({ filters, concurrency, dryRun = false }) {
+  const targets = (await managedAgents())
+    .filter(agent => agent.labels[PAUSED_LABEL] && fleet.matchesFilters(agent, filters));
+  return runBulk(targets, concurrency, async ({ vmName, email, instance }) => {
+    if (dryRun) return { status: 'would_resume' };
+    await compute.startInstance(instance);
+    await compute.setLabels(instance, { [PAUSED_LABEL]: null });
+    if (email) await state.recordAgent(email, { vmName, status: 'active' });
+    return { status: 'resumed' };
+  }, dryRun);
+}
+
+async function runBulk(targets, concurrency, fn, dryRun) {
+  const results = (await fleet.mapLimited(targets, concurrency, fn)).map(({ item, value, error }) => {
+    if (!error) return { vmName: item.vmName, email: item.email, ...value };
+    console.error(`Bulk action failed for ${item.vmName}:`, error);
+    return { vmName: item.vmName, email: item.email, status: 'error', error: error.message };
+  });
+  return { dryRun: Boolean(dryRun), results, failed: results.filter(r => r.status === 'error').length };
+}
+
+/**
+ * Snapshot an agent's workspace as a backup, labelled with when it may be
+ * deleted (see sweepBackups).
+ */
+async function backupAgent(vmName, safeName, { retentionDays = BACKUP_RETENTION_DAYS } = {}) {
+  const instance = await compute.getInstance(vmName);
+  if (!instance) return { status: 'not_found', vmName };
+  return backupInstance(instance, safeName, retentionDays);
+}
+
+async function backupInstance(instance, safeName, retentionDays, purpose = 'backup') {
+  const retainUntil = new Date(Date.now() + retentionDays * 24 * 3600 * 1000);
+  const { name, disk } = await compute.snapshotWorkspace(instance, snapshotName(instance.name, purpose.replace('-', '')), {
+    'agent-user': safeName,
+    purpose,
+    [RETAIN_LABEL]: String(Math.floor(retainUntil.getTime() / 1000)),
+  });
+  console.log(`Backed up ${instance.name} to ${name}`);
+  return { status: 'backed_up', vmName: instance.name, snapshot: name, disk, retainUntil: retainUntil.toISOString() };
+}
+
+/**
+ * Back up every agent, then delete backups past their retention. Meant to be
+ * called on a schedule (e.g. Cloud Scheduler, daily). Purge snapshots carry
+ * no retention label and are never deleted here.
+ */
+async function sweepBackups({ dryRun = false } = {}) {
+  const results = [];
+  for (const instance of await compute.listInstances()) {
+    const safeName = instance.labels['agent-user'];
+    if (!safeName || instance.labels[PURGE_LABEL]) continue;
+    if (dryRun) {
+      results.push({ status: 'dry_run', vmName: instance.name });
+      continue;
+    }
+    try {
+      results.push(await backupInstance(instance, safeName, BACKUP_RETENTION_DAYS));
+    } catch (err) {
+      console.error(`Backup sweep failed for ${instance.name}:`, err);
+      results.push({ status: 'error', vmName: instance.name, error: err.message });
+    }
+  }
+
+  const expired = [];
+  for (const snapshot of await compute.listSnapshots()) {
+    const retainUntil = Number(snapshot.labels[RETAIN_LABEL]);
+    if (!retainUntil || retainUntil * 1000 > Date.now()) continue;
+    try {
+      if (!dryRun) await compute.deleteSnapshot(snapshot.name);
+      expired.push(snapshot.name);
+    } catch (err) {
+      console.error(`Deleting expired snapshot ${snapshot.name} failed:`, err);
+      results.push({ status: 'error', snapshot: snapshot.name, error: err.message });
+    }
+  }
+  return { dryRun: Boolean(dryRun), results, expired };
+}
+
+/**
+ * Restore an agent's workspace from one of its snapshots. An existing VM gets
+ * the restored disk in place of its data disk — after a `pre-restore` backup
+ * of the current one — and is started again if it was running. Without a VM
+ * only the disk is created, for provisioning to build the VM on.
+ */
+async function restoreWorkspace(vmName, safeName, { snapshot, dryRun = false }) {
+  const found = (await compute.listSnapshots({ safeName })).find(s => s.name === snapshot);
+  if (!found) return { status: 'snapshot_not_found', vmName, snapshot };
+  if (found.labels['workspace-disk'] === 'boot') return { status: 'not_restorable', vmName, snapshot };
+
+  const instance = await compute.getInstance(vmName);
+  if (dryRun) {
+    return { status: 'dry_run', vmName, snapshot, createdAt: found.createdAt, mode: instance ? 'attach' : 'new-vm' };
+  }
+  if (!instance) {
+    const { disk, zone } = await compute.restoreDataDisk(vmName, snapshot);
+    console.log(`Restored ${snapshot} to ${disk} for a new ${vmName}`);
+    return { status: 'disk_restored', vmName, snapshot, disk, zone };
+  }
+
+  const { snapshot: safetySnapshot } = await backupInstance(instance, safeName, BACKUP_RETENTION_DAYS, 'pre-restore');
+  const wasRunning = instance.status !== 'TERMINATED';
+  if (wasRunning) await compute.stopInstance(instance);
+  // Re-read: stopping changes the instance's fingerprint
+  const stopped = await compute.getInstance(vmName);
+  const { disk, zone } = await compute.restoreDataDisk(vmName, snapshot, stopped);
+  if (wasRunning) await compute.startInstance(stopped);
+  console.log(`Restored ${snapshot} to ${vmName}`);
+  return { status: 'restored', vmName, snapshot, disk, zone, safetySnapshot, started: wasRunning };
+}
+
+/**
+ * Workspace snapshots grouped by agent, newest first — every agent's, or
+ * only those of the agent owning `email`.
+ */
+async function listWorkspaceSnapshots(email) {
+  let safeName;
+  if (email) {
+    safeName = agentNames(email)?.safeName;
+    if (!safeName) return [];
+  }
+  const owners = new Map((await state.listAgents()).map(agent => [agent.vmName, agent.email]));
+  const byAgent = new Map();
+  for (const snapshot of await compute.listSnapshots({ safeName })) {
+    const vmName = `agent-${snapshot.labels['agent-user']}`;
+    if (!byAgent.has(vmName)) byAgent.set(vmName, { vmName, email: owners.get(vmName) || null, snapshots: [] });
+    const retainUntil = Number(snapshot.labels[RETAIN_LABEL]);
+    byAgent.get(vmName).snapshots.push({
+      name: snapshot.name,
+      purpose: snapshot.labels.purpose || null,
+      createdAt: snapshot.createdAt,
+      retainUntil: retainUntil ? new Date(retainUntil * 1000).toISOString() : null,
+      restorable: snapshot.labels['workspace-disk'] !== 'boot',
+      sizeGb: snapshot.sizeGb,
+    });
+  }
+  return [...byAgent.values()];
+}
+
+/**
+ * Stop agents outside their power schedule and start the ones it put to
+ * sleep once on-hours begin. Meant to be called on a schedule (e.g. Cloud
+ * Scheduler, every 15 minutes). A dry run reports what would change and the
+ * projected monthly savings of every schedule.
+ */
+async function sweepPower({ dryRun = false } = {}) {
+  const now = new Date();
+  const results = [];
+  for (const instance of await compute.listInstances()) {
+    const safeName = instance.labels['agent-user'];
+    if (!safeName || instance.labels[PURGE_LABEL]) continue;
+    try {
+      const secret = await secrets.read(agentSecretNames(safeName)[0], instance.configVersion || 'latest');
+      const schedule = secret ? JSON.parse(secret.value).schedule : null;
+      const sleeping = Boolean(instance.labels[SLEEPING_LABEL]);
+      const awakeUntil = instance.labels[AWAKE_LABEL] ? Number(instance.labels[AWAKE_LABEL]) * 1000 : null;
+      if (!schedule && !sleeping && !awakeUntil) continue;
+      // An agent whose schedule was removed is always on
+      const onHours = schedule ? power.isOnHours(schedule, now, POWER_SETTINGS.defaultTimezone) : true;
+      const decision = power.powerDecision({ status: instance.status, sleeping, awakeUntil, onHours, now: now.getTime() });
+      const entry = {
+        vmName: instance.name,
+        status: instance.status,
+        onHours,
+        action: decision || 'none',
+        onHoursPerWeek: schedule ? power.onHoursPerWeek(schedule) : 7 * 24,
+        monthlySavingsUsd: schedule ? power.monthlySavings(schedule, instance.machineType, POWER_SETTINGS.hourlyUsd) : 0,
+      };
+      if (!dryRun && decision) await applyPowerDecision(instance, decision);
+      results.push(entry);
+    } catch (err) {
+      console.error(`Power sweep failed for ${instance.name}:`, err);
+      results.push({ vmName: instance.name, action: 'error', error: err.message });
+    }
+  }
+  const monthlyUsd = results.reduce((sum, r) => sum + (r.monthlySavingsUsd || 0), 0);
+  return { dryRun: Boolean(dryRun), results, savings: { monthlyUsd: Math.round(monthlyUsd * 100) / 100 } };
+}
+
+async function applyPowerDecision(instance, decision) {
+  if (decision === 'sleep') {
+    await compute.setLabels(instance, { [SLEEPING_LABEL]: 'true', [AWAKE_LABEL]: null });
+    await compute.stopInstance(instance);
+    console.log(`${instance.name} is outside on-hours — stopped`);
+  } else if (decision === 'wake') {
+    await compute.startInstance(instance);
+    await compute.setLabels(instance, { [SLEEPING_LABEL]: null });
+    console.log(`${instance.name} is in on-hours — started`);
+  } else if (decision === 'clear') {
+    await compute.setLabels(instance, { [SLEEPING_LABEL]: null, [AWAKE_LABEL]: null });
+  }
+}
+
+/**
+ * Start an agent the power schedule put to sleep and keep it up for
+ * WAKE_HOURS, even outside on-hours. Agents an admin stopped stay stopped.
+ */
+async function wakeAgent(vmName) {
+  const instance = await compute.getInstance(vmName);
+  if (!instance) return { status: 'not_found', vmName };
+  const sleeping = Boolean(instance.labels[SLEEPING_LABEL]);
+  if (instance.status === 'TERMINATED' && !sleeping) return { status: 'stopped', vmName };
+
+  // Start before dropping the sleep label, so a failed start leaves the agent
+  // asleep (and wakeable) rather than looking stopped by an admin
+  const awakeUntil = new Date(Date.now() + WAKE_HOURS * 3600 * 1000);
+  if (instance.status === 'TERMINATED') await compute.startInstance(instance);
+  await compute.setLabels(instance, { [SLEEPING_LABEL]: null, [AWAKE_LABEL]: String(Math.floor(awakeUntil.getTime() / 1000)) });
+  if (instance.status === 'TERMINATED') {
+    console.log(`Woke ${vmName} until ${awakeUntil.toISOString()}`);
+    return { status: 'woken', vmName, awakeUntil: awakeUntil.toISOString() };
+  }
+  return { status: 'awake', vmName, awakeUntil: awakeUntil.toISOString() };
+}
+
+/**
+ * Start moving agents to startup script `version` (see rollouts.js): record
+ * the rollout and restart its first wave, the canary, on the new version.
+ * `rollout-status` moves it on from there. One rollout runs at a time.
+ */
+async function startRollout({ version, percent, vmNames, waveSize, healthMinutes, dryRun = false }) {
+  const [active] = await state.listRollouts({ state: 'running', limit: 1 });
+  if (active && !dryRun) {
+    return { code: 409, body: { error: `Rollout ${active.id} to ${active.version} is still running`, rolloutId: active.id } };
+  }
+  const { targets, skipped, missing } = rollouts.selectTargets(await scriptFleet(), { version, percent, vmNames });
+  if (missing.length > 0) return { code: 404, body: { error: `No agent VM ${missing.join(', ')}` } };
+
+  const record = rollouts.newRollout({ version, targets, waveSize, healthMinutes, fleetWide: !vmNames && percent === 100 });
+  const summary = {
+    version,
+    fleetWide: record.fleetWide,
+    waves: record.waves,
+    targets: record.targets.map(({ vmName, email, from, wave }) => ({ vmName, email, from, wave })),
+    skipped,
+  };
+  if (dryRun) return { body: { success: true, action: 'rollout', dryRun: true, ...summary } };
+
+  if (targets.length === 0) {
+    // Nothing to move; a fleet-wide rollout still makes `version` the default
+    record.state = 'succeeded';
+    record.finishedAt = new Date().toISOString();
+  } else {
+    await moveWave(record);
+  }
+  await state.saveRollout(record);
+  return { code: 202, body: { success: true, action: 'rollout', rolloutId: record.id, state: record.state, ...summary } };
+}
+
+/**
+ * Check a rollout's current wave and move it on: start the next wave, finish
+ * or roll back. Then report which startup script version each agent runs.
+ * Without `rolloutId`, the latest rollout.
+ */
+async function rolloutStatus(rolloutId) {
+  let record = rolloutId ? await state.getRollout(rolloutId) : (await state.listRollouts({ limit: 1 }))[0] || null;
+  if (rolloutId && !record) return null;
+  if (record?.state === 'running') record = await advanceRollout(record);
+
+  const fleet = await scriptFleet();
+  return {
+    rollout: record,
+    defaultVersion: (await defaultScriptVersion()) || rollouts.UNVERSIONED,
+    versions: rollouts.versionCounts(fleet),
+    agents: fleet.map(agent => ({ ...agent, scriptVersion: agent.scriptVersion || rollouts.UNVERSIONED })),
+  };
+}
+
+async function advanceRollout(record) {
+  for (const target of record.targets.filter(t => t.wave === record.wave && t.status === 'moved')) {
+    const lastHeartbeat = await compute.getHeartbeat(target.vmName, target.zone);
+    const health = rollouts.targetHealth(target, lastHeartbeat, { healthMinutes: record.healthMinutes });
+    if (health === 'healthy') {
+      target.status = 'healthy';
+      target.healthyAt = lastHeartbeat;
+    } else if (health === 'failed') {
+      target.status = 'failed';
+      target.error = `No heartbeat within ${record.healthMinutes} minutes of restarting`;
+    }
+  }
+
+  const step = rollouts.nextStep(record);
+  if (step === 'next-wave') {
+    record.wave += 1;
+    await moveWave(record);
+  } else if (step === 'done') {
+    record.state = 'succeeded';
+    record.finishedAt = new Date().toISOString();
+    console.log(`Rollout ${record.id}: ${record.targets.length} agents on ${record.version}`);
+  } else if (step === 'rollback') {
+    await rollBack(record);
+  }
+  return state.saveRollout(record);
+}
+
+// Restart the current wave's agents on the rollout's version
+async function moveWave(record) {
+  for (const target of record.targets.filter(t => t.wave === record.wave)) {
+    const instance = await compute.getInstance(target.vmName);
+    if (instance?.status !== 'RUNNING') {
+      // Stopped or deleted since the rollout started — left on its version
+      target.status = 'skipped';
+      target.error = instance ? `Instance is ${instance.status}` : 'Instance not found';
+      continue;
+    }
+    try {
+      await compute.setScriptVersion(instance, record.version);
+      await compute.resetInstance(instance);
+      target.status = 'moved';
+      target.zone = instance.zone;
+      target.movedAt = new Date().toISOString();
+    } catch (err) {
+      console.error(`Rollout ${record.id}: moving ${target.vmName} failed:`, err);
+      target.status = 'failed';
+      target.error = err.message;
+    }
+  }
+  console.log(`Rollout ${record.id}: wave ${record.wave + 1} of ${record.waves} restarted on ${record.version}`);
+}
+
+// Put every agent the rollout touched back on the version it had
+async function rollBack(record) {
+  const failed = record.targets.filter(t => t.status === 'failed').map(t => t.vmName);
+  for (const target of record.targets.filter(t => ['moved', 'healthy', 'failed'].includes(t.status))) {
+    try {
+      const instance = await compute.getInstance(target.vmName);
+      if (instance) {
+        await compute.setScriptVersion(instance, target.from);
+        if (instance.status === 'RUNNING') await compute.resetInstance(instance);
+      }
+      target.status = 'rolled_back';
+    } catch (err) {
+      console.error(`Rollout ${record.id}: rolling ${target.vmName} back failed:`, err);
+      target.rollbackError = err.message;
+    }
+  }
+  record.state = 'rolled_back';
+  record.error = `Unhealthy on ${record.version}: ${failed.join(', ')}`;
+  record.finishedAt = new Date().toISOString();
+  console.warn(`Rollout ${record.id} rolled back — ${record.error}`);
+}
+
+/**
+ * The startup script version new agents boot: that of the last fleet-wide
+ * rollout that succeeded, else STARTUP_SCRIPT_VERSION.
+ */
+async function defaultScriptVersion() {
+  const succeeded = await state.listRollouts({ state: 'succeeded', limit: 50 });
+  return succeeded.find(r => r.fleetWide)?.version || STARTUP_SCRIPT_VERSION;
+}
+
+// Managed instances with their owner (from the registry) and script version
+async function scriptFleet() {
+  const owners = new Map((await state.listAgents()).map(agent => [agent.vmName, agent.email]));
+  return (await compute.listInstances())
+    .filter(instance => instance.labels['agent-user'] && !instance.labels[PURGE_LABEL])
+    .map(instance => ({
+      vmName: instance.name,
+      email: owners.get(instance.name) || null,
+      status: instance.status,
+      scriptVersion: instance.scriptVersion,
+    }));
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────
+
+/**
+ * An agent's names, from its owner's email: `safeName` (identity and
+ * secrets) and the instance name. Null if the username has characters
+ * that cannot be used.
+ */
+function agentNames(email) {
+  const safeName = email.split('@')[0].replace(/\./g, '-').toLowerCase();
+  if (!/^[a-z0-9-]+$/.test(safeName) || safeName.length > 30) return null;
+  return { safeName, vmName: `agent-${safeName}` };
+}
+
+/**
+ * The plane's policy document (see policy.js), or {} if none is stored.
+ */
+async function readPolicyDocument() {
+  const secret = await secrets.read(POLICY_SECRET);
+  return secret ? JSON.parse(secret.value) : {};
+}
+
+/**
+ * Read the latest agent config from its secret ({} if there is none yet).
+ */
+async function readAgentConfig(safeName) {
+  const secret = await secrets.read(agentSecretNames(safeName)[0]);
+  return secret ? JSON.parse(secret.value) : {};
+}
+
+/**
+ * Add a config secret version. Returns the new version number.
+ */
+async function writeAgentConfig(safeName, config) {
+  return secrets.write(agentSecretNames(safeName)[0], JSON.stringify(config));
+}
+
+/**
+ * A new agent's config, with the API provider serving its model. Tools and
+ * channels default to everything allowed; `policy` records which policy
+ * rules produced it.
+ */
+function newAgentConfig(email, options) {
+  const {
+    model = 'claude-opus-4-6', budget = 50, tools = CAPABILITIES.tools, channels = CAPABILITIES.channels,
+    schedule, policy: appliedRules,
+  } = options;
+  return {
+    user: email, model, provider: capabilities.providerOf(model, CAPABILITIES), budget, tools, channels,
+    ...(schedule && { schedule }),
+    policy: appliedRules,
+  };
+}
+
+/**
+ * Copy of a config with anything that looks like a credential replaced,
+ * for showing payloads in dry runs.
+ */
+function redact(value, key = '') {
+  if (/key|token|secret|password|credential/i.test(key) && value !== null && value !== undefined) return '[REDACTED]';
+  if (Array.isArray(value)) return value.map(item => redact(item));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k)]));
+  }
+  return value;
+}
+
+/**
+ * Instance labels mirroring the agent config, for filtering and billing.
+ */
+function configLabels(config) {
+  const labels = {};
+  if (config.model) labels['agent-model'] = labelValue(config.model);
+  if (config.budget !== undefined) labels['agent-budget'] = labelValue(config.budget);
+  return labels;
+}
+
+// Label values: lowercase letters, digits, '-' and '_', at most 63 chars
+function labelValue(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9_-]/g, '-').slice(0, 63);
+}
+
+function agentSecretNames(safeName) {
+  return [`agent-${safeName}-config`, `agent-${safeName}-api-key`];
+}
+
+// `kind` is purge, backup or prerestore
+function snapshotName(vmName, kind) {
+  const stamp = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  return `${vmName}-${kind}-${stamp}`;
 }
 
 // For local testing
 if (require.main === module) {
   const express = require('express');
   const app = express();
-  app.use(express.json());
+  // Keep the raw body — signatures cover the exact bytes sent
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
   app.all('/provision-agent', (req, res) => exports.provisionAgent(req, res));
   const port = process.env.PORT || 8080;
   app.listen(port, () => console.log(`Listening on :${port}`));
@@ -0,0 +1,152 @@
+/**
+ * Caller identity from Compute Engine instance identity tokens.
+ *
+ * An agent VM asks its metadata server for a token
+ *
+ *   /computeMetadata/v1/instance/service-accounts/default/identity
+ *     ?audience=<IDENTITY_AUDIENCE>&format=full
+ *
+ * and sends it as `X-Agent-Identity`. The token is a JWT signed by Google
+ * whose `google.compute_engine` claim names the project, zone and instance.
+ * The instance's `agent-user` label (set by the control plane) then decides
+ * which agent the caller is, and so which mailbox it may use: an agent
+ * cannot claim another agent's name in the request body.
+ *
+ * Google's signing certs are fetched from GOOGLE_CERTS_URL and cached; tests
+ * and local runs pass their own keys instead.
+ *
+ * Keep in sync with scripts/email-proxy/instance-identity.js — each function
+ * deploys from its own directory.
+ */
+
+const crypto = require('crypto');
+
+const GOOGLE_CERTS_URL = 'https://www.googleapis.com/oauth2/v1/certs';
+const ISSUERS = ['https://accounts.google.com', 'accounts.google.com'];
+const CLOCK_SKEW_SECONDS = 60;
+
+/**
+ * Signing keys by key ID, cached for as long as Google's Cache-Control
+ * allows. A token signed with an unknown key ID triggers a refetch (at most
+ * once a minute), since Google publishes new keys shortly before using them.
+ * `keys` ({ kid: PEM }) replaces fetching altogether.
+ */
+function createKeyStore({ keys = null, certsUrl = GOOGLE_CERTS_URL, fetchImpl = fetch, now = Date.now } = {}) {
+  let cached = keys;
+  let expiresAt = keys ? Infinity : 0;
+  let fetchedAt = 0;
+
+  async function refresh() {
+    const resp = await fetchImpl(certsUrl);
+    if (!resp.ok) throw new Error(`Fetching signing certs failed: ${resp.status}`);
+    cached = await resp.json();
+    fetchedAt = now();
+    const maxAge = Number(/max-age=(\d+)/.exec(resp.headers?.get?.('cache-control') || '')?.[1] || 3600);
+    expiresAt = fetchedAt + maxAge * 1000;
+  }
+
+  return async function keyFor(kid) {
+    if (keys) return keys[kid] || null;
+    if (!cached || now() >= expiresAt || (!cached[kid] && now() - fetchedAt > 60 * 1000)) await refresh();
+    return cached[kid] || null;
+  };
+}
+
+function decodePart(part) {
+  return JSON.parse(Buffer.from(part, 'base64url').toString());
+}
+
+/**
+ * Verify a token's signature and claims. Returns { ok: true, instance } with
+ * { name, id, zone, projectId } or { ok: false, reason }.
+ */
+async function verifyIdentityToken(token, { keyFor, audience, project, now = Date.now() }) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) return { ok: false, reason: 'malformed token' };
+  let header, claims;
+  try {
+    header = decodePart(parts[0]);
+    claims = decodePart(parts[1]);
+  } catch {
+    return { ok: false, reason: 'malformed token' };
+  }
+  if (header.alg !== 'RS256') return { ok: false, reason: `unsupported algorithm ${header.alg}` };
+
+  const pem = await keyFor(header.kid);
+  if (!pem) return { ok: false, reason: `unknown signing key ${header.kid}` };
+  const valid = crypto.verify(
+    'RSA-SHA256',
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    crypto.createPublicKey(pem),
+    Buffer.from(parts[2], 'base64url'),
+  );
+  if (!valid) return { ok: false, reason: 'bad signature' };
+
+  const seconds = Math.floor(now / 1000);
+  if (!ISSUERS.includes(claims.iss)) return { ok: false, reason: `wrong issuer ${claims.iss}` };
+  if (claims.aud !== audience) return { ok: false, reason: `wrong audience ${claims.aud}` };
+  if (!(claims.exp > seconds - CLOCK_SKEW_SECONDS)) return { ok: false, reason: 'token expired' };
+  if (claims.iat > seconds + CLOCK_SKEW_SECONDS) return { ok: false, reason: 'token issued in the future' };
+
+  const gce = claims.google?.compute_engine;
+  if (!gce?.instance_name) return { ok: false, reason: 'not an instance token (request it with format=full)' };
+  if (project && gce.project_id !== project) return { ok: false, reason: `instance in another project ${gce.project_id}` };
+  return { ok: true, instance: { name: gce.instance_name, id: String(gce.instance_id), zone: gce.zone, projectId: gce.project_id } };
+}
+
+/**
+ * Whether the agent labelled `agentUser` may use `email`: the mailbox's
+ * local part must give the same name the control plane derived the label
+ * from (dots become dashes), in one of `domains` if any are set.
+ */
+function mailboxAllowed(agentUser, email, domains = []) {
+  if (typeof email !== 'string' || !email.includes('@')) return false;
+  const [local, domain] = email.toLowerCase().split('@');
+  if (domains.length > 0 && !domains.includes(domain)) return false;
+  return local.replace(/\./g, '-') === agentUser;
+}
+
+/**
+ * Verifier for requests: checks the token, looks the instance up
+ * (`lookupInstance({ name, zone, projectId })` → { id, labels } | null) and
+ * returns the agent it runs, { ok: true, agentUser, instance }, or
+ * { ok: false, reason }. Lookups are cached per instance for `cacheSeconds`.
+ */
+function createIdentityVerifier({ keyFor, audience, project, lookupInstance, cacheSeconds = 300, now = Date.now }) {
+  const lookups = new Map();
+
+  async function cachedLookup(instance) {
+    const hit = lookups.get(instance.id);
+    if (hit && now() - hit.at < cacheSeconds * 1000) return hit.value;
+    const value = await lookupInstance(instance);
+    lookups.set(instance.id, { value, at: now() });
+    return value;
+  }
+
+  return async function verify(token) {
+    if (!token) return { ok: false, reason: 'missing identity token' };
+    const result = await verifyIdentityToken(token, { keyFor, audience, project, now: now() });
+    if (!result.ok) return result;
+    const { instance } = result;
+
+    const found = await cachedLookup(instance);
+    // A recreated VM reuses the name; only the instance the token was issued to counts
+    if (!found || String(found.id) !== instance.id) return { ok: false, reason: `instance ${instance.name} not found` };
+    const agentUser = found.labels?.['agent-user'];
+    if (found.labels?.['managed-by'] !== 'agents-plane' || !agentUser) {
+      return { ok: false, reason: `instance ${instance.name} is not an agent` };
+    }
+    if (instance.name !== `agent-${agentUser}`) {
+      return { ok: false, reason: `instance ${instance.name} does not match its agent-user label ${agentUser}` };
+    }
+    return { ok: true, agentUser, instance };
+  };
+}
+
+module.exports = {
+  GOOGLE_CERTS_URL,
+  createKeyStore,
+  verifyIdentityToken,
+  mailboxAllowed,
+  createIdentityVerifier,
+};
@@ -0,0 +1,144 @@
+/**
+ * Asynchronous provisioning jobs.
+ *
+ * A `provision` request only records a job and queues it; the work runs in the
+ * background and records each stage's progress in a job store that the
+ * `job-status` action reads back.
+ *
+ * Queues: `memory` runs jobs in-process (local testing only — a deployed
+ * function may be throttled once it has responded); `pubsub` publishes to a
+ * topic consumed by the `provisionWorker` function. Jobs are kept in the
+ * control-plane state store (see state-store.js).
+ */
+
+const crypto = require('crypto');
+
+const PROVISION_STAGES = ['secret_created', 'iam_bound', 'instance_inserted', 'vm_running', 'heartbeat_seen'];
+
+// Jobs that have not finished yet; a new provision request reuses them
+const ACTIVE_STATES = ['queued', 'running', 'waiting_heartbeat'];
+
+function newJob({ type = 'provision', email, vmName, params = {} }) {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    type,
+    email,
+    vmName,
+    params,
+    state: 'queued',
+    stages: PROVISION_STAGES.map(name => ({ name, status: 'pending' })),
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+function isActive(job) {
+  return ACTIVE_STATES.includes(job.state);
+}
+
+/**
+ * Whether a queued or running job has saved no progress for `stallMinutes`:
+ * its worker crashed or timed out, and it will never finish.
+ */
+function isStalled(job, stallMinutes, now = Date.now()) {
+  return ['queued', 'running'].includes(job.state) && now - new Date(job.updatedAt).getTime() > stallMinutes * 60000;
+}
+
+// ─── Queues ──────────────────────────────────────────────────────
+
+/**
+ * Runs `handler(jobId)` on the next tick, after the HTTP response is sent.
+ */
+function createMemoryQueue(handler) {
+  return {
+    async enqueue(jobId) {
+      setImmediate(() => {
+        Promise.resolve(handler(jobId)).catch(err => console.error(`Job ${jobId} crashed:`, err));
+      });
+    },
+  };
+}
+
+function createPubSubQueue(topicName) {
+  const { PubSub } = require('@google-cloud/pubsub');
+  const topic = new PubSub().topic(topicName);
+  return {
+    async enqueue(jobId) {
+      await topic.publishMessage({ json: { jobId } });
+    },
+  };
+}
+
+/**
+ * Job ID from a Pub/Sub push — a CloudEvent (gen2) or a background event (gen1).
+ */
+function decodeQueueMessage(event) {
+  const data = event?.data?.message?.data ?? event?.data;
+  if (!data) return null;
+  try {
+    return JSON.parse(Buffer.from(data, 'base64').toString()).jobId || null;
+  } catch {
+    return null;
+  }
+}
+
+// ─── Stage Tracking ──────────────────────────────────────────────
+
+/**
+ * Record stage progress on `job` as the work runs. `track(name, fn)` marks the
+ * stage running, then done or failed (with the error), saving after each step.
+ */
+function createStageTracker(store, job) {
+  const stageOf = (name) => job.stages.find(s => s.name === name);
+  const save = () => {
+    job.updatedAt = new Date().toISOString();
+    return store.save(job);
+  };
+
+  return {
+    async track(name, fn) {
+      const stage = stageOf(name);
+      stage.status = 'running';
+      stage.startedAt = new Date().toISOString();
+      await save();
+      try {
+        const result = await fn();
+        stage.status = 'done';
+        stage.finishedAt = new Date().toISOString();
+        await save();
+        return result;
+      } catch (err) {
+        stage.status = 'failed';
+        stage.finishedAt = new Date().toISOString();
+        stage.error = err.message;
+        job.state = 'failed';
+        job.error = `${name}: ${err.message}`;
+        await save();
+        throw err;
+      }
+    },
+
+    async skip(name, reason) {
+      const stage = stageOf(name);
+      stage.status = 'skipped';
+      stage.reason = reason;
+      await save();
+    },
+
+    save,
+  };
+}
+
+module.exports = {
+  PROVISION_STAGES,
+  newJob,
+  isActive,
+  isStalled,
+  createMemoryQueue,
+  createPubSubQueue,
+  decodeQueueMessage,
+  createStageTracker,
+};
@@ -0,0 +1,97 @@
+/**
+ * Budget metering: how much of its monthly budget an agent has spent, which
+ * alerts are due and what happens at the cap.
+ *
+ * Agents report usage to the control plane (`report-usage`), which adds it
+ * to a ledger per agent and calendar month (UTC). The owner is emailed as
+ * spend crosses each threshold in BUDGET_ALERT_THRESHOLDS (percent of the
+ * config's `budget`, default 80,95,100; 100 is always included). Reaching 100% also applies
+ * BUDGET_CAP_ACTION once that month:
+ *   notify     the alert only (default)
+ *   downgrade  switch the agent to BUDGET_DOWNGRADE_MODEL
+ *   stop       stop the agent, as `deprovision` does
+ */
+
+const CAP_ACTIONS = ['notify', 'downgrade', 'stop'];
+const DEFAULT_THRESHOLDS = '80,95,100';
+const DEFAULT_DOWNGRADE_MODEL = 'claude-haiku-4-5';
+
+/**
+ * Alert thresholds and the cap action from the environment.
+ */
+function loadBudgetSettings(env = process.env) {
+  const thresholds = (env.BUDGET_ALERT_THRESHOLDS || DEFAULT_THRESHOLDS).split(',')
+    .map(s => s.trim()).filter(Boolean).map(Number);
+  if (thresholds.some(t => !Number.isFinite(t) || t <= 0)) {
+    throw new Error(`Invalid BUDGET_ALERT_THRESHOLDS "${env.BUDGET_ALERT_THRESHOLDS}" (use percentages, e.g. 80,95,100)`);
+  }
+  const capAction = env.BUDGET_CAP_ACTION || 'notify';
+  if (!CAP_ACTIONS.includes(capAction)) {
+    throw new Error(`Invalid BUDGET_CAP_ACTION "${capAction}" (use ${CAP_ACTIONS.join(', ')})`);
+  }
+  return {
+    // 100 is always alerted on: it is when the cap action runs
+    thresholds: [...new Set([...thresholds, 100])].sort((a, b) => a - b),
+    capAction,
+    downgradeModel: env.BUDGET_DOWNGRADE_MODEL || DEFAULT_DOWNGRADE_MODEL,
+  };
+}
+
+/**
+ * The ledger month ("YYYY-MM", UTC) a moment falls in.
+ */
+function ledgerMonth(date = new Date()) {
+  return new Date(date).toISOString().slice(0, 7);
+}
+
+/**
+ * Problems with a usage report, as messages.
+ */
+function checkUsage(usage) {
+  if (!usage || typeof usage !== 'object' || Array.isArray(usage)) return ['usage must be an object'];
+  const problems = [];
+  if (typeof usage.costUsd !== 'number' || !Number.isFinite(usage.costUsd) || usage.costUsd < 0) {
+    problems.push('costUsd must be a non-negative number');
+  }
+  for (const field of ['inputTokens', 'outputTokens']) {
+    if (usage[field] !== undefined && (!Number.isInteger(usage[field]) || usage[field] < 0)) {
+      problems.push(`${field} must be a non-negative integer`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Percent of the budget spent. A zero budget allows no spend at all.
+ */
+function spentPercent(costUsd, budget) {
+  if (!(budget > 0)) return costUsd > 0 ? 100 : 0;
+  return Math.round((costUsd / budget) * 1000) / 10;
+}
+
+/**
+ * Thresholds the ledger has reached but not yet alerted on, lowest first.
+ */
+function dueAlerts(ledger, budget, thresholds) {
+  const percent = spentPercent(ledger.costUsd, budget);
+  const alerted = new Set((ledger.alerts || []).map(a => a.threshold));
+  return thresholds.filter(t => percent >= t && !alerted.has(t));
+}
+
+/**
+ * Whether the cap action is due: the budget is used up and nothing was done
+ * about it yet this month.
+ */
+function capReached(ledger, budget) {
+  return spentPercent(ledger.costUsd, budget) >= 100 && !ledger.capAction;
+}
+
+module.exports = {
+  CAP_ACTIONS,
+  loadBudgetSettings,
+  ledgerMonth,
+  checkUsage,
+  spentPercent,
+  dueAlerts,
+  capReached,
+};
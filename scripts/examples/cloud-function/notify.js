@@ -0,0 +1,50 @@
+/**
+ * Owner notifications, sent as email through the email proxy
+ * (scripts/email-proxy) so the control plane needs no mail credentials of
+ * its own. Without a proxy URL notifications are only logged.
+ */
+
+const crypto = require('crypto');
+const { signRequest } = require('./request-auth');
+
+/**
+ * `readProxySecret` returns the proxy's signing secret ("keyId:secret" or a
+ * bare secret for the key `default`). Mail is sent from `sender`, or from
+ * the recipient's own mailbox when no sender is set.
+ */
+function createEmailNotifier({ proxyUrl, sender, readProxySecret }) {
+  return async function notify({ to, subject, body }) {
+    if (!proxyUrl) {
+      console.log(`Notification for ${to} not sent (EMAIL_PROXY_URL not set): ${subject}`);
+      return { sent: false };
+    }
+    const raw = await readProxySecret();
+    if (!raw) throw new Error('Email proxy secret not found');
+    const idx = raw.indexOf(':');
+    const [keyId, secret] = idx > 0 ? [raw.slice(0, idx), raw.slice(idx + 1)] : ['default', raw];
+
+    const from = sender || to;
+    const payload = JSON.stringify({
+      action: 'send',
+      agentName: from.split('@')[0],
+      email: from,
+      to,
+      subject,
+      body,
+      timestamp: Math.floor(Date.now() / 1000),
+      nonce: crypto.randomBytes(16).toString('hex'),
+    });
+    const resp = await fetch(proxyUrl, {
+      method: 'POST',
+      headers: { Authorization: signRequest(keyId, secret, payload), 'Content-Type': 'application/json' },
+      body: payload,
+    });
+    if (!resp.ok) throw new Error(`Email proxy returned ${resp.status}: ${await resp.text()}`);
+    console.log(`Sent "${subject}" to ${to}`);
+    return { sent: true };
+  };
+}
+
+module.exports = {
+  createEmailNotifier,
+};
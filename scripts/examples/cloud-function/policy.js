@@ -0,0 +1,130 @@
+/**
+ * Policy resolution for agent defaults.
+ *
+ * A policy document sets org-wide defaults plus rules matched by OU, group or
+ * user. Rules apply in precedence order — org default, then OU (parent OUs
+ * before their children), then group, then user — each overriding the fields
+ * it sets. Rules at the same level apply in document order.
+ *
+ *   {
+ *     "defaults": { "modelTier": "sonnet", "budgetCap": 50, "tools": ["email"] },
+ *     "modelTiers": { "opus": "claude-opus-4-6", "sonnet": "claude-sonnet-4-5" },
+ *     "policies": [
+ *       { "name": "engineering", "match": { "group": "engineering@acme.com" },
+ *         "spec": { "modelTier": "opus", "budgetCap": 200, "tools": ["exec", "github", "email"] } },
+ *       { "name": "sales", "match": { "ou": "/Sales" },
+ *         "spec": { "modelTier": "sonnet", "budgetCap": 75, "tools": ["email", "calendar"] } },
+ *       { "match": { "user": "alice@acme.com" }, "spec": { "machineType": "e2-standard-4" } },
+ *       { "name": "office-hours", "match": { "ou": "/Support" },
+ *         "spec": { "schedule": { "timezone": "Europe/London", "start": "08:00", "end": "18:00" } } }
+ *     ]
+ *   }
+ *
+ * A rule matching on several keys needs all of them to match and ranks at its
+ * most specific key.
+ */
+
+const POLICY_FIELDS = ['model', 'budgetCap', 'machineType', 'tools', 'channels', 'schedule'];
+const LEVELS = ['org', 'ou', 'group', 'user'];
+
+function normalizeOu(ou) {
+  const trimmed = String(ou || '/').replace(/\/+$/, '');
+  return trimmed.startsWith('/') ? trimmed || '/' : `/${trimmed}`;
+}
+
+function ouDepth(ou) {
+  return normalizeOu(ou).split('/').filter(Boolean).length;
+}
+
+// An OU rule covers the OU itself and everything below it
+function ouMatches(ruleOu, userOu) {
+  const rule = normalizeOu(ruleOu);
+  const user = normalizeOu(userOu);
+  return rule === '/' || user === rule || user.startsWith(`${rule}/`);
+}
+
+function ruleLevel(match) {
+  if (match.user) return 'user';
+  if (match.group) return 'group';
+  if (match.ou) return 'ou';
+  return null;
+}
+
+function ruleMatches(match, { email, orgUnitPath, groups }) {
+  const lower = (value) => String(value).toLowerCase();
+  if (match.user && lower(match.user) !== lower(email)) return false;
+  if (match.group && !groups.some(g => lower(g) === lower(match.group))) return false;
+  if (match.ou && !ouMatches(match.ou, orgUnitPath)) return false;
+  return true;
+}
+
+/**
+ * The policy fields a rule's spec sets, with `modelTier` mapped to a model.
+ */
+function specFields(spec = {}, modelTiers = {}) {
+  const fields = {};
+  for (const field of POLICY_FIELDS) {
+    if (spec[field] !== undefined) fields[field] = spec[field];
+  }
+  if (spec.modelTier !== undefined && spec.model === undefined) {
+    if (!modelTiers[spec.modelTier]) throw new Error(`Unknown modelTier "${spec.modelTier}"`);
+    fields.model = modelTiers[spec.modelTier];
+  }
+  for (const field of ['tools', 'channels']) {
+    if (fields[field] !== undefined && (!Array.isArray(fields[field]) || fields[field].some(v => typeof v !== 'string'))) {
+      throw new Error(`Policy field ${field} must be a list of names`);
+    }
+  }
+  if (fields.budgetCap !== undefined && (typeof fields.budgetCap !== 'number' || fields.budgetCap < 0)) {
+    throw new Error('Policy field budgetCap must be a non-negative number');
+  }
+  // null lifts a schedule set at a broader level
+  if (fields.schedule !== undefined && fields.schedule !== null &&
+      (typeof fields.schedule !== 'object' || Array.isArray(fields.schedule))) {
+    throw new Error('Policy field schedule must be an object');
+  }
+  return fields;
+}
+
+/**
+ * Resolve a user's effective policy. `overrides` (e.g. per-user values from
+ * the Admin Console) apply last, above every rule.
+ *
+ * Returns { effective, applied } — `applied` lists each rule that set at
+ * least one field, in the order it was applied.
+ */
+function resolvePolicy(document = {}, { email, orgUnitPath = '/', groups = [] }, overrides = {}) {
+  const modelTiers = document.modelTiers || {};
+  const effective = {};
+  const applied = [];
+
+  const apply = (rule, level, spec) => {
+    const fields = specFields(spec, modelTiers);
+    if (Object.keys(fields).length === 0) return;
+    Object.assign(effective, fields);
+    applied.push({ rule, level, fields: Object.keys(fields) });
+  };
+
+  apply('org-default', 'org', document.defaults);
+
+  const user = { email, orgUnitPath, groups };
+  const matching = (document.policies || [])
+    .map((rule, index) => ({ rule, index, level: ruleLevel(rule.match || {}) }))
+    .filter(({ rule, level }) => level && ruleMatches(rule.match, user))
+    .sort((a, b) => LEVELS.indexOf(a.level) - LEVELS.indexOf(b.level)
+      || (a.level === 'ou' ? ouDepth(a.rule.match.ou) - ouDepth(b.rule.match.ou) : 0)
+      || a.index - b.index);
+  for (const { rule, index, level } of matching) {
+    apply(rule.name || `policies[${index}]`, level, rule.spec);
+  }
+
+  apply('request', 'user', overrides);
+
+  return { effective, applied };
+}
+
+module.exports = {
+  POLICY_FIELDS,
+  resolvePolicy,
+  ouMatches,
+};
@@ -0,0 +1,145 @@
+/**
+ * Power schedules: the hours an agent's VM runs.
+ *
+ * A schedule is part of the agent config (and can come from a policy):
+ *
+ *   { "timezone": "America/New_York", "days": ["mon", "tue", "wed", "thu", "fri"],
+ *     "start": "08:00", "end": "19:00" }
+ *
+ * `days` defaults to Monday to Friday and `timezone` to DEFAULT_TIMEZONE
+ * (UTC). Outside on-hours the `power-sweep` action stops the VM; `wake`
+ * starts it again on demand for WAKE_HOURS.
+ */
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DEFAULT_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri'];
+const HOURS_PER_MONTH = (24 * 365) / 12;
+
+// On-demand USD per hour (us-east4 list prices); MACHINE_HOURLY_USD overrides
+const DEFAULT_HOURLY_USD = {
+  'e2-medium': 0.0378,
+  'e2-standard-2': 0.0755,
+  'e2-standard-4': 0.151,
+  'e2-standard-8': 0.302,
+  'n2-standard-2': 0.1093,
+  'n2-standard-4': 0.2186,
+};
+
+/**
+ * Default timezone and machine prices from the environment
+ * (MACHINE_HOURLY_USD="e2-standard-2:0.0755,...").
+ */
+function loadPowerSettings(env = process.env) {
+  const hourlyUsd = { ...DEFAULT_HOURLY_USD };
+  for (const entry of (env.MACHINE_HOURLY_USD || '').split(',')) {
+    if (!entry.trim()) continue;
+    const [machineType, price] = entry.split(':').map(s => s.trim());
+    if (!machineType || !(Number(price) >= 0)) throw new Error(`Invalid MACHINE_HOURLY_USD entry "${entry.trim()}" (use type:price)`);
+    hourlyUsd[machineType] = Number(price);
+  }
+  const defaultTimezone = env.DEFAULT_TIMEZONE || 'UTC';
+  if (!validTimezone(defaultTimezone)) throw new Error(`Invalid DEFAULT_TIMEZONE "${defaultTimezone}"`);
+  return { defaultTimezone, hourlyUsd };
+}
+
+function validTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// "HH:MM" → minutes after midnight, or null
+function parseTime(value) {
+  const match = /^(\d{2}):(\d{2})$/.exec(value || '');
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes <= 24 * 60 ? minutes : null;
+}
+
+/**
+ * Problems with a schedule, as messages. Undefined and null (no schedule)
+ * are fine.
+ */
+function checkSchedule(schedule) {
+  if (schedule === undefined || schedule === null) return [];
+  if (typeof schedule !== 'object' || Array.isArray(schedule)) return ['schedule must be an object'];
+  const problems = [];
+  if (schedule.timezone !== undefined && (typeof schedule.timezone !== 'string' || !validTimezone(schedule.timezone))) {
+    problems.push(`unknown schedule timezone ${schedule.timezone}`);
+  }
+  if (schedule.days !== undefined && (!Array.isArray(schedule.days) || schedule.days.length === 0 ||
+      schedule.days.some(d => !DAYS.includes(d)))) {
+    problems.push(`schedule days must be a list of ${DAYS.join(', ')}`);
+  }
+  const start = parseTime(schedule.start);
+  const end = parseTime(schedule.end);
+  if (start === null || end === null) {
+    problems.push('schedule start and end must be HH:MM');
+  } else if (start >= end) {
+    problems.push('schedule start must be before end');
+  }
+  return problems;
+}
+
+/**
+ * Whether `now` falls in the schedule's on-hours, in its timezone.
+ */
+function isOnHours(schedule, now = new Date(), defaultTimezone = 'UTC') {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: schedule.timezone || defaultTimezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(now).map(p => [p.type, p.value]));
+  const day = parts.weekday.toLowerCase();
+  const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+  return (schedule.days || DEFAULT_DAYS).includes(day) &&
+    minutes >= parseTime(schedule.start) && minutes < parseTime(schedule.end);
+}
+
+/**
+ * What the power sweep should do with an instance: `sleep` (stop it),
+ * `wake` (start it), `clear` (drop stale sleep/awake labels) or null.
+ * `awakeUntil` is the end of a wake-on-demand, in ms.
+ */
+function powerDecision({ status, sleeping, awakeUntil, onHours, now = Date.now() }) {
+  if (status === 'RUNNING') {
+    if (onHours) return sleeping || awakeUntil ? 'clear' : null;
+    return awakeUntil && awakeUntil > now ? null : 'sleep';
+  }
+  // Only agents the schedule put to sleep are started — not ones an admin stopped
+  if (status === 'TERMINATED' && sleeping && onHours) return 'wake';
+  return null;
+}
+
+/**
+ * Hours per week the schedule keeps the VM running.
+ */
+function onHoursPerWeek(schedule) {
+  return ((schedule.days || DEFAULT_DAYS).length * (parseTime(schedule.end) - parseTime(schedule.start))) / 60;
+}
+
+/**
+ * Projected monthly compute savings of a schedule over running around the
+ * clock, or null when the machine type has no known price. Disks are billed
+ * either way and are not counted.
+ */
+function monthlySavings(schedule, machineType, hourlyUsd) {
+  const price = hourlyUsd[machineType];
+  if (price === undefined) return null;
+  const offShare = 1 - onHoursPerWeek(schedule) / (7 * 24);
+  return Math.round(offShare * HOURS_PER_MONTH * price * 100) / 100;
+}
+
+module.exports = {
+  loadPowerSettings,
+  checkSchedule,
+  isOnHours,
+  powerDecision,
+  onHoursPerWeek,
+  monthlySavings,
+};
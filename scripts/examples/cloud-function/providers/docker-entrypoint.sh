@@ -0,0 +1,114 @@
+#!/bin/bash
+# 🤖 Agents Plane — entrypoint for local Docker agents (see docker.js)
+#
+# Stands in for startup-script.sh: secrets are files mounted under
+# /run/agents-plane/secrets/<name>/<version>, and the heartbeat and config
+# version are files in /run/agents-plane/state instead of guest attributes
+# and instance metadata.
+set -uo pipefail
+
+SECRETS=/run/agents-plane/secrets
+STATE=/run/agents-plane/state
+AGENT_HOME=/home/agent
+OPENCLAW="$AGENT_HOME/.openclaw"
+
+# secret <name> [version] — prints the version (default: latest), if any
+secret() {
+  local dir="$SECRETS/$1" version="${2:-latest}"
+  [ -d "$dir" ] || return 1
+  if [ "$version" = "latest" ]; then
+    version=$(ls "$dir" | grep -E '^[0-9]+$' | sort -n | tail -1)
+  fi
+  [ -n "$version" ] && [ -f "$dir/$version" ] && cat "$dir/$version"
+}
+
+model_provider() {
+  case "$1" in
+    claude-*|opus-*|sonnet-*|haiku-*) echo "anthropic" ;;
+    gpt-*|o1-*|o3-*) echo "openai" ;;
+    gemini-*) echo "google" ;;
+    *) echo "anthropic" ;;
+  esac
+}
+
+# Write openclaw.json and auth-profiles.json from a config secret version
+apply_config() {
+  local config model provider api_key
+  config=$(secret "agent-${AGENT_NAME}-config" "$1")
+  if [ -z "$config" ] || ! echo "$config" | jq empty 2>/dev/null; then
+    echo "🤖 Agents Plane: ERROR — could not read config version $1"
+    return 1
+  fi
+  model=$(echo "$config" | jq -r '.model // "claude-opus-4-6"')
+  provider=$(echo "$config" | jq -r '.provider // empty')
+  [ -n "$provider" ] || provider=$(model_provider "$model")
+
+  # Root-owned allowlist, as on GCP (older configs allow everything)
+  mkdir -p /etc/agents-plane
+  echo "$config" | jq '{model, provider, tools: (.tools // ["exec", "github", "email", "calendar", "drive"]),
+    channels: (.channels // ["email", "whatsapp", "slack"])}' > /etc/agents-plane/allowlist.json
+
+  mkdir -p "$OPENCLAW/workspace/memory" "$OPENCLAW/agents/main/agent"
+  echo "$config" > "$OPENCLAW/agent-config.json"
+  [ -f "$OPENCLAW/gateway-token" ] || openssl rand -hex 32 > "$OPENCLAW/gateway-token"
+  jq -n --arg ws "$OPENCLAW/workspace" --arg m "$provider/$model" --arg name "$AGENT_NAME" \
+    --arg token "$(cat "$OPENCLAW/gateway-token")" '{
+      agents: {
+        defaults: { workspace: $ws, heartbeat: { every: "30m" } },
+        list: [{ id: "main", default: true, model: $m, identity: { name: $name } }]
+      },
+      gateway: { port: 18789, mode: "local", bind: "loopback", auth: { mode: "token", token: $token } }
+    }' > "$OPENCLAW/openclaw.json"
+  if ! jq -e '.tools | index("exec")' /etc/agents-plane/allowlist.json > /dev/null; then
+    jq '.tools.deny = ["exec"]' "$OPENCLAW/openclaw.json" > "$OPENCLAW/openclaw.json.tmp" \
+      && mv "$OPENCLAW/openclaw.json.tmp" "$OPENCLAW/openclaw.json"
+  fi
+
+  # Per-agent key first, then shared fallback
+  api_key=$(secret "agent-${AGENT_NAME}-api-key" || secret agents-plane-api-key || true)
+  if [ -n "$api_key" ]; then
+    jq -n --arg p "$provider" --arg k "$api_key" \
+      '{version:1,profiles:{("\($p):default"):{type:"token",provider:$p,token:$k}},lastGood:{($p):"\($p):default"}}' \
+      > "$OPENCLAW/agents/main/agent/auth-profiles.json"
+  else
+    echo "🤖 Agents Plane: Warning — no API key secret mounted"
+  fi
+  chown -R agent:agent "$OPENCLAW"
+  echo "$1 $(date -u +%Y-%m-%dT%H:%M:%SZ)" > "$STATE/reloaded"
+  echo "🤖 Agents Plane: Applied config version $1 (model: $model)"
+}
+
+GATEWAY_PID=""
+start_gateway() {
+  su agent -c "openclaw gateway --port 18789" &
+  GATEWAY_PID=$!
+}
+stop_gateway() {
+  [ -n "$GATEWAY_PID" ] && kill "$GATEWAY_PID" 2>/dev/null && wait "$GATEWAY_PID" 2>/dev/null
+  GATEWAY_PID=""
+}
+trap 'stop_gateway; exit 0' TERM INT
+
+CURRENT=$(cat "$STATE/config-version" 2>/dev/null || echo latest)
+apply_config "$CURRENT"
+start_gateway
+echo "🤖 Agents Plane: Gateway started for $AGENT_NAME"
+
+# Config watcher and heartbeat, every 15 seconds
+while true; do
+  sleep 15 & wait $!
+
+  VERSION=$(cat "$STATE/config-version" 2>/dev/null || echo "$CURRENT")
+  if [ "$VERSION" != "$CURRENT" ] && apply_config "$VERSION"; then
+    stop_gateway
+    start_gateway
+    CURRENT="$VERSION"
+  fi
+
+  if ! kill -0 "$GATEWAY_PID" 2>/dev/null; then
+    echo "🤖 Agents Plane: Gateway exited — restarting"
+    start_gateway
+  elif curl -sf -o /dev/null http://127.0.0.1:18789/; then
+    date -u +%Y-%m-%dT%H:%M:%SZ > "$STATE/heartbeat"
+  fi
+done
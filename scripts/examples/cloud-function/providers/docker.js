@@ -0,0 +1,575 @@
+/**
+ * Docker provider: each agent runs as a local container, for developing and
+ * demoing the control plane on a laptop without a GCP project.
+ *
+ * Everything lives under a state directory (DOCKER_STATE_DIR, default
+ * ~/.agents-plane/docker):
+ *   secrets/<name>/versions/<n>   secret versions, one file each (renamed
+ *                                 <n>.disabled when disabled)
+ *   secrets/<name>/access.json    identities allowed to read / write it
+ *   instances/<vm>.json           labels and settings of each agent
+ *   run/<vm>/                     heartbeat, config-version and reloaded
+ *                                 files shared with the container
+ *   snapshots/<name>.tar.gz       workspace snapshots (backups and purges),
+ *   snapshots/<name>.json         with their labels and creation time
+ *
+ * The container gets only the secrets granted to its identity, each mounted
+ * at /run/agents-plane/secrets/<name> (read-only unless granted write).
+ * Grants are applied when the container is created. The agent's ~/.openclaw
+ * is the named volume `<vm>-data`, so it survives reprovisioning like the
+ * GCP data disk. docker-entrypoint.sh stands in for the startup script;
+ * script versions are recorded (for rollouts) but every version runs it.
+ *
+ * Needs the `agents-plane-base` image (tests/docker/Dockerfile.base) or any
+ * image with Node, OpenClaw, jq, curl and an `agent` user.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const ENTRYPOINT = path.join(__dirname, 'docker-entrypoint.sh');
+const ZONE = 'local';
+
+// Container states in Compute Engine's vocabulary
+const STATUSES = {
+  created: 'STAGING',
+  restarting: 'STAGING',
+  running: 'RUNNING',
+  paused: 'SUSPENDED',
+  removing: 'STOPPING',
+  exited: 'TERMINATED',
+  dead: 'TERMINATED',
+};
+
+// Rough CPU / memory limits for the machine types requests may ask for
+const MACHINE_LIMITS = {
+  'e2-medium': { cpus: '1', memory: '4g' },
+  'e2-standard-2': { cpus: '2', memory: '8g' },
+  'e2-standard-4': { cpus: '4', memory: '16g' },
+  'e2-standard-8': { cpus: '8', memory: '32g' },
+  'n2-standard-2': { cpus: '2', memory: '8g' },
+  'n2-standard-4': { cpus: '4', memory: '16g' },
+};
+
+/**
+ * Options (read from the environment by default):
+ *   stateDir  DOCKER_STATE_DIR
+ *   image     DOCKER_AGENT_IMAGE
+ *   network   DOCKER_NETWORK — optional network to attach agents to
+ *   limits    DOCKER_LIMITS=false runs containers without CPU/memory limits
+ */
+function createDockerProvider({
+  stateDir = process.env.DOCKER_STATE_DIR || path.join(os.homedir(), '.agents-plane', 'docker'),
+  image = process.env.DOCKER_AGENT_IMAGE || 'agents-plane-base',
+  network = process.env.DOCKER_NETWORK,
+  limits = process.env.DOCKER_LIMITS !== 'false',
+  dockerBin = process.env.DOCKER_BIN || 'docker',
+} = {}) {
+  const dirs = {
+    secrets: path.join(stateDir, 'secrets'),
+    instances: path.join(stateDir, 'instances'),
+    run: path.join(stateDir, 'run'),
+    snapshots: path.join(stateDir, 'snapshots'),
+  };
+
+  function docker(args) {
+    return new Promise((resolve, reject) => {
+      execFile(dockerBin, args, { maxBuffer: 16 * 1024 * 1024 }, (err, stdout, stderr) => {
+        if (err) {
+          err.message = `docker ${args[0]}: ${(stderr || err.message).trim()}`;
+          return reject(err);
+        }
+        resolve(stdout.trim());
+      });
+    });
+  }
+
+  // ─── Compute ───────────────────────────────────────────────────
+
+  const instanceFile = (vmName) => path.join(dirs.instances, `${vmName}.json`);
+  const runDir = (vmName) => path.join(dirs.run, vmName);
+
+  function readInstanceState(vmName) {
+    return readJson(instanceFile(vmName), {});
+  }
+
+  function writeInstanceState(vmName, changes) {
+    const current = readInstanceState(vmName);
+    writeJson(instanceFile(vmName), { ...current, ...changes });
+  }
+
+  async function getInstance(vmName) {
+    let container;
+    try {
+      [container] = JSON.parse(await docker(['inspect', '--type', 'container', vmName]));
+    } catch (err) {
+      if (isNoSuch(err)) return null;
+      throw err;
+    }
+    const saved = readInstanceState(vmName);
+    return {
+      name: vmName,
+      status: STATUSES[container.State?.Status] || 'TERMINATED',
+      zone: ZONE,
+      machineType: saved.machineType,
+      labels: saved.labels || {},
+      configVersion: saved.configVersion || null,
+      scriptVersion: saved.scriptVersion || null,
+      createdAt: container.Created,
+      hasDataDisk: true,
+      disks: [dataDiskName(vmName)],
+      raw: container,
+    };
+  }
+
+  async function listInstances({ label } = {}) {
+    const names = (await docker(['ps', '-a', '--filter', 'label=managed-by=agents-plane', '--format', '{{.Names}}']))
+      .split('\n').filter(Boolean);
+    const instances = [];
+    for (const name of names) {
+      const instance = await getInstance(name);
+      if (instance && (!label || label in instance.labels)) instances.push(instance);
+    }
+    return instances;
+  }
+
+  /**
+   * Run the agent container. The data volume is created on first provision
+   * and reused afterwards.
+   */
+  async function createInstance(spec) {
+    const { vmName, safeName, identity, labels = {}, configVersion, scriptVersion, machineType } = spec;
+    const volume = dataDiskName(vmName);
+    const dataDiskReused = await volumeExists(volume);
+    if (!dataDiskReused) {
+      await docker(['volume', 'create', '--label', 'managed-by=agents-plane', '--label', `agent-user=${safeName}`, volume]);
+    }
+
+    fs.mkdirSync(runDir(vmName), { recursive: true });
+    fs.writeFileSync(path.join(runDir(vmName), 'config-version'), String(configVersion));
+    writeInstanceState(vmName, {
+      labels: {
+        'agent-user': safeName,
+        'managed-by': 'agents-plane',
+        ...(scriptVersion && { 'agent-script-version': scriptVersion }),
+        ...labels,
+      },
+      configVersion,
+      scriptVersion: scriptVersion || null,
+      machineType,
+      identity,
+    });
+
+    await docker(runArgs(spec, secretsGrantedTo(identity)));
+    console.log(`Started container ${vmName} from ${image}`);
+    return { zone: ZONE, skippedZones: [], dataDiskReused };
+  }
+
+  /**
+   * The `docker run` command createInstance would use, without running it.
+   * `grants` ({ name, access }) are secrets the agent is about to be
+   * granted, mounted alongside the ones it already has.
+   */
+  async function renderInstance(spec, { grants = [] } = {}) {
+    const mounts = new Map(secretsGrantedTo(spec.identity).map(({ name, access }) => [name, access]));
+    for (const { name, access } of grants) {
+      mounts.set(name, [...new Set([...(mounts.get(name) || []), access])]);
+    }
+    const args = runArgs(spec, [...mounts].map(([name, access]) => ({ name, access })));
+    return {
+      zone: ZONE,
+      fallbackZones: [],
+      dataDiskReused: await volumeExists(dataDiskName(spec.vmName)),
+      resource: { command: [dockerBin, ...args] },
+    };
+  }
+
+  function runArgs({ vmName, safeName, machineType }, grants) {
+    const args = [
+      'run', '--detach', '--name', vmName, '--hostname', vmName,
+      '--restart', 'unless-stopped',
+      '--label', 'managed-by=agents-plane',
+      '--label', `agent-user=${safeName}`,
+      '--env', `AGENT_NAME=${safeName}`,
+      '--volume', `${dataDiskName(vmName)}:/home/agent/.openclaw`,
+      '--volume', `${runDir(vmName)}:/run/agents-plane/state`,
+      '--volume', `${ENTRYPOINT}:/usr/local/bin/agents-plane-entrypoint.sh:ro`,
+    ];
+    for (const { name, access } of grants) {
+      const mount = `${secretVersionsDir(name)}:/run/agents-plane/secrets/${name}`;
+      args.push('--volume', access.includes('write') ? mount : `${mount}:ro`);
+    }
+    if (limits && MACHINE_LIMITS[machineType]) {
+      args.push('--cpus', MACHINE_LIMITS[machineType].cpus, '--memory', MACHINE_LIMITS[machineType].memory);
+    }
+    if (network) args.push('--network', network);
+    args.push('--entrypoint', '/bin/bash', image, '/usr/local/bin/agents-plane-entrypoint.sh');
+    return args;
+  }
+
+  /**
+   * Replace the container with a fresh one on the same data volume.
+   */
+  async function recreateInstance(instance, spec) {
+    await docker(['rm', '--force', instance.name]);
+    console.log(`Removed ${instance.name} for reprovisioning`);
+    return createInstance({ ...spec, machineType: instance.machineType });
+  }
+
+  async function waitForRunning(vmName, zone = ZONE, timeoutSeconds = 300) {
+    const deadline = Date.now() + timeoutSeconds * 1000;
+    for (;;) {
+      const instance = await getInstance(vmName);
+      if (instance?.status === 'RUNNING') return instance;
+      if (Date.now() >= deadline) {
+        throw new Error(`${vmName} not RUNNING after ${timeoutSeconds}s (status: ${instance?.status || 'missing'})`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  }
+
+  async function startInstance(instance) {
+    await docker(['start', instance.name]);
+  }
+
+  async function stopInstance(instance) {
+    await docker(['stop', instance.name]);
+  }
+
+  async function resetInstance(instance) {
+    await docker(['restart', instance.name]);
+  }
+
+  async function deleteInstance(instance) {
+    await docker(['rm', '--force', instance.name]);
+    fs.rmSync(instanceFile(instance.name), { force: true });
+    fs.rmSync(runDir(instance.name), { recursive: true, force: true });
+  }
+
+  async function resizeInstance(instance, machineType) {
+    if (limits && MACHINE_LIMITS[machineType]) {
+      const { cpus, memory } = MACHINE_LIMITS[machineType];
+      await docker(['update', '--cpus', cpus, '--memory', memory, '--memory-swap', memory, instance.name]);
+    }
+    writeInstanceState(instance.name, { machineType });
+  }
+
+  /**
+   * Merge label changes into an instance's labels. A null value removes the label.
+   */
+  async function setLabels(instance, changes) {
+    const labels = { ...instance.labels };
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === null) delete labels[key];
+      else labels[key] = value;
+    }
+    writeInstanceState(instance.name, { labels });
+  }
+
+  /**
+   * The container's config watcher polls this file and reloads on change.
+   */
+  async function setConfigVersion(instance, configVersion) {
+    fs.mkdirSync(runDir(instance.name), { recursive: true });
+    fs.writeFileSync(path.join(runDir(instance.name), 'config-version'), String(configVersion));
+    writeInstanceState(instance.name, { configVersion });
+  }
+
+  async function setScriptVersion(instance, scriptVersion) {
+    writeInstanceState(instance.name, { scriptVersion });
+    await setLabels(instance, { 'agent-script-version': scriptVersion });
+  }
+
+  async function getHeartbeat(vmName) {
+    try {
+      return fs.readFileSync(path.join(runDir(vmName), 'heartbeat'), 'utf8').trim() || null;
+    } catch {
+      return null;
+    }
+  }
+
+  async function getLastReload(vmName) {
+    try {
+      const [configVersion, at] = fs.readFileSync(path.join(runDir(vmName), 'reloaded'), 'utf8').trim().split(' ');
+      return configVersion ? { configVersion, at: at || null } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Archive the data volume to snapshots/<name>.tar.gz.
+   */
+  async function snapshotWorkspace(instance, snapshotName, labels = {}) {
+    fs.mkdirSync(dirs.snapshots, { recursive: true });
+    await docker([
+      'run', '--rm',
+      '--volume', `${dataDiskName(instance.name)}:/data:ro`,
+      '--volume', `${dirs.snapshots}:/snapshots`,
+      '--entrypoint', 'tar', image,
+      'czf', `/snapshots/${snapshotName}.tar.gz`, '-C', '/data', '.',
+    ]);
+    writeJson(path.join(dirs.snapshots, `${snapshotName}.json`), {
+      createdAt: new Date().toISOString(),
+      disk: dataDiskName(instance.name),
+      labels: { 'managed-by': 'agents-plane', 'workspace-disk': 'data', ...labels },
+    });
+    return { disk: dataDiskName(instance.name), name: snapshotName };
+  }
+
+  async function listSnapshots({ safeName } = {}) {
+    const files = fs.existsSync(dirs.snapshots) ? fs.readdirSync(dirs.snapshots) : [];
+    return files
+      .filter(file => file.endsWith('.tar.gz'))
+      .map(file => {
+        const name = file.slice(0, -'.tar.gz'.length);
+        const meta = readJson(path.join(dirs.snapshots, `${name}.json`), {});
+        const createdAt = meta.createdAt || fs.statSync(path.join(dirs.snapshots, file)).mtime.toISOString();
+        return { name, createdAt, labels: meta.labels || {}, disk: meta.disk || null, sizeGb: null };
+      })
+      .filter(snapshot => !safeName || snapshot.labels['agent-user'] === safeName)
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+  }
+
+  async function deleteSnapshot(snapshotName) {
+    fs.rmSync(path.join(dirs.snapshots, `${snapshotName}.tar.gz`), { force: true });
+    fs.rmSync(path.join(dirs.snapshots, `${snapshotName}.json`), { force: true });
+  }
+
+  /**
+   * Replace the data volume's contents with a snapshot. The container must
+   * be stopped; without one the volume is created for the next createInstance.
+   */
+  async function restoreDataDisk(vmName, snapshotName) {
+    const volume = dataDiskName(vmName);
+    if (!await volumeExists(volume)) {
+      const safeName = vmName.replace(/^agent-/, '');
+      await docker(['volume', 'create', '--label', 'managed-by=agents-plane', '--label', `agent-user=${safeName}`, volume]);
+    }
+    await docker([
+      'run', '--rm',
+      '--volume', `${volume}:/data`,
+      '--volume', `${dirs.snapshots}:/snapshots:ro`,
+      '--entrypoint', 'sh', image,
+      '-c', `find /data -mindepth 1 -delete && tar xzf /snapshots/${snapshotName}.tar.gz -C /data`,
+    ]);
+    return { disk: volume, zone: ZONE };
+  }
+
+  function dataDiskName(vmName) {
+    return `${vmName}-data`;
+  }
+
+  async function volumeExists(volume) {
+    try {
+      await docker(['volume', 'inspect', volume]);
+      return true;
+    } catch (err) {
+      if (isNoSuch(err)) return false;
+      throw err;
+    }
+  }
+
+  async function deleteDataDisk(vmName) {
+    const volume = dataDiskName(vmName);
+    if (!(await volumeExists(volume))) return null;
+    await docker(['volume', 'rm', volume]);
+    return volume;
+  }
+
+  // ─── Identity ──────────────────────────────────────────────────
+
+  // Locally an identity is just the name secret grants are recorded under
+  function identityOf(safeName) {
+    return `agent-${safeName}`;
+  }
+
+  async function ensureIdentity(safeName) {
+    return identityOf(safeName);
+  }
+
+  async function disableIdentity() {
+    return true;
+  }
+
+  // Drops the identity's grants on every secret
+  async function deleteIdentity(safeName) {
+    const identity = identityOf(safeName);
+    for (const { name } of secretsGrantedTo(identity)) await revokeSecret(name, identity);
+    return true;
+  }
+
+  function identityBindings() {
+    return [];
+  }
+
+  // Local agents have no service account keys to rotate
+  async function createAccessKey() {
+    throw new Error('Access keys are not supported by the docker provider');
+  }
+
+  async function deleteAccessKey() {
+    return false;
+  }
+
+  // ─── Secrets ───────────────────────────────────────────────────
+
+  const secretDir = (name) => path.join(dirs.secrets, name);
+  const secretVersionsDir = (name) => path.join(secretDir(name), 'versions');
+  const accessFile = (name) => path.join(secretDir(name), 'access.json');
+
+  async function ensureSecret(name) {
+    if (fs.existsSync(secretVersionsDir(name))) {
+      console.log(`Secret ${name} already exists`);
+      return;
+    }
+    fs.mkdirSync(secretVersionsDir(name), { recursive: true, mode: 0o700 });
+    console.log(`Created secret ${name}`);
+  }
+
+  async function listSecretVersions(name) {
+    const dir = secretVersionsDir(name);
+    if (!fs.existsSync(dir)) return null;
+    return fs.readdirSync(dir)
+      .map(file => /^(\d+)(\.disabled)?$/.exec(file))
+      .filter(Boolean)
+      .map(([file, version, disabled]) => ({
+        version,
+        createdAt: fs.statSync(path.join(dir, file)).mtime.toISOString(),
+        state: disabled ? 'disabled' : 'enabled',
+      }))
+      .sort((a, b) => Number(a.version) - Number(b.version));
+  }
+
+  async function readSecret(name, version = 'latest') {
+    const versions = await listSecretVersions(name);
+    if (!versions) return null;
+    const enabled = versions.filter(v => v.state === 'enabled').map(v => v.version);
+    const resolved = version === 'latest' ? enabled[enabled.length - 1] : String(version);
+    if (!resolved || !enabled.includes(resolved)) return null;
+    return { value: fs.readFileSync(path.join(secretVersionsDir(name), resolved), 'utf8'), version: resolved };
+  }
+
+  async function writeSecret(name, value) {
+    const versions = await listSecretVersions(name);
+    if (!versions) throw new Error(`Secret ${name} not found`);
+    const version = String(Number(versions[versions.length - 1]?.version || 0) + 1);
+    const filePath = path.join(secretVersionsDir(name), version);
+    // Write then rename so the container never sees a partial version
+    fs.writeFileSync(`${filePath}.tmp`, value, { mode: 0o644 });
+    fs.renameSync(`${filePath}.tmp`, filePath);
+    return version;
+  }
+
+  // Disabled versions keep their number but are no longer readable
+  async function disableSecretVersion(name, version) {
+    const filePath = path.join(secretVersionsDir(name), String(version));
+    if (fs.existsSync(filePath)) fs.renameSync(filePath, `${filePath}.disabled`);
+  }
+
+  async function deleteSecret(name) {
+    if (!fs.existsSync(secretDir(name))) return false;
+    fs.rmSync(secretDir(name), { recursive: true, force: true });
+    return true;
+  }
+
+  /**
+   * Record that `identity` may read or write a secret. Returns false if the
+   * secret does not exist.
+   */
+  async function grantSecret(name, identity, access) {
+    if (!fs.existsSync(secretVersionsDir(name))) return false;
+    const grants = readJson(accessFile(name), {});
+    if ((grants[identity] || []).includes(access)) return true;
+    grants[identity] = [...(grants[identity] || []), access];
+    writeJson(accessFile(name), grants);
+    console.log(`Granted ${access} on ${name} to ${identity}`);
+    return true;
+  }
+
+  async function revokeSecret(name, identity) {
+    const grants = readJson(accessFile(name), {});
+    if (!grants[identity]) return;
+    delete grants[identity];
+    writeJson(accessFile(name), grants);
+    console.log(`Revoked ${identity} on ${name}`);
+  }
+
+  function secretsGrantedTo(identity) {
+    if (!fs.existsSync(dirs.secrets)) return [];
+    return fs.readdirSync(dirs.secrets)
+      .map(name => ({ name, access: readJson(accessFile(name), {})[identity] }))
+      .filter(({ access }) => access);
+  }
+
+  return {
+    name: 'docker',
+    compute: {
+      getInstance,
+      listInstances,
+      createInstance,
+      renderInstance,
+      recreateInstance,
+      waitForRunning,
+      startInstance,
+      stopInstance,
+      resetInstance,
+      deleteInstance,
+      resizeInstance,
+      setLabels,
+      setConfigVersion,
+      setScriptVersion,
+      getHeartbeat,
+      getLastReload,
+      snapshotWorkspace,
+      listSnapshots,
+      deleteSnapshot,
+      restoreDataDisk,
+      dataDiskName,
+      deleteDataDisk,
+      identityOf,
+      ensureIdentity,
+      disableIdentity,
+      deleteIdentity,
+      identityBindings,
+      createAccessKey,
+      deleteAccessKey,
+    },
+    secrets: {
+      ensure: ensureSecret,
+      read: readSecret,
+      write: writeSecret,
+      listVersions: listSecretVersions,
+      disableVersion: disableSecretVersion,
+      delete: deleteSecret,
+      grant: grantSecret,
+      revoke: revokeSecret,
+      resourceName: secretDir,
+    },
+  };
+}
+
+function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return fallback;
+  }
+}
+
+function writeJson(filePath, value) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(value, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+function isNoSuch(err) {
+  return /No such (container|object|volume)|no such volume/i.test(err.message || '');
+}
+
+module.exports = {
+  createDockerProvider,
+};
@@ -0,0 +1,778 @@
+/**
+ * GCP provider: Compute Engine VMs, per-agent service accounts (see iam.js)
+ * and Secret Manager.
+ *
+ * Each agent VM boots from Debian with a versioned startup script from GCS, keeps
+ * its ~/.openclaw on a separate persistent data disk and runs as its own
+ * service account, which can only read the secrets it has been granted.
+ */
+
+const computeApi = require('@google-cloud/compute');
+const { SecretManagerServiceClient } = require('@google-cloud/secret-manager');
+const iam = require('../iam');
+
+// Persistent disk holding the agent's ~/.openclaw; survives reprovisioning
+const DATA_DISK_DEVICE = 'agent-data';
+// Metadata key the VM's config watcher blocks on; bumping it triggers a reload
+const CONFIG_VERSION_KEY = 'agent-config-version';
+// Metadata key and label recording the startup script version the VM boots
+const SCRIPT_VERSION_KEY = 'agent-script-version';
+// Guest attributes the VM writes (see startup-script.sh): its heartbeat
+// timestamp, and "<config version> <timestamp>" after each config reload
+const HEARTBEAT_NAMESPACE = 'agents-plane';
+const HEARTBEAT_KEY = 'heartbeat';
+const RELOADED_KEY = 'reloaded';
+
+// Secret roles for the provider-neutral access levels
+const SECRET_ROLES = {
+  read: 'roles/secretmanager.secretAccessor',
+  write: 'roles/secretmanager.secretVersionAdder',
+};
+
+/**
+ * Options (read from the environment by default):
+ *   project       GCP_PROJECT
+ *   zone          GCP_ZONE — the preferred zone
+ *   fallbackZones FALLBACK_ZONES — same-region zones tried when `zone` is out
+ *                 of capacity (the agents' subnet is regional)
+ *   scriptsBucket STARTUP_SCRIPT_BUCKET — holds startup-script-<version>.sh
+ *   network, subnet, dataDiskSizeGb, defaultMachineType
+ */
+function createGcpProvider({
+  project = process.env.GCP_PROJECT || process.env.PROJECT_ID || process.env.GCLOUD_PROJECT,
+  zone: defaultZone = process.env.GCP_ZONE || 'us-east4-b',
+  fallbackZones = (process.env.FALLBACK_ZONES || '').split(','),
+  network = process.env.NETWORK || 'agents-plane-vpc',
+  subnet = process.env.SUBNET || 'agents-subnet',
+  dataDiskSizeGb = process.env.DATA_DISK_SIZE_GB || '10',
+  defaultMachineType = process.env.DEFAULT_VM_TYPE || 'e2-standard-2',
+  controlPlaneUrl = process.env.CONTROL_PLANE_URL,
+  scriptsBucket = process.env.STARTUP_SCRIPT_BUCKET || 'agents-plane-scripts',
+} = {}) {
+  const instancesClient = new computeApi.InstancesClient();
+  const disksClient = new computeApi.DisksClient();
+  const snapshotsClient = new computeApi.SnapshotsClient();
+  const secretManager = new SecretManagerServiceClient();
+
+  const region = defaultZone.replace(/-[a-z]$/, '');
+  const zones = [defaultZone, ...fallbackZones.map(z => z.trim())
+    .filter(z => z && z !== defaultZone && z.startsWith(`${region}-`))];
+
+  // ─── Compute ───────────────────────────────────────────────────
+
+  /**
+   * Look an instance up in each of `searchZones` in turn (agents may have
+   * been placed in a fallback zone). Returns null if it exists in none.
+   */
+  async function getRawInstance(vmName, searchZones = zones) {
+    for (const zone of searchZones) {
+      try {
+        const [instance] = await instancesClient.get({ project, zone, instance: vmName });
+        return instance;
+      } catch (err) {
+        if (!isNotFound(err)) throw err;
+      }
+    }
+    return null;
+  }
+
+  // Zone name of an instance or disk (they carry the full zone URL)
+  function zoneOf(resource) {
+    return resource.zone?.split('/').pop() || defaultZone;
+  }
+
+  function toInstance(raw) {
+    return {
+      name: raw.name,
+      status: raw.status,
+      zone: zoneOf(raw),
+      machineType: raw.machineType?.split('/').pop(),
+      labels: raw.labels || {},
+      configVersion: (raw.metadata?.items || []).find(i => i.key === CONFIG_VERSION_KEY)?.value || null,
+      scriptVersion: (raw.metadata?.items || []).find(i => i.key === SCRIPT_VERSION_KEY)?.value || null,
+      createdAt: raw.creationTimestamp,
+      hasDataDisk: (raw.disks || []).some(d => d.deviceName === DATA_DISK_DEVICE),
+      disks: (raw.disks || []).map(d => d.source?.split('/').pop()),
+      raw,
+    };
+  }
+
+  async function getInstance(vmName) {
+    const raw = await getRawInstance(vmName);
+    return raw ? toInstance(raw) : null;
+  }
+
+  async function listInstances({ label } = {}) {
+    const filter = `labels.managed-by=agents-plane${label ? ` AND labels.${label}:*` : ''}`;
+    const instances = [];
+    for (const zone of zones) {
+      const [zoneInstances] = await instancesClient.list({ project, zone, filter });
+      instances.push(...(zoneInstances || []).map(toInstance));
+    }
+    return instances;
+  }
+
+  /**
+   * Create the agent VM in the first zone with capacity. The data disk is
+   * created with it unless it survived an earlier VM, in which case the VM
+   * has to go to the disk's zone. `preferZone` is tried first.
+   */
+  async function createInstance(spec, { preferZone } = {}) {
+    const dataDisk = await getDisk(dataDiskName(spec.vmName));
+    const candidates = dataDisk
+      ? [zoneOf(dataDisk)]
+      : preferZone ? [preferZone, ...zones.filter(z => z !== preferZone)] : zones;
+    const placement = await insertInstance({ ...spec, dataDisk }, candidates);
+    return { ...placement, dataDiskReused: Boolean(dataDisk) };
+  }
+
+  /**
+   * The instance resource createInstance would insert, and where, without
+   * creating anything. Capacity fallback can still move it to a later zone.
+   */
+  async function renderInstance(spec) {
+    const dataDisk = await getDisk(dataDiskName(spec.vmName));
+    const zone = dataDisk ? zoneOf(dataDisk) : zones[0];
+    return {
+      zone,
+      fallbackZones: dataDisk ? [] : zones.slice(1),
+      dataDiskReused: Boolean(dataDisk),
+      resource: buildInstanceResource({ ...spec, dataDisk, zone }),
+    };
+  }
+
+  /**
+   * Delete and recreate an agent VM, keeping its machine shape, zone (when
+   * a data disk pins it there) and data disk.
+   */
+  async function recreateInstance(instance, spec) {
+    const bootSource = (instance.raw.disks || []).find(d => d.boot)?.source?.split('/').pop();
+    const bootDisk = bootSource ? await getDisk(bootSource, [instance.zone]) : null;
+    const shape = {
+      machineType: instance.machineType,
+      diskSizeGb: bootDisk ? Number(bootDisk.sizeGb) : undefined,
+      diskType: bootDisk?.type?.split('/').pop(),
+    };
+    await deleteInstance(instance);
+    console.log(`Deleted ${instance.name} for reprovisioning`);
+    return createInstance({ ...spec, ...shape }, { preferZone: instance.zone });
+  }
+
+  /**
+   * Insert an agent VM into the first of `candidates` with capacity, moving
+   * on when a zone is exhausted or out of quota. Returns the chosen zone and
+   * the zones that were skipped.
+   */
+  async function insertInstance(spec, candidates) {
+    const skippedZones = [];
+    for (const zone of candidates) {
+      try {
+        const instanceResource = buildInstanceResource({ ...spec, zone });
+        const [operation] = await instancesClient.insert({ project, zone, instanceResource });
+        // Wait for the LRO to complete (v4+ API) — capacity errors surface here
+        await waitFor(operation);
+        if (skippedZones.length) console.log(`Placed ${spec.vmName} in ${zone} after ${skippedZones.join(', ')}`);
+        return { zone, skippedZones };
+      } catch (err) {
+        if (!isCapacityError(err)) throw err;
+        console.warn(`No capacity for ${spec.vmName} in ${zone}: ${err.message}`);
+        skippedZones.push(zone);
+      }
+    }
+    throw new Error(`No capacity for ${spec.vmName} in ${candidates.join(', ')}`);
+  }
+
+  /**
+   * Build the instance resource for an agent VM. The boot disk is disposable;
+   * `/home/<agent>/.openclaw` lives on a separate persistent disk that is
+   * created on first provision and reattached by `reprovision`.
+   */
+  function buildInstanceResource({
+    vmName, safeName, identity, labels = {}, configVersion, scriptVersion, dataDisk, zone = defaultZone,
+    machineType = defaultMachineType, diskSizeGb = 20, diskType = 'pd-balanced',
+  }) {
+
+    const dataDiskConfig = dataDisk
+      ? { source: dataDisk.selfLink, deviceName: DATA_DISK_DEVICE, autoDelete: false }
+      : {
+        deviceName: DATA_DISK_DEVICE,
+        autoDelete: false,
+        initializeParams: {
+          diskName: dataDiskName(vmName),
+          diskSizeGb: dataDiskSizeGb,
+          diskType: `zones/${zone}/diskTypes/pd-balanced`,
+          labels: { 'agent-user': safeName, 'managed-by': 'agents-plane' },
+        },
+      };
+
+    return {
+      name: vmName,
+      machineType: `zones/${zone}/machineTypes/${machineType}`,
+      tags: { items: ['agent-vm'] },
+      labels: {
+        'agent-user': safeName,
+        'managed-by': 'agents-plane',
+        'agent-zone': zone,
+        ...(scriptVersion && { [SCRIPT_VERSION_KEY]: scriptVersion }),
+        ...labels,
+      },
+      networkInterfaces: [
+        {
+          network: `projects/${project}/global/networks/${network}`,
+          subnetwork: `projects/${project}/regions/${region}/subnetworks/${subnet}`,
+          // No external IP
+        },
+      ],
+      // Per-agent service account — what the VM can reach is governed by its
+      // IAM bindings, so the broad scope does not widen access
+      serviceAccounts: [
+        {
+          email: identity,
+          scopes: [
+            'https://www.googleapis.com/auth/cloud-platform',  // Needed for Secret Manager access
+          ],
+        },
+      ],
+      disks: [
+        {
+          boot: true,
+          autoDelete: true,
+          initializeParams: {
+            sourceImage: 'projects/debian-cloud/global/images/family/debian-12',
+            diskSizeGb: String(diskSizeGb),
+            diskType: `zones/${zone}/diskTypes/${diskType}`,
+          },
+        },
+        dataDiskConfig,
+      ],
+      metadata: {
+        items: [
+          ...scriptMetadata(scriptVersion),
+          { key: CONFIG_VERSION_KEY, value: configVersion },
+          // Lets the VM report heartbeats without any IAM permissions
+          { key: 'enable-guest-attributes', value: 'TRUE' },
+          // Where the VM reports usage (report-usage)
+          ...(controlPlaneUrl ? [{ key: 'agents-plane-url', value: controlPlaneUrl }] : []),
+        ],
+      },
+    };
+  }
+
+  /**
+   * Metadata items pointing a VM at a startup script version. Startup scripts
+   * live in GCS; VMs without a version boot the unversioned startup-script.sh.
+   */
+  function scriptMetadata(scriptVersion) {
+    const url = scriptVersion
+      ? `gs://${scriptsBucket}/startup-script-${scriptVersion}.sh`
+      : `gs://${scriptsBucket}/startup-script.sh`;
+    return [
+      { key: 'startup-script-url', value: url },
+      ...(scriptVersion ? [{ key: SCRIPT_VERSION_KEY, value: scriptVersion }] : []),
+    ];
+  }
+
+  /**
+   * Poll until an instance reports RUNNING (inserts and starts complete while
+   * it is still STAGING).
+   */
+  async function waitForRunning(vmName, zone = defaultZone, timeoutSeconds = 300) {
+    const deadline = Date.now() + timeoutSeconds * 1000;
+    for (;;) {
+      const instance = await getRawInstance(vmName, [zone]);
+      if (instance?.status === 'RUNNING') return toInstance(instance);
+      if (Date.now() >= deadline) {
+        throw new Error(`${vmName} not RUNNING after ${timeoutSeconds}s (status: ${instance?.status || 'missing'})`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+  }
+
+  async function startInstance(instance) {
+    const [op] = await instancesClient.start({ project, zone: instance.zone, instance: instance.name });
+    await waitFor(op);
+  }
+
+  async function stopInstance(instance) {
+    const [op] = await instancesClient.stop({ project, zone: instance.zone, instance: instance.name });
+    await waitFor(op);
+  }
+
+  async function resetInstance(instance) {
+    const [op] = await instancesClient.reset({ project, zone: instance.zone, instance: instance.name });
+    await waitFor(op);
+  }
+
+  async function deleteInstance(instance) {
+    const [op] = await instancesClient.delete({ project, zone: instance.zone, instance: instance.name });
+    await waitFor(op);
+  }
+
+  /**
+   * Change an instance's machine type. Compute Engine only allows that while
+   * the VM is stopped, so a running VM is stopped and started again.
+   */
+  async function resizeInstance(instance, machineType) {
+    const running = instance.status === 'RUNNING';
+    if (running) await stopInstance(instance);
+    const [op] = await instancesClient.setMachineType({
+      project,
+      zone: instance.zone,
+      instance: instance.name,
+      instancesSetMachineTypeRequestResource: { machineType: `zones/${instance.zone}/machineTypes/${machineType}` },
+    });
+    await waitFor(op);
+    if (running) await startInstance(instance);
+  }
+
+  /**
+   * Merge label changes into an instance's labels. A null value removes the label.
+   */
+  async function setLabels(instance, changes) {
+    const labels = { ...instance.labels };
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === null) delete labels[key];
+      else labels[key] = value;
+    }
+    const [op] = await instancesClient.setLabels({
+      project,
+      zone: instance.zone,
+      instance: instance.name,
+      instancesSetLabelsRequestResource: { labels, labelFingerprint: instance.raw.labelFingerprint },
+    });
+    await waitFor(op);
+  }
+
+  /**
+   * Point the VM's config watcher at a new config secret version.
+   */
+  async function setConfigVersion(instance, configVersion) {
+    const items = (instance.raw.metadata?.items || []).filter(item => item.key !== CONFIG_VERSION_KEY);
+    items.push({ key: CONFIG_VERSION_KEY, value: configVersion });
+    const [op] = await instancesClient.setMetadata({
+      project,
+      zone: instance.zone,
+      instance: instance.name,
+      metadataResource: { items, fingerprint: instance.raw.metadata?.fingerprint },
+    });
+    await waitFor(op);
+  }
+
+  /**
+   * Point the VM at a startup script version (null: the unversioned script).
+   * It runs on the VM's next boot.
+   */
+  async function setScriptVersion(instance, scriptVersion) {
+    const items = (instance.raw.metadata?.items || [])
+      .filter(item => item.key !== 'startup-script-url' && item.key !== SCRIPT_VERSION_KEY);
+    items.push(...scriptMetadata(scriptVersion));
+    const [op] = await instancesClient.setMetadata({
+      project,
+      zone: instance.zone,
+      instance: instance.name,
+      metadataResource: { items, fingerprint: instance.raw.metadata?.fingerprint },
+    });
+    await waitFor(op);
+    await setLabels(instance, { [SCRIPT_VERSION_KEY]: scriptVersion });
+  }
+
+  async function readGuestAttribute(vmName, zone, key) {
+    try {
+      const [attrs] = await instancesClient.getGuestAttributes({
+        project,
+        zone,
+        instance: vmName,
+        queryPath: `${HEARTBEAT_NAMESPACE}/`,
+      });
+      const item = (attrs?.queryValue?.items || []).find(i => i.key === key);
+      return item?.value || null;
+    } catch (err) {
+      // No guest attributes until the VM's first heartbeat
+      if (!isNotFound(err)) console.warn(`Failed to read ${key} for ${vmName}:`, err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Last heartbeat timestamp the VM wrote to its guest attributes, or null.
+   */
+  async function getHeartbeat(vmName, zone = defaultZone) {
+    return readGuestAttribute(vmName, zone, HEARTBEAT_KEY);
+  }
+
+  /**
+   * The config version the VM last reloaded and when, or null.
+   */
+  async function getLastReload(vmName, zone = defaultZone) {
+    const value = await readGuestAttribute(vmName, zone, RELOADED_KEY);
+    if (!value) return null;
+    const [configVersion, at] = value.split(' ');
+    return { configVersion, at: at || null };
+  }
+
+  /**
+   * Snapshot the disk holding the agent's workspace: the data disk when
+   * attached, otherwise the boot disk (VMs created before data disks). The
+   * `workspace-disk` label says which, since only data disks can be restored.
+   */
+  async function snapshotWorkspace(instance, snapshotName, labels = {}) {
+    const workspaceDisk = instance.hasDataDisk ? 'data' : 'boot';
+    const [op] = await disksClient.createSnapshot({
+      project,
+      zone: instance.zone,
+      disk: workspaceDiskName(instance),
+      snapshotResource: {
+        name: snapshotName,
+        labels: { 'managed-by': 'agents-plane', 'workspace-disk': workspaceDisk, ...labels },
+      },
+    });
+    await waitFor(op);
+    return { disk: workspaceDiskName(instance), name: snapshotName };
+  }
+
+  /**
+   * Workspace snapshots, newest first — every agent's, or one agent's.
+   */
+  async function listSnapshots({ safeName } = {}) {
+    const filter = `labels.managed-by=agents-plane${safeName ? ` AND labels.agent-user=${safeName}` : ''}`;
+    const [snapshots] = await snapshotsClient.list({ project, filter });
+    return (snapshots || [])
+      .map(snapshot => ({
+        name: snapshot.name,
+        createdAt: snapshot.creationTimestamp,
+        labels: snapshot.labels || {},
+        disk: snapshot.sourceDisk?.split('/').pop() || null,
+        sizeGb: Number(snapshot.diskSizeGb) || null,
+      }))
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+  }
+
+  async function deleteSnapshot(snapshotName) {
+    const [op] = await snapshotsClient.delete({ project, snapshot: snapshotName });
+    await waitFor(op);
+  }
+
+  /**
+   * Replace the agent's data disk with one created from a workspace snapshot.
+   * With `instance` (stopped) the new disk is attached in the old one's place;
+   * without, it waits in the default zone for the next createInstance.
+   */
+  async function restoreDataDisk(vmName, snapshotName, instance = null) {
+    const name = dataDiskName(vmName);
+    const existing = await getDisk(name);
+    const zone = instance?.zone || (existing ? zoneOf(existing) : defaultZone);
+    if (instance?.hasDataDisk) {
+      const [op] = await instancesClient.detachDisk({ project, zone, instance: instance.name, deviceName: DATA_DISK_DEVICE });
+      await waitFor(op);
+    }
+    if (existing) {
+      const [op] = await disksClient.delete({ project, zone: zoneOf(existing), disk: name });
+      await waitFor(op);
+    }
+    const [insertOp] = await disksClient.insert({
+      project,
+      zone,
+      diskResource: {
+        name,
+        sourceSnapshot: `projects/${project}/global/snapshots/${snapshotName}`,
+        type: `zones/${zone}/diskTypes/pd-balanced`,
+        labels: { 'agent-user': vmName.replace(/^agent-/, ''), 'managed-by': 'agents-plane' },
+      },
+    });
+    await waitFor(insertOp);
+    if (instance) {
+      const [op] = await instancesClient.attachDisk({
+        project,
+        zone,
+        instance: instance.name,
+        attachedDiskResource: {
+          source: `projects/${project}/zones/${zone}/disks/${name}`,
+          deviceName: DATA_DISK_DEVICE,
+          autoDelete: false,
+        },
+      });
+      await waitFor(op);
+    }
+    return { disk: name, zone };
+  }
+
+  function workspaceDiskName(instance) {
+    const disks = instance.raw.disks || [];
+    const disk = disks.find(d => d.deviceName === DATA_DISK_DEVICE) || disks.find(d => d.boot) || disks[0];
+    return disk?.source?.split('/').pop() || instance.name;
+  }
+
+  async function getDisk(diskName, searchZones = zones) {
+    for (const zone of searchZones) {
+      try {
+        const [disk] = await disksClient.get({ project, zone, disk: diskName });
+        return disk;
+      } catch (err) {
+        if (!isNotFound(err)) throw err;
+      }
+    }
+    return null;
+  }
+
+  function dataDiskName(vmName) {
+    return `${vmName}-data`;
+  }
+
+  /**
+   * Delete the agent's data disk (it is not auto-deleted with the VM).
+   * Returns its name, or null if there was none.
+   */
+  async function deleteDataDisk(vmName) {
+    const disk = await getDisk(dataDiskName(vmName));
+    if (!disk) return null;
+    const [op] = await disksClient.delete({ project, zone: zoneOf(disk), disk: disk.name });
+    await waitFor(op);
+    return disk.name;
+  }
+
+  // ─── Identity ──────────────────────────────────────────────────
+
+  function identityOf(safeName) {
+    return iam.agentServiceAccountEmail(project, safeName);
+  }
+
+  /**
+   * Create (or re-enable) the agent's service account and bind its project
+   * roles. Returns the account email.
+   */
+  async function ensureIdentity(safeName, email) {
+    const serviceAccount = await iam.ensureAgentServiceAccount(project, safeName, email);
+    // New service accounts take a few seconds to become visible to other APIs
+    await withRetry(() => iam.grantAgentProjectRoles(project, serviceAccount));
+    return serviceAccount;
+  }
+
+  async function disableIdentity(safeName) {
+    return iam.disableAgentServiceAccount(project, safeName);
+  }
+
+  async function deleteIdentity(safeName) {
+    const serviceAccount = identityOf(safeName);
+    await iam.revokeAgentProjectRoles(project, serviceAccount);
+    return iam.deleteAgentServiceAccount(project, safeName);
+  }
+
+  function identityBindings(safeName) {
+    return iam.AGENT_PROJECT_ROLES.map(role => ({ resource: `projects/${project}`, role, member: identityOf(safeName) }));
+  }
+
+  /**
+   * A new key for the service account a key file belongs to. Returns the
+   * new key file's contents.
+   */
+  async function createAccessKey(keyFile) {
+    return iam.createServiceAccountKey(JSON.parse(keyFile).client_email);
+  }
+
+  async function deleteAccessKey(keyFile) {
+    return iam.deleteServiceAccountKey(JSON.parse(keyFile));
+  }
+
+  // ─── Secrets ───────────────────────────────────────────────────
+
+  const secretPath = (name) => `projects/${project}/secrets/${name}`;
+
+  /**
+   * Create a Secret Manager secret if it doesn't exist yet.
+   */
+  async function ensureSecret(name) {
+    try {
+      await secretManager.createSecret({
+        parent: `projects/${project}`,
+        secretId: name,
+        secret: { replication: { automatic: {} } },
+      });
+      console.log(`Created secret ${name}`);
+    } catch (err) {
+      if (err.code === 6 || err.message?.includes('ALREADY_EXISTS')) {
+        console.log(`Secret ${name} already exists`);
+      } else {
+        throw err;
+      }
+    }
+  }
+
+  async function readSecret(name, version = 'latest') {
+    try {
+      const [result] = await secretManager.accessSecretVersion({ name: `${secretPath(name)}/versions/${version}` });
+      return { value: result.payload.data.toString(), version: result.name.split('/').pop() };
+    } catch (err) {
+      if (isNotFound(err)) return null;
+      throw err;
+    }
+  }
+
+  async function writeSecret(name, value) {
+    const [version] = await secretManager.addSecretVersion({
+      parent: secretPath(name),
+      payload: { data: Buffer.from(value) },
+    });
+    return version?.name?.split('/').pop() || 'latest';
+  }
+
+  async function listSecretVersions(name) {
+    try {
+      const [versions] = await secretManager.listSecretVersions({ parent: secretPath(name) });
+      return versions
+        .map(v => ({
+          version: v.name.split('/').pop(),
+          createdAt: v.createTime ? new Date(Number(v.createTime.seconds) * 1000).toISOString() : null,
+          state: String(v.state || 'ENABLED').toLowerCase(),
+        }))
+        .sort((a, b) => Number(a.version) - Number(b.version));
+    } catch (err) {
+      if (isNotFound(err)) return null;
+      throw err;
+    }
+  }
+
+  async function disableSecretVersion(name, version) {
+    await secretManager.disableSecretVersion({ name: `${secretPath(name)}/versions/${version}` });
+    console.log(`Disabled ${name} version ${version}`);
+  }
+
+  // Deleting a secret deletes all of its versions and its IAM policy
+  async function deleteSecret(name) {
+    try {
+      await secretManager.deleteSecret({ name: secretPath(name) });
+      return true;
+    } catch (err) {
+      if (isNotFound(err)) return false;
+      throw err;
+    }
+  }
+
+  /**
+   * Bind an identity to `access` (read | write) on a single secret
+   * (idempotent). Returns false if the secret does not exist.
+   */
+  async function grantSecret(name, identity, access) {
+    const role = SECRET_ROLES[access];
+    const member = `serviceAccount:${identity}`;
+    // New service accounts take a few seconds to become visible to other APIs
+    return withRetry(async () => {
+      let policy;
+      try {
+        [policy] = await secretManager.getIamPolicy({ resource: secretPath(name) });
+      } catch (err) {
+        if (isNotFound(err)) return false;
+        throw err;
+      }
+      policy.bindings = policy.bindings || [];
+      let binding = policy.bindings.find(b => b.role === role && !b.condition);
+      if (binding?.members?.includes(member)) return true;
+      if (!binding) {
+        binding = { role, members: [] };
+        policy.bindings.push(binding);
+      }
+      binding.members = [...(binding.members || []), member];
+      await secretManager.setIamPolicy({ resource: secretPath(name), policy });
+      console.log(`Granted ${role} on ${name} to ${member}`);
+      return true;
+    });
+  }
+
+  /**
+   * Remove an identity from every role on a single secret.
+   */
+  async function revokeSecret(name, identity) {
+    const member = `serviceAccount:${identity}`;
+    let policy;
+    try {
+      [policy] = await secretManager.getIamPolicy({ resource: secretPath(name) });
+    } catch (err) {
+      if (isNotFound(err)) return;
+      throw err;
+    }
+    const bindings = policy.bindings || [];
+    if (!bindings.some(b => b.members?.includes(member))) return;
+    policy.bindings = bindings
+      .map(b => ({ ...b, members: (b.members || []).filter(m => m !== member) }))
+      .filter(b => b.members.length > 0);
+    await secretManager.setIamPolicy({ resource: secretPath(name), policy });
+    console.log(`Revoked ${member} on ${name}`);
+  }
+
+  return {
+    name: 'gcp',
+    compute: {
+      getInstance,
+      listInstances,
+      createInstance,
+      renderInstance,
+      recreateInstance,
+      waitForRunning,
+      startInstance,
+      stopInstance,
+      resetInstance,
+      deleteInstance,
+      resizeInstance,
+      setLabels,
+      setConfigVersion,
+      setScriptVersion,
+      getHeartbeat,
+      getLastReload,
+      snapshotWorkspace,
+      listSnapshots,
+      deleteSnapshot,
+      restoreDataDisk,
+      dataDiskName,
+      deleteDataDisk,
+      identityOf,
+      ensureIdentity,
+      disableIdentity,
+      deleteIdentity,
+      identityBindings,
+      createAccessKey,
+      deleteAccessKey,
+    },
+    secrets: {
+      ensure: ensureSecret,
+      read: readSecret,
+      write: writeSecret,
+      listVersions: listSecretVersions,
+      disableVersion: disableSecretVersion,
+      delete: deleteSecret,
+      grant: grantSecret,
+      revoke: revokeSecret,
+      resourceName: secretPath,
+    },
+  };
+}
+
+// Long-running operations resolve once the change is applied
+async function waitFor(operation) {
+  if (operation && typeof operation.promise === 'function') await operation.promise();
+}
+
+// Zone out of capacity or quota — worth retrying in another zone
+function isCapacityError(err) {
+  return /ZONE_RESOURCE_POOL_EXHAUSTED|QUOTA_EXCEEDED|does not have enough resources|Quota .* exceeded/i.test(err.message || '');
+}
+
+function isNotFound(err) {
+  return err.code === 5 || err.message?.includes('not found') || err.message?.includes('NOT_FOUND');
+}
+
+/**
+ * Retry a function with exponential backoff (1s, 2s, 4s...).
+ */
+async function withRetry(fn, maxAttempts = 4) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= maxAttempts) throw err;
+      await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt - 1) * 1000));
+    }
+  }
+}
+
+module.exports = {
+  createGcpProvider,
+};
@@ -0,0 +1,69 @@
+/**
+ * Infrastructure providers.
+ *
+ * The control plane (index.js) drives agents through two interfaces and
+ * never calls a cloud API itself:
+ *   gcp     Compute Engine VMs, per-agent service accounts, Secret Manager
+ *   docker  a local container per agent with file-backed secrets
+ *
+ * compute — one instance per agent, the identity it runs as and the
+ * persistent data volume holding its ~/.openclaw:
+ *   getInstance(vmName)               → instance | null
+ *   listInstances({ label })          agents-plane instances (optionally only
+ *                                     those carrying `label`)
+ *   createInstance(spec)              → { zone, skippedZones, dataDiskReused }
+ *   recreateInstance(instance, spec)  same, keeping shape and data volume
+ *   renderInstance(spec, { grants }) → { zone, fallbackZones, dataDiskReused,
+ *                                     resource } — what createInstance would
+ *                                     create, without creating it
+ *   waitForRunning(vmName, zone, timeoutSeconds)
+ *   startInstance / stopInstance / resetInstance / deleteInstance(instance)
+ *   resizeInstance(instance, machineType)
+ *   setLabels(instance, changes)      null removes a label
+ *   setConfigVersion(instance, v)     tells the agent to load config version v
+ *   setScriptVersion(instance, v)     boots startup script version v from now
+ *                                     on (null: the unversioned script)
+ *   getHeartbeat(vmName, zone)        → ISO timestamp | null
+ *   getLastReload(vmName, zone)       → { configVersion, at } | null
+ *   snapshotWorkspace(instance, name, labels) → { disk, name }
+ *   listSnapshots({ safeName })       → [{ name, createdAt, labels, disk,
+ *                                     sizeGb }], newest first
+ *   deleteSnapshot(name)
+ *   restoreDataDisk(vmName, snapshot, instance) → { disk, zone } — replace
+ *                                     the data disk with the snapshot's, on
+ *                                     the stopped instance or for the next VM
+ *   dataDiskName(vmName), deleteDataDisk(vmName) → name | null
+ *   identityOf(safeName), ensureIdentity(safeName, email) → identity,
+ *   disableIdentity(safeName), deleteIdentity(safeName) → bool,
+ *   identityBindings(safeName)        project-level grants, for dry runs
+ *   createAccessKey(keyFile), deleteAccessKey(keyFile) — rotate the key of
+ *                                     the account a key file belongs to
+ *
+ * An instance is { name, status, zone, machineType, labels, configVersion,
+ * scriptVersion, createdAt, hasDataDisk, disks, raw }, with `status` in
+ * Compute Engine's vocabulary (RUNNING, TERMINATED, STAGING, ...). A spec is
+ * { vmName, safeName, identity, labels, configVersion, scriptVersion,
+ * machineType, diskSizeGb, diskType }.
+ *
+ * secrets — named secrets with numbered versions:
+ *   ensure(name), write(name, value) → version,
+ *   read(name, version = 'latest') → { value, version } | null,
+ *   listVersions(name) → [{ version, createdAt, state }] | null (oldest
+ *   first, state enabled | disabled | destroyed), disableVersion(name, v),
+ *   delete(name) → bool,
+ *   grant(name, identity, 'read' | 'write') → false if the secret is missing,
+ *   revoke(name, identity), resourceName(name)
+ */
+
+const PROVIDERS = ['gcp', 'docker'];
+
+function createProvider(name, options = {}) {
+  if (name === 'gcp') return require('./gcp').createGcpProvider(options);
+  if (name === 'docker') return require('./docker').createDockerProvider(options);
+  throw new Error(`Unknown provider "${name}" (use ${PROVIDERS.join(' or ')})`);
+}
+
+module.exports = {
+  PROVIDERS,
+  createProvider,
+};
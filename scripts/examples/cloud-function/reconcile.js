@@ -0,0 +1,206 @@
+/**
+ * Declarative fleet reconciliation.
+ *
+ * A desired-state document shaped like planes.yaml (REQUIREMENTS.md §1.4)
+ * lists every agent the plane should run. Each entry is resolved against the
+ * document's `policies` (see policy.js), with the entry's own fields as
+ * overrides, then compared with the managed instances. Every agent lands in
+ * one bucket:
+ *   create     in the document, no instance yet
+ *   start      in the document, instance stopped or scheduled for purge (an
+ *              instance asleep outside its power schedule counts as running)
+ *   update     config or machine type differs (`changes` holds the diff)
+ *   stop       `enabled: false` and the instance is running
+ *   delete     instance not in the document (purged after the grace period)
+ *   unchanged
+ *
+ *   apiVersion: openclaw.dev/v1alpha1
+ *   kind: AgentsPlane
+ *   metadata: { name: acme-agents }
+ *   spec:
+ *     infrastructure: { defaults: { machineType: e2-standard-2, diskSizeGb: 20 } }
+ *     agents:
+ *       - { name: alice-agent, owner: alice@acme.com, modelTier: opus, budgetCap: 200 }
+ *       - { name: bob-agent, owner: bob@acme.com, enabled: false }
+ *     policies:
+ *       - { match: { group: engineering@acme.com }, spec: { tools: [exec, github] } }
+ *
+ * Group and OU policies need the entry's `groups` and `orgUnitPath`.
+ */
+
+const policy = require('./policy');
+
+const PLAN_ACTIONS = ['create', 'start', 'update', 'stop', 'delete', 'unchanged'];
+
+// Used when the document does not map its own tiers (`spec.modelTiers`)
+const DEFAULT_MODEL_TIERS = { opus: 'claude-opus-4-6', sonnet: 'claude-sonnet-4-5', haiku: 'claude-haiku-4-5' };
+
+// Agent config fields compared with the running agent
+const CONFIG_FIELDS = ['model', 'budget', 'tools', 'channels', 'schedule'];
+
+/**
+ * The document as an object — YAML text is parsed, objects pass through.
+ */
+function parseDocument(input) {
+  if (typeof input !== 'string') return input;
+  return require('js-yaml').load(input);
+}
+
+/**
+ * Resolve the document's agents. `namesOf(email)` gives an agent's
+ * { safeName, vmName } (null if the email cannot be used), and
+ * `checkConfig(config)` lists problems with its model, tools, channels or
+ * schedule.
+ * Returns { agents, errors }; any error means the document should be rejected.
+ */
+function desiredAgents(document, { namesOf, allowedMachineTypes, checkConfig }) {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    return { agents: [], errors: ['Document must be an object'] };
+  }
+  const errors = [];
+  if (document.kind && document.kind !== 'AgentsPlane') errors.push(`Unsupported kind "${document.kind}"`);
+
+  const spec = document.spec || {};
+  const infraDefaults = spec.infrastructure?.defaults || {};
+  const policyDocument = {
+    defaults: { machineType: infraDefaults.machineType },
+    modelTiers: { ...DEFAULT_MODEL_TIERS, ...spec.modelTiers },
+    policies: spec.policies || [],
+  };
+  if (!Array.isArray(spec.agents)) errors.push('spec.agents must be a list');
+
+  const agents = [];
+  const owners = new Map();
+  (Array.isArray(spec.agents) ? spec.agents : []).forEach((entry, index) => {
+    const label = entry?.name || `agents[${index}]`;
+    const email = entry?.owner;
+    const names = typeof email === 'string' && email.includes('@') ? namesOf(email) : null;
+    if (!names) {
+      errors.push(`${label}: missing or invalid owner`);
+      return;
+    }
+    if (owners.has(names.vmName)) {
+      errors.push(`${label}: ${email} already owns ${owners.get(names.vmName)}`);
+      return;
+    }
+    owners.set(names.vmName, label);
+
+    const { name, owner, enabled = true, orgUnitPath, groups, diskSizeGb, ...overrides } = entry;
+    let resolved;
+    try {
+      resolved = policy.resolvePolicy(policyDocument, { email, orgUnitPath, groups }, overrides);
+    } catch (err) {
+      errors.push(`${label}: ${err.message}`);
+      return;
+    }
+    const { effective } = resolved;
+    if (effective.machineType && allowedMachineTypes && !allowedMachineTypes.includes(effective.machineType)) {
+      errors.push(`${label}: machineType ${effective.machineType} is not allowed`);
+      return;
+    }
+    const config = {
+      model: effective.model,
+      budget: effective.budgetCap,
+      tools: effective.tools,
+      channels: effective.channels,
+      schedule: effective.schedule,
+    };
+    const problems = checkConfig ? checkConfig(config) : [];
+    if (problems.length > 0) {
+      errors.push(`${label}: ${problems.join('; ')}`);
+      return;
+    }
+    agents.push({
+      name: label,
+      email,
+      ...names,
+      enabled: enabled !== false,
+      config,
+      machineType: effective.machineType,
+      diskSizeGb: diskSizeGb ?? infraDefaults.diskSizeGb,
+      policy: resolved.applied,
+    });
+  });
+
+  return { agents, errors };
+}
+
+/**
+ * Fields the document sets that differ from the running agent, as
+ * { field: { from, to } }. Fields the document leaves out are not compared.
+ */
+function diffAgent(agent, current) {
+  const changes = {};
+  const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  for (const field of CONFIG_FIELDS) {
+    const to = agent.config[field];
+    if (to !== undefined && !same(to, current.config?.[field])) {
+      changes[field] = { from: current.config?.[field] ?? null, to };
+    }
+  }
+  if (agent.machineType && agent.machineType !== current.machineType) {
+    changes.machineType = { from: current.machineType ?? null, to: agent.machineType };
+  }
+  return changes;
+}
+
+/**
+ * Compare desired agents with the current fleet — a list of
+ * { vmName, safeName, email, status, sleeping, paused, purgeScheduled,
+ * machineType, config }. Paused agents stay stopped until resume-all.
+ */
+function computePlan(desired, current) {
+  const remaining = new Map(current.map(c => [c.vmName, c]));
+  const plan = [];
+
+  for (const agent of desired) {
+    const existing = remaining.get(agent.vmName);
+    remaining.delete(agent.vmName);
+    const entry = { name: agent.name, email: agent.email, safeName: agent.safeName, vmName: agent.vmName };
+
+    if (!agent.enabled) {
+      // Sleeping and paused agents are stopped, but would be started again
+      const running = existing && (existing.status !== 'TERMINATED' || existing.sleeping || existing.paused) &&
+        !existing.purgeScheduled;
+      plan.push({ ...entry, action: running ? 'stop' : 'unchanged' });
+      continue;
+    }
+    if (!existing) {
+      plan.push({ ...entry, action: 'create', config: agent.config, machineType: agent.machineType || null });
+      continue;
+    }
+    const changes = diffAgent(agent, existing);
+    const stopped = (existing.status === 'TERMINATED' && !existing.sleeping && !existing.paused) || existing.purgeScheduled;
+    const action = stopped ? 'start' : Object.keys(changes).length > 0 ? 'update' : 'unchanged';
+    plan.push({ ...entry, action, changes });
+  }
+
+  // Agents missing from the document; one already being purged is left alone
+  for (const existing of remaining.values()) {
+    plan.push({
+      name: null,
+      email: existing.email || null,
+      safeName: existing.safeName,
+      vmName: existing.vmName,
+      action: existing.purgeScheduled ? 'unchanged' : 'delete',
+    });
+  }
+  return plan;
+}
+
+/**
+ * Number of agents per plan action.
+ */
+function summarize(plan) {
+  const summary = Object.fromEntries(PLAN_ACTIONS.map(action => [action, 0]));
+  for (const entry of plan) summary[entry.action]++;
+  return summary;
+}
+
+module.exports = {
+  PLAN_ACTIONS,
+  parseDocument,
+  desiredAgents,
+  computePlan,
+  summarize,
+};
@@ -0,0 +1,114 @@
+/**
+ * Startup script rollouts: moving agents to a new startup script version.
+ *
+ * Agent VMs boot from a versioned script (startup-script-<version>.sh in the
+ * scripts bucket); the version is in each VM's metadata and
+ * `agent-script-version` label. A rollout moves its targets in waves — a
+ * single canary first, then `waveSize` agents at a time. Each agent in a
+ * wave is restarted on the new version and must send a heartbeat within
+ * `healthMinutes`. Once the whole wave is healthy the next one starts; if any
+ * agent stays silent, every agent the rollout moved goes back to the version
+ * it had.
+ */
+
+const crypto = require('crypto');
+
+// Versions end up in labels: lowercase letters, digits, _ and -
+const VERSION_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+// Reported for VMs created before startup scripts were versioned
+const UNVERSIONED = 'unversioned';
+
+function checkScriptVersion(version) {
+  return typeof version === 'string' && VERSION_PATTERN.test(version);
+}
+
+/**
+ * Pick a rollout's targets from `fleet` ([{ vmName, email, status,
+ * scriptVersion }]): the agents named in `vmNames`, or `percent` of the
+ * fleet. Agents already on `version` are left out; agents that are not
+ * running are skipped, since their health cannot be checked.
+ */
+function selectTargets(fleet, { version, percent = 100, vmNames }) {
+  const pending = fleet.filter(agent => agent.scriptVersion !== version);
+  const skipped = [];
+  const eligible = pending.filter(agent => {
+    if (vmNames && !vmNames.includes(agent.vmName)) return false;
+    if (agent.status === 'RUNNING') return true;
+    skipped.push({ vmName: agent.vmName, reason: `Instance is ${agent.status}` });
+    return false;
+  });
+  const missing = (vmNames || []).filter(vmName => !fleet.some(agent => agent.vmName === vmName));
+  const count = vmNames ? eligible.length : Math.min(eligible.length, Math.ceil((fleet.length * percent) / 100));
+  const targets = [...eligible].sort((a, b) => a.vmName.localeCompare(b.vmName)).slice(0, count);
+  return { targets, skipped, missing };
+}
+
+function newRollout({ version, targets, waveSize, healthMinutes, fleetWide }) {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    version,
+    fleetWide,
+    state: 'running',
+    waveSize,
+    healthMinutes,
+    wave: 0,
+    waves: targets.length > 0 ? 1 + Math.ceil((targets.length - 1) / waveSize) : 0,
+    targets: targets.map(({ vmName, email, scriptVersion }, i) => ({
+      vmName,
+      email: email || null,
+      from: scriptVersion || null,
+      wave: i === 0 ? 0 : 1 + Math.floor((i - 1) / waveSize),
+      status: 'pending',
+      movedAt: null,
+      healthyAt: null,
+    })),
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+  };
+}
+
+/**
+ * Health of a moved target: `healthy` once it sent a heartbeat after it was
+ * restarted, `failed` when `healthMinutes` passed without one, else `waiting`.
+ */
+function targetHealth(target, lastHeartbeat, { healthMinutes, now = Date.now() }) {
+  const movedAt = new Date(target.movedAt).getTime();
+  if (lastHeartbeat && new Date(lastHeartbeat).getTime() >= movedAt) return 'healthy';
+  return now - movedAt > healthMinutes * 60000 ? 'failed' : 'waiting';
+}
+
+/**
+ * What to do next with a running rollout: `rollback` if a target failed,
+ * `wait` while the current wave is being checked, `next-wave` or `done`.
+ */
+function nextStep(rollout) {
+  if (rollout.targets.some(t => t.status === 'failed')) return 'rollback';
+  const current = rollout.targets.filter(t => t.wave === rollout.wave);
+  if (current.some(t => t.status === 'pending' || t.status === 'moved')) return 'wait';
+  return rollout.wave + 1 < rollout.waves ? 'next-wave' : 'done';
+}
+
+/**
+ * Number of agents on each script version.
+ */
+function versionCounts(fleet) {
+  const counts = {};
+  for (const { scriptVersion } of fleet) {
+    const version = scriptVersion || UNVERSIONED;
+    counts[version] = (counts[version] || 0) + 1;
+  }
+  return counts;
+}
+
+module.exports = {
+  UNVERSIONED,
+  checkScriptVersion,
+  selectTargets,
+  newRollout,
+  targetHealth,
+  nextStep,
+  versionCounts,
+};
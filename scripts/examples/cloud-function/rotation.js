@@ -0,0 +1,34 @@
+/**
+ * Secret rotation: which old secret versions to disable.
+ *
+ * A version stays enabled for the retention window after it was superseded
+ * (i.e. after the next version was added), so agents and the email proxy
+ * holding it have time to reload before it stops working. The latest enabled
+ * version is never disabled, nor are versions an agent is still pinned to.
+ */
+
+const DAY_MS = 24 * 3600 * 1000;
+
+/**
+ * Versions of one secret to disable, oldest first.
+ *
+ * `versions` is secrets.listVersions() output ([{ version, createdAt,
+ * state }], oldest first); `keep` lists versions that must stay enabled.
+ */
+function versionsToDisable(versions, { retentionDays, keep = [], now = Date.now() }) {
+  const cutoff = now - retentionDays * DAY_MS;
+  const kept = new Set(keep.map(String));
+  const enabled = versions.filter(v => v.state === 'enabled');
+  const latest = enabled[enabled.length - 1];
+  const expired = [];
+  versions.forEach((v, i) => {
+    if (v.state !== 'enabled' || v === latest || kept.has(String(v.version))) return;
+    const supersededAt = versions[i + 1]?.createdAt;
+    if (supersededAt && new Date(supersededAt).getTime() <= cutoff) expired.push(v.version);
+  });
+  return expired;
+}
+
+module.exports = {
+  versionsToDisable,
+};
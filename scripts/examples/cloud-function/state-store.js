@@ -0,0 +1,289 @@
+/**
+ * Control-plane state: the agent registry, the audit log, provisioning jobs,
+ * each agent's monthly usage ledger (see metering.js) and startup script
+ * rollouts (see rollouts.js).
+ *
+ * Backends implement four calls over named collections — get, set, query
+ * and update, which writes fn(current document) atomically, or nothing when
+ * fn returns null — and everything else is built on top of them:
+ *   memory     in-process (tests, single local instance)
+ *   file       a JSON file (local runs that should survive restarts)
+ *   firestore  production
+ *
+ * Audit queries by agent and rollout queries by state need Firestore
+ * composite indexes:
+ *   gcloud firestore indexes composite create --collection-group=agents-plane-audit \
+ *     --field-config=field-path=email,order=ascending --field-config=field-path=at,order=descending
+ *   gcloud firestore indexes composite create --collection-group=agents-plane-rollouts \
+ *     --field-config=field-path=state,order=ascending --field-config=field-path=createdAt,order=descending
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Config changes kept per agent
+const CONFIG_HISTORY_LIMIT = 50;
+
+// ─── Backends ────────────────────────────────────────────────────
+
+function compareBy(field, descending) {
+  return (a, b) => {
+    const order = a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0;
+    return descending ? -order : order;
+  };
+}
+
+function createMemoryBackend(initial = {}) {
+  const collections = new Map(
+    Object.entries(initial).map(([name, docs]) => [name, new Map(Object.entries(docs))]),
+  );
+  const collection = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+  const copy = (doc) => (doc === undefined ? null : JSON.parse(JSON.stringify(doc)));
+
+  return {
+    async get(name, id) {
+      return copy(collection(name).get(id));
+    },
+    async set(name, id, doc) {
+      collection(name).set(id, copy(doc));
+    },
+    async update(name, id, fn) {
+      const next = fn(copy(collection(name).get(id)));
+      if (next) collection(name).set(id, copy(next));
+      return copy(next ?? undefined);
+    },
+    async query(name, { where = {}, orderBy, descending = false, limit } = {}) {
+      let docs = [...collection(name).values()]
+        .filter(doc => Object.entries(where).every(([field, value]) => doc[field] === value));
+      if (orderBy) docs.sort(compareBy(orderBy, descending));
+      if (limit) docs = docs.slice(0, limit);
+      return docs.map(copy);
+    },
+    dump() {
+      return Object.fromEntries([...collections].map(([name, docs]) => [name, Object.fromEntries(docs)]));
+    },
+  };
+}
+
+/**
+ * Memory backend that rewrites the whole file on every change. Fine for the
+ * handful of agents a local run sees.
+ */
+function createFileBackend(filePath) {
+  const initial = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+  const memory = createMemoryBackend(initial);
+  const save = () => {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(memory.dump(), null, 2));
+    fs.renameSync(tmpPath, filePath);
+  };
+  return {
+    ...memory,
+    async set(name, id, doc) {
+      await memory.set(name, id, doc);
+      save();
+    },
+    async update(name, id, fn) {
+      const next = await memory.update(name, id, fn);
+      if (next) save();
+      return next;
+    },
+  };
+}
+
+function createFirestoreBackend() {
+  const { Firestore } = require('@google-cloud/firestore');
+  const db = new Firestore({ ignoreUndefinedProperties: true });
+  return {
+    async get(name, id) {
+      const snap = await db.collection(name).doc(id).get();
+      return snap.exists ? snap.data() : null;
+    },
+    async set(name, id, doc) {
+      await db.collection(name).doc(id).set(doc);
+    },
+    async update(name, id, fn) {
+      const ref = db.collection(name).doc(id);
+      return db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        const next = fn(snap.exists ? snap.data() : null);
+        if (next) tx.set(ref, next);
+        return next ?? null;
+      });
+    },
+    async query(name, { where = {}, orderBy, descending = false, limit } = {}) {
+      let query = db.collection(name);
+      for (const [field, value] of Object.entries(where)) query = query.where(field, '==', value);
+      if (orderBy) query = query.orderBy(orderBy, descending ? 'desc' : 'asc');
+      if (limit) query = query.limit(limit);
+      const snap = await query.get();
+      return snap.docs.map(doc => doc.data());
+    },
+  };
+}
+
+function createBackend(type, { filePath } = {}) {
+  if (type === 'firestore') return createFirestoreBackend();
+  if (type === 'file') return createFileBackend(filePath);
+  if (type === 'memory') return createMemoryBackend();
+  throw new Error(`Unknown state store "${type}" (use memory, file or firestore)`);
+}
+
+// ─── State Store ─────────────────────────────────────────────────
+
+/**
+ * Registry, audit log, job store, usage ledger and rollouts over a backend.
+ * Collections are named `<prefix>-agents`, `<prefix>-audit`, `<prefix>-jobs`,
+ * `<prefix>-usage` and `<prefix>-rollouts`.
+ */
+function createStateStore(backend, prefix = 'agents-plane') {
+  const AGENTS = `${prefix}-agents`;
+  const AUDIT = `${prefix}-audit`;
+  const JOBS = `${prefix}-jobs`;
+  const USAGE = `${prefix}-usage`;
+  const ROLLOUTS = `${prefix}-rollouts`;
+
+  /**
+   * Merge `changes` into an agent's registry record, creating it on first
+   * sight. Passing `config` (and its secret `configVersion`) appends to the
+   * record's config history.
+   */
+  async function recordAgent(email, { config, configVersion, ...changes } = {}) {
+    const now = new Date().toISOString();
+    const agent = (await backend.get(AGENTS, email)) || { email, owner: email, createdAt: now, configHistory: [] };
+    Object.assign(agent, changes, { updatedAt: now });
+    if (config) {
+      agent.config = config;
+      agent.configHistory = [...(agent.configHistory || []), { at: now, version: configVersion ?? null, config }]
+        .slice(-CONFIG_HISTORY_LIMIT);
+    }
+    await backend.set(AGENTS, email, agent);
+    return agent;
+  }
+
+  async function getAgent(email) {
+    return backend.get(AGENTS, email);
+  }
+
+  async function listAgents({ status } = {}) {
+    const agents = await backend.query(AGENTS, { where: status ? { status } : {} });
+    return agents.sort(compareBy('email', false));
+  }
+
+  async function appendAudit(entry) {
+    const at = new Date().toISOString();
+    // Time-prefixed IDs keep the file and memory backends in order
+    const id = `${at.replace(/[-:.]/g, '')}-${crypto.randomBytes(4).toString('hex')}`;
+    const record = { id, at, ...entry };
+    await backend.set(AUDIT, id, record);
+    return record;
+  }
+
+  async function listAudit({ email, limit = 50 } = {}) {
+    return backend.query(AUDIT, {
+      where: email ? { email } : {},
+      orderBy: 'at',
+      descending: true,
+      limit,
+    });
+  }
+
+  /**
+   * Add a usage report to an agent's ledger for `month` ("YYYY-MM"),
+   * starting the ledger on the month's first report.
+   */
+  async function recordUsage(email, month, { inputTokens = 0, outputTokens = 0, costUsd = 0 }) {
+    const id = `${email}:${month}`;
+    const ledger = (await backend.get(USAGE, id)) ||
+      { id, email, month, inputTokens: 0, outputTokens: 0, costUsd: 0, reports: 0, alerts: [], capAction: null };
+    ledger.inputTokens += inputTokens;
+    ledger.outputTokens += outputTokens;
+    // Rounded to a millionth of a dollar so float error does not pile up
+    ledger.costUsd = Math.round((ledger.costUsd + costUsd) * 1e6) / 1e6;
+    ledger.reports += 1;
+    ledger.updatedAt = new Date().toISOString();
+    await backend.set(USAGE, id, ledger);
+    return ledger;
+  }
+
+  // Merge alert and cap-action bookkeeping into a ledger
+  async function updateUsage(email, month, changes) {
+    const id = `${email}:${month}`;
+    const ledger = await backend.get(USAGE, id);
+    if (!ledger) return null;
+    Object.assign(ledger, changes);
+    await backend.set(USAGE, id, ledger);
+    return ledger;
+  }
+
+  async function getUsage(email, month) {
+    return backend.get(USAGE, `${email}:${month}`);
+  }
+
+  async function listUsage({ email, month } = {}) {
+    const where = {};
+    if (email) where.email = email;
+    if (month) where.month = month;
+    const ledgers = await backend.query(USAGE, { where });
+    return ledgers.sort(compareBy('id', false));
+  }
+
+  async function saveRollout(rollout) {
+    rollout.updatedAt = new Date().toISOString();
+    await backend.set(ROLLOUTS, rollout.id, rollout);
+    return rollout;
+  }
+
+  async function getRollout(id) {
+    return backend.get(ROLLOUTS, id);
+  }
+
+  // Newest first
+  async function listRollouts({ state, limit = 20 } = {}) {
+    return backend.query(ROLLOUTS, { where: state ? { state } : {}, orderBy: 'createdAt', descending: true, limit });
+  }
+
+  // Job store for jobs.js; each agent's record points at its latest job
+  const jobStore = {
+    async create(job) {
+      await backend.set(JOBS, job.id, job);
+    },
+    async save(job) {
+      await backend.set(JOBS, job.id, job);
+    },
+    async get(id) {
+      return backend.get(JOBS, id);
+    },
+    async latestForEmail(email) {
+      const agent = await getAgent(email);
+      return agent?.lastJobId ? backend.get(JOBS, agent.lastJobId) : null;
+    },
+  };
+
+  return {
+    recordAgent,
+    getAgent,
+    listAgents,
+    appendAudit,
+    listAudit,
+    recordUsage,
+    updateUsage,
+    getUsage,
+    listUsage,
+    saveRollout,
+    getRollout,
+    listRollouts,
+    jobs: jobStore,
+  };
+}
+
+module.exports = {
+  createBackend,
+  createMemoryBackend,
+  createFileBackend,
+  createFirestoreBackend,
+  createStateStore,
+};
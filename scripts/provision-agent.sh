@@ -49,6 +49,7 @@ usage() {
   echo "    --vm-type <type>      GCP machine type (default: from config)"
   echo "    --budget <amount>     Monthly budget in USD (default: 50)"
   echo "    --disk <gb>           Boot disk size in GB (default: 20)"
+  echo "    --script-version <v>  Startup script version (default: unversioned)"
   echo "    --no-email            Skip sending welcome email"
   echo "    --dry-run             Show what would be done without doing it"
   echo ""
@@ -63,7 +64,7 @@ usage() {
 [[ $# -lt 1 ]] && usage
 
 EMAIL="$1"; shift
-MODEL="" VM_TYPE="" BUDGET="50" DISK_GB="20" SEND_EMAIL=true DRY_RUN=false
+MODEL="" VM_TYPE="" BUDGET="50" DISK_GB="20" SCRIPT_VERSION="" SEND_EMAIL=true DRY_RUN=false
 
 while [[ $# -gt 0 ]]; do
   case "$1" in
@@ -71,6 +72,7 @@ while [[ $# -gt 0 ]]; do
     --vm-type)  VM_TYPE="$2"; shift 2;;
     --budget)   BUDGET="$2"; shift 2;;
     --disk)     DISK_GB="$2"; shift 2;;
+    --script-version) SCRIPT_VERSION="$2"; shift 2;;
     --no-email) SEND_EMAIL=false; shift;;
     --dry-run)  DRY_RUN=true; shift;;
     *)          warn "Unknown option: $1"; shift;;
@@ -315,8 +317,15 @@ if gcloud compute instances describe "$VM_NAME" --zone="$ZONE" --project="$PROJE
 else
   step "Creating VM '$VM_NAME'..."
 
-  # Startup script lives in GCS — single source of truth
+  # Startup script lives in GCS — single source of truth, one object per version
   STARTUP_SCRIPT_URL="gs://agents-plane-scripts/startup-script.sh"
+  SCRIPT_TAG=""
+  if [[ -n "$SCRIPT_VERSION" ]]; then
+    [[ "$SCRIPT_VERSION" =~ ^[a-z0-9][a-z0-9_-]{0,62}$ ]] || die "Invalid script version: $SCRIPT_VERSION"
+    STARTUP_SCRIPT_URL="gs://agents-plane-scripts/startup-script-${SCRIPT_VERSION}.sh"
+    # Recorded in both metadata and labels, as the Cloud Function does
+    SCRIPT_TAG=",agent-script-version=$SCRIPT_VERSION"
+  fi
 
   if ! $DRY_RUN; then
     gcloud compute instances create "$VM_NAME" \
@@ -331,8 +340,8 @@ else
       --boot-disk-type="pd-balanced" \
       --image-family="debian-12" \
       --image-project="debian-cloud" \
-      --metadata="startup-script-url=$STARTUP_SCRIPT_URL" \
-      --labels="agent-user=${SAFE_NAME},plane=${PLANE_NAME,,},managed-by=agents-plane" \
+      --metadata="startup-script-url=${STARTUP_SCRIPT_URL}${SCRIPT_TAG}" \
+      --labels="agent-user=${SAFE_NAME},plane=${PLANE_NAME,,},managed-by=agents-plane${SCRIPT_TAG}" \
       --quiet 2>/dev/null &
     spinner $! "Creating VM (this takes ~60s)..."
     wait $!
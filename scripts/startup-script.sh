@@ -2,7 +2,8 @@
 # ═══════════════════════════════════════════════════════════════════
 # Agents Plane — VM Startup Script
 # Single source of truth. Both provision-agent.sh and Cloud Function
-# reference this via startup-script-url from GCS.
+# reference this via startup-script-url from GCS, published once per
+# version as startup-script-<version>.sh (see `rollout` in the README).
 # ═══════════════════════════════════════════════════════════════════
 set -uo pipefail
 # Note: NOT using set -e. We handle errors explicitly to avoid
@@ -16,7 +17,9 @@ INSTANCE_NAME=$(curl -s -H "Metadata-Flavor: Google" http://metadata.google.inte
 AGENT_NAME="${INSTANCE_NAME#agent-}"
 PROJECT_ID=$(curl -s -H "Metadata-Flavor: Google" http://metadata.google.internal/computeMetadata/v1/project/project-id)
 
-logger "🤖 Agents Plane: Provisioning agent '$AGENT_NAME' (VM: $INSTANCE_NAME)"
+SCRIPT_VERSION=$(curl -sf -H "Metadata-Flavor: Google" http://metadata.google.internal/computeMetadata/v1/instance/attributes/agent-script-version || echo "unversioned")
+
+logger "🤖 Agents Plane: Provisioning agent '$AGENT_NAME' (VM: $INSTANCE_NAME, startup script $SCRIPT_VERSION)"
 
 # ─── 2. System dependencies ──────────────────────────────────────
 apt-get update -qq && apt-get upgrade -y -qq
@@ -42,6 +45,30 @@ echo "$AGENT_NAME ALL=(ALL) NOPASSWD: /usr/bin/systemctl restart openclaw-gatewa
 chmod 440 /etc/sudoers.d/openclaw-agent
 logger "🤖 Agents Plane: Created user $AGENT_NAME"
 
+# ─── 5b. Mount persistent workspace disk ─────────────────────────
+# The control plane attaches a separate disk (device name agent-data) that
+# survives reprovisioning. It holds ~/.openclaw, so memory is preserved.
+DATA_DEV="/dev/disk/by-id/google-agent-data"
+if [ -e "$DATA_DEV" ]; then
+  if ! blkid "$DATA_DEV" > /dev/null 2>&1; then
+    mkfs.ext4 -q -F "$DATA_DEV"
+    logger "🤖 Agents Plane: Formatted new data disk"
+  fi
+  mkdir -p "/home/$AGENT_NAME/.openclaw"
+  if ! grep -q "$DATA_DEV" /etc/fstab; then
+    echo "$DATA_DEV /home/$AGENT_NAME/.openclaw ext4 defaults,nofail 0 2" >> /etc/fstab
+  fi
+  mountpoint -q "/home/$AGENT_NAME/.openclaw" || mount "/home/$AGENT_NAME/.openclaw"
+  chown "$AGENT_NAME:$AGENT_NAME" "/home/$AGENT_NAME/.openclaw"
+  if [ -d "/home/$AGENT_NAME/.openclaw/workspace" ]; then
+    logger "🤖 Agents Plane: Data disk mounted — existing workspace preserved"
+  else
+    logger "🤖 Agents Plane: Data disk mounted — fresh workspace"
+  fi
+else
+  logger "🤖 Agents Plane: No data disk attached — workspace lives on the boot disk"
+fi
+
 # ─── 6. Pull config from Secret Manager ──────────────────────────
 TOKEN=$(curl -s -H "Metadata-Flavor: Google" \
   "http://metadata.google.internal/computeMetadata/v1/instance/service-accounts/default/token" \
@@ -62,15 +89,24 @@ OWNER_EMAIL=$(echo "$CONFIG" | jq -r '.user')
 AGENT_MODEL=$(echo "$CONFIG" | jq -r '.model // "claude-opus-4-6"')
 AGENT_BUDGET=$(echo "$CONFIG" | jq -r '.budget // 50')
 
-# Determine API provider from model name
-case "$AGENT_MODEL" in
-  claude-*|opus-*|sonnet-*|haiku-*) API_PROVIDER="anthropic" ;;
-  gpt-*|o1-*|o3-*) API_PROVIDER="openai" ;;
-  gemini-*) API_PROVIDER="google" ;;
-  *) API_PROVIDER="anthropic" ;;
-esac
+# API provider from the control plane's model registry; older configs
+# leave it to the model name
+API_PROVIDER=$(echo "$CONFIG" | jq -r '.provider // empty')
+if [ -z "$API_PROVIDER" ]; then
+  case "$AGENT_MODEL" in
+    claude-*|opus-*|sonnet-*|haiku-*) API_PROVIDER="anthropic" ;;
+    gpt-*|o1-*|o3-*) API_PROVIDER="openai" ;;
+    gemini-*) API_PROVIDER="google" ;;
+    *) API_PROVIDER="anthropic" ;;
+  esac
+fi
+
+# Tools and channels the agent may use (older configs allow everything)
+AGENT_TOOLS=$(echo "$CONFIG" | jq -r '(.tools // ["exec","github","email","calendar","drive"]) | join(",")')
+AGENT_CHANNELS=$(echo "$CONFIG" | jq -r '(.channels // ["email","whatsapp","slack"]) | join(",")')
+channel_allowed() { [[ ",$AGENT_CHANNELS," == *",$1,"* ]]; }
 
-logger "🤖 Agents Plane: Config loaded — owner=$OWNER_EMAIL model=$AGENT_MODEL"
+logger "🤖 Agents Plane: Config loaded — owner=$OWNER_EMAIL model=$AGENT_MODEL tools=$AGENT_TOOLS channels=$AGENT_CHANNELS"
 
 # ─── 7. Pull Slack tokens + email proxy secret ───────────────────
 EMAIL_PROXY_SECRET=$(fetch_secret "agents-plane-email-proxy-secret" 2>/dev/null || echo "")
@@ -83,7 +119,10 @@ fi
 # Slack tokens (optional — used when agent connects via Slack)
 SLACK_BOT_TOKEN=$(fetch_secret "agents-plane-slack-bot-token" 2>/dev/null || echo "")
 SLACK_APP_TOKEN=$(fetch_secret "agents-plane-slack-app-token" 2>/dev/null || echo "")
-if [ -n "$SLACK_BOT_TOKEN" ] && [ "$SLACK_BOT_TOKEN" != "null" ]; then
+if ! channel_allowed slack; then
+  SLACK_AVAILABLE=false
+  logger "🤖 Agents Plane: Slack is not an allowed channel for this agent"
+elif [ -n "$SLACK_BOT_TOKEN" ] && [ "$SLACK_BOT_TOKEN" != "null" ]; then
   SLACK_AVAILABLE=true
   logger "🤖 Agents Plane: Slack tokens loaded"
 else
@@ -124,7 +163,7 @@ for secret in "agent-${AGENT}-api-key" "agents-plane-api-key"; do
 done
 
 if [ -n "$API_KEY" ]; then
-  MODEL=$(jq -r '.agents.list[0].model // "anthropic/claude-opus-4-6"' "$HOME/.openclaw/openclaw.json" 2>/dev/null)
+  MODEL=$(jq -r '.agents.list[0].model // "anthropic/claude-opus-4-6"' "${OPENCLAW_CONFIG_PATH:-$HOME/.openclaw/openclaw.json}" 2>/dev/null)
   PROVIDER="${MODEL%%/*}"
   [ -z "$PROVIDER" ] && PROVIDER="anthropic"
 
@@ -171,7 +210,9 @@ def store_key(api_key):
         urllib.request.urlopen(req)
         print(f"Created secret {secret_name}")
     except urllib.error.HTTPError as e:
-        if e.code != 409: raise
+        # 403: the control plane pre-creates the secret and the agent's
+        # service account may only add versions to it
+        if e.code not in (403, 409): raise
         print(f"Secret {secret_name} exists, adding new version")
 
     # Add version
@@ -317,6 +358,49 @@ cat > "$AGENT_HOME/.openclaw/openclaw.json" << CFGEOF
 CFGEOF
 chown "$AGENT_NAME:$AGENT_NAME" "$AGENT_HOME/.openclaw/openclaw.json"
 
+# ─── 11a. Enforce the tool and channel allowlists ────────────────
+# The agent may edit its own openclaw.json (the channel switchers do), but
+# the gateway reads /etc/agents-plane/openclaw.json, which root renders from
+# it with the allowlist applied every time the gateway starts. The allowlist
+# comes from a root-owned copy of the config secret, so the agent cannot
+# widen it; the config watcher (20b) refreshes it when the control plane
+# changes the config.
+mkdir -p /etc/agents-plane
+echo "$CONFIG" > /etc/agents-plane/agent-config.json
+chmod 644 /etc/agents-plane/agent-config.json
+cat > /usr/local/bin/apply-agent-allowlist.sh << 'ALLOWEOF'
+#!/bin/bash
+# apply-agent-allowlist.sh <agent> [<agent-config.json>]
+# Render the gateway config from the agent's openclaw.json; with a config,
+# refresh the allowlist from it first.
+set -euo pipefail
+AGENT="$1"
+if [ $# -ge 2 ]; then
+  jq '{
+    model,
+    provider,
+    tools: (.tools // ["exec", "github", "email", "calendar", "drive"]),
+    channels: (.channels // ["email", "whatsapp", "slack"])
+  }' "$2" > /etc/agents-plane/allowlist.json.tmp
+  chmod 644 /etc/agents-plane/allowlist.json.tmp
+  mv /etc/agents-plane/allowlist.json.tmp /etc/agents-plane/allowlist.json
+fi
+
+# Keep only allowed channels and deny exec unless allowed. The agent's file
+# is read as the agent, so a symlink can't pull in a root-only file.
+runuser -u "$AGENT" -- cat "/home/$AGENT/.openclaw/openclaw.json" | jq --slurpfile allow /etc/agents-plane/allowlist.json '
+  $allow[0] as $a
+  | .channels = ((.channels // {}) | with_entries(select(.key as $c | $a.channels | index($c))))
+  | if ($a.tools | index("exec")) then . else .tools.deny = (((.tools.deny // []) + ["exec"]) | unique) end
+' > /etc/agents-plane/openclaw.json.tmp
+chown "root:$AGENT" /etc/agents-plane/openclaw.json.tmp
+chmod 640 /etc/agents-plane/openclaw.json.tmp
+mv /etc/agents-plane/openclaw.json.tmp /etc/agents-plane/openclaw.json
+ALLOWEOF
+chmod 755 /usr/local/bin/apply-agent-allowlist.sh
+/usr/local/bin/apply-agent-allowlist.sh "$AGENT_NAME" /etc/agents-plane/agent-config.json
+logger "🤖 Agents Plane: Allowlist applied (tools: $AGENT_TOOLS; channels: $AGENT_CHANNELS)"
+
 # ─── 11b. Write channel switcher scripts ─────────────────────────
 # enable_slack.sh — switches gateway from WhatsApp to Slack
 cat > "$AGENT_HOME/.config/agents-plane/enable_slack.sh" << 'ESLACKEOF'
@@ -324,6 +408,10 @@ cat > "$AGENT_HOME/.config/agents-plane/enable_slack.sh" << 'ESLACKEOF'
 # Switch gateway channel from WhatsApp to Slack
 set -euo pipefail
 CONFIG="$HOME/.openclaw/openclaw.json"
+if ! jq -e '.channels | index("slack")' /etc/agents-plane/allowlist.json > /dev/null 2>&1; then
+  echo "❌ Slack is not an allowed channel for this agent. Ask your admin."
+  exit 1
+fi
 if ! jq -e '.channels.slack' "$CONFIG" > /dev/null 2>&1; then
   echo "❌ Slack channel not configured in gateway. Slack tokens may not have been available at provisioning."
   exit 1
@@ -350,6 +438,10 @@ cat > "$AGENT_HOME/.config/agents-plane/enable_whatsapp.sh" << 'EWAEOF'
 # Switch gateway channel from Slack to WhatsApp
 set -euo pipefail
 CONFIG="$HOME/.openclaw/openclaw.json"
+if ! jq -e '.channels | index("whatsapp")' /etc/agents-plane/allowlist.json > /dev/null 2>&1; then
+  echo "❌ WhatsApp is not an allowed channel for this agent. Ask your admin."
+  exit 1
+fi
 # Enable WhatsApp, disable Slack if present
 # Enable WhatsApp, disable Slack if present
 if jq -e '.channels.slack' "$CONFIG" > /dev/null 2>&1; then
@@ -380,55 +472,119 @@ fi
 cat > "$AGENT_HOME/.config/agents-plane/gmail.py" << 'GMAILEOF'
 #!/usr/bin/env python3
 """Gmail/Drive helper — calls the email proxy Cloud Function (no SA key needed)."""
-import json, sys, os, base64, urllib.request, urllib.parse
+import json, sys, os, base64, hashlib, hmac, mimetypes, secrets, time, urllib.error, urllib.request, urllib.parse
 from email.mime.text import MIMEText
 from email.mime.multipart import MIMEMultipart
 from email.mime.image import MIMEImage
 
 PROXY_URL = "https://agents-plane-email-proxy-500359068154.us-east4.run.app"
 SECRET_PATH = os.path.expanduser("~/.config/agents-plane/proxy-secret")
+# Must match the proxy's IDENTITY_AUDIENCE
+IDENTITY_AUDIENCE = "agents-plane-email-proxy"
+IDENTITY_URL = ("http://metadata.google.internal/computeMetadata/v1/instance/service-accounts/default/identity"
+                f"?audience={IDENTITY_AUDIENCE}&format=full")
+ALLOWLIST_PATH = "/etc/agents-plane/allowlist.json"
+
+def _require(*grants):
+    """Exit unless the admin allowlist grants one of the ("tools"|"channels", name) pairs."""
+    try:
+        with open(ALLOWLIST_PATH) as f:
+            allow = json.load(f)
+    except FileNotFoundError:
+        return
+    if not any(name in allow.get(kind, []) for kind, name in grants):
+        print(f"❌ Not allowed for this agent: {', '.join(name for _, name in grants)}. Ask your admin.")
+        sys.exit(1)
 
 def _get_agent_name():
     """Derive agent name from OS username."""
     return os.environ.get("USER", os.path.basename(os.path.expanduser("~")))
 
 def _get_secret():
+    """Return (key_id, secret). The secret file holds "keyId:secret" or a bare secret."""
     with open(SECRET_PATH) as f:
-        return f.read().strip()
+        raw = f.read().strip()
+    key_id, sep, secret = raw.partition(":")
+    return (key_id, secret) if sep else ("default", raw)
+
+def _identity_token():
+    """Google-signed token naming this VM, so the proxy knows which agent is calling."""
+    req = urllib.request.Request(IDENTITY_URL, headers={"Metadata-Flavor": "Google"})
+    return urllib.request.urlopen(req, timeout=5).read().decode()
 
 def _proxy_call(payload):
-    """Call the email proxy Cloud Function."""
-    secret = _get_secret()
+    """Call the email proxy Cloud Function with an HMAC-signed, single-use body."""
+    key_id, secret = _get_secret()
+    payload = dict(payload, timestamp=int(time.time()), nonce=secrets.token_hex(16))
     data = json.dumps(payload).encode()
+    signature = hmac.new(secret.encode(), data, hashlib.sha256).hexdigest()
     req = urllib.request.Request(
         PROXY_URL,
         data=data,
         headers={
-            "Authorization": f"Bearer {secret}",
+            "Authorization": f"HMAC-SHA256 {key_id}:{signature}",
+            "X-Agent-Identity": _identity_token(),
             "Content-Type": "application/json",
         },
     )
-    resp = urllib.request.urlopen(req, timeout=25)
+    try:
+        resp = urllib.request.urlopen(req, timeout=25)
+    except urllib.error.HTTPError as e:
+        # Policy refusals (403) and rate limits (429) come back as {"error": ...}
+        try:
+            error = json.loads(e.read()).get("error", e.reason)
+        except ValueError:
+            error = e.reason
+        retry = f" Try again in {e.headers['Retry-After']}s." if e.headers.get("Retry-After") else ""
+        print(f"❌ {str(error).rstrip('.')}.{retry}")
+        sys.exit(1)
     return json.loads(resp.read())
 
+def _report_sent(result, what):
+    """Print the outcome of a send: sent, or held for the owner's approval."""
+    if result.get("held"):
+        print(f"⏸ {what} held for approval (id: {result['heldId']}): {result.get('reason', '')}")
+    else:
+        print(f"{what} sent (id: {result.get('messageId', '?')})")
+
 def _agent_email():
     return f"{_get_agent_name()}@nine30.com"
 
-def send(from_email, to, subject, body):
-    """Send a plain text email."""
-    result = _proxy_call({
+def _attachments(paths):
+    """Read files into the proxy's attachment format."""
+    attachments = []
+    for path in paths or []:
+        with open(path, "rb") as f:
+            data = base64.b64encode(f.read()).decode()
+        attachments.append({
+            "filename": os.path.basename(path),
+            "contentType": mimetypes.guess_type(path)[0] or "application/octet-stream",
+            "data": data,
+        })
+    return attachments
+
+def send(from_email, to, subject, body, attach=None, cc=None, bcc=None):
+    """Send a plain text email, optionally with cc/bcc lists and file attachments."""
+    payload = {
         "action": "send",
         "agentName": _get_agent_name(),
         "email": from_email,
         "to": to,
         "subject": subject,
         "body": body,
-    })
-    print(f"Email sent to {to} (id: {result.get('messageId', '?')})")
+    }
+    if cc:
+        payload["cc"] = cc
+    if bcc:
+        payload["bcc"] = bcc
+    if attach:
+        payload["attachments"] = _attachments(attach)
+    result = _proxy_call(payload)
+    _report_sent(result, f"Email to {to}")
     return result
 
-def send_html(from_email, to, subject, html_body, inline_images=None):
-    """Send HTML email with optional inline images."""
+def send_html(from_email, to, subject, html_body, inline_images=None, attach=None, cc=None, bcc=None):
+    """Send HTML email (with a plain-text alternative) and optional inline images."""
     if inline_images:
         # Build multipart message locally, encode as base64, send via proxy send_html
         # The proxy send_html action takes raw HTML — inline images need CID references
@@ -437,15 +593,22 @@ def send_html(from_email, to, subject, html_body, inline_images=None):
             with open(path, "rb") as f:
                 img_b64 = base64.b64encode(f.read()).decode()
             html_body = html_body.replace(f"cid:{cid}", f"data:image/png;base64,{img_b64}")
-    result = _proxy_call({
+    payload = {
         "action": "send_html",
         "agentName": _get_agent_name(),
         "email": from_email,
         "to": to,
         "subject": subject,
         "body": html_body,
-    })
-    print(f"HTML email sent to {to} (id: {result.get('messageId', '?')})")
+    }
+    if cc:
+        payload["cc"] = cc
+    if bcc:
+        payload["bcc"] = bcc
+    if attach:
+        payload["attachments"] = _attachments(attach)
+    result = _proxy_call(payload)
+    _report_sent(result, f"HTML email to {to}")
     return result
 
 def inbox(email, max_results=5, query="is:unread"):
@@ -458,9 +621,67 @@ def inbox(email, max_results=5, query="is:unread"):
         "query": query,
     })
     for m in result.get("messages", []):
-        print(f"  {m.get('from', '?')} — {m.get('subject', '(no subject)')}")
+        print(f"  [{m.get('id', '?')}] {m.get('from', '?')} — {m.get('subject', '(no subject)')}")
+        for a in m.get("attachments", []):
+            print(f"    📎 {a['filename']} ({a['mimeType']}, {a['size']} bytes) id: {a['attachmentId']}")
+    return result.get("messages", [])
+
+def reply(email, msg_id, body, reply_all=False, attach=None):
+    """Reply in the message's thread (to everyone on it with reply_all)."""
+    payload = {
+        "action": "reply",
+        "agentName": _get_agent_name(),
+        "email": email,
+        "messageId": msg_id,
+        "body": body,
+        "replyAll": reply_all,
+    }
+    if attach:
+        payload["attachments"] = _attachments(attach)
+    result = _proxy_call(payload)
+    _report_sent(result, "Reply")
+    return result
+
+def thread(email, msg_id):
+    """Print the thread a message belongs to, oldest first."""
+    result = _proxy_call({
+        "action": "thread",
+        "agentName": _get_agent_name(),
+        "email": email,
+        "messageId": msg_id,
+    })
+    for m in result.get("messages", []):
+        print(f"--- [{m.get('id', '?')}] {m.get('date', '')} {m.get('from', '?')} — {m.get('subject', '')}")
+        print(m.get("body", ""))
     return result.get("messages", [])
 
+def outbox(email, status):
+    """List mail waiting for approval ("held") or refused ("rejected")."""
+    result = _proxy_call({
+        "action": status,
+        "agentName": _get_agent_name(),
+        "email": email,
+    })
+    for m in result.get("messages", []):
+        to = ", ".join(m.get("to", []) + m.get("cc", []) + m.get("bcc", []))
+        print(f"  [{m['id']}] {m.get('createdAt', '')} to {to} — {m.get('subject', '')}")
+        print(f"    {m.get('reason', '')}")
+    return result.get("messages", [])
+
+def get_attachment(email, msg_id, attachment_id, out_path):
+    """Save an attachment (ids from inbox) to out_path."""
+    result = _proxy_call({
+        "action": "get_attachment",
+        "agentName": _get_agent_name(),
+        "email": email,
+        "messageId": msg_id,
+        "attachmentId": attachment_id,
+    })
+    with open(out_path, "wb") as f:
+        f.write(base64.b64decode(result.get("data", "")))
+    print(f"Saved {result.get('size', 0)} bytes to {out_path}")
+    return out_path
+
 def mark_read(email, msg_id):
     """Remove UNREAD label from a message."""
     _proxy_call({
@@ -503,27 +724,57 @@ def drive_read(email, file_id):
 
 if __name__ == "__main__":
     if len(sys.argv) < 2:
-        print("Usage: gmail.py send <from> <to> <subject> <body>")
-        print("       gmail.py send_html <from> <to> <subject> <html> [cid:path ...]")
+        print("Usage: gmail.py send <from> <to> <subject> <body> [--cc <addr>] [--bcc <addr>] [--attach <path> ...]")
+        print("       gmail.py send_html <from> <to> <subject> <html> [cid:path ...] [--cc <addr>] [--bcc <addr>] [--attach <path> ...]")
         print("       gmail.py inbox <email> [max] [query]")
+        print("       gmail.py reply <email> <msg_id> <body> [--all] [--attach <path> ...]")
+        print("       gmail.py thread <email> <msg_id>")
+        print("       gmail.py held <email>")
+        print("       gmail.py rejected <email>")
+        print("       gmail.py get_attachment <email> <msg_id> <attachment_id> <out_path>")
         print("       gmail.py mark_read <email> <msg_id>")
         print("       gmail.py delete <email> <msg_id>")
         print("       gmail.py drive_search <email> <query> [max]")
         print("       gmail.py drive_read <email> <file_id>")
         sys.exit(1)
     cmd = sys.argv[1]
+    # --attach <path>, --cc <addr> and --bcc <addr> may follow the send arguments, repeated
+    options = {"--attach": [], "--cc": [], "--bcc": []}
+    args = []
+    rest = iter(sys.argv)
+    for arg in rest:
+        if arg in options:
+            options[arg].append(next(rest, ""))
+        else:
+            args.append(arg)
+    sys.argv = args
+    attach, cc, bcc = options["--attach"], options["--cc"], options["--bcc"]
+    reply_all = "--all" in sys.argv
+    sys.argv = [arg for arg in sys.argv if arg != "--all"]
+    if cmd.startswith("drive_"):
+        _require(("tools", "drive"))
+    else:
+        _require(("tools", "email"), ("channels", "email"))
     if cmd == "send" and len(sys.argv) >= 6:
-        send(sys.argv[2], sys.argv[3], sys.argv[4], sys.argv[5])
+        send(sys.argv[2], sys.argv[3], sys.argv[4], sys.argv[5], attach, cc, bcc)
     elif cmd == "send_html" and len(sys.argv) >= 6:
         images = {}
         for arg in sys.argv[6:]:
             if ":" in arg:
                 cid, path = arg.split(":", 1)
                 images[cid] = path
-        send_html(sys.argv[2], sys.argv[3], sys.argv[4], sys.argv[5], images or None)
+        send_html(sys.argv[2], sys.argv[3], sys.argv[4], sys.argv[5], images or None, attach, cc, bcc)
     elif cmd == "inbox":
         inbox(sys.argv[2], int(sys.argv[3]) if len(sys.argv) > 3 else 5,
               sys.argv[4] if len(sys.argv) > 4 else "is:unread")
+    elif cmd == "reply" and len(sys.argv) >= 5:
+        reply(sys.argv[2], sys.argv[3], sys.argv[4], reply_all, attach)
+    elif cmd == "thread" and len(sys.argv) >= 4:
+        thread(sys.argv[2], sys.argv[3])
+    elif cmd in ("held", "rejected") and len(sys.argv) >= 3:
+        outbox(sys.argv[2], cmd)
+    elif cmd == "get_attachment" and len(sys.argv) >= 6:
+        get_attachment(sys.argv[2], sys.argv[3], sys.argv[4], sys.argv[5])
     elif cmd == "mark_read" and len(sys.argv) >= 4:
         mark_read(sys.argv[2], sys.argv[3])
     elif cmd == "delete" and len(sys.argv) >= 4:
@@ -557,14 +808,23 @@ If BOOTSTRAP.md exists, follow it step by step. Don't skip steps. Then delete it
 
 ## Email Tools
 Send/read emails via Gmail API:
-- Send: `python3 ~/.config/agents-plane/gmail.py send <from> <to> <subject> <body>`
-- Send HTML: `python3 ~/.config/agents-plane/gmail.py send_html <from> <to> <subject> <html> [cid:path ...]`
-- Read inbox: `python3 ~/.config/agents-plane/gmail.py inbox <email> [max] [query]`
+- Send: `python3 ~/.config/agents-plane/gmail.py send <from> <to> <subject> <body> [--cc <addr>] [--bcc <addr>] [--attach <path> ...]`
+- Send HTML: `python3 ~/.config/agents-plane/gmail.py send_html <from> <to> <subject> <html> [cid:path ...] [--cc <addr>] [--bcc <addr>] [--attach <path> ...]`
+- Read inbox: `python3 ~/.config/agents-plane/gmail.py inbox <email> [max] [query]` (lists message and attachment ids)
+- Reply in thread: `python3 ~/.config/agents-plane/gmail.py reply <email> <msg_id> <body> [--all] [--attach <path> ...]` (`--all` replies to everyone)
+- Read thread: `python3 ~/.config/agents-plane/gmail.py thread <email> <msg_id>`
+- Mail waiting for your owner's approval: `python3 ~/.config/agents-plane/gmail.py held <email>`
+- Mail the outbound policy or your owner refused: `python3 ~/.config/agents-plane/gmail.py rejected <email>`
+- Save attachment: `python3 ~/.config/agents-plane/gmail.py get_attachment <email> <msg_id> <attachment_id> <out_path>`
 - Mark read: `python3 ~/.config/agents-plane/gmail.py mark_read <email> <msg_id>`
 - Delete: `python3 ~/.config/agents-plane/gmail.py delete <email> <msg_id>`
 - Drive search: `python3 ~/.config/agents-plane/gmail.py drive_search <email> <query> [max]`
 - Drive read: `python3 ~/.config/agents-plane/gmail.py drive_read <email> <file_id>`
 
+## Allowed Tools and Channels
+Your admin decides which tools and channels you may use. The list is in
+`/etc/agents-plane/allowlist.json`; helpers refuse anything not on it.
+
 ## API Key Management
 - Store key in Secret Manager: `python3 ~/.config/agents-plane/store_key.py <key>`
 - Then restart gateway: `sudo systemctl restart openclaw-gateway`
@@ -788,6 +1048,8 @@ Wants=network-online.target
 [Service]
 Type=simple
 User=${AGENT_NAME}
+# Root renders the enforced config (11a) from the agent's own file
+ExecStartPre=+/usr/local/bin/apply-agent-allowlist.sh ${AGENT_NAME}
 ExecStartPre=/usr/local/bin/fetch-agent-key.sh
 ExecStart=${NODE_BIN} ${OPENCLAW_MAIN} gateway --port 18789
 Restart=always
@@ -795,6 +1057,7 @@ RestartSec=5
 KillMode=process
 Environment=HOME=${AGENT_HOME}
 Environment=PATH=/usr/local/bin:/usr/bin:/bin
+Environment=OPENCLAW_CONFIG_PATH=/etc/agents-plane/openclaw.json
 Environment=OPENCLAW_GATEWAY_PORT=18789
 Environment=OPENCLAW_GATEWAY_TOKEN=${GATEWAY_TOKEN}
 Environment=OPENCLAW_SYSTEMD_UNIT=openclaw-gateway.service
@@ -890,6 +1153,256 @@ systemctl enable qr-monitor
 systemctl start qr-monitor
 logger "🤖 Agents Plane: QR monitor started"
 
+# ─── 20b. Config watcher (control plane `update` action) ─────────
+# Blocks on the agent-config-version metadata key. When the control plane
+# writes a new config secret version and bumps the key, apply it and
+# restart the gateway — no VM rebuild needed.
+cat > /usr/local/bin/agent-config-watcher.sh << 'WATCHEOF'
+#!/bin/bash
+set -uo pipefail
+MD="http://metadata.google.internal/computeMetadata/v1"
+meta() { curl -sf -H "Metadata-Flavor: Google" "$MD/$1"; }
+AGENT=$(meta instance/name | sed 's/^agent-//')
+PROJECT=$(meta project/project-id)
+AGENT_HOME="/home/$AGENT"
+CURRENT=$(meta instance/attributes/agent-config-version || echo "")
+
+# Writes stdin to <path> in the agent's home with <mode>. This runs as root
+# but the agent owns that directory, so the write happens as the agent, into
+# a fresh temp file renamed over <path>: a link planted there is replaced,
+# never followed.
+write_as_agent() {
+  runuser -u "$AGENT" -- sh -c 'tmp=$(mktemp "$1.XXXXXX") && cat > "$tmp" && chmod "$2" "$tmp" && mv -f "$tmp" "$1"' \
+    write_as_agent "$1" "$2"
+}
+
+while true; do
+  VERSION=$(meta "instance/attributes/agent-config-version?wait_for_change=true&timeout_sec=300")
+  if [ -z "$VERSION" ]; then sleep 30; continue; fi
+  [ "$VERSION" = "$CURRENT" ] && continue
+
+  TOKEN=$(meta instance/service-accounts/default/token | jq -r '.access_token')
+  CONFIG=$(curl -sf "https://secretmanager.googleapis.com/v1/projects/${PROJECT}/secrets/agent-${AGENT}-config/versions/${VERSION}:access" \
+    -H "Authorization: Bearer ${TOKEN}" | jq -r '.payload.data' | base64 -d)
+  if [ -z "$CONFIG" ] || ! echo "$CONFIG" | jq empty 2>/dev/null; then
+    logger "🤖 Agents Plane: ERROR — could not fetch config version $VERSION"
+    sleep 30
+    continue
+  fi
+
+  MODEL=$(echo "$CONFIG" | jq -r '.model // "claude-opus-4-6"')
+  PROVIDER=$(echo "$CONFIG" | jq -r '.provider // empty')
+  if [ -z "$PROVIDER" ]; then
+    case "$MODEL" in
+      claude-*|opus-*|sonnet-*|haiku-*) PROVIDER="anthropic" ;;
+      gpt-*|o1-*|o3-*) PROVIDER="openai" ;;
+      gemini-*) PROVIDER="google" ;;
+      *) PROVIDER="anthropic" ;;
+    esac
+  fi
+
+  echo "$CONFIG" | write_as_agent "$AGENT_HOME/.openclaw/agent-config.json" 644
+  echo "$CONFIG" > /etc/agents-plane/agent-config.json
+  OPENCLAW=$(runuser -u "$AGENT" -- cat "$AGENT_HOME/.openclaw/openclaw.json" \
+    | jq --arg m "$PROVIDER/$MODEL" '.agents.list[0].model = $m') \
+    && echo "$OPENCLAW" | write_as_agent "$AGENT_HOME/.openclaw/openclaw.json" 644
+  /usr/local/bin/apply-agent-allowlist.sh "$AGENT" /etc/agents-plane/agent-config.json
+  # Shared secrets may have been rotated (rotate-secrets); the gateway's
+  # restart refetches the API key
+  PROXY_SECRET=$(curl -sf "https://secretmanager.googleapis.com/v1/projects/${PROJECT}/secrets/agents-plane-email-proxy-secret/versions/latest:access" \
+    -H "Authorization: Bearer ${TOKEN}" | jq -r '.payload.data // empty' | base64 -d 2>/dev/null)
+  if [ -n "$PROXY_SECRET" ]; then
+    echo "$PROXY_SECRET" | write_as_agent "$AGENT_HOME/.config/agents-plane/proxy-secret" 600
+  fi
+  systemctl restart openclaw-gateway
+  CURRENT="$VERSION"
+  # Tells the control plane which version is live and since when
+  curl -sf -X PUT --data "$VERSION $(date -u +%Y-%m-%dT%H:%M:%SZ)" -H "Metadata-Flavor: Google" \
+    "$MD/instance/guest-attributes/agents-plane/reloaded"
+  logger "🤖 Agents Plane: Reloaded config version $VERSION (model: $MODEL)"
+done
+WATCHEOF
+chmod +x /usr/local/bin/agent-config-watcher.sh
+
+cat > /etc/systemd/system/agent-config-watcher.service << CWEOF
+[Unit]
+Description=Agents Plane config watcher ($AGENT_NAME)
+After=openclaw-gateway.service
+
+[Service]
+Type=simple
+ExecStart=/usr/local/bin/agent-config-watcher.sh
+Restart=always
+RestartSec=10
+
+[Install]
+WantedBy=multi-user.target
+CWEOF
+
+systemctl daemon-reload
+systemctl enable agent-config-watcher
+systemctl start agent-config-watcher
+logger "🤖 Agents Plane: Config watcher started"
+
+# ─── 20c. Heartbeat (control plane `status` action) ──────────────
+# Every minute, if the gateway answers, write a timestamp to the
+# agents-plane/heartbeat guest attribute. Needs no IAM permissions.
+cat > /usr/local/bin/agent-heartbeat.sh << 'HBSEOF'
+#!/bin/bash
+if systemctl is-active --quiet openclaw-gateway && curl -sf -o /dev/null http://127.0.0.1:18789/; then
+  curl -sf -X PUT --data "$(date -u +%Y-%m-%dT%H:%M:%SZ)" -H "Metadata-Flavor: Google" \
+    "http://metadata.google.internal/computeMetadata/v1/instance/guest-attributes/agents-plane/heartbeat"
+fi
+HBSEOF
+chmod +x /usr/local/bin/agent-heartbeat.sh
+
+cat > /etc/systemd/system/agent-heartbeat.service << HBSVCEOF
+[Unit]
+Description=Agents Plane heartbeat ($AGENT_NAME)
+
+[Service]
+Type=oneshot
+ExecStart=/usr/local/bin/agent-heartbeat.sh
+HBSVCEOF
+
+cat > /etc/systemd/system/agent-heartbeat.timer << HBTEOF
+[Unit]
+Description=Agents Plane heartbeat every minute
+
+[Timer]
+OnBootSec=1min
+OnUnitActiveSec=1min
+
+[Install]
+WantedBy=timers.target
+HBTEOF
+
+systemctl daemon-reload
+systemctl enable --now agent-heartbeat.timer
+logger "🤖 Agents Plane: Heartbeat timer started"
+
+# ─── 20d. Usage reporter (control plane `report-usage` action) ───
+# Every 15 minutes, sum the token usage and cost OpenClaw recorded in its
+# session transcripts since the last report and post it to the control
+# plane, which meters it against the agent's budget. Reports carry this
+# VM's instance identity token, so they only count for this agent.
+CONTROL_PLANE_URL=$(curl -sf -H "Metadata-Flavor: Google" \
+  "http://metadata.google.internal/computeMetadata/v1/instance/attributes/agents-plane-url" || echo "")
+if [ -n "$CONTROL_PLANE_URL" ]; then
+  mkdir -p /var/lib/agents-plane
+  rm -f /etc/agents-plane/usage-secret
+
+  cat > /usr/local/bin/agent-usage-report.py << 'USAGEEOF'
+#!/usr/bin/env python3
+"""Report the agent's token usage and cost to the control plane.
+
+Usage: agent-usage-report.py <agent home> <owner email> <control plane URL>
+"""
+import glob, json, os, sys, urllib.request
+
+# Must match the control plane's IDENTITY_AUDIENCE
+IDENTITY_URL = ("http://metadata.google.internal/computeMetadata/v1/instance/service-accounts/default/identity"
+                "?audience=agents-plane-control-plane&format=full")
+OFFSETS_PATH = "/var/lib/agents-plane/usage-offsets.json"
+
+def _number(value):
+    try:
+        return float(value or 0)
+    except (TypeError, ValueError):
+        return 0.0
+
+def _add(totals, usage):
+    """Add one message's usage ({input, output, cacheRead, cacheWrite, cost: {total}})."""
+    totals["inputTokens"] += int(sum(_number(usage.get(k)) for k in ("input", "cacheRead", "cacheWrite", "input_tokens")))
+    totals["outputTokens"] += int(_number(usage.get("output")) + _number(usage.get("output_tokens")))
+    cost = usage.get("cost")
+    totals["costUsd"] += _number(cost.get("total")) if isinstance(cost, dict) else _number(cost)
+
+def collect(home, offsets):
+    """Usage recorded since `offsets` (bytes read per transcript), and the new offsets."""
+    totals = {"inputTokens": 0, "outputTokens": 0, "costUsd": 0.0}
+    read_to = {}
+    for path in glob.glob(os.path.join(home, ".openclaw/agents/*/sessions/*.jsonl")):
+        pos = offsets.get(path, 0)
+        if os.path.getsize(path) < pos:
+            pos = 0  # transcript was rewritten
+        with open(path, "rb") as f:
+            f.seek(pos)
+            for line in f:
+                if not line.endswith(b"\n"):
+                    break  # still being written; next run
+                pos += len(line)
+                try:
+                    entry = json.loads(line)
+                except ValueError:
+                    continue
+                message = entry.get("message") if isinstance(entry.get("message"), dict) else entry
+                if isinstance(message.get("usage"), dict):
+                    _add(totals, message["usage"])
+        read_to[path] = pos
+    totals["costUsd"] = round(totals["costUsd"], 6)
+    return totals, read_to
+
+def report(url, email, usage):
+    """POST a report-usage request, identified by this VM's identity token."""
+    token_req = urllib.request.Request(IDENTITY_URL, headers={"Metadata-Flavor": "Google"})
+    token = urllib.request.urlopen(token_req, timeout=5).read().decode()
+    body = json.dumps({"action": "report-usage", "email": email, "usage": usage}).encode()
+    req = urllib.request.Request(url, data=body, headers={
+        "X-Agent-Identity": token,
+        "Content-Type": "application/json",
+    })
+    return json.loads(urllib.request.urlopen(req, timeout=25).read())
+
+def main():
+    home, email, url = sys.argv[1:4]
+    try:
+        with open(OFFSETS_PATH) as f:
+            offsets = json.load(f)
+    except (FileNotFoundError, ValueError):
+        offsets = {}
+    usage, read_to = collect(home, offsets)
+    if usage["inputTokens"] or usage["outputTokens"] or usage["costUsd"]:
+        # Offsets only move on success, so a failed report is retried next run
+        result = report(url, email, usage)
+        print(f"Reported ${usage['costUsd']:.4f} — {result.get('percent')}% of budget this month")
+    with open(OFFSETS_PATH + ".tmp", "w") as f:
+        json.dump(read_to, f)
+    os.replace(OFFSETS_PATH + ".tmp", OFFSETS_PATH)
+
+if __name__ == "__main__":
+    main()
+USAGEEOF
+  chmod 700 /usr/local/bin/agent-usage-report.py
+
+  cat > /etc/systemd/system/agent-usage-report.service << USVCEOF
+[Unit]
+Description=Agents Plane usage report ($AGENT_NAME)
+
+[Service]
+Type=oneshot
+ExecStart=/usr/bin/python3 /usr/local/bin/agent-usage-report.py $AGENT_HOME $OWNER_EMAIL $CONTROL_PLANE_URL
+USVCEOF
+
+  cat > /etc/systemd/system/agent-usage-report.timer << UTEOF
+[Unit]
+Description=Agents Plane usage report every 15 minutes
+
+[Timer]
+OnBootSec=5min
+OnUnitActiveSec=15min
+
+[Install]
+WantedBy=timers.target
+UTEOF
+
+  systemctl daemon-reload
+  systemctl enable --now agent-usage-report.timer
+  logger "🤖 Agents Plane: Usage reporter started"
+else
+  logger "🤖 Agents Plane: No control plane URL — usage is not reported"
+fi
+
 # ─── 21. Bootstrap message ───────────────────────────────────────
 echo "Agent will bootstrap on first heartbeat (reads BOOTSTRAP.md)"
 
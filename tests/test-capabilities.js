@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+/**
+ * Agents Plane — Model Registry and Allowlist Tests
+ *
+ * Tests how the provisioning function checks what an agent may use:
+ * - Parsing MODEL_REGISTRY into model → provider
+ * - Tool and channel allowlists from the environment
+ * - Rejecting unknown models, tools and channels
+ *
+ * Run: node tests/test-capabilities.js
+ */
+
+const path = require('path');
+
+// --- Test Framework ---
+let passed = 0, failed = 0, errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } catch (e) {
+    failed++;
+    errors.push({ name, error: e.message });
+    console.log(`  ❌ ${name}: ${e.message}`);
+  }
+}
+
+function assert(condition, msg) {
+  if (!condition) throw new Error(msg || 'Assertion failed');
+}
+
+const { parseModelRegistry, loadCapabilities, checkAgentConfig, providerOf } = require(
+  path.join(__dirname, '..', 'scripts', 'examples', 'cloud-function', 'capabilities.js'),
+);
+
+console.log('\n═══════════════════════════════════════════');
+console.log('  Agents Plane — Model Registry and Allowlist Tests');
+console.log('═══════════════════════════════════════════\n');
+
+// --- 1. Model Registry ---
+console.log('📋 Model Registry:');
+
+test('parses model:provider pairs', () => {
+  const registry = parseModelRegistry('claude-opus-4-6:anthropic, gpt-4o:openai');
+  assert(registry['claude-opus-4-6'] === 'anthropic', `Got ${JSON.stringify(registry)}`);
+  assert(registry['gpt-4o'] === 'openai', `Got ${JSON.stringify(registry)}`);
+  assert(Object.keys(registry).length === 2, 'Expected exactly two models');
+});
+
+test('model IDs may contain colons', () => {
+  const registry = parseModelRegistry('meta/llama-3:70b:vertex');
+  assert(registry['meta/llama-3:70b'] === 'vertex', `Got ${JSON.stringify(registry)}`);
+});
+
+test('rejects entries without a provider', () => {
+  let threw = false;
+  try {
+    parseModelRegistry('claude-opus-4-6');
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'Expected an error');
+});
+
+test('falls back to the default registry', () => {
+  const { models, tools, channels } = loadCapabilities({});
+  assert(providerOf('claude-opus-4-6', { models }) === 'anthropic', 'Default registry missing claude-opus-4-6');
+  assert(tools.includes('exec') && tools.includes('drive'), `Got tools ${tools}`);
+  assert(channels.join(',') === 'email,whatsapp,slack', `Got channels ${channels}`);
+});
+
+test('unregistered models have no provider', () => {
+  const { models } = loadCapabilities({});
+  assert(providerOf('mystery-model', { models }) === null, 'Expected null');
+  assert(providerOf('constructor', { models }) === null, 'Object prototype leaked into the registry');
+});
+
+// --- 2. Agent Config Checks ---
+console.log('\n📋 Agent Config Checks:');
+
+const caps = loadCapabilities({ MODEL_REGISTRY: 'gpt-4o:openai', AGENT_TOOLS: 'email,calendar', AGENT_CHANNELS: 'email,slack' });
+
+test('accepts allowed values and skips unset fields', () => {
+  assert(checkAgentConfig({ model: 'gpt-4o', tools: ['email'], channels: ['slack'] }, caps).length === 0, 'Expected no problems');
+  assert(checkAgentConfig({}, caps).length === 0, 'Unset fields should not be checked');
+});
+
+test('rejects unregistered models', () => {
+  const problems = checkAgentConfig({ model: 'claude-opus-4-6' }, caps);
+  assert(problems.length === 1 && problems[0].includes('claude-opus-4-6'), `Got ${problems}`);
+});
+
+test('names the tools and channels that are not allowed', () => {
+  const problems = checkAgentConfig({ tools: ['email', 'exec'], channels: ['whatsapp'] }, caps);
+  assert(problems.some(p => p.includes('tools: exec')), `Got ${problems}`);
+  assert(problems.some(p => p.includes('channels: whatsapp')), `Got ${problems}`);
+});
+
+test('rejects tools that are not a list of names', () => {
+  assert(checkAgentConfig({ tools: 'email' }, caps).length === 1, 'A string should be rejected');
+  assert(checkAgentConfig({ channels: [{ name: 'email' }] }, caps).length === 1, 'Objects should be rejected');
+});
+
+// --- Results ---
+console.log('\n═══════════════════════════════════════════');
+console.log(`  Results: ${passed} passed, ${failed} failed`);
+console.log('═══════════════════════════════════════════');
+
+if (errors.length > 0) {
+  console.log('\nFailures:');
+  errors.forEach(e => console.log(`  • ${e.name}: ${e.error}`));
+}
+
+process.exit(failed > 0 ? 1 : 0);
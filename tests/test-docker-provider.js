@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+/**
+ * Agents Plane — Docker Provider Tests
+ *
+ * Tests the parts of the local Docker provider that need no Docker daemon:
+ * - File-backed secret versions, including disabled ones
+ * - Secret grants per agent identity
+ * - Rendering the run command for dry runs
+ * - Workspace snapshot labels, listing and deletion
+ * - Provider selection
+ *
+ * Run: node tests/test-docker-provider.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// --- Test Framework ---
+let passed = 0, failed = 0, errors = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } catch (e) {
+    failed++;
+    errors.push({ name, error: e.message });
+    console.log(`  ❌ ${name}: ${e.message}`);
+  }
+}
+
+function assert(condition, msg) {
+  if (!condition) throw new Error(msg || 'Assertion failed');
+}
+
+const PROVIDERS = path.join(__dirname, '..', 'scripts', 'examples', 'cloud-function', 'providers');
+const { createProvider } = require(PROVIDERS);
+const { createDockerProvider } = require(path.join(PROVIDERS, 'docker.js'));
+
+function tempProvider() {
+  const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agents-plane-docker-'));
+  return { stateDir, ...createDockerProvider({ stateDir }) };
+}
+
+(async () => {
+  console.log('\n═══════════════════════════════════════════');
+  console.log('  Agents Plane — Docker Provider Tests');
+  console.log('═══════════════════════════════════════════\n');
+
+  // --- 1. Secrets ---
+  console.log('📋 Secrets:');
+
+  await test('versions count up from 1 and latest reads the newest', async () => {
+    const { stateDir, secrets } = tempProvider();
+    await secrets.ensure('agent-alice-config');
+    assert(await secrets.write('agent-alice-config', '{"model":"a"}') === '1', 'First version should be 1');
+    assert(await secrets.write('agent-alice-config', '{"model":"b"}') === '2', 'Second version should be 2');
+    const latest = await secrets.read('agent-alice-config');
+    assert(latest.version === '2' && latest.value === '{"model":"b"}', `Got ${JSON.stringify(latest)}`);
+    assert((await secrets.read('agent-alice-config', '1')).value === '{"model":"a"}', 'Version 1 not readable');
+    fs.rmSync(stateDir, { recursive: true });
+  });
+
+  await test('missing secrets read as null', async () => {
+    const { stateDir, secrets } = tempProvider();
+    assert(await secrets.read('nope') === null, 'Expected null for a missing secret');
+    assert(await secrets.listVersions('nope') === null, 'Expected null versions for a missing secret');
+    await secrets.ensure('empty');
+    assert(await secrets.read('empty') === null, 'Expected null for a secret with no versions');
+    fs.rmSync(stateDir, { recursive: true });
+  });
+
+  await test('writing to a missing secret fails', async () => {
+    const { stateDir, secrets } = tempProvider();
+    let threw = false;
+    try {
+      await secrets.write('nope', 'x');
+    } catch {
+      threw = true;
+    }
+    assert(threw, 'Expected an error');
+    fs.rmSync(stateDir, { recursive: true });
+  });
+
+  await test('delete removes every version', async () => {
+    const { stateDir, secrets } = tempProvider();
+    await secrets.ensure('agent-alice-config');
+    await secrets.write('agent-alice-config', 'x');
+    assert(await secrets.delete('agent-alice-config') === true, 'Delete should report success');
+    assert(await secrets.read('agent-alice-config') === null, 'Secret still readable');
+    assert(await secrets.delete('agent-alice-config') === false, 'Second delete should report nothing deleted');
+    fs.rmSync(stateDir, { recursive: true });
+  });
+
+  await test('disabled versions keep their number but cannot be read', async () => {
+    const { stateDir, secrets } = tempProvider();
+    await secrets.ensure('agents-plane-api-key');
+    await secrets.write('agents-plane-api-key', 'old');
+    await secrets.write('agents-plane-api-key', 'new');
+    await secrets.disableVersion('agents-plane-api-key', '1');
+    const versions = await secrets.listVersions('agents-plane-api-key');
+    assert(versions.map(v => `${v.version}:${v.state}`).join(',') === '1:disabled,2:enabled', `Got ${JSON.stringify(versions)}`);
+    assert(versions.every(v => v.createdAt), 'Versions should carry createdAt');
+    assert(await secrets.read('agents-plane-api-key', '1') === null, 'Disabled version still readable');
+    assert(await secrets.write('agents-plane-api-key', 'newer') === '3', 'Numbering should continue past disabled versions');
+    fs.rmSync(stateDir, { recursive: true });
+  });
+
+  // --- 2. Grants ---
+  console.log('\n📋 Grants:');
+
+  await test('grant reports missing secrets', async () => {
+    const { stateDir, secrets } = tempProvider();
+    assert(await secrets.grant('agents-plane-api-key', 'agent-alice', 'read') === false, 'Expected false');
+    fs.rmSync(stateDir, { recursive: true });
+  });
+
+  await test('deleting an identity drops its grants only', async () => {
+    const { stateDir, secrets, compute } = tempProvider();
+    await secrets.ensure('agents-plane-api-key');
+    await secrets.grant('agents-plane-api-key', 'agent-alice', 'read');
+    await secrets.grant('agents-plane-api-key', 'agent-bob', 'read');
+    await compute.deleteIdentity('alice');
+    const access = JSON.parse(fs.readFileSync(path.join(stateDir, 'secrets', 'agents-plane-api-key', 'access.json'), 'utf8'));
+    assert(!access['agent-alice'], 'Alice still has access');
+    assert(access['agent-bob']?.includes('read'), 'Bob lost access');
+    fs.rmSync(stateDir, { recursive: true });
+  });
+
+  await test('rendered run command mounts planned grants and changes nothing', async () => {
+    const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agents-plane-docker-'));
+    // `true` answers every docker command successfully
+    const { compute, secrets } = createDockerProvider({ stateDir, dockerBin: 'true' });
+    await secrets.ensure('agents-plane-api-key');
+    await secrets.grant('agents-plane-api-key', 'agent-alice', 'read');
+    const { resource } = await compute.renderInstance(
+      { vmName: 'agent-alice', safeName: 'alice', identity: 'agent-alice', configVersion: '1', machineType: 'e2-standard-2' },
+      { grants: [{ name: 'agent-alice-api-key', access: 'read' }, { name: 'agent-alice-api-key', access: 'write' }] },
+    );
+    const mounts = resource.command.filter(arg => arg.includes('/run/agents-plane/secrets/'));
+    assert(mounts.some(m => m.endsWith('/agents-plane-api-key:ro')), `Shared key not mounted read-only: ${mounts}`);
+    assert(mounts.some(m => m.endsWith('/agent-alice-api-key')), `Own key not mounted writable: ${mounts}`);
+    assert(!fs.existsSync(path.join(stateDir, 'instances')), 'Instance state written');
+    fs.rmSync(stateDir, { recursive: true });
+  });
+
+  // --- 3. Snapshots ---
+  console.log('\n📋 Snapshots:');
+
+  await test('snapshots are listed per agent with their labels, newest first', async () => {
+    const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agents-plane-docker-'));
+    const { compute } = createDockerProvider({ stateDir, dockerBin: 'true' });
+    const snapshotsDir = path.join(stateDir, 'snapshots');
+    const taken = [['agent-alice', 'agent-alice-backup-1'], ['agent-bob', 'agent-bob-backup-1'], ['agent-alice', 'agent-alice-backup-2']];
+    for (const [vmName, name] of taken) {
+      await compute.snapshotWorkspace({ name: vmName }, name, { 'agent-user': vmName.slice(6), purpose: 'backup' });
+      // `true` writes no archive
+      fs.writeFileSync(path.join(snapshotsDir, `${name}.tar.gz`), '');
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    const alice = await compute.listSnapshots({ safeName: 'alice' });
+    assert(alice.map(s => s.name).join(',') === 'agent-alice-backup-2,agent-alice-backup-1', `Got ${alice.map(s => s.name)}`);
+    assert(alice[0].labels.purpose === 'backup' && alice[0].labels['workspace-disk'] === 'data', `Got ${JSON.stringify(alice[0].labels)}`);
+    assert(alice[0].disk === 'agent-alice-data', `Got disk ${alice[0].disk}`);
+    assert((await compute.listSnapshots()).length === 3, 'Expected every agent\'s snapshots without a filter');
+    fs.rmSync(stateDir, { recursive: true });
+  });
+
+  await test('deleting a snapshot removes the archive and its labels', async () => {
+    const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agents-plane-docker-'));
+    const { compute } = createDockerProvider({ stateDir, dockerBin: 'true' });
+    await compute.snapshotWorkspace({ name: 'agent-alice' }, 'agent-alice-backup-1', { 'agent-user': 'alice' });
+    fs.writeFileSync(path.join(stateDir, 'snapshots', 'agent-alice-backup-1.tar.gz'), '');
+    await compute.deleteSnapshot('agent-alice-backup-1');
+    assert(fs.readdirSync(path.join(stateDir, 'snapshots')).length === 0, 'Snapshot files left behind');
+    assert((await compute.listSnapshots({ safeName: 'alice' })).length === 0, 'Deleted snapshot still listed');
+    fs.rmSync(stateDir, { recursive: true });
+  });
+
+  // --- 4. Provider Selection ---
+  console.log('\n📋 Provider Selection:');
+
+  await test('rejects an unknown provider', () => {
+    let threw = false;
+    try {
+      createProvider('aws');
+    } catch {
+      threw = true;
+    }
+    assert(threw, 'Expected an error');
+  });
+
+  // --- Results ---
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`  Results: ${passed} passed, ${failed} failed`);
+  console.log('═══════════════════════════════════════════');
+
+  if (errors.length > 0) {
+    console.log('\nFailures:');
+    errors.forEach(e => console.log(`  • ${e.name}: ${e.error}`));
+  }
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
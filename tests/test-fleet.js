@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+/**
+ * Agents Plane — Fleet Listing Tests
+ *
+ * Tests the helpers behind the list, pause-all and resume-all actions:
+ * - Status, label and owner-domain filters
+ * - Paging by page token
+ * - Bounded concurrency with per-agent results
+ *
+ * Run: node tests/test-fleet.js
+ */
+
+const path = require('path');
+
+// --- Test Framework ---
+let passed = 0, failed = 0, errors = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } catch (e) {
+    failed++;
+    errors.push({ name, error: e.message });
+    console.log(`  ❌ ${name}: ${e.message}`);
+  }
+}
+
+function assert(condition, msg) {
+  if (!condition) throw new Error(msg || 'Assertion failed');
+}
+
+const { parseFilters, matchesFilters, paginate, decodePageToken, mapLimited } = require(
+  path.join(__dirname, '..', 'scripts', 'examples', 'cloud-function', 'fleet.js'),
+);
+
+function agent(vmName, { status = 'RUNNING', labels = {}, email = `${vmName.slice(6)}@acme.com` } = {}) {
+  return { vmName, status, email, labels: { 'managed-by': 'agents-plane', ...labels } };
+}
+
+(async () => {
+  console.log('\n═══════════════════════════════════════════');
+  console.log('  Agents Plane — Fleet Listing Tests');
+  console.log('═══════════════════════════════════════════\n');
+
+  // --- 1. Filters ---
+  console.log('📋 Filters:');
+
+  await test('parses status, labels and domain', () => {
+    const { filters, error } = parseFilters({ status: 'running', label: 'agent-sleeping,agent-model=claude', domain: 'Acme.com' });
+    assert(!error, error);
+    assert(filters.status === 'RUNNING', `Got status ${filters.status}`);
+    assert(JSON.stringify(filters.labels) === '[{"key":"agent-sleeping"},{"key":"agent-model","value":"claude"}]',
+      `Got labels ${JSON.stringify(filters.labels)}`);
+    assert(filters.domain === 'acme.com', `Got domain ${filters.domain}`);
+  });
+
+  await test('rejects malformed filters', () => {
+    assert(parseFilters({ status: 'RUNNING;' }).error, 'Expected a status error');
+    assert(parseFilters({ label: 'a=b=c' }).error, 'Expected a label error');
+    assert(parseFilters({ label: 'Bad Key' }).error, 'Expected a label error');
+    assert(parseFilters({ domain: 'alice@acme.com' }).error, 'Expected a domain error');
+    assert(!parseFilters({}).error, 'No filters should be fine');
+  });
+
+  await test('matches every filter given', () => {
+    const { filters } = parseFilters({ status: 'TERMINATED', label: 'agent-sleeping', domain: 'acme.com' });
+    assert(matchesFilters(agent('agent-a', { status: 'TERMINATED', labels: { 'agent-sleeping': 'true' } }), filters), 'Expected a match');
+    assert(!matchesFilters(agent('agent-b', { status: 'TERMINATED' }), filters), 'Missing label should not match');
+    assert(!matchesFilters(agent('agent-c', { status: 'RUNNING', labels: { 'agent-sleeping': 'true' } }), filters),
+      'Other status should not match');
+    assert(!matchesFilters(agent('agent-d', { status: 'TERMINATED', labels: { 'agent-sleeping': 'true' }, email: 'd@other.com' }), filters),
+      'Other domain should not match');
+    assert(!matchesFilters(agent('agent-e', { status: 'TERMINATED', labels: { 'agent-sleeping': 'true' }, email: null }), filters),
+      'Unknown owner should not match a domain');
+  });
+
+  await test('label values must match exactly', () => {
+    const { filters } = parseFilters({ label: 'agent-model=claude' });
+    assert(matchesFilters(agent('agent-a', { labels: { 'agent-model': 'claude' } }), filters), 'Expected a match');
+    assert(!matchesFilters(agent('agent-b', { labels: { 'agent-model': 'gpt' } }), filters), 'Other value should not match');
+  });
+
+  // --- 2. Paging ---
+  console.log('\n📋 Paging:');
+
+  await test('pages in vmName order until there is no token', () => {
+    const items = ['agent-e', 'agent-a', 'agent-d', 'agent-b', 'agent-c'].map(name => agent(name));
+    const seen = [];
+    let after = '';
+    for (let i = 0; i < 5; i++) {
+      const { page, nextPageToken } = paginate(items, { pageSize: 2, after });
+      seen.push(...page.map(a => a.vmName));
+      if (!nextPageToken) break;
+      after = decodePageToken(nextPageToken);
+    }
+    assert(seen.join(',') === 'agent-a,agent-b,agent-c,agent-d,agent-e', `Got ${seen}`);
+  });
+
+  await test('a full last page has no next token', () => {
+    const { nextPageToken } = paginate([agent('agent-a'), agent('agent-b')], { pageSize: 2 });
+    assert(nextPageToken === null, `Got ${nextPageToken}`);
+  });
+
+  await test('an agent removed between pages does not shift the next one', () => {
+    const items = ['agent-a', 'agent-b', 'agent-c', 'agent-d'].map(name => agent(name));
+    const { nextPageToken } = paginate(items, { pageSize: 2 });
+    const { page } = paginate(items.filter(a => a.vmName !== 'agent-a'), { pageSize: 2, after: decodePageToken(nextPageToken) });
+    assert(page.map(a => a.vmName).join(',') === 'agent-c,agent-d', `Got ${page.map(a => a.vmName)}`);
+  });
+
+  await test('rejects tokens that are not page positions', () => {
+    assert(decodePageToken('not a token') === null, 'Expected null for garbage');
+    assert(decodePageToken(Buffer.from('../etc').toString('base64url')) === null, 'Expected null for a non-agent name');
+    assert(decodePageToken(Buffer.from('agent-alice').toString('base64url')) === 'agent-alice', 'Expected the vmName back');
+  });
+
+  // --- 3. Bounded Concurrency ---
+  console.log('\n📋 Bounded Concurrency:');
+
+  await test('never runs more than the limit at once', async () => {
+    let running = 0, peak = 0;
+    const results = await mapLimited([1, 2, 3, 4, 5, 6, 7], 3, async n => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+      return n * 2;
+    });
+    assert(peak === 3, `Peak concurrency ${peak}`);
+    assert(results.map(r => r.value).join(',') === '2,4,6,8,10,12,14', `Got ${results.map(r => r.value)}`);
+  });
+
+  await test('one failure does not stop the batch', async () => {
+    const results = await mapLimited(['a', 'b', 'c'], 2, async item => {
+      if (item === 'b') throw new Error('quota exceeded');
+      return item;
+    });
+    assert(results.length === 3, `Got ${results.length} results`);
+    assert(results[1].error?.message === 'quota exceeded', `Got ${JSON.stringify(results[1])}`);
+    assert(results[0].value === 'a' && results[2].value === 'c', 'Other items should succeed');
+  });
+
+  await test('an empty batch returns no results', async () => {
+    assert((await mapLimited([], 5, async () => 1)).length === 0, 'Expected no results');
+  });
+
+  // --- Results ---
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`  Results: ${passed} passed, ${failed} failed`);
+  console.log('═══════════════════════════════════════════');
+
+  if (errors.length > 0) {
+    console.log('\nFailures:');
+    errors.forEach(e => console.log(`  • ${e.name}: ${e.error}`));
+  }
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
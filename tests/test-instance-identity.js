@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+/**
+ * Agents Plane — Instance Identity Tests
+ *
+ * Tests how the email proxy tells which agent VM is calling:
+ * - Token signature and claim checks
+ * - Signing cert caching and refetch on unknown keys
+ * - Instance label lookup
+ * - Which mailbox an agent may use
+ * - Both copies of instance-identity.js stay in sync
+ *
+ * Run: node tests/test-instance-identity.js
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// --- Test Framework ---
+let passed = 0, failed = 0, errors = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } catch (e) {
+    failed++;
+    errors.push({ name, error: e.message });
+    console.log(`  ❌ ${name}: ${e.message}`);
+  }
+}
+
+function assert(condition, msg) {
+  if (!condition) throw new Error(msg || 'Assertion failed');
+}
+
+const proxyPath = path.join(__dirname, '..', 'scripts', 'email-proxy', 'instance-identity.js');
+const cfPath = path.join(__dirname, '..', 'scripts', 'examples', 'cloud-function', 'instance-identity.js');
+const { createKeyStore, verifyIdentityToken, mailboxAllowed, createIdentityVerifier } = require(proxyPath);
+
+const AUDIENCE = 'agents-plane-email-proxy';
+const google = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const intruder = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEYS = { k1: google.publicKey.export({ type: 'spki', format: 'pem' }) };
+
+function token(overrides = {}, { kid = 'k1', privateKey = google.privateKey } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const claims = {
+    iss: 'https://accounts.google.com',
+    aud: AUDIENCE,
+    iat: now,
+    exp: now + 3600,
+    google: { compute_engine: { project_id: 'agents', zone: 'us-east4-b', instance_id: '111', instance_name: 'agent-alice' } },
+    ...overrides,
+  };
+  const head = Buffer.from(JSON.stringify({ alg: 'RS256', kid, typ: 'JWT' })).toString('base64url');
+  const body = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(`${head}.${body}`), privateKey).toString('base64url');
+  return `${head}.${body}.${signature}`;
+}
+
+const options = { keyFor: createKeyStore({ keys: KEYS }), audience: AUDIENCE, project: 'agents' };
+
+function instances(table) {
+  return async ({ name }) => table[name] || null;
+}
+
+(async () => {
+  console.log('\n═══════════════════════════════════════════');
+  console.log('  Agents Plane — Instance Identity Tests');
+  console.log('═══════════════════════════════════════════\n');
+
+  // --- 1. Tokens ---
+  console.log('📋 Tokens:');
+
+  await test('accepts a valid instance token', async () => {
+    const result = await verifyIdentityToken(token(), options);
+    assert(result.ok, result.reason);
+    assert(result.instance.name === 'agent-alice' && result.instance.id === '111', `Got ${JSON.stringify(result.instance)}`);
+  });
+
+  await test('rejects a token signed with another key', async () => {
+    const result = await verifyIdentityToken(token({}, { privateKey: intruder.privateKey }), options);
+    assert(!result.ok && result.reason === 'bad signature', `Got ${JSON.stringify(result)}`);
+  });
+
+  await test('rejects tampered claims', async () => {
+    const [head, , signature] = token().split('.');
+    const forged = Buffer.from(JSON.stringify({ aud: AUDIENCE, google: { compute_engine: { instance_name: 'agent-bob' } } }))
+      .toString('base64url');
+    const result = await verifyIdentityToken(`${head}.${forged}.${signature}`, options);
+    assert(!result.ok, 'Forged claims accepted');
+  });
+
+  await test('rejects wrong audience, issuer, project and expired tokens', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    for (const [claims, reason] of [
+      [{ aud: 'https://other.example.com' }, 'wrong audience'],
+      [{ iss: 'https://evil.example.com' }, 'wrong issuer'],
+      [{ exp: now - 600 }, 'token expired'],
+      [{ google: { compute_engine: { project_id: 'other', instance_id: '1', instance_name: 'agent-alice' } } }, 'another project'],
+      [{ google: undefined }, 'not an instance token'],
+    ]) {
+      const result = await verifyIdentityToken(token(claims), options);
+      assert(!result.ok && result.reason.includes(reason), `Expected "${reason}", got ${JSON.stringify(result)}`);
+    }
+  });
+
+  await test('rejects malformed tokens and other algorithms', async () => {
+    assert(!(await verifyIdentityToken('abc', options)).ok, 'Accepted garbage');
+    const none = `${Buffer.from('{"alg":"none"}').toString('base64url')}.${token().split('.')[1]}.`;
+    const result = await verifyIdentityToken(none, options);
+    assert(!result.ok && result.reason.includes('unsupported algorithm'), `Got ${JSON.stringify(result)}`);
+  });
+
+  // --- 2. Signing Certs ---
+  console.log('\n📋 Signing Certs:');
+
+  await test('caches certs for their max-age', async () => {
+    let fetches = 0;
+    let clock = 0;
+    const fetchImpl = async () => {
+      fetches++;
+      return { ok: true, headers: { get: () => 'public, max-age=600' }, json: async () => KEYS };
+    };
+    const keyFor = createKeyStore({ fetchImpl, now: () => clock });
+    await keyFor('k1');
+    clock += 500 * 1000;
+    await keyFor('k1');
+    assert(fetches === 1, `Expected 1 fetch within max-age, got ${fetches}`);
+    clock += 200 * 1000;
+    await keyFor('k1');
+    assert(fetches === 2, `Expected a refetch after max-age, got ${fetches}`);
+  });
+
+  await test('refetches for an unknown key at most once a minute', async () => {
+    let fetches = 0;
+    let clock = 0;
+    const fetchImpl = async () => {
+      fetches++;
+      return { ok: true, headers: { get: () => 'max-age=3600' }, json: async () => (fetches > 1 ? { ...KEYS, k2: 'pem' } : KEYS) };
+    };
+    const keyFor = createKeyStore({ fetchImpl, now: () => clock });
+    await keyFor('k1');
+    assert(await keyFor('k2') === null, 'Refetched too soon');
+    clock += 61 * 1000;
+    assert(await keyFor('k2') === 'pem', 'New key not picked up');
+    assert(fetches === 2, `Got ${fetches} fetches`);
+  });
+
+  // --- 3. Callers ---
+  console.log('\n📋 Callers:');
+
+  await test('maps the instance to its agent-user label', async () => {
+    const verify = createIdentityVerifier({
+      ...options,
+      lookupInstance: instances({ 'agent-alice': { id: '111', labels: { 'managed-by': 'agents-plane', 'agent-user': 'alice' } } }),
+    });
+    const result = await verify(token());
+    assert(result.ok && result.agentUser === 'alice', `Got ${JSON.stringify(result)}`);
+  });
+
+  await test('rejects recreated, unmanaged and mislabelled instances', async () => {
+    for (const [found, reason] of [
+      [{ id: '222', labels: { 'managed-by': 'agents-plane', 'agent-user': 'alice' } }, 'not found'],
+      [{ id: '111', labels: {} }, 'not an agent'],
+      [{ id: '111', labels: { 'managed-by': 'agents-plane', 'agent-user': 'bob' } }, 'does not match'],
+    ]) {
+      const verify = createIdentityVerifier({ ...options, lookupInstance: instances({ 'agent-alice': found }) });
+      const result = await verify(token());
+      assert(!result.ok && result.reason.includes(reason), `Expected "${reason}", got ${JSON.stringify(result)}`);
+    }
+  });
+
+  await test('requires a token', async () => {
+    const verify = createIdentityVerifier({ ...options, lookupInstance: instances({}) });
+    const result = await verify(undefined);
+    assert(!result.ok && result.reason === 'missing identity token', `Got ${JSON.stringify(result)}`);
+  });
+
+  await test('caches instance lookups', async () => {
+    let lookups = 0;
+    const verify = createIdentityVerifier({
+      ...options,
+      lookupInstance: async () => {
+        lookups++;
+        return { id: '111', labels: { 'managed-by': 'agents-plane', 'agent-user': 'alice' } };
+      },
+    });
+    await verify(token());
+    await verify(token());
+    assert(lookups === 1, `Got ${lookups} lookups`);
+  });
+
+  // --- 4. Mailboxes ---
+  console.log('\n📋 Mailboxes:');
+
+  await test('an agent may only use its own mailbox', () => {
+    assert(mailboxAllowed('alice', 'alice@acme.com'), 'Own mailbox refused');
+    assert(mailboxAllowed('john-doe', 'John.Doe@acme.com'), 'Dotted mailbox refused');
+    assert(!mailboxAllowed('alice', 'amichay@acme.com'), 'Other mailbox allowed');
+    assert(!mailboxAllowed('alice', 'alice'), 'Address without a domain allowed');
+  });
+
+  await test('mailbox domains are enforced when set', () => {
+    assert(mailboxAllowed('alice', 'alice@acme.com', ['acme.com']), 'Allowed domain refused');
+    assert(!mailboxAllowed('alice', 'alice@evil.com', ['acme.com']), 'Other domain allowed');
+  });
+
+  // --- 5. Shared Copies ---
+  console.log('\n📋 Shared Copies:');
+
+  await test('cloud function copy matches email proxy copy', () => {
+    const strip = (file) => fs.readFileSync(file, 'utf8').replace(/ \* Keep in sync with[\s\S]*?\n \*\/\n/, '');
+    assert(strip(cfPath) === strip(proxyPath), 'instance-identity.js copies have diverged');
+  });
+
+  // --- Results ---
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`  Results: ${passed} passed, ${failed} failed`);
+  console.log('═══════════════════════════════════════════');
+
+  if (errors.length > 0) {
+    console.log('\nFailures:');
+    errors.forEach(e => console.log(`  • ${e.name}: ${e.error}`));
+  }
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
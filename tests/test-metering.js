@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/**
+ * Agents Plane — Budget Metering Tests
+ *
+ * Tests how reported usage is checked against an agent's budget:
+ * - Alert thresholds and the cap action from the environment
+ * - Usage report validation
+ * - Which alerts are due and when the cap action runs
+ *
+ * Run: node tests/test-metering.js
+ */
+
+const path = require('path');
+
+// --- Test Framework ---
+let passed = 0, failed = 0, errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } catch (e) {
+    failed++;
+    errors.push({ name, error: e.message });
+    console.log(`  ❌ ${name}: ${e.message}`);
+  }
+}
+
+function assert(condition, msg) {
+  if (!condition) throw new Error(msg || 'Assertion failed');
+}
+
+const { loadBudgetSettings, ledgerMonth, checkUsage, spentPercent, dueAlerts, capReached } = require(
+  path.join(__dirname, '..', 'scripts', 'examples', 'cloud-function', 'metering.js'),
+);
+
+function throws(fn) {
+  try {
+    fn();
+  } catch {
+    return true;
+  }
+  return false;
+}
+
+console.log('\n═══════════════════════════════════════════');
+console.log('  Agents Plane — Budget Metering Tests');
+console.log('═══════════════════════════════════════════\n');
+
+// --- 1. Settings ---
+console.log('📋 Settings:');
+
+test('defaults to 80/95/100 and notify', () => {
+  const settings = loadBudgetSettings({});
+  assert(settings.thresholds.join(',') === '80,95,100', `Got ${settings.thresholds}`);
+  assert(settings.capAction === 'notify', `Got ${settings.capAction}`);
+  assert(settings.downgradeModel === 'claude-haiku-4-5', `Got ${settings.downgradeModel}`);
+});
+
+test('always alerts at 100%', () => {
+  const { thresholds } = loadBudgetSettings({ BUDGET_ALERT_THRESHOLDS: '90, 50' });
+  assert(thresholds.join(',') === '50,90,100', `Got ${thresholds}`);
+});
+
+test('rejects bad thresholds and cap actions', () => {
+  assert(throws(() => loadBudgetSettings({ BUDGET_ALERT_THRESHOLDS: '80,lots' })), 'Expected a threshold error');
+  assert(throws(() => loadBudgetSettings({ BUDGET_CAP_ACTION: 'delete' })), 'Expected a cap action error');
+});
+
+test('ledger months are UTC', () => {
+  assert(ledgerMonth('2026-05-31T23:30:00-02:00') === '2026-06', `Got ${ledgerMonth('2026-05-31T23:30:00-02:00')}`);
+});
+
+// --- 2. Usage Reports ---
+console.log('\n📋 Usage Reports:');
+
+test('accepts cost with optional token counts', () => {
+  assert(checkUsage({ costUsd: 0.25 }).length === 0, 'Cost alone should be enough');
+  assert(checkUsage({ costUsd: 0, inputTokens: 10, outputTokens: 2 }).length === 0, 'Expected no problems');
+});
+
+test('rejects missing, negative and fractional values', () => {
+  assert(checkUsage(undefined).length === 1, 'Missing usage should be rejected');
+  assert(checkUsage({ inputTokens: 5 }).length === 1, 'Missing cost should be rejected');
+  assert(checkUsage({ costUsd: -1 }).length === 1, 'Negative cost should be rejected');
+  assert(checkUsage({ costUsd: 1, outputTokens: 1.5 }).length === 1, 'Fractional tokens should be rejected');
+});
+
+// --- 3. Alerts and Cap ---
+console.log('\n📋 Alerts and Cap:');
+
+const thresholds = [80, 95, 100];
+
+test('reports spend as a percent of the budget', () => {
+  assert(spentPercent(40, 50) === 80, `Got ${spentPercent(40, 50)}`);
+  assert(spentPercent(1, 3) === 33.3, `Got ${spentPercent(1, 3)}`);
+  assert(spentPercent(0.01, 0) === 100, 'Any spend uses up a zero budget');
+});
+
+test('alerts once per threshold crossed', () => {
+  assert(dueAlerts({ costUsd: 39, alerts: [] }, 50, thresholds).length === 0, 'Nothing due below 80%');
+  assert(dueAlerts({ costUsd: 41, alerts: [] }, 50, thresholds).join(',') === '80', 'Expected the 80% alert');
+  const due = dueAlerts({ costUsd: 48, alerts: [{ threshold: 80 }] }, 50, thresholds);
+  assert(due.join(',') === '95', `Got ${due}`);
+});
+
+test('a jump past several thresholds makes them all due', () => {
+  const due = dueAlerts({ costUsd: 60, alerts: [] }, 50, thresholds);
+  assert(due.join(',') === '80,95,100', `Got ${due}`);
+});
+
+test('the cap action runs once a month', () => {
+  assert(!capReached({ costUsd: 49 }, 50), 'Not at the cap yet');
+  assert(capReached({ costUsd: 50 }, 50), 'Cap reached at 100%');
+  assert(!capReached({ costUsd: 70, capAction: { action: 'stop' } }, 50), 'Cap action already taken');
+});
+
+// --- Results ---
+console.log('\n═══════════════════════════════════════════');
+console.log(`  Results: ${passed} passed, ${failed} failed`);
+console.log('═══════════════════════════════════════════');
+
+if (errors.length > 0) {
+  console.log('\nFailures:');
+  errors.forEach(e => console.log(`  • ${e.name}: ${e.error}`));
+}
+
+process.exit(failed > 0 ? 1 : 0);
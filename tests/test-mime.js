@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+/**
+ * Agents Plane — Email Proxy MIME Tests
+ *
+ * Tests how the email proxy builds and reads messages:
+ * - Address lists, header encoding and header injection
+ * - Attachment validation and size limits
+ * - multipart/mixed messages with base64 attachments
+ * - Bodies and attachment lists from Gmail payloads
+ * - Reply recipients, subjects and threading headers
+ *
+ * Run: node tests/test-mime.js
+ */
+
+const path = require('path');
+
+// --- Test Framework ---
+let passed = 0, failed = 0, errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } catch (e) {
+    failed++;
+    errors.push({ name, error: e.message });
+    console.log(`  ❌ ${name}: ${e.message}`);
+  }
+}
+
+function assert(condition, msg) {
+  if (!condition) throw new Error(msg || 'Assertion failed');
+}
+
+const {
+  MAX_ATTACHMENTS, parseAddressList, checkHeaders, encodeHeader, htmlToText,
+  checkAttachments, buildMessage, readPayload, readHeaders, splitAddresses, replyHeaders,
+} = require(
+  path.join(__dirname, '..', 'scripts', 'email-proxy', 'mime.js'),
+);
+
+const MB = 1024 * 1024;
+const PDF = Buffer.from('%PDF-1.4 report body\n'.repeat(20));
+
+function b64url(text) {
+  return Buffer.from(text).toString('base64url');
+}
+
+// The body parts of a multipart message, split on its top-level boundary
+function partsOf(raw) {
+  const boundary = /boundary="([^"]+)"/.exec(raw)[1];
+  return raw.split(`--${boundary}`).slice(1, -1).map(p => p.replace(/^\r\n/, ''));
+}
+
+console.log('\n═══════════════════════════════════════════');
+console.log('  Agents Plane — Email Proxy MIME Tests');
+console.log('═══════════════════════════════════════════\n');
+
+// --- 1. Headers ---
+console.log('📋 Headers:');
+
+test('parses and normalizes address lists', () => {
+  const { addresses, error } = parseAddressList(['Bob <Bob@Acme.com>', '"Doe, Jane" <jane@acme.com>, carol@other.com']);
+  assert(!error, error);
+  assert(JSON.stringify(addresses) ===
+    '[{"name":"Bob","address":"bob@acme.com"},{"name":"Doe, Jane","address":"jane@acme.com"},{"name":"","address":"carol@other.com"}]',
+  `Got ${JSON.stringify(addresses)}`);
+  assert(parseAddressList('bob@acme').error, 'Address without a TLD accepted');
+  assert(parseAddressList('Bob <bob@acme.com> extra').error, 'Trailing text accepted');
+  assert(parseAddressList([42]).error, 'Non-string accepted');
+});
+
+test('refuses line breaks in any header value', () => {
+  const base = { to: 'bob@acme.com', subject: 'Hi' };
+  for (const [field, value] of [
+    ['subject', 'Hi\r\nBcc: attacker@evil.com'],
+    ['to', 'bob@acme.com\r\nBcc: attacker@evil.com'],
+    ['cc', 'Bob\n <bob@acme.com>'],
+    ['replyTo', ['team@acme.com\rX-Injected: 1']],
+  ]) {
+    const { error } = checkHeaders({ ...base, [field]: value });
+    assert(error?.startsWith(field), `Expected a ${field} error, got ${error}`);
+  }
+  let threw = false;
+  try {
+    buildMessage({ from: 'a@acme.com', ...base, inReplyTo: '<m1@acme.com>\r\nBcc: attacker@evil.com' });
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'Line break in In-Reply-To was built into the message');
+});
+
+test('requires a recipient and drops repeated addresses', () => {
+  assert(checkHeaders({ subject: 'Hi' }).error?.includes('to'), 'Missing to accepted');
+  const { headers } = checkHeaders({ to: 'bob@acme.com', cc: 'BOB@acme.com, carol@acme.com', bcc: 'carol@acme.com', subject: '' });
+  assert(headers.cc.map(a => a.address).join() === 'carol@acme.com', `Got cc ${JSON.stringify(headers.cc)}`);
+  assert(headers.bcc.length === 0, `Got bcc ${JSON.stringify(headers.bcc)}`);
+});
+
+test('encodes non-ASCII headers as RFC 2047 words', () => {
+  assert(encodeHeader('Plain subject') === 'Plain subject', 'ASCII was encoded');
+  const subject = 'Résumé — ' + 'ünïcödé '.repeat(12) + '✓';
+  const words = encodeHeader(subject).split('\r\n ');
+  assert(words.length > 1, 'Long subject not split');
+  assert(words.every(w => w.length <= 75 && /^=\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=$/.test(w)), `Bad word in ${words}`);
+  const decoded = words.map(w => Buffer.from(w.slice(10, -2), 'base64').toString()).join('');
+  assert(decoded === subject, `Decoded ${decoded}`);
+});
+
+test('builds formatted address headers and an encoded subject', () => {
+  const raw = buildMessage({
+    from: 'alice@acme.com',
+    to: ['José Pérez <jose@acme.com>', 'Bob A. Smith <bob@acme.com>'],
+    bcc: 'audit@acme.com',
+    replyTo: 'team@acme.com',
+    subject: 'Café',
+    body: 'Hi',
+  }).toString();
+  assert(raw.includes('To: =?UTF-8?B?Sm9zw6kgUMOpcmV6?= <jose@acme.com>, "Bob A. Smith" <bob@acme.com>\r\n'), raw);
+  assert(raw.includes('Bcc: audit@acme.com\r\n') && raw.includes('Reply-To: team@acme.com\r\n'), raw);
+  assert(raw.includes('Subject: =?UTF-8?B?Q2Fmw6k=?=\r\n'), raw);
+});
+
+// --- 2. Attachment Checks ---
+console.log('\n📋 Attachment Checks:');
+
+test('decodes attachments and defaults the content type', () => {
+  const { attachments, error } = checkAttachments([{ filename: 'report.pdf', data: PDF.toString('base64') }], MB);
+  assert(!error, error);
+  assert(attachments[0].contentType === 'application/octet-stream', `Got ${attachments[0].contentType}`);
+  assert(attachments[0].content.equals(PDF), 'Content not decoded');
+});
+
+test('no attachments is fine', () => {
+  const { attachments, error } = checkAttachments(undefined, MB);
+  assert(!error && attachments.length === 0, 'Expected an empty list');
+});
+
+test('rejects bad filenames, types and data', () => {
+  const data = PDF.toString('base64');
+  for (const [attachment, field] of [
+    [{ filename: 'a\r\nBcc: x@evil.com', data }, 'filename'],
+    [{ filename: '../etc/passwd', data }, 'filename'],
+    [{ filename: 'a"b.pdf', data }, 'filename'],
+    [{ filename: 'a.pdf', contentType: 'pdf', data }, 'contentType'],
+    [{ filename: 'a.pdf', contentType: 'text/plain\r\nX: y', data }, 'contentType'],
+    [{ filename: 'a.pdf', data: 'not base64!' }, 'data'],
+  ]) {
+    const { error } = checkAttachments([attachment], MB);
+    assert(error?.includes(field), `Expected a ${field} error for ${JSON.stringify(attachment.filename)}, got ${error}`);
+  }
+});
+
+test('enforces the count and total size limits', () => {
+  const one = { filename: 'a.bin', data: Buffer.alloc(600 * 1024).toString('base64') };
+  assert(checkAttachments([one], MB).attachments, 'One should fit');
+  assert(checkAttachments([one, one], MB).error?.includes('exceed'), 'Two should not fit in 1 MB');
+  const many = Array.from({ length: MAX_ATTACHMENTS + 1 }, () => ({ filename: 'a.txt', data: '' }));
+  assert(checkAttachments(many, MB).error, 'Too many attachments accepted');
+});
+
+// --- 3. Building Messages ---
+console.log('\n📋 Building Messages:');
+
+test('plain messages stay single-part', () => {
+  const raw = buildMessage({ from: 'a@acme.com', to: 'b@acme.com', subject: 'Hi', body: 'Hello' }).toString();
+  assert(raw.includes('Content-Type: text/plain; charset=utf-8\r\n\r\nHello'), raw);
+  assert(!raw.includes('multipart'), 'Unexpected multipart');
+});
+
+test('attachments make a multipart/mixed message, body first', () => {
+  const { attachments } = checkAttachments([
+    { filename: 'report.pdf', contentType: 'application/pdf', data: PDF.toString('base64') },
+    { filename: 'data.csv', contentType: 'text/csv', data: Buffer.from('a,b\n1,2\n').toString('base64') },
+  ], MB);
+  const raw = buildMessage({ from: 'a@acme.com', to: 'b@acme.com', subject: 'Report', body: 'See attached', attachments }).toString();
+  assert(raw.includes('Content-Type: multipart/mixed; boundary='), 'Not multipart/mixed');
+  const parts = partsOf(raw);
+  assert(parts.length === 3, `Expected 3 parts, got ${parts.length}`);
+  assert(parts[0].startsWith('Content-Type: text/plain') && parts[0].includes('See attached'), `Body part: ${parts[0]}`);
+  assert(parts[1].includes('Content-Disposition: attachment; filename="report.pdf"'), `Attachment part: ${parts[1].slice(0, 200)}`);
+  const encoded = parts[1].split('\r\n\r\n')[1];
+  assert(encoded.split('\r\n').every(line => line.length <= 76), 'Base64 lines longer than 76');
+  assert(Buffer.from(encoded.replace(/\r\n/g, ''), 'base64').equals(PDF), 'Attachment bytes changed');
+});
+
+test('HTML is sent with a plain-text alternative', () => {
+  const raw = buildMessage({ from: 'a@acme.com', to: 'b@acme.com', subject: 'x', body: '<p>Hi &amp; bye</p><p>Ünïcode</p>', html: true })
+    .toString();
+  const parts = partsOf(raw);
+  assert(parts.length === 2, `Expected 2 alternatives, got ${parts.length}`);
+  assert(parts[0].startsWith('Content-Type: text/plain') && parts[0].includes('Content-Transfer-Encoding: base64'),
+    `Plain part: ${parts[0]}`);
+  assert(Buffer.from(parts[0].split('\r\n\r\n')[1], 'base64').toString() === 'Hi & bye\nÜnïcode', 'Plain text wrong');
+  assert(parts[1].startsWith('Content-Type: text/html'), `HTML part: ${parts[1]}`);
+  const own = buildMessage({ from: 'a@acme.com', to: 'b@acme.com', subject: 'x', body: '<b>x</b>', html: true, text: 'Own text' });
+  assert(partsOf(own.toString())[0].includes('Own text'), 'Given text not used');
+});
+
+test('turns HTML into readable text', () => {
+  const text = htmlToText('<style>p{}</style><h1>Title</h1><p>One<br>Two &lt;3 &#8364;5</p><ul><li>a</li><li>b</li></ul>');
+  assert(text === 'Title\nOne\nTwo <3 €5\na\nb', `Got ${JSON.stringify(text)}`);
+});
+
+test('HTML bodies go inside the mixed message', () => {
+  const { attachments } = checkAttachments([{ filename: 'a.txt', data: 'YQ==' }], MB);
+  const raw = buildMessage({ from: 'a@acme.com', to: 'b@acme.com', subject: 'x', body: '<p>Hi</p>', html: true, attachments }).toString();
+  const parts = partsOf(raw);
+  assert(parts[0].startsWith('Content-Type: multipart/alternative'), `Body part: ${parts[0].slice(0, 100)}`);
+  assert(parts[0].includes('<p>Hi</p>'), 'HTML missing');
+});
+
+// --- 4. Reading Payloads ---
+console.log('\n📋 Reading Payloads:');
+
+test('finds the text body and attachments in nested multiparts', () => {
+  const { body, attachments } = readPayload({
+    mimeType: 'multipart/mixed',
+    parts: [
+      {
+        mimeType: 'multipart/alternative',
+        parts: [
+          { mimeType: 'text/html', body: { data: b64url('<p>Invoice attached</p>') } },
+          { mimeType: 'text/plain', body: { data: b64url('Invoice attached') } },
+        ],
+      },
+      { mimeType: 'application/pdf', filename: 'invoice.pdf', body: { attachmentId: 'ANGjdJ8', size: 48213 } },
+    ],
+  });
+  assert(body === 'Invoice attached', `Got body ${body}`);
+  assert(attachments.length === 1, `Got ${attachments.length} attachments`);
+  const [a] = attachments;
+  assert(a.attachmentId === 'ANGjdJ8' && a.filename === 'invoice.pdf' && a.mimeType === 'application/pdf' && a.size === 48213,
+    `Got ${JSON.stringify(a)}`);
+});
+
+test('a single-part message is its own body', () => {
+  const { body, attachments } = readPayload({ mimeType: 'text/html', body: { data: b64url('<b>hi</b>') } });
+  assert(body === '<b>hi</b>', `Got ${body}`);
+  assert(attachments.length === 0, 'Unexpected attachments');
+});
+
+test('attachment text is not mistaken for the body', () => {
+  const { body, attachments } = readPayload({
+    mimeType: 'multipart/mixed',
+    parts: [{ mimeType: 'text/plain', filename: 'notes.txt', body: { attachmentId: 'x', size: 5 } }],
+  });
+  assert(body === '', `Got body ${body}`);
+  assert(attachments.length === 1, 'Attachment not listed');
+});
+
+// --- 5. Replies ---
+console.log('\n📋 Replies:');
+
+const ORIGINAL = readHeaders({
+  headers: [
+    { name: 'From', value: 'Bob <bob@acme.com>' },
+    { name: 'To', value: 'Alice <alice@acme.com>, "Doe, Jane" <jane@acme.com>' },
+    { name: 'Cc', value: 'carol@other.com, BOB@acme.com' },
+    { name: 'Subject', value: 'Q3 plans' },
+    { name: 'Message-Id', value: '<m2@acme.com>' },
+    { name: 'References', value: '<m0@acme.com> <m1@acme.com>' },
+  ],
+});
+
+test('splits address lists, keeping quoted commas', () => {
+  const entries = splitAddresses('Bob <Bob@acme.com>, "Doe, Jane" <jane@acme.com>,carol@other.com, not-an-address');
+  assert(entries.map(e => e.address).join(' ') === 'bob@acme.com jane@acme.com carol@other.com', `Got ${JSON.stringify(entries)}`);
+  assert(entries[1].text === '"Doe, Jane" <jane@acme.com>', `Got ${entries[1].text}`);
+});
+
+test('replies to the sender and chains the threading headers', () => {
+  const reply = replyHeaders(ORIGINAL, { self: 'alice@acme.com' });
+  assert(reply.to === 'Bob <bob@acme.com>' && reply.cc === '', `Got ${JSON.stringify(reply)}`);
+  assert(reply.subject === 'Re: Q3 plans', `Got ${reply.subject}`);
+  assert(reply.inReplyTo === '<m2@acme.com>', `Got ${reply.inReplyTo}`);
+  assert(reply.references === '<m0@acme.com> <m1@acme.com> <m2@acme.com>', `Got ${reply.references}`);
+  assert(replyHeaders({ ...ORIGINAL, subject: 'RE: Q3 plans' }, { self: 'alice@acme.com' }).subject === 'RE: Q3 plans',
+    'Re: doubled');
+  assert(replyHeaders({ ...ORIGINAL, 'reply-to': 'list@acme.com' }, { self: 'alice@acme.com' }).to === 'list@acme.com',
+    'Reply-To ignored');
+});
+
+test('reply-all copies everyone else once, never ourselves', () => {
+  const reply = replyHeaders(ORIGINAL, { self: 'Alice@acme.com', replyAll: true });
+  assert(reply.to === 'Bob <bob@acme.com>', `Got to ${reply.to}`);
+  assert(reply.cc === '"Doe, Jane" <jane@acme.com>, carol@other.com', `Got cc ${reply.cc}`);
+});
+
+test('replying to our own message goes to its recipients', () => {
+  const reply = replyHeaders({ ...ORIGINAL, from: 'alice@acme.com', to: 'Bob <bob@acme.com>' }, { self: 'alice@acme.com' });
+  assert(reply.to === 'Bob <bob@acme.com>', `Got ${reply.to}`);
+});
+
+test('reply messages carry Cc and threading headers', () => {
+  const raw = buildMessage({
+    from: 'alice@acme.com', to: 'bob@acme.com', cc: 'carol@other.com', subject: 'Re: Q3 plans', body: 'Yes',
+    inReplyTo: '<m2@acme.com>', references: '<m1@acme.com> <m2@acme.com>',
+  }).toString();
+  for (const header of ['Cc: carol@other.com', 'In-Reply-To: <m2@acme.com>', 'References: <m1@acme.com> <m2@acme.com>']) {
+    assert(raw.includes(`${header}\r\n`), `Missing ${header}`);
+  }
+  assert(!buildMessage({ from: 'a@acme.com', to: 'b@acme.com', subject: 'x' }).toString().includes('In-Reply-To'),
+    'New messages should not have In-Reply-To');
+});
+
+// --- Results ---
+console.log('\n═══════════════════════════════════════════');
+console.log(`  Results: ${passed} passed, ${failed} failed`);
+console.log('═══════════════════════════════════════════');
+
+if (errors.length > 0) {
+  console.log('\nFailures:');
+  errors.forEach(e => console.log(`  • ${e.name}: ${e.error}`));
+}
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+/**
+ * Agents Plane — Outbound Mail Policy Tests
+ *
+ * Tests what the email proxy lets agents send:
+ * - Policy document checks and per-mailbox overrides
+ * - Blocked and allowed domains, recipient and rate limits
+ * - Holding external mail for approval, and signed approval links
+ * - The outbox of sends, held and rejected mail
+ *
+ * Run: node tests/test-outbound.js
+ */
+
+const path = require('path');
+
+// --- Test Framework ---
+let passed = 0, failed = 0, errors = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } catch (e) {
+    failed++;
+    errors.push({ name, error: e.message });
+    console.log(`  ❌ ${name}: ${e.message}`);
+  }
+}
+
+function assert(condition, msg) {
+  if (!condition) throw new Error(msg || 'Assertion failed');
+}
+
+const {
+  DEFAULT_POLICY, MAX_HELD_BYTES, checkMailPolicy, policyFor, evaluateSend, decisionSignature, verifyDecision, createBackend, createOutbox,
+} = require(path.join(__dirname, '..', 'scripts', 'email-proxy', 'outbound.js'));
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.parse('2026-03-02T12:00:00Z');
+
+function policy(overrides = {}) {
+  return policyFor({ defaults: overrides }, 'alice@acme.com');
+}
+
+function send(overrides, recipients, sentAt = []) {
+  return evaluateSend(policy(overrides), { sender: 'alice@acme.com', recipients, sentAt, now: NOW });
+}
+
+(async () => {
+  console.log('\n═══════════════════════════════════════════');
+  console.log('  Agents Plane — Outbound Mail Policy Tests');
+  console.log('═══════════════════════════════════════════\n');
+
+  // --- 1. Policy Documents ---
+  console.log('📋 Policy Documents:');
+
+  await test('accepts a valid document', () => {
+    const problems = checkMailPolicy({
+      defaults: { maxRecipients: 20, perHour: 30, perDay: null, blockedDomains: ['gmail.com'], approveExternal: true },
+      agents: { 'alice@acme.com': { allowedDomains: ['partner.com'], approver: 'carol@acme.com' } },
+    });
+    assert(problems.length === 0, problems.join('; '));
+  });
+
+  await test('reports each bad field', () => {
+    const problems = checkMailPolicy({
+      defaults: { perHour: -1, blockedDomains: ['not a domain'], approveExternal: 'yes', sendAs: 'x' },
+      agents: { 'bob@acme.com': { approver: 'bob' } },
+    });
+    for (const field of ['defaults.perHour', 'defaults.blockedDomains', 'defaults.approveExternal', 'defaults.sendAs', 'agents.bob@acme.com.approver']) {
+      assert(problems.some(p => p.startsWith(field)), `No problem for ${field}: ${problems.join('; ')}`);
+    }
+    assert(checkMailPolicy([]).length === 1, 'A list is not a policy');
+  });
+
+  await test('mailbox entries override the defaults', () => {
+    const doc = { defaults: { perDay: 100, approveExternal: true }, agents: { 'Alice@Acme.com': { perDay: 500, blockedDomains: ['Evil.com'] } } };
+    const alice = policyFor(doc, 'alice@acme.com');
+    assert(alice.perDay === 500 && alice.approveExternal === true, `Got ${JSON.stringify(alice)}`);
+    assert(alice.blockedDomains[0] === 'evil.com', 'Domains not lower-cased');
+    assert(alice.perHour === DEFAULT_POLICY.perHour, 'Built-in default lost');
+    assert(policyFor(doc, 'bob@acme.com').perDay === 100, 'Document default not applied');
+  });
+
+  // --- 2. Recipients ---
+  console.log('\n📋 Recipients:');
+
+  await test('blocked domains are refused, subdomains included', () => {
+    const result = send({ blockedDomains: ['evil.com'] }, ['bob@acme.com', 'x@mail.evil.com']);
+    assert(result.decision === 'reject' && result.reason.includes('x@mail.evil.com'), `Got ${JSON.stringify(result)}`);
+    assert(send({ blockedDomains: ['evil.com'] }, ['x@notevil.com']).decision === 'send', 'Suffix without a dot matched');
+  });
+
+  await test('allowed domains leave internal mail alone', () => {
+    const overrides = { allowedDomains: ['partner.com'], internalDomains: ['acme.co.uk'] };
+    assert(send(overrides, ['bob@acme.com', 'jo@acme.co.uk', 'p@eu.partner.com']).decision === 'send', 'Allowed mail refused');
+    const result = send(overrides, ['p@partner.com', 'x@other.com']);
+    assert(result.decision === 'reject' && result.reason.includes('x@other.com'), `Got ${JSON.stringify(result)}`);
+  });
+
+  await test('too many recipients are refused', () => {
+    assert(send({ maxRecipients: 2 }, ['a@acme.com', 'b@acme.com']).decision === 'send', 'At the limit refused');
+    assert(send({ maxRecipients: 2 }, ['a@acme.com', 'b@acme.com', 'c@acme.com']).decision === 'reject', 'Over the limit sent');
+    assert(send({ maxRecipients: null }, Array.from({ length: 200 }, (_, i) => `u${i}@acme.com`)).decision === 'send',
+      'null should mean no limit');
+  });
+
+  // --- 3. Rate Limits ---
+  console.log('\n📋 Rate Limits:');
+
+  await test('limits sends per hour, with the wait until room opens', () => {
+    const sentAt = [NOW - 50 * 60 * 1000, NOW - 20 * 60 * 1000, NOW - 2 * HOUR];
+    const result = send({ perHour: 2 }, ['bob@acme.com'], sentAt);
+    assert(result.decision === 'limit' && result.reason.includes('per hour'), `Got ${JSON.stringify(result)}`);
+    assert(result.retryAfter === 10 * 60, `Expected 600s, got ${result.retryAfter}`);
+    assert(send({ perHour: 3 }, ['bob@acme.com'], sentAt).decision === 'send', 'Old sends counted');
+  });
+
+  await test('limits sends per day', () => {
+    const sentAt = Array.from({ length: 5 }, (_, i) => NOW - (i + 2) * HOUR);
+    const result = send({ perHour: 10, perDay: 5 }, ['bob@acme.com'], sentAt);
+    assert(result.decision === 'limit' && result.reason.includes('per day'), `Got ${JSON.stringify(result)}`);
+    assert(send({ perHour: null, perDay: null }, ['bob@acme.com'], sentAt).decision === 'send', 'null limits enforced');
+  });
+
+  // --- 4. Approval ---
+  console.log('\n📋 Approval:');
+
+  await test('external mail is held when approval is on', () => {
+    const overrides = { approveExternal: true, internalDomains: ['acme.co.uk'] };
+    assert(send(overrides, ['bob@acme.com', 'jo@acme.co.uk']).decision === 'send', 'Internal mail held');
+    const result = send(overrides, ['bob@acme.com', 'p@partner.com']);
+    assert(result.decision === 'hold' && result.external.join() === 'p@partner.com', `Got ${JSON.stringify(result)}`);
+    assert(send({}, ['p@partner.com']).decision === 'send', 'Held without approveExternal');
+  });
+
+  await test('blocked mail is refused, not held', () => {
+    assert(send({ approveExternal: true, blockedDomains: ['evil.com'] }, ['x@evil.com']).decision === 'reject', 'Blocked mail held');
+  });
+
+  await test('approval links only verify for their message and decision', () => {
+    const sig = decisionSignature('s3cret', 'h1', 'approve');
+    assert(verifyDecision('s3cret', 'h1', 'approve', sig), 'Valid link refused');
+    assert(!verifyDecision('s3cret', 'h1', 'reject', sig), 'Approve link rejected the message');
+    assert(!verifyDecision('s3cret', 'h2', 'approve', sig), 'Link worked for another message');
+    assert(!verifyDecision('other', 'h1', 'approve', sig), 'Link verified with another secret');
+    assert(!verifyDecision('s3cret', 'h1', 'approve', undefined), 'Missing signature verified');
+  });
+
+  // --- 5. Outbox ---
+  console.log('\n📋 Outbox:');
+
+  await test('keeps a day of send times', async () => {
+    let clock = NOW;
+    const outbox = createOutbox(createBackend('memory'), { now: () => clock });
+    await outbox.recordSend('alice@acme.com');
+    clock += 23 * HOUR;
+    await outbox.recordSend('alice@acme.com');
+    clock += 2 * HOUR;
+    const sends = await outbox.recentSends('alice@acme.com');
+    assert(sends.length === 1 && sends[0] === NOW + 23 * HOUR, `Got ${sends}`);
+  });
+
+  await test('held mail is listed without its raw copy until decided', async () => {
+    const outbox = createOutbox(createBackend('memory'), { now: () => NOW });
+    const recipients = { to: ['p@partner.com'], cc: [], bcc: [] };
+    const record = await outbox.hold({
+      email: 'alice@acme.com', recipients, subject: 'Deal', preview: 'Hi', raw: Buffer.from('From: ...'), reason: 'External',
+    });
+    assert((await outbox.get(record.id)).raw === Buffer.from('From: ...').toString('base64'), 'Raw copy not kept');
+    const held = await outbox.list('alice@acme.com', 'held');
+    assert(held.length === 1 && held[0].raw === undefined, `Got ${JSON.stringify(held)}`);
+    assert((await outbox.list('bob@acme.com', 'held')).length === 0, 'Other mailbox sees held mail');
+
+    await outbox.decide(record, 'sent', { decidedBy: 'approver' });
+    const sent = await outbox.get(record.id);
+    assert(sent.status === 'sent' && sent.raw === null, `Got ${JSON.stringify(sent)}`);
+    assert((await outbox.list('alice@acme.com', 'held')).length === 0, 'Sent mail still held');
+
+    await outbox.reject({ email: 'alice@acme.com', recipients, subject: 'Spam', reason: 'Blocked' });
+    const rejected = await outbox.list('alice@acme.com', 'rejected');
+    assert(rejected.length === 1 && rejected[0].decidedBy === 'policy', `Got ${JSON.stringify(rejected)}`);
+  });
+
+  await test('held records fit in one Firestore document', async () => {
+    const outbox = createOutbox(createBackend('memory'), { now: () => NOW });
+    const record = await outbox.hold({
+      email: 'alice@acme.com', recipients: { to: ['p@partner.com'], cc: [], bcc: [] }, subject: 'x',
+      preview: 'é'.repeat(MAX_HELD_BYTES), raw: Buffer.alloc(MAX_HELD_BYTES), reason: 'External',
+    });
+    const size = Buffer.byteLength(JSON.stringify(await outbox.get(record.id)));
+    assert(size < 1024 * 1024, `Record is ${size} bytes`);
+  });
+
+  await test('a held message is claimed only once', async () => {
+    const outbox = createOutbox(createBackend('memory'), { now: () => NOW });
+    const record = await outbox.hold({
+      email: 'alice@acme.com', recipients: { to: ['p@partner.com'], cc: [], bcc: [] }, subject: 'x', raw: Buffer.from('x'), reason: 'External',
+    });
+    const claims = await Promise.all([outbox.claim(record.id), outbox.claim(record.id)]);
+    assert(claims.filter(Boolean).length === 1, `Got ${claims.filter(Boolean).length} claims`);
+    assert((await outbox.get(record.id)).status === 'sending', 'Claim not recorded');
+    assert((await outbox.list('alice@acme.com', 'held')).length === 0, 'Claimed mail still listed as held');
+
+    await outbox.release(claims.find(Boolean));
+    const again = await outbox.claim(record.id);
+    assert(again && again.raw === record.raw, 'Released mail could not be claimed again');
+    await outbox.decide(again, 'sent');
+    assert(await outbox.claim(record.id) === null, 'Sent mail claimed');
+  });
+
+  await test('held mail expires after the hold period', async () => {
+    let clock = NOW;
+    const outbox = createOutbox(createBackend('memory'), { holdDays: 2, now: () => clock });
+    const record = await outbox.hold({
+      email: 'alice@acme.com', recipients: { to: ['p@partner.com'], cc: [], bcc: [] }, subject: 'x', raw: Buffer.from('x'), reason: 'External',
+    });
+    clock += 3 * 24 * HOUR;
+    assert((await outbox.list('alice@acme.com', 'held')).length === 0, 'Expired mail still held');
+    const expired = await outbox.get(record.id);
+    assert(expired.status === 'expired' && expired.raw === null, `Got ${JSON.stringify(expired)}`);
+  });
+
+  // --- Results ---
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`  Results: ${passed} passed, ${failed} failed`);
+  console.log('═══════════════════════════════════════════');
+
+  if (errors.length > 0) {
+    console.log('\nFailures:');
+    errors.forEach(e => console.log(`  • ${e.name}: ${e.error}`));
+  }
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
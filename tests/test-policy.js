@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+/**
+ * Agents Plane — Policy Resolution Tests
+ *
+ * Tests how the provisioning function resolves a user's agent defaults:
+ * - Precedence: org default → OU → group → user → request
+ * - Nested OUs, case-insensitive groups and users
+ * - modelTier mapping and invalid documents
+ * - The list of applied rules
+ *
+ * Run: node tests/test-policy.js
+ */
+
+const path = require('path');
+
+// --- Test Framework ---
+let passed = 0, failed = 0, errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } catch (e) {
+    failed++;
+    errors.push({ name, error: e.message });
+    console.log(`  ❌ ${name}: ${e.message}`);
+  }
+}
+
+function assert(condition, msg) {
+  if (!condition) throw new Error(msg || 'Assertion failed');
+}
+
+const { resolvePolicy, ouMatches } = require(
+  path.join(__dirname, '..', 'scripts', 'examples', 'cloud-function', 'policy.js'),
+);
+
+const document = {
+  defaults: { modelTier: 'sonnet', budgetCap: 50, tools: ['email'] },
+  modelTiers: { opus: 'claude-opus-4-6', sonnet: 'claude-sonnet-4-5' },
+  policies: [
+    { name: 'alice', match: { user: 'alice@acme.com' }, spec: { budgetCap: 500 } },
+    { name: 'engineering', match: { group: 'engineering@acme.com' }, spec: { modelTier: 'opus', budgetCap: 200 } },
+    { name: 'platform', match: { ou: '/Engineering/Platform' }, spec: { machineType: 'e2-standard-8' } },
+    { name: 'eng-ou', match: { ou: '/Engineering' }, spec: { machineType: 'e2-standard-4', channels: ['slack'] } },
+    { name: 'sales', match: { ou: '/Sales' }, spec: { modelTier: 'sonnet', budgetCap: 75, tools: ['email', 'crm'] } },
+  ],
+};
+
+console.log('\n═══════════════════════════════════════════');
+console.log('  Agents Plane — Policy Resolution Tests');
+console.log('═══════════════════════════════════════════\n');
+
+// --- 1. Precedence ---
+console.log('📋 Precedence:');
+
+test('org defaults apply when nothing matches', () => {
+  const { effective, applied } = resolvePolicy(document, { email: 'zed@acme.com', orgUnitPath: '/', groups: [] });
+  assert(effective.model === 'claude-sonnet-4-5' && effective.budgetCap === 50, JSON.stringify(effective));
+  assert(applied.length === 1 && applied[0].rule === 'org-default', 'Only the org default should apply');
+});
+
+test('OU rule overrides org defaults', () => {
+  const { effective } = resolvePolicy(document, { email: 'sam@acme.com', orgUnitPath: '/Sales', groups: [] });
+  assert(effective.budgetCap === 75 && effective.tools.join() === 'email,crm', JSON.stringify(effective));
+});
+
+test('child OU overrides parent OU regardless of document order', () => {
+  const { effective, applied } = resolvePolicy(document, { email: 'pat@acme.com', orgUnitPath: '/Engineering/Platform', groups: [] });
+  assert(effective.machineType === 'e2-standard-8', `Got ${effective.machineType}`);
+  assert(effective.channels.join() === 'slack', 'Parent OU fields should still apply');
+  assert(applied.map(a => a.rule).join() === 'org-default,eng-ou,platform', applied.map(a => a.rule).join());
+});
+
+test('group rule overrides OU rule', () => {
+  const { effective } = resolvePolicy(document, {
+    email: 'pat@acme.com', orgUnitPath: '/Sales', groups: ['engineering@acme.com'],
+  });
+  assert(effective.budgetCap === 200 && effective.model === 'claude-opus-4-6', JSON.stringify(effective));
+  assert(effective.tools.join() === 'email,crm', 'Fields the group does not set come from the OU');
+});
+
+test('user rule overrides group rule', () => {
+  const { effective } = resolvePolicy(document, { email: 'alice@acme.com', groups: ['engineering@acme.com'] });
+  assert(effective.budgetCap === 500, `Got ${effective.budgetCap}`);
+});
+
+test('request overrides apply last', () => {
+  const { effective, applied } = resolvePolicy(
+    document,
+    { email: 'alice@acme.com', groups: ['engineering@acme.com'] },
+    { model: 'gpt-4o', budgetCap: undefined },
+  );
+  assert(effective.model === 'gpt-4o' && effective.budgetCap === 500, JSON.stringify(effective));
+  const last = applied[applied.length - 1];
+  assert(last.rule === 'request' && last.fields.join() === 'model', JSON.stringify(last));
+});
+
+// --- 2. Matching ---
+console.log('\n📋 Matching:');
+
+test('OU rules cover sub-OUs but not siblings', () => {
+  assert(ouMatches('/Engineering', '/Engineering/Platform'), 'Sub-OU should match');
+  assert(!ouMatches('/Engineering', '/EngineeringOps'), 'Sibling with shared prefix should not match');
+  assert(ouMatches('/', '/Sales'), 'Root should match everything');
+});
+
+test('groups and users match case-insensitively', () => {
+  const { effective } = resolvePolicy(document, { email: 'Alice@Acme.com', groups: ['Engineering@ACME.com'] });
+  assert(effective.budgetCap === 500, `Got ${effective.budgetCap}`);
+});
+
+test('empty document resolves to nothing', () => {
+  const { effective, applied } = resolvePolicy({}, { email: 'zed@acme.com' });
+  assert(Object.keys(effective).length === 0 && applied.length === 0, 'Expected no fields');
+});
+
+// --- 3. Invalid Documents ---
+console.log('\n📋 Invalid Documents:');
+
+test('rejects an unknown modelTier', () => {
+  let threw = false;
+  try {
+    resolvePolicy({ defaults: { modelTier: 'haiku' } }, { email: 'zed@acme.com' });
+  } catch (e) {
+    threw = /Unknown modelTier/.test(e.message);
+  }
+  assert(threw, 'Expected an unknown modelTier error');
+});
+
+test('rejects non-list tools', () => {
+  let threw = false;
+  try {
+    resolvePolicy({ defaults: { tools: 'email' } }, { email: 'zed@acme.com' });
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'Expected a tools error');
+});
+
+// --- Results ---
+console.log('\n═══════════════════════════════════════════');
+console.log(`  Results: ${passed} passed, ${failed} failed`);
+console.log('═══════════════════════════════════════════');
+
+if (errors.length > 0) {
+  console.log('\nFailures:');
+  errors.forEach(e => console.log(`  • ${e.name}: ${e.error}`));
+}
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * Agents Plane — Power Schedule Tests
+ *
+ * Tests the working-hours schedules that stop idle agent VMs:
+ * - Schedule validation and settings from the environment
+ * - On-hours in the schedule's timezone
+ * - What the power sweep does with each instance
+ * - Projected savings
+ *
+ * Run: node tests/test-power.js
+ */
+
+const path = require('path');
+
+// --- Test Framework ---
+let passed = 0, failed = 0, errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } catch (e) {
+    failed++;
+    errors.push({ name, error: e.message });
+    console.log(`  ❌ ${name}: ${e.message}`);
+  }
+}
+
+function assert(condition, msg) {
+  if (!condition) throw new Error(msg || 'Assertion failed');
+}
+
+const { loadPowerSettings, checkSchedule, isOnHours, powerDecision, onHoursPerWeek, monthlySavings } = require(
+  path.join(__dirname, '..', 'scripts', 'examples', 'cloud-function', 'power.js'),
+);
+
+function throws(fn) {
+  try {
+    fn();
+  } catch {
+    return true;
+  }
+  return false;
+}
+
+const OFFICE = { timezone: 'America/New_York', start: '08:00', end: '18:00' };
+const NOW = Date.parse('2026-06-01T12:00:00Z');
+
+console.log('\n═══════════════════════════════════════════');
+console.log('  Agents Plane — Power Schedule Tests');
+console.log('═══════════════════════════════════════════\n');
+
+// --- 1. Schedules ---
+console.log('📋 Schedules:');
+
+test('accepts a schedule and no schedule', () => {
+  assert(checkSchedule(OFFICE).length === 0, `Got ${checkSchedule(OFFICE)}`);
+  assert(checkSchedule({ days: ['sat', 'sun'], start: '10:00', end: '24:00' }).length === 0, 'Midnight end should be allowed');
+  assert(checkSchedule(undefined).length === 0 && checkSchedule(null).length === 0, 'No schedule is fine');
+});
+
+test('rejects bad timezones, days and times', () => {
+  assert(checkSchedule('9-5').length === 1, 'Expected an object error');
+  assert(checkSchedule({ ...OFFICE, timezone: 'Mars/Olympus' }).length === 1, 'Expected a timezone error');
+  assert(checkSchedule({ ...OFFICE, days: ['monday'] }).length === 1, 'Expected a days error');
+  assert(checkSchedule({ ...OFFICE, end: '6pm' }).length === 1, 'Expected a time format error');
+  assert(checkSchedule({ ...OFFICE, start: '18:00', end: '08:00' }).length === 1, 'Expected a start/end error');
+});
+
+test('reads the default timezone and machine prices', () => {
+  const settings = loadPowerSettings({ DEFAULT_TIMEZONE: 'Europe/Berlin', MACHINE_HOURLY_USD: 'c3-standard-4:0.2, e2-standard-2:0.08' });
+  assert(settings.defaultTimezone === 'Europe/Berlin', `Got ${settings.defaultTimezone}`);
+  assert(settings.hourlyUsd['c3-standard-4'] === 0.2, 'Added price missing');
+  assert(settings.hourlyUsd['e2-standard-2'] === 0.08, 'Override not applied');
+  assert(settings.hourlyUsd['e2-medium'] > 0, 'Defaults should be kept');
+  assert(throws(() => loadPowerSettings({ MACHINE_HOURLY_USD: 'e2-medium' })), 'Expected a price error');
+  assert(throws(() => loadPowerSettings({ DEFAULT_TIMEZONE: 'Nowhere' })), 'Expected a timezone error');
+});
+
+// --- 2. On-Hours ---
+console.log('\n📋 On-Hours:');
+
+test('uses the schedule timezone', () => {
+  // Monday 12:00 UTC is 08:00 in New York and 21:00 in Tokyo
+  const now = new Date(NOW);
+  assert(isOnHours(OFFICE, now), 'Expected on-hours in New York');
+  assert(!isOnHours({ ...OFFICE, timezone: 'Asia/Tokyo' }, now), 'Expected off-hours in Tokyo');
+  assert(!isOnHours({ ...OFFICE, timezone: undefined }, now, 'Asia/Tokyo'), 'Expected the default timezone');
+});
+
+test('end is exclusive and days default to weekdays', () => {
+  assert(!isOnHours({ start: '08:00', end: '12:00' }, new Date(NOW)), '12:00 is past a 12:00 end');
+  assert(!isOnHours({ start: '08:00', end: '18:00' }, new Date('2026-06-06T12:00:00Z')), 'Saturday is off by default');
+  assert(isOnHours({ days: ['sat'], start: '08:00', end: '18:00' }, new Date('2026-06-06T12:00:00Z')), 'Saturday listed');
+});
+
+// --- 3. Power Sweep ---
+console.log('\n📋 Power Sweep:');
+
+test('stops running agents outside on-hours', () => {
+  assert(powerDecision({ status: 'RUNNING', onHours: false, now: NOW }) === 'sleep', 'Expected sleep');
+  assert(powerDecision({ status: 'RUNNING', onHours: true, now: NOW }) === null, 'Expected no change');
+});
+
+test('keeps a woken agent up until its wake expires', () => {
+  assert(powerDecision({ status: 'RUNNING', awakeUntil: NOW + 1000, onHours: false, now: NOW }) === null, 'Still awake');
+  assert(powerDecision({ status: 'RUNNING', awakeUntil: NOW - 1000, onHours: false, now: NOW }) === 'sleep', 'Wake expired');
+  assert(powerDecision({ status: 'RUNNING', awakeUntil: NOW + 1000, onHours: true, now: NOW }) === 'clear', 'Labels cleared in on-hours');
+});
+
+test('only starts agents the schedule stopped', () => {
+  assert(powerDecision({ status: 'TERMINATED', sleeping: true, onHours: true, now: NOW }) === 'wake', 'Expected wake');
+  assert(powerDecision({ status: 'TERMINATED', sleeping: false, onHours: true, now: NOW }) === null, 'Admin stop kept');
+  assert(powerDecision({ status: 'TERMINATED', sleeping: true, onHours: false, now: NOW }) === null, 'Still off-hours');
+});
+
+// --- 4. Savings ---
+console.log('\n📋 Savings:');
+
+test('counts on-hours per week', () => {
+  assert(onHoursPerWeek(OFFICE) === 50, `Got ${onHoursPerWeek(OFFICE)}`);
+  assert(onHoursPerWeek({ days: ['mon'], start: '09:30', end: '12:00' }) === 2.5, 'Expected 2.5 hours');
+});
+
+test('projects monthly savings from the machine price', () => {
+  const savings = monthlySavings(OFFICE, 'e2-standard-2', { 'e2-standard-2': 0.1 });
+  // 118 of 168 hours off, 730 hours a month
+  assert(Math.abs(savings - 51.27) < 0.01, `Got ${savings}`);
+  assert(monthlySavings(OFFICE, 'c3-highmem-8', {}) === null, 'Unknown price should give null');
+});
+
+// --- Results ---
+console.log('\n═══════════════════════════════════════════');
+console.log(`  Results: ${passed} passed, ${failed} failed`);
+console.log('═══════════════════════════════════════════');
+
+if (errors.length > 0) {
+  console.log('\nFailures:');
+  errors.forEach(e => console.log(`  • ${e.name}: ${e.error}`));
+}
+
+process.exit(failed > 0 ? 1 : 0);
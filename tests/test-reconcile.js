@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+/**
+ * Agents Plane — Fleet Reconciliation Tests
+ *
+ * Tests how a planes.yaml document is turned into a plan:
+ * - Document validation (kind, owners, duplicates, machine types, config)
+ * - Policies and per-agent overrides
+ * - Plan buckets: create, start, update, stop, delete, unchanged
+ * - Config and machine type diffs
+ *
+ * Run: node tests/test-reconcile.js
+ */
+
+const path = require('path');
+
+// --- Test Framework ---
+let passed = 0, failed = 0, errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } catch (e) {
+    failed++;
+    errors.push({ name, error: e.message });
+    console.log(`  ❌ ${name}: ${e.message}`);
+  }
+}
+
+function assert(condition, msg) {
+  if (!condition) throw new Error(msg || 'Assertion failed');
+}
+
+const { desiredAgents, computePlan, summarize } = require(
+  path.join(__dirname, '..', 'scripts', 'examples', 'cloud-function', 'reconcile.js'),
+);
+
+// Same naming rule as the Cloud Function
+function namesOf(email) {
+  const safeName = email.split('@')[0].replace(/\./g, '-').toLowerCase();
+  if (!/^[a-z0-9-]+$/.test(safeName)) return null;
+  return { safeName, vmName: `agent-${safeName}` };
+}
+
+const options = { namesOf, allowedMachineTypes: ['e2-standard-2', 'e2-standard-4'] };
+
+function plane(agents, spec = {}) {
+  return {
+    apiVersion: 'openclaw.dev/v1alpha1',
+    kind: 'AgentsPlane',
+    metadata: { name: 'acme-agents' },
+    spec: { infrastructure: { defaults: { machineType: 'e2-standard-2', diskSizeGb: 20 } }, agents, ...spec },
+  };
+}
+
+function current(vmName, fields = {}) {
+  return {
+    vmName,
+    safeName: vmName.replace(/^agent-/, ''),
+    email: null,
+    status: 'RUNNING',
+    purgeScheduled: false,
+    machineType: 'e2-standard-2',
+    config: { model: 'claude-sonnet-4-5', budget: 50 },
+    ...fields,
+  };
+}
+
+function actionOf(plan, vmName) {
+  return plan.find(e => e.vmName === vmName)?.action;
+}
+
+console.log('\n═══════════════════════════════════════════');
+console.log('  Agents Plane — Fleet Reconciliation Tests');
+console.log('═══════════════════════════════════════════\n');
+
+// --- 1. Document Validation ---
+console.log('📋 Document Validation:');
+
+test('accepts a valid document', () => {
+  const { agents, errors: errs } = desiredAgents(plane([{ name: 'alice-agent', owner: 'alice@acme.com' }]), options);
+  assert(errs.length === 0, `Unexpected errors: ${errs.join(', ')}`);
+  assert(agents.length === 1 && agents[0].vmName === 'agent-alice', `Got ${JSON.stringify(agents)}`);
+});
+
+test('rejects other kinds and a missing agent list', () => {
+  const { errors: errs } = desiredAgents({ kind: 'Deployment', spec: {} }, options);
+  assert(errs.some(e => e.includes('kind')), 'Expected a kind error');
+  assert(errs.some(e => e.includes('spec.agents')), 'Expected an agents error');
+});
+
+test('rejects missing owners and duplicate owners', () => {
+  const { errors: errs } = desiredAgents(plane([
+    { name: 'nobody' },
+    { name: 'alice-agent', owner: 'alice@acme.com' },
+    { name: 'alice-again', owner: 'Alice@acme.com' },
+  ]), options);
+  assert(errs.some(e => e.startsWith('nobody:')), 'Expected an owner error');
+  assert(errs.some(e => e.startsWith('alice-again:')), 'Expected a duplicate error');
+});
+
+test('rejects machine types outside the allowlist', () => {
+  const { errors: errs } = desiredAgents(plane([{ owner: 'alice@acme.com', machineType: 'n2-highmem-64' }]), options);
+  assert(errs.length === 1 && errs[0].includes('n2-highmem-64'), `Got ${errs.join(', ')}`);
+});
+
+test('rejects agents whose config fails the check', () => {
+  const checkConfig = config => (config.tools?.includes('exec') ? ['unknown tools: exec'] : []);
+  const { errors: errs } = desiredAgents(plane([{ name: 'alice-agent', owner: 'alice@acme.com', tools: ['exec'] }]), { ...options, checkConfig });
+  assert(errs.length === 1 && errs[0] === 'alice-agent: unknown tools: exec', `Got ${errs.join(', ')}`);
+});
+
+// --- 2. Policies ---
+console.log('\n📋 Policies:');
+
+test('applies policies, then the agent entry', () => {
+  const doc = plane(
+    [{ owner: 'alice@acme.com', groups: ['eng@acme.com'], budgetCap: 300 }],
+    { policies: [{ name: 'eng', match: { group: 'eng@acme.com' }, spec: { modelTier: 'opus', budgetCap: 200, tools: ['exec'] } }] },
+  );
+  const [alice] = desiredAgents(doc, options).agents;
+  assert(alice.config.model === 'claude-opus-4-6', `Got model ${alice.config.model}`);
+  assert(alice.config.budget === 300, `Got budget ${alice.config.budget}`);
+  assert(alice.config.tools[0] === 'exec', `Got tools ${alice.config.tools}`);
+  assert(alice.policy.some(a => a.rule === 'eng'), `Got applied ${JSON.stringify(alice.policy)}`);
+});
+
+test('falls back to the infrastructure defaults', () => {
+  const [alice] = desiredAgents(plane([{ owner: 'alice@acme.com' }]), options).agents;
+  assert(alice.machineType === 'e2-standard-2', `Got ${alice.machineType}`);
+  assert(alice.diskSizeGb === 20, `Got ${alice.diskSizeGb}`);
+});
+
+// --- 3. Plan ---
+console.log('\n📋 Plan:');
+
+test('puts each agent in the right bucket', () => {
+  const { agents } = desiredAgents(plane([
+    { owner: 'new@acme.com' },
+    { owner: 'stopped@acme.com', modelTier: 'sonnet', budgetCap: 50 },
+    { owner: 'changed@acme.com', modelTier: 'opus' },
+    { owner: 'off@acme.com', enabled: false },
+    { owner: 'same@acme.com', modelTier: 'sonnet', budgetCap: 50 },
+  ]), options);
+  const plan = computePlan(agents, [
+    current('agent-stopped', { status: 'TERMINATED' }),
+    current('agent-changed'),
+    current('agent-off'),
+    current('agent-same'),
+    current('agent-gone'),
+  ]);
+  const expected = { 'agent-new': 'create', 'agent-stopped': 'start', 'agent-changed': 'update',
+    'agent-off': 'stop', 'agent-same': 'unchanged', 'agent-gone': 'delete' };
+  for (const [vmName, action] of Object.entries(expected)) {
+    assert(actionOf(plan, vmName) === action, `${vmName}: expected ${action}, got ${actionOf(plan, vmName)}`);
+  }
+  const summary = summarize(plan);
+  assert(summary.create === 1 && summary.delete === 1 && summary.unchanged === 1, `Got ${JSON.stringify(summary)}`);
+});
+
+test('lists config and machine type changes', () => {
+  const { agents } = desiredAgents(plane([{ owner: 'alice@acme.com', modelTier: 'opus', machineType: 'e2-standard-4' }]), options);
+  const [entry] = computePlan(agents, [current('agent-alice')]);
+  assert(entry.changes.model.from === 'claude-sonnet-4-5' && entry.changes.model.to === 'claude-opus-4-6', 'Model change missing');
+  assert(entry.changes.machineType.to === 'e2-standard-4', 'Machine type change missing');
+  assert(!entry.changes.budget, 'Budget not set by the document should not be compared');
+});
+
+test('restarts an agent scheduled for purge', () => {
+  const { agents } = desiredAgents(plane([{ owner: 'alice@acme.com' }]), options);
+  const [entry] = computePlan(agents, [current('agent-alice', { status: 'TERMINATED', purgeScheduled: true })]);
+  assert(entry.action === 'start', `Got ${entry.action}`);
+});
+
+test('leaves disabled and already-purging agents alone', () => {
+  const { agents } = desiredAgents(plane([{ owner: 'off@acme.com', enabled: false }]), options);
+  const plan = computePlan(agents, [
+    current('agent-off', { status: 'TERMINATED' }),
+    current('agent-gone', { status: 'TERMINATED', purgeScheduled: true }),
+  ]);
+  assert(actionOf(plan, 'agent-off') === 'unchanged', `Got ${actionOf(plan, 'agent-off')}`);
+  assert(actionOf(plan, 'agent-gone') === 'unchanged', `Got ${actionOf(plan, 'agent-gone')}`);
+});
+
+test('does not start agents asleep outside their power schedule', () => {
+  const { agents } = desiredAgents(plane([
+    { owner: 'alice@acme.com' },
+    { owner: 'off@acme.com', enabled: false },
+  ]), options);
+  const plan = computePlan(agents, [
+    current('agent-alice', { status: 'TERMINATED', sleeping: true }),
+    current('agent-off', { status: 'TERMINATED', sleeping: true }),
+  ]);
+  assert(actionOf(plan, 'agent-alice') === 'unchanged', `Got ${actionOf(plan, 'agent-alice')}`);
+  assert(actionOf(plan, 'agent-off') === 'stop', `A disabled agent should not be left wakeable, got ${actionOf(plan, 'agent-off')}`);
+});
+
+test('leaves paused agents stopped until resume-all', () => {
+  const { agents } = desiredAgents(plane([
+    { owner: 'alice@acme.com' },
+    { owner: 'off@acme.com', enabled: false },
+  ]), options);
+  const plan = computePlan(agents, [
+    current('agent-alice', { status: 'TERMINATED', paused: true }),
+    current('agent-off', { status: 'TERMINATED', paused: true }),
+  ]);
+  assert(actionOf(plan, 'agent-alice') === 'unchanged', `Got ${actionOf(plan, 'agent-alice')}`);
+  assert(actionOf(plan, 'agent-off') === 'stop', `A disabled agent should not be left resumable, got ${actionOf(plan, 'agent-off')}`);
+});
+
+// --- Results ---
+console.log('\n═══════════════════════════════════════════');
+console.log(`  Results: ${passed} passed, ${failed} failed`);
+console.log('═══════════════════════════════════════════');
+
+if (errors.length > 0) {
+  console.log('\nFailures:');
+  errors.forEach(e => console.log(`  • ${e.name}: ${e.error}`));
+}
+
+process.exit(failed > 0 ? 1 : 0);
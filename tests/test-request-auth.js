@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * Agents Plane — Request Signing Tests
+ *
+ * Tests the HMAC request verifier shared by the provisioning function and
+ * the email proxy:
+ * - Valid signatures with any active key
+ * - Tampered bodies, unknown keys, malformed headers
+ * - Expired timestamps and replayed nonces, across instances sharing a store
+ * - Both copies of request-auth.js stay in sync
+ *
+ * Run: node tests/test-request-auth.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// --- Test Framework ---
+let passed = 0, failed = 0, errors = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } catch (e) {
+    failed++;
+    errors.push({ name, error: e.message });
+    console.log(`  ❌ ${name}: ${e.message}`);
+  }
+}
+
+function assert(condition, msg) {
+  if (!condition) throw new Error(msg || 'Assertion failed');
+}
+
+const cfPath = path.join(__dirname, '..', 'scripts', 'examples', 'cloud-function', 'request-auth.js');
+const proxyPath = path.join(__dirname, '..', 'scripts', 'email-proxy', 'request-auth.js');
+const { parseKeys, signRequest, createVerifier, createBackendNonceCache } = require(cfPath);
+const { createMemoryBackend } = require(path.join(__dirname, '..', 'scripts', 'examples', 'cloud-function', 'state-store.js'));
+
+function signedRequest(body, keyId = 'primary', secret = 'secret-one') {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  return {
+    method: 'POST',
+    headers: { authorization: signRequest(keyId, secret, rawBody) },
+    body,
+    rawBody,
+  };
+}
+
+function freshBody(extra = {}) {
+  return {
+    email: 'alice@example.com',
+    action: 'provision',
+    timestamp: new Date().toISOString(),
+    nonce: crypto.randomBytes(16).toString('hex'),
+    ...extra,
+  };
+}
+
+(async () => {
+  console.log('\n═══════════════════════════════════════════');
+  console.log('  Agents Plane — Request Signing Tests');
+  console.log('═══════════════════════════════════════════\n');
+
+  const keys = parseKeys('primary:secret-one,previous:secret-two', 'legacy-secret');
+
+  // --- 1. Key Parsing ---
+  console.log('📋 Key Parsing:');
+
+  await test('parses multiple keys', () => {
+    assert(keys.get('primary') === 'secret-one', 'Missing primary key');
+    assert(keys.get('previous') === 'secret-two', 'Missing previous key');
+  });
+
+  await test('legacy AUTH_SECRET becomes key "default"', () => {
+    assert(keys.get('default') === 'legacy-secret', 'Missing default key');
+  });
+
+  await test('ignores malformed entries', () => {
+    assert(parseKeys('nocolon,:nosecret,ok:1').size === 1, 'Expected only one valid key');
+  });
+
+  // --- 2. Verification ---
+  console.log('\n📋 Verification:');
+
+  await test('accepts a valid signature', async () => {
+    const verify = createVerifier({ keys });
+    const result = await verify(signedRequest(freshBody()));
+    assert(result.ok && result.keyId === 'primary', `Expected ok, got ${result.reason}`);
+  });
+
+  await test('accepts any active key (rotation)', async () => {
+    const verify = createVerifier({ keys });
+    const result = await verify(signedRequest(freshBody(), 'previous', 'secret-two'));
+    assert(result.ok && result.keyId === 'previous', `Expected ok, got ${result.reason}`);
+  });
+
+  await test('rejects a tampered body', async () => {
+    const verify = createVerifier({ keys });
+    const req = signedRequest(freshBody());
+    req.rawBody = Buffer.from(req.rawBody.toString().replace('alice', 'mallory'));
+    const result = await verify(req);
+    assert(!result.ok && result.reason === 'Bad signature', `Got ${result.reason}`);
+  });
+
+  await test('rejects an unknown key', async () => {
+    const verify = createVerifier({ keys });
+    const result = await verify(signedRequest(freshBody(), 'retired', 'old'));
+    assert(!result.ok && result.reason === 'Unknown key', `Got ${result.reason}`);
+  });
+
+  await test('rejects a static bearer token', async () => {
+    const verify = createVerifier({ keys });
+    const result = await verify({ method: 'POST', headers: { authorization: 'Bearer legacy-secret' }, body: freshBody() });
+    assert(!result.ok, 'Bearer token should be rejected');
+  });
+
+  await test('rejects an expired timestamp', async () => {
+    const verify = createVerifier({ keys, maxSkewSeconds: 60 });
+    const old = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+    const result = await verify(signedRequest(freshBody({ timestamp: old })));
+    assert(!result.ok && result.reason === 'Request expired', `Got ${result.reason}`);
+  });
+
+  await test('rejects a missing nonce', async () => {
+    const verify = createVerifier({ keys });
+    const body = freshBody();
+    delete body.nonce;
+    const result = await verify(signedRequest(body));
+    assert(!result.ok && result.reason === 'Missing or invalid nonce', `Got ${result.reason}`);
+  });
+
+  await test('rejects a replayed request', async () => {
+    const verify = createVerifier({ keys });
+    const req = signedRequest(freshBody());
+    const first = await verify(req);
+    const second = await verify(req);
+    assert(first.ok, `First request should pass, got ${first.reason}`);
+    assert(!second.ok && second.reason === 'Replayed request', `Got ${second.reason}`);
+  });
+
+  await test('rejects a request replayed on another instance', async () => {
+    const backend = createMemoryBackend();
+    const instanceA = createVerifier({ keys, nonceCache: createBackendNonceCache(backend, 'nonces') });
+    const instanceB = createVerifier({ keys, nonceCache: createBackendNonceCache(backend, 'nonces') });
+    const req = signedRequest(freshBody());
+    const first = await instanceA(req);
+    const second = await instanceB(req);
+    assert(first.ok, `First request should pass, got ${first.reason}`);
+    assert(!second.ok && second.reason === 'Replayed request', `Got ${second.reason}`);
+  });
+
+  await test('a spent nonce can be reused once it expires', async () => {
+    const cache = createBackendNonceCache(createMemoryBackend(), 'nonces');
+    assert(await cache.checkAndStore('k:n', Date.now() - 1), 'First use refused');
+    assert(await cache.checkAndStore('k:n', Date.now() + 60000), 'Expired nonce still blocks');
+    assert(!await cache.checkAndStore('k:n', Date.now() + 60000), 'Live nonce reused');
+  });
+
+  await test('verifies GET requests over the query string', async () => {
+    const verify = createVerifier({ keys });
+    const query = `email=alice%40example.com&timestamp=${Math.floor(Date.now() / 1000)}&nonce=${crypto.randomBytes(16).toString('hex')}`;
+    const params = Object.fromEntries(new URLSearchParams(query));
+    const result = await verify({
+      method: 'GET',
+      originalUrl: `/provision-agent?${query}`,
+      query: params,
+      headers: { authorization: signRequest('primary', 'secret-one', query) },
+    });
+    assert(result.ok, `Expected ok, got ${result.reason}`);
+  });
+
+  // --- 3. Shared Copies ---
+  console.log('\n📋 Shared Copies:');
+
+  await test('email proxy copy matches cloud function copy', () => {
+    const strip = (file) => fs.readFileSync(file, 'utf8').replace(/ \* Keep in sync with[\s\S]*?\n \*\/\n/, '');
+    assert(strip(cfPath) === strip(proxyPath), 'request-auth.js copies have diverged');
+  });
+
+  // --- Results ---
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`  Results: ${passed} passed, ${failed} failed`);
+  console.log('═══════════════════════════════════════════');
+
+  if (errors.length > 0) {
+    console.log('\nFailures:');
+    errors.forEach(e => console.log(`  • ${e.name}: ${e.error}`));
+  }
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
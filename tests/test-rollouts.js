@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * Agents Plane — Startup Script Rollout Tests
+ *
+ * Tests how a rollout moves agents to a new startup script version:
+ * - Script version names
+ * - Which agents a rollout targets, and in which wave
+ * - Health checks and what happens after each wave
+ *
+ * Run: node tests/test-rollouts.js
+ */
+
+const path = require('path');
+
+// --- Test Framework ---
+let passed = 0, failed = 0, errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } catch (e) {
+    failed++;
+    errors.push({ name, error: e.message });
+    console.log(`  ❌ ${name}: ${e.message}`);
+  }
+}
+
+function assert(condition, msg) {
+  if (!condition) throw new Error(msg || 'Assertion failed');
+}
+
+const { checkScriptVersion, selectTargets, newRollout, targetHealth, nextStep, versionCounts } = require(
+  path.join(__dirname, '..', 'scripts', 'examples', 'cloud-function', 'rollouts.js'),
+);
+
+function fleet(count, fields = {}) {
+  return Array.from({ length: count }, (_, i) => ({
+    vmName: `agent-${String(i + 1).padStart(2, '0')}`,
+    email: null,
+    status: 'RUNNING',
+    scriptVersion: 'v1',
+    ...fields,
+  }));
+}
+
+const NOW = Date.parse('2026-06-01T12:00:00Z');
+const minutesAgo = (minutes) => new Date(NOW - minutes * 60000).toISOString();
+
+console.log('\n═══════════════════════════════════════════');
+console.log('  Agents Plane — Startup Script Rollout Tests');
+console.log('═══════════════════════════════════════════\n');
+
+// --- 1. Versions ---
+console.log('📋 Versions:');
+
+test('accepts label-safe version names only', () => {
+  for (const version of ['v2', '2026-06-01', 'canary_3']) assert(checkScriptVersion(version), `${version} should be valid`);
+  for (const version of ['', 'V2', '1.2.3', '-v2', 'a'.repeat(64), 2]) assert(!checkScriptVersion(version), `${version} should be invalid`);
+});
+
+test('counts agents per version', () => {
+  const counts = versionCounts([...fleet(2), { vmName: 'agent-x', scriptVersion: 'v2' }, { vmName: 'agent-y', scriptVersion: null }]);
+  assert(counts.v1 === 2 && counts.v2 === 1 && counts.unversioned === 1, `Got ${JSON.stringify(counts)}`);
+});
+
+// --- 2. Targets ---
+console.log('\n📋 Targets:');
+
+test('takes a percentage of the fleet, rounded up', () => {
+  const { targets } = selectTargets(fleet(20), { version: 'v2', percent: 10 });
+  assert(targets.map(t => t.vmName).join(',') === 'agent-01,agent-02', `Got ${targets.map(t => t.vmName)}`);
+  assert(selectTargets(fleet(3), { version: 'v2', percent: 1 }).targets.length === 1, 'At least one agent');
+});
+
+test('leaves out agents already on the version and skips stopped ones', () => {
+  const agents = [...fleet(2), { vmName: 'agent-new', status: 'RUNNING', scriptVersion: 'v2' },
+    { vmName: 'agent-off', status: 'TERMINATED', scriptVersion: 'v1' }];
+  const { targets, skipped } = selectTargets(agents, { version: 'v2' });
+  assert(targets.length === 2, `Got ${targets.map(t => t.vmName)}`);
+  assert(skipped.length === 1 && skipped[0].vmName === 'agent-off', `Got ${JSON.stringify(skipped)}`);
+});
+
+test('targets listed agents and reports unknown ones', () => {
+  const { targets, missing } = selectTargets(fleet(5), { version: 'v2', vmNames: ['agent-04', 'agent-99'] });
+  assert(targets.map(t => t.vmName).join(',') === 'agent-04', `Got ${targets.map(t => t.vmName)}`);
+  assert(missing.join(',') === 'agent-99', `Got ${missing}`);
+});
+
+test('starts with a single canary, then waves of waveSize', () => {
+  const rollout = newRollout({ version: 'v2', targets: fleet(6), waveSize: 2, healthMinutes: 15, fleetWide: true });
+  assert(rollout.waves === 4, `Expected 4 waves, got ${rollout.waves}`);
+  assert(rollout.targets.map(t => t.wave).join(',') === '0,1,1,2,2,3', `Got ${rollout.targets.map(t => t.wave)}`);
+  assert(rollout.targets.every(t => t.from === 'v1' && t.status === 'pending'), 'Targets should remember their version');
+});
+
+// --- 3. Health ---
+console.log('\n📋 Health:');
+
+test('a heartbeat after the restart makes an agent healthy', () => {
+  const target = { movedAt: minutesAgo(5) };
+  assert(targetHealth(target, minutesAgo(1), { healthMinutes: 15, now: NOW }) === 'healthy', 'Expected healthy');
+  assert(targetHealth(target, minutesAgo(6), { healthMinutes: 15, now: NOW }) === 'waiting', 'Old heartbeat should not count');
+  assert(targetHealth(target, null, { healthMinutes: 15, now: NOW }) === 'waiting', 'Still inside the window');
+});
+
+test('silence past the health window fails an agent', () => {
+  assert(targetHealth({ movedAt: minutesAgo(16) }, minutesAgo(20), { healthMinutes: 15, now: NOW }) === 'failed', 'Expected failed');
+});
+
+test('moves on wave by wave and rolls back on any failure', () => {
+  const rollout = newRollout({ version: 'v2', targets: fleet(3), waveSize: 2, healthMinutes: 15, fleetWide: true });
+  rollout.targets[0].status = 'moved';
+  assert(nextStep(rollout) === 'wait', 'Canary still being checked');
+  rollout.targets[0].status = 'healthy';
+  assert(nextStep(rollout) === 'next-wave', 'Canary healthy');
+  rollout.wave = 1;
+  rollout.targets[1].status = 'healthy';
+  rollout.targets[2].status = 'skipped';
+  assert(nextStep(rollout) === 'done', 'Last wave finished');
+  rollout.targets[1].status = 'failed';
+  assert(nextStep(rollout) === 'rollback', 'A failure rolls back');
+});
+
+// --- Results ---
+console.log('\n═══════════════════════════════════════════');
+console.log(`  Results: ${passed} passed, ${failed} failed`);
+console.log('═══════════════════════════════════════════');
+
+if (errors.length > 0) {
+  console.log('\nFailures:');
+  errors.forEach(e => console.log(`  • ${e.name}: ${e.error}`));
+}
+
+process.exit(failed > 0 ? 1 : 0);
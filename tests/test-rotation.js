@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/**
+ * Agents Plane — Secret Rotation Tests
+ *
+ * Tests which secret versions rotate-secrets disables:
+ * - Versions superseded longer ago than the retention window
+ * - The latest enabled version and pinned versions are kept
+ * - Already disabled versions are left alone
+ *
+ * Run: node tests/test-rotation.js
+ */
+
+const path = require('path');
+
+// --- Test Framework ---
+let passed = 0, failed = 0, errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } catch (e) {
+    failed++;
+    errors.push({ name, error: e.message });
+    console.log(`  ❌ ${name}: ${e.message}`);
+  }
+}
+
+function assert(condition, msg) {
+  if (!condition) throw new Error(msg || 'Assertion failed');
+}
+
+const { versionsToDisable } = require(
+  path.join(__dirname, '..', 'scripts', 'examples', 'cloud-function', 'rotation.js'),
+);
+
+const NOW = Date.parse('2026-06-01T00:00:00Z');
+
+// Versions created the given number of days before NOW, oldest first
+function versions(...ages) {
+  return ages.map((age, i) => ({
+    version: String(i + 1),
+    createdAt: new Date(NOW - age * 24 * 3600 * 1000).toISOString(),
+    state: 'enabled',
+  }));
+}
+
+console.log('\n═══════════════════════════════════════════');
+console.log('  Agents Plane — Secret Rotation Tests');
+console.log('═══════════════════════════════════════════\n');
+
+console.log('📋 Retention:');
+
+test('disables versions superseded before the window', () => {
+  const expired = versionsToDisable(versions(120, 90, 45, 10), { retentionDays: 30, now: NOW });
+  assert(expired.join(',') === '1,2', `Got ${expired}`);
+});
+
+test('keeps a version until its successor is older than the window', () => {
+  // Version 1 is old, but was only replaced 10 days ago
+  const expired = versionsToDisable(versions(400, 10), { retentionDays: 30, now: NOW });
+  assert(expired.length === 0, `Got ${expired}`);
+});
+
+test('never disables the latest enabled version', () => {
+  const list = versions(300, 200);
+  list[1].state = 'disabled';
+  const expired = versionsToDisable(list, { retentionDays: 0, now: NOW });
+  assert(expired.length === 0, `Got ${expired}`);
+});
+
+test('keeps pinned versions', () => {
+  const expired = versionsToDisable(versions(120, 90, 45, 10), { retentionDays: 30, keep: ['2'], now: NOW });
+  assert(expired.join(',') === '1', `Got ${expired}`);
+});
+
+test('skips versions that are already disabled or destroyed', () => {
+  const list = versions(120, 90, 45, 10);
+  list[0].state = 'destroyed';
+  list[1].state = 'disabled';
+  const expired = versionsToDisable(list, { retentionDays: 30, now: NOW });
+  assert(expired.length === 0, `Got ${expired}`);
+});
+
+test('a zero-day window disables everything but the latest', () => {
+  const expired = versionsToDisable(versions(3, 2, 1), { retentionDays: 0, now: NOW });
+  assert(expired.join(',') === '1,2', `Got ${expired}`);
+});
+
+// --- Results ---
+console.log('\n═══════════════════════════════════════════');
+console.log(`  Results: ${passed} passed, ${failed} failed`);
+console.log('═══════════════════════════════════════════');
+
+if (errors.length > 0) {
+  console.log('\nFailures:');
+  errors.forEach(e => console.log(`  • ${e.name}: ${e.error}`));
+}
+
+process.exit(failed > 0 ? 1 : 0);
@@ -10,11 +10,13 @@
  * - Service file structure
  * - Email config (TOML structure)
  * - All required commands are present
+ * - Config watcher writes into the agent's home as the agent
  * 
  * Run: node tests/test-startup-script.js
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const { execSync } = require('child_process');
 
@@ -350,7 +352,47 @@ test('File ownership set to agent user', () => {
   assert(chownCount >= 5, `Only ${chownCount} chown calls — should be at least 5`);
 });
 
-// --- 8. Cloud Function JS Tests ---
+// --- 8. Config Watcher Tests ---
+console.log('\n📋 Config Watcher:');
+
+const watcherMatch = script.match(/cat > \/usr\/local\/bin\/agent-config-watcher\.sh << 'WATCHEOF'\n([\s\S]*?)\nWATCHEOF/);
+test('config watcher heredoc found', () => {
+  assert(watcherMatch, 'Could not find config watcher heredoc');
+});
+
+if (watcherMatch) {
+  const watcher = watcherMatch[1];
+
+  test('watcher never writes or chowns into the agent home as root', () => {
+    const lines = watcher.split('\n').filter(l => l.includes('$AGENT_HOME'));
+    const unsafe = lines.filter(l => /> *"\$AGENT_HOME|chown (?!-h)/.test(l));
+    assert(unsafe.length === 0, `Root writes into the agent home: ${unsafe.join(' | ')}`);
+  });
+
+  test('watcher does not follow a symlinked openclaw.json.tmp', () => {
+    const fn = watcher.match(/^write_as_agent\(\) \{\n[\s\S]*?\n\}/m);
+    assert(fn, 'Missing write_as_agent');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watcher-'));
+    try {
+      const victim = path.join(dir, 'apply-agent-allowlist.sh');
+      const openclaw = path.join(dir, 'openclaw.json');
+      fs.writeFileSync(victim, '#!/bin/bash\n');
+      fs.symlinkSync(victim, `${openclaw}.tmp`);
+      fs.symlinkSync(victim, openclaw);
+      // runuser is left out: the agent here is whoever runs the tests
+      execSync('bash -c \'runuser() { shift 3; "$@"; }; AGENT=agent; eval "$WRITE_AS_AGENT"; echo "{}" | write_as_agent "$0" 644\' "$OPENCLAW"', {
+        env: { ...process.env, WRITE_AS_AGENT: fn[0], OPENCLAW: openclaw },
+      });
+      assert(fs.readFileSync(victim, 'utf8') === '#!/bin/bash\n', 'Symlink target was overwritten');
+      assert(!fs.lstatSync(openclaw).isSymbolicLink(), 'openclaw.json is still a symlink');
+      assert(fs.readFileSync(openclaw, 'utf8') === '{}\n', 'openclaw.json not written');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+}
+
+// --- 9. Cloud Function JS Tests ---
 console.log('\n📋 Cloud Function JS:');
 
 test('Cloud Function exports provisionAgent', () => {
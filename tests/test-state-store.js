@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/**
+ * Agents Plane — State Store Tests
+ *
+ * Tests the control-plane state store used by the provisioning function:
+ * - Agent registry records and config history
+ * - Audit log ordering and filtering
+ * - Job store and each agent's latest job
+ * - Monthly usage ledgers
+ * - The JSON file backend survives a reload
+ *
+ * Run: node tests/test-state-store.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// --- Test Framework ---
+let passed = 0, failed = 0, errors = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } catch (e) {
+    failed++;
+    errors.push({ name, error: e.message });
+    console.log(`  ❌ ${name}: ${e.message}`);
+  }
+}
+
+function assert(condition, msg) {
+  if (!condition) throw new Error(msg || 'Assertion failed');
+}
+
+const { createStateStore, createMemoryBackend, createFileBackend, createBackend } = require(
+  path.join(__dirname, '..', 'scripts', 'examples', 'cloud-function', 'state-store.js'),
+);
+
+(async () => {
+  console.log('\n═══════════════════════════════════════════');
+  console.log('  Agents Plane — State Store Tests');
+  console.log('═══════════════════════════════════════════\n');
+
+  // --- 1. Agent Registry ---
+  console.log('📋 Agent Registry:');
+
+  await test('creates a record on first sight', async () => {
+    const state = createStateStore(createMemoryBackend());
+    const agent = await state.recordAgent('alice@example.com', { status: 'provisioning' });
+    assert(agent.owner === 'alice@example.com', 'Owner not set');
+    assert(agent.createdAt && agent.updatedAt, 'Timestamps not set');
+    assert(agent.status === 'provisioning', `Got status ${agent.status}`);
+  });
+
+  await test('merges changes and keeps createdAt', async () => {
+    const state = createStateStore(createMemoryBackend());
+    const first = await state.recordAgent('alice@example.com', { status: 'provisioning' });
+    await state.recordAgent('alice@example.com', { status: 'active', zone: 'us-east4-b' });
+    const agent = await state.getAgent('alice@example.com');
+    assert(agent.status === 'active' && agent.zone === 'us-east4-b', 'Changes not merged');
+    assert(agent.createdAt === first.createdAt, 'createdAt changed');
+  });
+
+  await test('appends config changes to the history', async () => {
+    const state = createStateStore(createMemoryBackend());
+    await state.recordAgent('alice@example.com', { config: { model: 'a', budget: 10 }, configVersion: '1' });
+    await state.recordAgent('alice@example.com', { config: { model: 'b', budget: 10 }, configVersion: '2' });
+    const agent = await state.getAgent('alice@example.com');
+    assert(agent.config.model === 'b', 'Current config not updated');
+    assert(agent.configHistory.length === 2, `Expected 2 history entries, got ${agent.configHistory.length}`);
+    assert(agent.configHistory[0].version === '1', 'History out of order');
+  });
+
+  await test('lists agents filtered by status', async () => {
+    const state = createStateStore(createMemoryBackend());
+    await state.recordAgent('bob@example.com', { status: 'active' });
+    await state.recordAgent('alice@example.com', { status: 'active' });
+    await state.recordAgent('carol@example.com', { status: 'stopped' });
+    const active = await state.listAgents({ status: 'active' });
+    assert(active.map(a => a.email).join() === 'alice@example.com,bob@example.com', 'Wrong agents or order');
+  });
+
+  // --- 2. Audit Log ---
+  console.log('\n📋 Audit Log:');
+
+  await test('returns newest entries first, filtered by email', async () => {
+    const state = createStateStore(createMemoryBackend());
+    await state.appendAudit({ action: 'provision', email: 'alice@example.com' });
+    await state.appendAudit({ action: 'provision', email: 'bob@example.com' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await state.appendAudit({ action: 'update', email: 'alice@example.com' });
+    const entries = await state.listAudit({ email: 'alice@example.com' });
+    assert(entries.length === 2, `Expected 2 entries, got ${entries.length}`);
+    assert(entries[0].action === 'update', 'Newest entry should come first');
+  });
+
+  await test('honours the limit', async () => {
+    const state = createStateStore(createMemoryBackend());
+    for (let i = 0; i < 5; i++) await state.appendAudit({ action: 'update', email: 'alice@example.com' });
+    assert((await state.listAudit({ limit: 3 })).length === 3, 'Limit ignored');
+  });
+
+  // --- 3. Jobs ---
+  console.log('\n📋 Jobs:');
+
+  await test('latest job follows the registry pointer', async () => {
+    const state = createStateStore(createMemoryBackend());
+    await state.jobs.create({ id: 'job-1', email: 'alice@example.com', state: 'queued' });
+    assert(await state.jobs.latestForEmail('alice@example.com') === null, 'No pointer yet — expected null');
+    await state.recordAgent('alice@example.com', { lastJobId: 'job-1' });
+    const job = await state.jobs.latestForEmail('alice@example.com');
+    assert(job?.id === 'job-1', 'Latest job not found');
+  });
+
+  await test('stored documents are copies', async () => {
+    const state = createStateStore(createMemoryBackend());
+    const job = { id: 'job-1', email: 'alice@example.com', state: 'queued' };
+    await state.jobs.create(job);
+    job.state = 'running';
+    assert((await state.jobs.get('job-1')).state === 'queued', 'Store kept a live reference');
+  });
+
+  // --- 4. Usage Ledger ---
+  console.log('\n📋 Usage Ledger:');
+
+  await test('adds reports to the month\'s ledger', async () => {
+    const state = createStateStore(createMemoryBackend());
+    await state.recordUsage('alice@example.com', '2026-05', { inputTokens: 100, outputTokens: 20, costUsd: 0.1 });
+    const ledger = await state.recordUsage('alice@example.com', '2026-05', { inputTokens: 50, costUsd: 0.2 });
+    assert(ledger.inputTokens === 150 && ledger.outputTokens === 20, `Got ${JSON.stringify(ledger)}`);
+    assert(ledger.costUsd === 0.3, `Expected 0.3 without float error, got ${ledger.costUsd}`);
+    assert(ledger.reports === 2 && ledger.alerts.length === 0, `Got ${JSON.stringify(ledger)}`);
+  });
+
+  await test('keeps one ledger per agent and month', async () => {
+    const state = createStateStore(createMemoryBackend());
+    await state.recordUsage('alice@example.com', '2026-05', { costUsd: 5 });
+    await state.recordUsage('alice@example.com', '2026-06', { costUsd: 1 });
+    await state.recordUsage('bob@example.com', '2026-06', { costUsd: 2 });
+    assert((await state.getUsage('alice@example.com', '2026-06')).costUsd === 1, 'Months mixed up');
+    assert((await state.listUsage({ month: '2026-06' })).length === 2, 'Expected two ledgers for June');
+    assert((await state.listUsage({ email: 'alice@example.com' })).length === 2, 'Expected two ledgers for Alice');
+    await state.updateUsage('alice@example.com', '2026-06', { capAction: { action: 'stop' } });
+    assert((await state.getUsage('alice@example.com', '2026-06')).capAction.action === 'stop', 'Update lost');
+    assert(await state.updateUsage('carol@example.com', '2026-06', {}) === null, 'Expected null for a missing ledger');
+  });
+
+  // --- 5. Rollouts ---
+  console.log('\n📋 Rollouts:');
+
+  await test('lists rollouts newest first, optionally by state', async () => {
+    const state = createStateStore(createMemoryBackend());
+    await state.saveRollout({ id: 'r1', version: 'v2', state: 'succeeded', createdAt: '2026-05-01T00:00:00Z' });
+    await state.saveRollout({ id: 'r2', version: 'v3', state: 'running', createdAt: '2026-05-02T00:00:00Z' });
+    assert((await state.listRollouts()).map(r => r.id).join(',') === 'r2,r1', 'Expected newest first');
+    assert((await state.listRollouts({ state: 'running' })).map(r => r.id).join(',') === 'r2', 'State filter not applied');
+    const saved = await state.getRollout('r1');
+    assert(saved.version === 'v2' && saved.updatedAt, `Got ${JSON.stringify(saved)}`);
+  });
+
+  // --- 6. Backends ---
+  console.log('\n📋 Backends:');
+
+  await test('file backend survives a reload', async () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'agents-plane-')), 'state.json');
+    const first = createStateStore(createFileBackend(filePath));
+    await first.recordAgent('alice@example.com', { status: 'active' });
+    const second = createStateStore(createFileBackend(filePath));
+    assert((await second.getAgent('alice@example.com'))?.status === 'active', 'Record lost on reload');
+    fs.rmSync(path.dirname(filePath), { recursive: true });
+  });
+
+  await test('rejects an unknown backend', () => {
+    let threw = false;
+    try {
+      createBackend('redis');
+    } catch {
+      threw = true;
+    }
+    assert(threw, 'Expected an error');
+  });
+
+  // --- Results ---
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`  Results: ${passed} passed, ${failed} failed`);
+  console.log('═══════════════════════════════════════════');
+
+  if (errors.length > 0) {
+    console.log('\nFailures:');
+    errors.forEach(e => console.log(`  • ${e.name}: ${e.error}`));
+  }
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
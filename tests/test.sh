@@ -26,6 +26,20 @@ if [ "$DOCKER_ONLY" != "true" ]; then
   echo "━━━ Phase 1: Unit Tests (< 1 second) ━━━"
   echo ""
   node "$DIR/test-startup-script.js"
+  node "$DIR/test-request-auth.js"
+  node "$DIR/test-state-store.js"
+  node "$DIR/test-policy.js"
+  node "$DIR/test-capabilities.js"
+  node "$DIR/test-docker-provider.js"
+  node "$DIR/test-reconcile.js"
+  node "$DIR/test-rotation.js"
+  node "$DIR/test-metering.js"
+  node "$DIR/test-power.js"
+  node "$DIR/test-rollouts.js"
+  node "$DIR/test-fleet.js"
+  node "$DIR/test-instance-identity.js"
+  node "$DIR/test-mime.js"
+  node "$DIR/test-outbound.js"
   echo ""
 fi
 